@@ -0,0 +1,182 @@
+import { useEffect, useState } from 'react';
+import styles from '../styles/AR.module.css';
+import { downloadBlob } from '../lib/share';
+import {
+    annotationsToBCF,
+    annotationsToCSV,
+    createAnnotationId,
+    MAX_AUTHOR_LENGTH,
+    MAX_TEXT_LENGTH,
+    validateAnnotation
+} from '../lib/annotations/format';
+import { useTranslation } from '../lib/i18n/state';
+
+const AUTHOR_STORAGE_KEY = 'house-ar:annotation-author';
+
+// Review notes for the AR overlay: pin a note to the part under a tap,
+// resolve, reopen or delete notes and export them as an issue list.
+//   controllerRef - ref to the running AR controller
+//   model         - catalog entry, for export file names and the BCF project
+//   annotations   - the model's annotations, from useAnnotations()
+//   error         - last load or save error of the annotations
+//   target        - point tapped in annotate mode (onAnnotationTarget)
+//   selected      - id of the selected annotation, or null
+//   onSave(annotation), onDelete(id), onSelect(id)
+//   onAnnotatingChange(annotating) - annotate mode turned on or off
+export default function AnnotationsPanel({
+    controllerRef,
+    model,
+    annotations,
+    error,
+    target,
+    selected,
+    onSave,
+    onDelete,
+    onSelect,
+    onAnnotatingChange
+}) {
+    const { locale, t } = useTranslation();
+    const [open, setOpen] = useState(false);
+    const [adding, setAdding] = useState(false);
+    const [text, setText] = useState('');
+    const [author, setAuthor] = useState('');
+    const [formError, setFormError] = useState('');
+
+    useEffect(() => {
+        try {
+            setAuthor(window.localStorage.getItem(AUTHOR_STORAGE_KEY) || '');
+        } catch {
+            // Storage can be unavailable in private browsing
+        }
+    }, []);
+
+    // Tapping a pin opens the list
+    useEffect(() => {
+        if (selected) setOpen(true);
+    }, [selected]);
+
+    const annotate = (on) => {
+        setAdding(on);
+        setText('');
+        setFormError('');
+        if (controllerRef.current) controllerRef.current.setAnnotateMode(on);
+        onAnnotatingChange(on);
+    };
+
+    // Annotate mode must not outlive the panel
+    useEffect(() => () => {
+        if (controllerRef.current) controllerRef.current.setAnnotateMode(false);
+    }, [controllerRef]);
+
+    const openCount = annotations.filter(annotation => annotation.status === 'open').length;
+
+    if (!open) {
+        return (
+            <button onClick={() => setOpen(true)}>
+                {openCount > 0 ? t('notes.buttonOpen', { count: openCount }) : t('notes.button')}
+            </button>
+        );
+    }
+
+    const close = () => {
+        if (adding) annotate(false);
+        onSelect(null);
+        setOpen(false);
+    };
+
+    const save = () => {
+        const now = new Date().toISOString();
+        let annotation;
+        try {
+            annotation = validateAnnotation({
+                id: createAnnotationId(),
+                ...target,
+                text,
+                author,
+                status: 'open',
+                createdAt: now,
+                updatedAt: now
+            });
+        } catch (error) {
+            setFormError(error.message);
+            return;
+        }
+        try {
+            window.localStorage.setItem(AUTHOR_STORAGE_KEY, annotation.author);
+        } catch {
+            // Not remembering the name is fine
+        }
+        onSave(annotation);
+        onSelect(annotation.id);
+        annotate(false);
+    };
+
+    const setStatus = (annotation, status) => {
+        onSave({ ...annotation, status, updatedAt: new Date().toISOString() });
+    };
+
+    const exportCSV = () => {
+        downloadBlob(new Blob([annotationsToCSV(annotations)], { type: 'text/csv' }), `${model.id}-annotations.csv`);
+    };
+
+    const exportBCF = () => {
+        const data = annotationsToBCF(annotations, model);
+        downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `${model.id}-issues.bcf.json`);
+    };
+
+    return (
+        <div className={styles.toolPanel} data-overlay-panel>
+            <div className={styles.toolRow}>
+                <strong>{t('notes.title')}</strong>
+                <button onClick={() => annotate(!adding)}>{adding ? t('notes.cancel') : t('notes.add')}</button>
+                <button onClick={exportCSV} disabled={annotations.length === 0}>{t('notes.exportCsv')}</button>
+                <button onClick={exportBCF} disabled={annotations.length === 0}>{t('notes.exportBcf')}</button>
+                <button onClick={close}>{t('common.done')}</button>
+            </div>
+            {adding && !target && <div>{t('notes.tapModel')}</div>}
+            {adding && target && (
+                <div className={styles.annotationForm}>
+                    <div>{t('notes.on', { part: target.nodeName })}</div>
+                    <textarea
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        maxLength={MAX_TEXT_LENGTH}
+                        rows={3}
+                        placeholder={t('notes.textPlaceholder')}
+                        aria-label={t('notes.text')}
+                    />
+                    <div className={styles.toolRow}>
+                        <input
+                            value={author}
+                            onChange={(e) => setAuthor(e.target.value)}
+                            maxLength={MAX_AUTHOR_LENGTH}
+                            placeholder={t('notes.authorPlaceholder')}
+                            aria-label={t('notes.author')}
+                        />
+                        <button onClick={save} disabled={!text.trim() || !author.trim()}>{t('common.save')}</button>
+                    </div>
+                    {formError && <div>{formError}</div>}
+                </div>
+            )}
+            {error && <div>{error}</div>}
+            {annotations.map((annotation, index) => (
+                <div key={annotation.id} className={styles.toolRow}>
+                    <button
+                        className={annotation.id === selected ? styles.selectedInstance : undefined}
+                        onClick={() => onSelect(annotation.id === selected ? null : annotation.id)}
+                    >
+                        {index + 1}
+                    </button>
+                    <span className={styles.annotationText}>
+                        {annotation.status === 'resolved' ? '✓ ' : ''}
+                        {annotation.text} — {annotation.author}, {new Date(annotation.createdAt).toLocaleDateString(locale)}
+                    </span>
+                    <button onClick={() => setStatus(annotation, annotation.status === 'open' ? 'resolved' : 'open')}>
+                        {annotation.status === 'open' ? t('notes.resolve') : t('notes.reopen')}
+                    </button>
+                    <button onClick={() => onDelete(annotation.id)}>{t('common.delete')}</button>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,125 @@
+import { useEffect, useState } from 'react';
+import Image from 'next/image';
+import styles from '../styles/AR.module.css';
+import { canRecordClips, captureExtension, CLIP_MAX_DURATION } from '../lib/capture';
+import { downloadBlob, shareOrDownload } from '../lib/share';
+import { useTranslation } from '../lib/i18n/state';
+
+// 20261019-143005, for file names
+const fileStamp = date => date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+
+// Photo and clip buttons for the AR overlay. The result waits in a card with
+// Share and Save: the share sheet needs a fresh tap, which a capture may
+// have outlasted.
+//   controllerRef - ref to the running AR controller
+//   model         - catalog entry shown, for titles and file names
+//   isRecording   - a clip is recording (the controller's onRecording)
+export default function CapturePanel({ controllerRef, model, isRecording }) {
+    const { t } = useTranslation();
+    const [busy, setBusy] = useState(false);
+    // { blob, url, fileName, kind: 'photo' | 'clip', composited, width, height }
+    const [capture, setCapture] = useState(null);
+    const [status, setStatus] = useState('');
+    const [seconds, setSeconds] = useState(0);
+
+    useEffect(() => {
+        if (!capture) return undefined;
+        return () => URL.revokeObjectURL(capture.url);
+    }, [capture]);
+
+    useEffect(() => {
+        setSeconds(0);
+        if (!isRecording) return undefined;
+        const started = Date.now();
+        const timer = setInterval(() => setSeconds(Math.floor((Date.now() - started) / 1000)), 250);
+        return () => clearInterval(timer);
+    }, [isRecording]);
+
+    const show = (blob, kind, { composited, width, height }) => setCapture({
+        blob,
+        url: URL.createObjectURL(blob),
+        fileName: `${model.id}-${fileStamp(new Date())}.${captureExtension(blob.type)}`,
+        kind,
+        composited,
+        width,
+        height
+    });
+
+    // Why a capture failed, in the user's language
+    const showError = (error) => {
+        console.warn('Capture failed:', error);
+        setStatus(t(`capture.error.${error.reason || 'failed'}`));
+    };
+
+    const takePhoto = () => {
+        const controller = controllerRef.current;
+        if (!controller) return;
+        setBusy(true);
+        setStatus('');
+        controller.capturePhoto()
+            .then(({ blob, ...photo }) => show(blob, 'photo', photo))
+            .catch(showError)
+            .finally(() => setBusy(false));
+    };
+
+    const record = () => {
+        const controller = controllerRef.current;
+        if (!controller) return;
+        setStatus('');
+        controller.startRecording()
+            .then(blob => show(blob, 'clip', { composited: true }))
+            .catch(showError);
+    };
+
+    const stop = () => {
+        if (controllerRef.current) controllerRef.current.stopRecording();
+    };
+
+    const share = () => {
+        shareOrDownload(capture.blob, capture.fileName, { title: model.name })
+            .then((result) => {
+                if (result === 'downloaded') setStatus(t('capture.downloaded'));
+            });
+    };
+
+    return (
+        <>
+            <div className={styles.toolRow} data-overlay-panel>
+                <button onClick={takePhoto} disabled={busy || isRecording}>{t('capture.photo')}</button>
+                {canRecordClips() && (isRecording ? (
+                    <button onClick={stop}>{t('capture.stop', { seconds, max: CLIP_MAX_DURATION / 1000 })}</button>
+                ) : (
+                    <button onClick={record} disabled={busy}>{t('capture.record')}</button>
+                ))}
+            </div>
+            {capture ? (
+                <div className={styles.toolPanel} data-overlay-panel>
+                    {capture.kind === 'photo' ? (
+                        // Blob URLs cannot be optimized; the size only reserves the space
+                        <Image
+                            className={styles.capturePreview}
+                            src={capture.url}
+                            alt={t('capture.photoOf', { name: model.name })}
+                            width={capture.width}
+                            height={capture.height}
+                            unoptimized
+                        />
+                    ) : (
+                        <video className={styles.capturePreview} src={capture.url} controls playsInline muted />
+                    )}
+                    {!capture.composited && (
+                        <div>{t('capture.transparent')}</div>
+                    )}
+                    <div className={styles.toolRow}>
+                        <button onClick={share}>{t('capture.share')}</button>
+                        <button onClick={() => downloadBlob(capture.blob, capture.fileName)}>{t('common.save')}</button>
+                        <button onClick={() => setCapture(null)}>{t('common.close')}</button>
+                    </div>
+                    {status && <div>{status}</div>}
+                </div>
+            ) : status && (
+                <div className={styles.toolPanel} data-overlay-panel>{status}</div>
+            )}
+        </>
+    );
+}
@@ -0,0 +1,88 @@
+import { useEffect, useState } from 'react';
+import styles from '../styles/AR.module.css';
+import { coachHintKey, SLOW_SCAN_MS } from '../lib/xr/onboarding';
+import { useTranslation } from '../lib/i18n/state';
+
+const VOICE_STORAGE_KEY = 'house-ar:voice-guidance';
+
+// Animated cue of each onboarding step
+const CUES = {
+    scanning: styles.cueScanning,
+    'surface-found': styles.cueSurface,
+    placed: styles.cuePlaced,
+    'tracking-limited': styles.cueWarning,
+    'session-lost': styles.cueWarning
+};
+
+// Hint bar of the AR view: what to do at the current onboarding step, with
+// an animated cue. The hint is a live region, so screen readers announce
+// each new one; voice guidance also speaks it.
+//   step       - onboarding step from the controller's onOnboarding
+//   simplified - placement in front of the camera, without hit testing
+//   message    - shown instead of the step's hint, e.g. while measuring
+//   children   - controls shown with the hint, such as Start AR
+export default function CoachHint({ step, simplified, message, children }) {
+    const { locale, t } = useTranslation();
+    const [slow, setSlow] = useState(false);
+    const [voice, setVoice] = useState(false);
+
+    useEffect(() => {
+        try {
+            setVoice(window.localStorage.getItem(VOICE_STORAGE_KEY) === 'on');
+        } catch {
+            // Storage can be unavailable in private browsing
+        }
+    }, []);
+
+    // More detailed tips when no surface turns up
+    useEffect(() => {
+        setSlow(false);
+        if (step !== 'scanning') return;
+        const timer = setTimeout(() => setSlow(true), SLOW_SCAN_MS);
+        return () => clearTimeout(timer);
+    }, [step]);
+
+    const hint = message || t(coachHintKey(step, { simplified, slow }));
+
+    useEffect(() => {
+        if (!voice || !window.speechSynthesis) return;
+        const utterance = new window.SpeechSynthesisUtterance(hint);
+        utterance.lang = locale;
+        // The newest hint replaces one still being spoken
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+    }, [hint, voice, locale]);
+
+    useEffect(() => () => {
+        if (window.speechSynthesis) window.speechSynthesis.cancel();
+    }, []);
+
+    const toggleVoice = () => {
+        const next = !voice;
+        setVoice(next);
+        if (!next && window.speechSynthesis) window.speechSynthesis.cancel();
+        try {
+            window.localStorage.setItem(VOICE_STORAGE_KEY, next ? 'on' : 'off');
+        } catch {
+            // Not remembering the choice is fine
+        }
+    };
+
+    return (
+        <div className={styles.instructions}>
+            {!message && CUES[step] && <span className={`${styles.coachCue} ${CUES[step]}`} aria-hidden="true" />}
+            <p className={styles.coachText} role="status" aria-live="polite">{hint}</p>
+            <div className={styles.coachControls}>
+                {children}
+                <button
+                    onClick={toggleVoice}
+                    aria-pressed={voice}
+                    title={t('ar.voice')}
+                    aria-label={t('ar.voice')}
+                >
+                    {voice ? '🔊' : '🔈'}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import { useTranslation } from '../lib/i18n/state';
+
+// Peer roles counted in the session line, as `collab.role.<role>` messages
+const ROLES = ['ar', 'preview'];
+
+// Review session controls for the AR overlay and the 3D preview toolbar:
+// start a session or join one by code, then show the code and who is in it.
+//   session   - from useCollabSession() (lib/collab/session.js)
+//   className - container class of the page
+export default function CollabPanel({ session, className }) {
+    const { t } = useTranslation();
+    const [open, setOpen] = useState(false);
+    const [input, setInput] = useState('');
+
+    const inSession = session.status !== 'idle' && session.status !== 'closed';
+
+    if (!open && !inSession && !session.error) {
+        return <button onClick={() => setOpen(true)}>{t('collab.button')}</button>;
+    }
+
+    if (!inSession) {
+        return (
+            <div className={className} data-overlay-panel>
+                <button onClick={session.start}>{t('collab.start')}</button>
+                <form
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        session.join(input);
+                    }}
+                >
+                    <input
+                        value={input}
+                        onChange={(e) => setInput(e.target.value)}
+                        placeholder={t('collab.code')}
+                        aria-label={t('collab.code')}
+                        autoCapitalize="characters"
+                        autoComplete="off"
+                        size={8}
+                    />
+                    <button type="submit" disabled={!input}>{t('collab.join')}</button>
+                </form>
+                <button onClick={() => setOpen(false)}>{t('common.close')}</button>
+                {session.error && <span>{t(`collab.error.${session.error}`)}</span>}
+            </div>
+        );
+    }
+
+    const counts = ROLES
+        .map(role => [role, session.peers.filter(peer => peer.role === role).length])
+        .filter(([, count]) => count > 0)
+        .map(([role, count]) => t(`collab.role.${role}`, { count }));
+
+    return (
+        <div className={className} data-overlay-panel>
+            <span>
+                {t('collab.session')} <strong>{session.code || '…'}</strong> · {t(`collab.status.${session.status}`)}
+                {counts.length > 0 && ` · ${counts.join(', ')}`}
+            </span>
+            <button onClick={session.leave}>{t('collab.leave')}</button>
+        </div>
+    );
+}
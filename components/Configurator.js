@@ -0,0 +1,48 @@
+import { useTranslation } from '../lib/i18n/state';
+
+// Selects for a model's design variants and finishes, used by the AR
+// overlay and the 3D preview toolbar.
+//   options       - { variants, slots } from the configurator
+//   configuration - current { variant, finishes }
+//   onChange(configuration)
+//   className     - container class of the page
+export default function Configurator({ options, configuration, onChange, className }) {
+    const { t } = useTranslation();
+    const setFinish = (slotId, finishId) => onChange({
+        ...configuration,
+        finishes: { ...configuration.finishes, [slotId]: finishId || undefined }
+    });
+
+    return (
+        <div className={className} data-overlay-panel>
+            {options.variants.length > 0 && (
+                <label>
+                    {t('configurator.design')}
+                    <select
+                        value={configuration.variant || ''}
+                        onChange={(e) => onChange({ ...configuration, variant: e.target.value || null })}
+                    >
+                        <option value="">{t('configurator.asModelled')}</option>
+                        {options.variants.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+                </label>
+            )}
+            {options.slots.map(slot => (
+                <label key={slot.id}>
+                    {t('configurator.slot', { label: slot.label })}
+                    <select
+                        value={configuration.finishes[slot.id] || ''}
+                        onChange={(e) => setFinish(slot.id, e.target.value)}
+                    >
+                        <option value="">{t('configurator.asModelled')}</option>
+                        {slot.finishes.map(finish => (
+                            <option key={finish.id} value={finish.id}>{finish.label}</option>
+                        ))}
+                    </select>
+                </label>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,42 @@
+import Link from 'next/link';
+import styles from '../styles/AR.module.css';
+import { useTranslation } from '../lib/i18n/state';
+
+// Explains why AR failed or struggles, with what the user can do about it.
+//   diagnostic   - { reason, severity, detail } from lib/xr/diagnostics.js
+//   previewHref  - link to the 3D preview, offered when AR cannot go on
+//   onRetry      - try entering AR again, for reasons that can pass
+//   onSimplified - switch to placement without hit testing
+//   onDismiss    - hide a warning
+export default function DiagnosticsPanel({ diagnostic, previewHref, onRetry, onSimplified, onDismiss }) {
+    const { t } = useTranslation();
+    const { reason, severity, detail } = diagnostic;
+    const retryable = reason === 'camera-permission' || reason === 'session-failed';
+
+    return (
+        <div
+            className={severity === 'warning' ? styles.diagnosticsWarning : styles.diagnostics}
+            role="alert"
+            data-overlay-panel
+        >
+            <strong>{t(`diagnostics.${reason}.title`)}</strong>
+            <p>{t(`diagnostics.${reason}.help`)}</p>
+            {detail && (
+                <details>
+                    <summary>{t('diagnostics.details')}</summary>
+                    <code>{detail}</code>
+                </details>
+            )}
+            <div className={styles.toolRow}>
+                {retryable && onRetry && <button onClick={onRetry}>{t('diagnostics.retry')}</button>}
+                {reason === 'hit-test-unsupported' && onSimplified && (
+                    <button onClick={onSimplified}>{t('diagnostics.simplified')}</button>
+                )}
+                {severity === 'warning' && onDismiss && <button onClick={onDismiss}>{t('diagnostics.dismiss')}</button>}
+                {severity === 'error' && previewHref && (
+                    <Link href={previewHref}>{t('ar.previewInstead')}</Link>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,118 @@
+import { useEffect, useState } from 'react';
+import styles from '../styles/AR.module.css';
+import { formatLength } from '../lib/units';
+import { useTranslation } from '../lib/i18n/state';
+
+// Storey visibility and the cutaway plane for the AR overlay. Storeys come
+// from node names such as "Level 1"; the cut is set at a storey or freely.
+//   controllerRef - ref to the running AR controller
+//   height        - real height of the model in meters
+//   visibility    - from the controller's onVisibility, to follow changes
+//                   made by others in a review session
+//   units         - 'metric' or 'imperial' for the cut height
+export default function LayersPanel({ controllerRef, height, visibility = null, units = 'metric' }) {
+    const { t } = useTranslation();
+    const [open, setOpen] = useState(false);
+    const [storeys, setStoreys] = useState([]);
+    // mode is 'off', 'custom' or a storey id; height is kept while off
+    const [cut, setCut] = useState({ mode: 'off', height });
+
+    const refreshStoreys = () => {
+        if (controllerRef.current) setStoreys(controllerRef.current.storeys);
+    };
+
+    // Follow cuts made by others
+    useEffect(() => {
+        if (!visibility) return;
+        if (controllerRef.current) setStoreys(controllerRef.current.storeys);
+        const { cutHeight } = visibility;
+        setCut((current) => {
+            if (cutHeight === null) return { ...current, mode: 'off' };
+            if (current.mode === 'off' || Math.abs(cutHeight - current.height) > 0.001) return { mode: 'custom', height: cutHeight };
+            return current;
+        });
+    }, [controllerRef, visibility]);
+
+    const applyCut = (mode, meters) => {
+        setCut({ mode, height: meters });
+        if (controllerRef.current) controllerRef.current.setCutHeight(mode === 'off' ? null : meters);
+    };
+
+    const selectCut = (value) => {
+        if (value === 'off' || value === 'custom') {
+            applyCut(value, cut.height);
+            return;
+        }
+        const storey = storeys[Number(value)];
+        applyCut(value, Math.min(storey.cutHeight, height));
+    };
+
+    const toggleStorey = (id, shown) => {
+        if (!controllerRef.current) return;
+        controllerRef.current.setStoreyShown(id, shown);
+        refreshStoreys();
+    };
+
+    const showAll = () => {
+        if (!controllerRef.current) return;
+        controllerRef.current.showAllParts();
+        refreshStoreys();
+    };
+
+    if (!open) {
+        return (
+            <button onClick={() => { refreshStoreys(); setOpen(true); }}>
+                {t('layers.button')}
+            </button>
+        );
+    }
+
+    return (
+        <div className={styles.toolPanel} data-overlay-panel>
+            <div className={styles.toolRow}>
+                <strong>{t('layers.title')}</strong>
+                <button onClick={showAll}>{t('layers.showAll')}</button>
+                <button onClick={() => setOpen(false)}>{t('common.close')}</button>
+            </div>
+            {storeys.length === 0 ? (
+                <div className={styles.toolRow}>{t('layers.noStoreys')}</div>
+            ) : (
+                <div className={styles.toolRow}>
+                    {storeys.map(storey => (
+                        <label key={storey.id}>
+                            <input
+                                type="checkbox"
+                                checked={storey.shown}
+                                onChange={(e) => toggleStorey(storey.id, e.target.checked)}
+                            />
+                            {storey.name}
+                        </label>
+                    ))}
+                </div>
+            )}
+            <div className={styles.toolRow}>
+                <select value={cut.mode} onChange={(e) => selectCut(e.target.value)} aria-label={t('layers.cutaway')}>
+                    <option value="off">{t('layers.noCut')}</option>
+                    {storeys.map(storey => (
+                        <option key={storey.id} value={storey.id}>{t('layers.cutAt', { storey: storey.name })}</option>
+                    ))}
+                    <option value="custom">{t('layers.cutAtHeight')}</option>
+                </select>
+                {cut.mode !== 'off' && (
+                    <>
+                        <input
+                            type="range"
+                            min="0"
+                            max={height}
+                            step="0.05"
+                            aria-label={t('layers.cutHeight')}
+                            value={cut.height}
+                            onChange={(e) => applyCut('custom', Number(e.target.value))}
+                        />
+                        <span>{formatLength(cut.height, units)}</span>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
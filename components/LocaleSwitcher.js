@@ -0,0 +1,32 @@
+import { useRouter } from 'next/router';
+import { LOCALE_NAMES, LOCALES } from '../lib/i18n/messages';
+import { useTranslation } from '../lib/i18n/state';
+
+// Cookie Next.js prefers over Accept-Language when picking the locale
+const LOCALE_COOKIE = 'NEXT_LOCALE';
+const ONE_YEAR = 365 * 24 * 60 * 60;
+
+// Language picker; the choice is remembered for later visits.
+//   className - for the select
+export default function LocaleSwitcher({ className }) {
+    const router = useRouter();
+    const { locale, t } = useTranslation();
+
+    const selectLocale = (next) => {
+        document.cookie = `${LOCALE_COOKIE}=${next}; path=/; max-age=${ONE_YEAR}; SameSite=Lax`;
+        router.push({ pathname: router.pathname, query: router.query }, undefined, { locale: next });
+    };
+
+    return (
+        <select
+            className={className}
+            value={locale}
+            onChange={(e) => selectLocale(e.target.value)}
+            aria-label={t('preferences.language')}
+        >
+            {LOCALES.map(code => (
+                <option key={code} value={code} lang={code}>{LOCALE_NAMES[code]}</option>
+            ))}
+        </select>
+    );
+}
@@ -0,0 +1,66 @@
+import { useEffect, useState } from 'react';
+import styles from '../styles/AR.module.css';
+import { formatArea, formatLength } from '../lib/units';
+import { downloadBlob } from '../lib/share';
+import { useTranslation } from '../lib/i18n/state';
+
+// Measure mode for the AR overlay. Points come from surface detection, so
+// the tool needs hit testing.
+//   controllerRef - ref to the running AR controller
+//   measurements  - summaries reported by the controller's onMeasurements
+//   modelId       - used in the export file name
+//   units         - 'metric' or 'imperial', the user's preference
+//   onActiveChange(active) - measure mode turned on or off
+export default function MeasurePanel({ controllerRef, measurements, modelId, units, onActiveChange }) {
+    const { t } = useTranslation();
+    const [active, setActive] = useState(false);
+
+    useEffect(() => {
+        if (controllerRef.current) controllerRef.current.setMeasureMode(active);
+        onActiveChange(active);
+    }, [controllerRef, active, onActiveChange]);
+
+    const act = action => () => {
+        if (controllerRef.current) controllerRef.current.measureAction(action);
+    };
+
+    const exportJSON = () => {
+        const data = controllerRef.current && controllerRef.current.exportMeasurements();
+        if (!data) return;
+        downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `${modelId}-measurements.json`);
+    };
+
+    if (!active) {
+        return (
+            <button onClick={() => setActive(true)}>
+                {measurements.length > 0 ? t('measure.buttonCount', { count: measurements.length }) : t('measure.button')}
+            </button>
+        );
+    }
+
+    const openMeasurement = measurements.find(measurement => measurement.open);
+
+    return (
+        <div className={styles.toolPanel} data-overlay-panel>
+            <div className={styles.toolRow}>
+                <strong>{t('measure.title')}</strong>
+                <button onClick={() => setActive(false)}>{t('common.done')}</button>
+            </div>
+            <div className={styles.toolRow}>
+                <button onClick={act('finish')} disabled={!openMeasurement}>{t('measure.endLine')}</button>
+                <button onClick={act('close')} disabled={!openMeasurement || openMeasurement.points.length < 3}>{t('measure.closeShape')}</button>
+                <button onClick={act('undo')} disabled={measurements.length === 0}>{t('common.undo')}</button>
+                <button onClick={act('clear')} disabled={measurements.length === 0}>{t('measure.clear')}</button>
+                <button onClick={exportJSON} disabled={measurements.length === 0}>{t('measure.export')}</button>
+            </div>
+            {measurements.map((measurement, index) => (
+                <div key={index}>
+                    {t(measurement.type === 'polygon' ? 'measure.shape' : 'measure.line', { number: index + 1 })}{' '}
+                    {formatLength(measurement.length, units)}
+                    {measurement.area !== null && ` · ${formatArea(measurement.area, units)}`}
+                    {measurement.open && ` ${t('measure.measuring')}`}
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,117 @@
+import { useEffect, useRef, useState } from 'react';
+import styles from '../styles/AR.module.css';
+import { fitPlan, PLAN_CUT_HEIGHT, storeyAt, viewDirection } from '../lib/plan';
+import { useTranslation } from '../lib/i18n/state';
+
+// Size of the map in CSS pixels, and how often it follows the viewer (ms)
+const MAP_SIZE = 200;
+const UPDATE_INTERVAL = 200;
+
+// Floor plan minimap for the AR overlay: the plan of the storey the viewer
+// is on (or a chosen one) with their position and heading.
+//   controllerRef - ref to the running AR controller
+//   placed        - the model is placed; positions are relative to it
+//   visibility    - from the controller's onVisibility; hidden parts are
+//                   left out of the plan
+export default function Minimap({ controllerRef, placed, visibility = null }) {
+    const { t } = useTranslation();
+    const [open, setOpen] = useState(false);
+    const [storeys, setStoreys] = useState([]);
+    // 'auto' follows the viewer's eye height, otherwise a storey id
+    const [choice, setChoice] = useState('auto');
+    const [shownStorey, setShownStorey] = useState(null);
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        if (!open) return;
+        const canvas = canvasRef.current;
+        const context = canvas.getContext('2d');
+        const pixelRatio = window.devicePixelRatio || 1;
+        canvas.width = MAP_SIZE * pixelRatio;
+        canvas.height = MAP_SIZE * pixelRatio;
+        context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+        // The slice is only redone when the storey changes
+        let sliced = { key: null, plan: null };
+
+        const draw = () => {
+            const controller = controllerRef.current;
+            if (!controller) return;
+            const list = controller.storeys;
+            const pose = placed ? controller.viewerPose() : null;
+            const storey = choice === 'auto'
+                ? (pose ? storeyAt(list, pose.position[1]) : list[0] || null)
+                : list[choice] || null;
+
+            const key = storey ? storey.id : 'none';
+            if (sliced.key !== key) {
+                sliced = { key, plan: controller.planSlice(storey ? storey.cutHeight : PLAN_CUT_HEIGHT) };
+                setStoreys(list);
+                setShownStorey(storey ? storey.name : null);
+            }
+
+            context.clearRect(0, 0, MAP_SIZE, MAP_SIZE);
+            if (!sliced.plan) return;
+            const { toX, toY } = fitPlan(sliced.plan.frame, MAP_SIZE, MAP_SIZE, 8);
+
+            context.strokeStyle = '#ffffff';
+            context.lineWidth = 1;
+            context.beginPath();
+            sliced.plan.segments.forEach(([x1, z1, x2, z2]) => {
+                context.moveTo(toX(x1), toY(z1));
+                context.lineTo(toX(x2), toY(z2));
+            });
+            context.stroke();
+
+            if (!pose) return;
+            const x = toX(pose.position[0]);
+            const y = toY(pose.position[2]);
+            const direction = viewDirection(pose.quaternion);
+            context.fillStyle = '#00c8ff';
+            if (direction) {
+                // Field of view wedge in the viewing direction
+                const angle = Math.atan2(direction[1], direction[0]);
+                const halfFov = Math.PI / 6;
+                context.globalAlpha = 0.4;
+                context.beginPath();
+                context.moveTo(x, y);
+                context.arc(x, y, 24, angle - halfFov, angle + halfFov);
+                context.closePath();
+                context.fill();
+                context.globalAlpha = 1;
+            }
+            context.beginPath();
+            context.arc(x, y, 4, 0, 2 * Math.PI);
+            context.fill();
+        };
+
+        draw();
+        const timer = setInterval(draw, UPDATE_INTERVAL);
+        return () => clearInterval(timer);
+    }, [controllerRef, open, placed, choice, visibility]);
+
+    if (!open) {
+        return <button onClick={() => setOpen(true)}>{t('minimap.button')}</button>;
+    }
+
+    return (
+        <div className={styles.toolPanel} data-overlay-panel>
+            <div className={styles.toolRow}>
+                <strong>{t('minimap.title')}</strong>
+                {storeys.length > 0 && (
+                    <select value={choice} onChange={(e) => setChoice(e.target.value)} aria-label={t('minimap.storey')}>
+                        <option value="auto">
+                            {choice === 'auto' && shownStorey ? t('minimap.currentNamed', { storey: shownStorey }) : t('minimap.current')}
+                        </option>
+                        {storeys.map(storey => (
+                            <option key={storey.id} value={storey.id}>{storey.name}</option>
+                        ))}
+                    </select>
+                )}
+                <button onClick={() => setOpen(false)}>{t('common.close')}</button>
+            </div>
+            <canvas ref={canvasRef} className={styles.minimap} aria-label={t('minimap.plan')} />
+            {!placed && <div>{t('minimap.placeFirst')}</div>}
+        </div>
+    );
+}
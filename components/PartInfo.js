@@ -0,0 +1,47 @@
+import { Fragment } from 'react';
+import styles from '../styles/AR.module.css';
+import { useTranslation } from '../lib/i18n/state';
+
+const formatValue = value => (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+// Card for the part picked in the AR view: its name, glTF extras (room
+// name, area...) and materials, with hide and isolate actions.
+//   controllerRef - ref to the running AR controller
+//   part          - { name, extras, materials } from the controller's onInspect
+export default function PartInfo({ controllerRef, part }) {
+    const { t } = useTranslation();
+    const act = action => () => {
+        if (controllerRef.current) controllerRef.current[action]();
+    };
+    const extras = Object.entries(part.extras);
+
+    return (
+        <div className={styles.partInfo} data-overlay-panel>
+            <div className={styles.toolRow}>
+                <strong>{part.name}</strong>
+            </div>
+            {(extras.length > 0 || part.materials.length > 0) && (
+                <dl>
+                    {extras.map(([key, value]) => (
+                        <Fragment key={key}>
+                            <dt>{key}</dt>
+                            <dd>{formatValue(value)}</dd>
+                        </Fragment>
+                    ))}
+                    {part.materials.length > 0 && (
+                        <>
+                            <dt>{t('part.materials')}</dt>
+                            <dd>{part.materials.join(', ')}</dd>
+                        </>
+                    )}
+                </dl>
+            )}
+            <div className={styles.toolRow}>
+                <button onClick={act('selectParent')}>{t('part.selectParent')}</button>
+                <button onClick={act('hideSelected')}>{t('part.hide')}</button>
+                <button onClick={act('isolateSelected')}>{t('part.isolate')}</button>
+                <button onClick={act('clearSelection')}>{t('common.close')}</button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,119 @@
+import { useRef, useState } from 'react';
+import styles from '../styles/AR.module.css';
+import { downloadBlob } from '../lib/share';
+import { useTranslation } from '../lib/i18n/state';
+
+// Scene composition for the AR overlay: add props from the catalog, select,
+// duplicate and delete them, undo and redo, and save or load the scene as
+// JSON (see lib/composition.js).
+//   controllerRef - ref to the running AR controller
+//   composition   - state from the controller's onComposition
+//   models        - catalog entries that can be added
+//   modelId       - main model, used in the file name
+//   placed        - the scene is placed; props are added relative to it
+export default function ScenePanel({ controllerRef, composition, models, modelId, placed }) {
+    const { t } = useTranslation();
+    const [open, setOpen] = useState(false);
+    const [status, setStatus] = useState('');
+    const fileInputRef = useRef(null);
+
+    const propCount = composition.instances.length - 1;
+
+    if (!open) {
+        return (
+            <button onClick={() => setOpen(true)}>
+                {propCount > 0 ? t('scene.buttonCount', { count: propCount }) : t('scene.button')}
+            </button>
+        );
+    }
+
+    const controller = () => controllerRef.current;
+
+    const add = (id) => {
+        if (!id || !controller()) return;
+        setStatus('');
+        controller().addInstance(id).catch(error => setStatus(error.message));
+    };
+
+    const act = action => () => {
+        if (controller()) controller()[action]();
+    };
+
+    const duplicate = () => {
+        if (!controller()) return;
+        controller().duplicateSelected().catch(error => setStatus(error.message));
+    };
+
+    const save = () => {
+        const data = controller() && controller().exportComposition();
+        if (!data) return;
+        downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `${modelId}-scene.json`);
+    };
+
+    const load = (file) => {
+        if (!file || !controller()) return;
+        setStatus(t('scene.loadingFile'));
+        file.text()
+            .then(text => controller().loadComposition(JSON.parse(text)))
+            .then(failed => setStatus(failed ? t('scene.loadFailed', { count: failed }) : ''))
+            .catch(error => setStatus(error instanceof SyntaxError ? t('scene.invalidJson') : error.message));
+    };
+
+    const props = models.filter(model => model.kind === 'prop');
+    const others = models.filter(model => model.kind !== 'prop');
+
+    return (
+        <div className={styles.toolPanel} data-overlay-panel>
+            <div className={styles.toolRow}>
+                <strong>{t('scene.title')}</strong>
+                <select value="" onChange={(e) => add(e.target.value)} disabled={!placed} aria-label={t('scene.add')}>
+                    <option value="">{placed ? t('scene.addPrompt') : t('scene.placeFirst')}</option>
+                    {props.length > 0 && (
+                        <optgroup label={t('scene.props')}>
+                            {props.map(model => <option key={model.id} value={model.id}>{model.name}</option>)}
+                        </optgroup>
+                    )}
+                    <optgroup label={t('scene.models')}>
+                        {others.map(model => <option key={model.id} value={model.id}>{model.name}</option>)}
+                    </optgroup>
+                </select>
+                <button onClick={() => setOpen(false)}>{t('common.done')}</button>
+            </div>
+            <div className={`${styles.toolRow} ${styles.instanceList}`}>
+                {composition.instances.map(instance => (
+                    <button
+                        key={instance.id}
+                        onClick={() => controller() && controller().selectInstance(instance.primary ? null : instance.id)}
+                        aria-pressed={instance.id === composition.selected}
+                        className={instance.id === composition.selected ? styles.selectedInstance : undefined}
+                    >
+                        {instance.primary ? t('scene.anchor', { name: instance.name }) : instance.name}
+                    </button>
+                ))}
+                {composition.loading > 0 && <span>{t('scene.loading')}</span>}
+            </div>
+            <div className={styles.toolRow}>
+                <button onClick={duplicate} disabled={composition.selected === null}>{t('scene.duplicate')}</button>
+                <button onClick={act('deleteSelected')} disabled={composition.selected === null}>{t('common.delete')}</button>
+                <button onClick={act('undo')} disabled={!composition.canUndo}>{t('common.undo')}</button>
+                <button onClick={act('redo')} disabled={!composition.canRedo}>{t('common.redo')}</button>
+            </div>
+            <div className={styles.toolRow}>
+                <button onClick={save}>{t('scene.save')}</button>
+                <button onClick={() => fileInputRef.current.click()}>{t('scene.load')}</button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    hidden
+                    onChange={(e) => {
+                        load(e.target.files[0]);
+                        // Allow loading the same file again
+                        e.target.value = '';
+                    }}
+                />
+            </div>
+            {status && <div>{status}</div>}
+        </div>
+    );
+}
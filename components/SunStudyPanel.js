@@ -0,0 +1,193 @@
+import { useEffect, useRef, useState } from 'react';
+import styles from '../styles/AR.module.css';
+import { atMinutes, daylight, minutesOfDay } from '../lib/solar';
+import { createCompass } from '../lib/compass';
+import { useTranslation } from '../lib/i18n/state';
+
+// Length of the "play day" animation from sunrise to sunset
+const PLAY_DURATION_MS = 20000;
+
+const toDateInput = date => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const fromDateInput = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+const formatMinutes = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(Math.floor(minutes % 60)).padStart(2, '0')}`;
+
+// Sun study controls for the AR overlay: site location, date, a time slider,
+// "play day" and compass alignment with true north.
+//   controllerRef - ref to the running AR controller
+//   site          - { latitude, longitude, north } from the catalog, or null
+export default function SunStudyPanel({ controllerRef, site }) {
+    const { t } = useTranslation();
+    const [enabled, setEnabled] = useState(false);
+    const [date, setDate] = useState(() => toDateInput(new Date()));
+    const [minutes, setMinutes] = useState(() => minutesOfDay(new Date()));
+    const [location, setLocation] = useState(site ? { latitude: site.latitude, longitude: site.longitude } : null);
+    const [status, setStatus] = useState('');
+    const [playing, setPlaying] = useState(false);
+    const [position, setPosition] = useState(null);
+    const compassRef = useRef(null);
+
+    // Drive the key light from the solar position
+    useEffect(() => {
+        const controller = controllerRef.current;
+        if (!controller) return;
+        if (!enabled || !location) {
+            controller.setSunStudy(null);
+            setPosition(null);
+            return;
+        }
+        setPosition(controller.setSunStudy({ ...location, date: atMinutes(fromDateInput(date), minutes) }));
+    }, [controllerRef, enabled, location, date, minutes]);
+
+    // "Play day": sweep the time from sunrise to sunset
+    useEffect(() => {
+        if (!playing || !location) return;
+
+        const day = fromDateInput(date);
+        const { sunrise, sunset } = daylight(day, location.latitude, location.longitude);
+        const from = sunrise ? minutesOfDay(sunrise) : 0;
+        const to = sunset ? minutesOfDay(sunset) : 1440;
+        const startedAt = performance.now();
+
+        let frame = requestAnimationFrame(function tick(now) {
+            const progress = Math.min((now - startedAt) / PLAY_DURATION_MS, 1);
+            setMinutes(from + (to - from) * progress);
+            if (progress < 1) {
+                frame = requestAnimationFrame(tick);
+            } else {
+                setPlaying(false);
+            }
+        });
+        return () => cancelAnimationFrame(frame);
+    }, [playing, location, date]);
+
+    useEffect(() => () => {
+        if (compassRef.current) compassRef.current.stop();
+    }, []);
+
+    const locateDevice = () => {
+        if (!navigator.geolocation) {
+            setStatus(t('sun.noGeolocation'));
+            return;
+        }
+        setStatus(t('sun.locating'));
+        navigator.geolocation.getCurrentPosition(
+            ({ coords }) => {
+                setLocation({ latitude: coords.latitude, longitude: coords.longitude });
+                setStatus('');
+            },
+            (error) => setStatus(t('sun.locationFailed', { message: error.message })),
+            { enableHighAccuracy: false, timeout: 10000 }
+        );
+    };
+
+    const updateCoordinate = (name, value) => {
+        const number = Number(value);
+        if (value === '' || !Number.isFinite(number)) return;
+        setLocation(current => ({ latitude: 0, longitude: 0, ...current, [name]: number }));
+    };
+
+    // Read the compass once and rotate the scene to true north. Hold the
+    // phone upright, pointing the camera the way you face.
+    const alignNorth = async () => {
+        if (!compassRef.current) {
+            compassRef.current = createCompass();
+            if (!await compassRef.current.start()) {
+                compassRef.current = null;
+                setStatus(t('sun.noCompass'));
+                return;
+            }
+        }
+
+        const heading = await new Promise((resolve) => {
+            const started = Date.now();
+            const poll = () => {
+                if (compassRef.current && compassRef.current.heading !== null) resolve(compassRef.current.heading);
+                else if (Date.now() - started > 3000) resolve(null);
+                else setTimeout(poll, 100);
+            };
+            poll();
+        });
+
+        if (heading === null) {
+            setStatus(t('sun.compassSilent'));
+        } else if (controllerRef.current && controllerRef.current.alignNorth(heading, site ? site.north : 0)) {
+            setStatus(t('sun.aligned', { heading: Math.round(heading) }));
+        } else {
+            setStatus(t('sun.startFirst'));
+        }
+    };
+
+    if (!enabled) {
+        return (
+            <button onClick={() => setEnabled(true)}>
+                {t('sun.button')}
+            </button>
+        );
+    }
+
+    return (
+        <div className={styles.toolPanel} data-overlay-panel>
+            <div className={styles.toolRow}>
+                <strong>{t('sun.title')}</strong>
+                <button onClick={() => { setPlaying(false); setEnabled(false); }}>{t('common.close')}</button>
+            </div>
+            <div className={styles.toolRow}>
+                <input
+                    type="number"
+                    step="0.0001"
+                    placeholder={t('sun.latitude')}
+                    aria-label={t('sun.latitude')}
+                    value={location ? location.latitude : ''}
+                    onChange={(e) => updateCoordinate('latitude', e.target.value)}
+                />
+                <input
+                    type="number"
+                    step="0.0001"
+                    placeholder={t('sun.longitude')}
+                    aria-label={t('sun.longitude')}
+                    value={location ? location.longitude : ''}
+                    onChange={(e) => updateCoordinate('longitude', e.target.value)}
+                />
+                <button onClick={locateDevice}>{t('sun.myLocation')}</button>
+            </div>
+            <div className={styles.toolRow}>
+                <input type="date" aria-label={t('sun.date')} value={date} onChange={(e) => e.target.value && setDate(e.target.value)} />
+                <button onClick={() => setPlaying(!playing)} disabled={!location}>
+                    {playing ? t('sun.pause') : t('sun.play')}
+                </button>
+                <button onClick={alignNorth}>{t('sun.alignNorth')}</button>
+            </div>
+            <div className={styles.toolRow}>
+                <input
+                    type="range"
+                    min="0"
+                    max="1439"
+                    aria-label={t('sun.time')}
+                    value={Math.floor(minutes)}
+                    onChange={(e) => {
+                        setPlaying(false);
+                        setMinutes(Number(e.target.value));
+                    }}
+                />
+                <span>{formatMinutes(minutes)}</span>
+            </div>
+            <div>
+                {!location
+                    ? t('sun.enterLocation')
+                    : position && (position.elevation > 0
+                        ? t('sun.position', { azimuth: Math.round(position.azimuth), elevation: Math.round(position.elevation) })
+                        : t('sun.belowHorizon'))}
+            </div>
+            {status && <div>{status}</div>}
+        </div>
+    );
+}
@@ -0,0 +1,35 @@
+// Browser-side access to the annotations API
+
+const annotationsUrl = modelId => `/api/annotations/${encodeURIComponent(modelId)}`;
+
+const failure = (response, action) => response.json()
+    .catch(() => ({}))
+    .then((data) => {
+        throw new Error(data.error || `Could not ${action} (${response.status})`);
+    });
+
+export function fetchAnnotations(modelId) {
+    return fetch(annotationsUrl(modelId))
+        .then(response => (response.ok ? response.json() : failure(response, 'load the annotations')))
+        .then(data => data.annotations);
+}
+
+// Store a new or changed annotation; resolves to it as stored
+export function storeAnnotation(modelId, annotation) {
+    return fetch(`${annotationsUrl(modelId)}/${encodeURIComponent(annotation.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(annotation)
+    })
+        .then(response => (response.ok ? response.json() : failure(response, 'save the annotation')))
+        .then(data => data.annotation);
+}
+
+export function removeAnnotation(modelId, id) {
+    return fetch(`${annotationsUrl(modelId)}/${encodeURIComponent(id)}`, { method: 'DELETE' })
+        .then((response) => {
+            // Already gone is fine
+            if (!response.ok && response.status !== 404) return failure(response, 'delete the annotation');
+            return undefined;
+        });
+}
@@ -0,0 +1,131 @@
+// Review annotations pinned to a model: an issue marked on site ("window
+// should move 30 cm left") at a point on one of the model's nodes.
+//   id        - UUID, also the BCF topic guid
+//   node      - node path from nodePath() in lib/three/inspect.js
+//   nodeName  - name of that node when the annotation was made
+//   offset    - [x, y, z] point in the node's own coordinates, so the pin
+//               follows the node
+//   position  - [x, y, z] the same point in meters from the model's base
+//               center, for exports and when the node is gone
+//   text, author, createdAt, updatedAt (ISO dates)
+//   status    - 'open' or 'resolved'
+
+export const ANNOTATION_STATUSES = ['open', 'resolved'];
+export const MAX_TEXT_LENGTH = 2000;
+export const MAX_AUTHOR_LENGTH = 100;
+
+const ID_PATTERN = /^[\w-]{1,64}$/;
+const NODE_PATH_PATTERN = /^(\d+(\/\d+)*)?$/;
+
+export function createAnnotationId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    // randomUUID needs a secure context
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+        const random = Math.floor(Math.random() * 16);
+        return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+    });
+}
+
+const isPoint = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// A checked copy of an annotation; throws with the reason when it is not one
+export function validateAnnotation(data) {
+    if (!data || typeof data !== 'object') throw new Error('Not an annotation');
+    const text = typeof data.text === 'string' ? data.text.trim() : '';
+    const author = typeof data.author === 'string' ? data.author.trim() : '';
+    if (typeof data.id !== 'string' || !ID_PATTERN.test(data.id)) throw new Error('Invalid annotation id');
+    if (typeof data.node !== 'string' || !NODE_PATH_PATTERN.test(data.node)) throw new Error('Invalid node path');
+    if (!isPoint(data.offset) || !isPoint(data.position)) throw new Error('Invalid annotation position');
+    if (!text || text.length > MAX_TEXT_LENGTH) throw new Error(`The text must be 1 to ${MAX_TEXT_LENGTH} characters`);
+    if (!author || author.length > MAX_AUTHOR_LENGTH) throw new Error(`The author must be 1 to ${MAX_AUTHOR_LENGTH} characters`);
+    if (!ANNOTATION_STATUSES.includes(data.status)) throw new Error(`The status must be ${ANNOTATION_STATUSES.join(' or ')}`);
+    if (!isDate(data.createdAt) || !isDate(data.updatedAt)) throw new Error('Invalid annotation dates');
+
+    return {
+        id: data.id,
+        node: data.node,
+        nodeName: typeof data.nodeName === 'string' ? data.nodeName.slice(0, 200) : '',
+        offset: data.offset,
+        position: data.position,
+        text,
+        author,
+        createdAt: data.createdAt,
+        updatedAt: data.updatedAt,
+        status: data.status
+    };
+}
+
+// Oldest first, which is also the numbering of the pins
+export const sortAnnotations = annotations => [...annotations]
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+
+// Annotations of both lists; the later update wins for the same id
+export function mergeAnnotations(current, incoming) {
+    const byId = new Map(current.map(annotation => [annotation.id, annotation]));
+    incoming.forEach((annotation) => {
+        const known = byId.get(annotation.id);
+        if (!known || known.updatedAt <= annotation.updatedAt) byId.set(annotation.id, annotation);
+    });
+    return sortAnnotations([...byId.values()]);
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Quote a CSV field; text starting with =, +, - or @ is escaped so
+// spreadsheets do not run it as a formula
+const csvField = (value) => {
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Issue list as CSV, one row per annotation in pin order
+export function annotationsToCSV(annotations) {
+    const header = ['Number', 'Status', 'Text', 'Author', 'Created', 'Updated', 'Part', 'X (m)', 'Y (m)', 'Z (m)', 'Id'];
+    const rows = sortAnnotations(annotations).map((annotation, index) => [
+        index + 1,
+        annotation.status,
+        annotation.text,
+        annotation.author,
+        annotation.createdAt,
+        annotation.updatedAt,
+        annotation.nodeName,
+        ...annotation.position.map(round),
+        annotation.id
+    ]);
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Issue list shaped like BCF API topics (the JSON form of the BIM
+// Collaboration Format), with the annotated node as the viewpoint's
+// selected component and the pin location in meters (y up, as in glTF)
+export function annotationsToBCF(annotations, model) {
+    return {
+        version: '2.1',
+        project: { project_id: model.id, name: model.name },
+        topics: sortAnnotations(annotations).map((annotation, index) => ({
+            guid: annotation.id,
+            topic_type: 'Issue',
+            topic_status: annotation.status === 'resolved' ? 'Closed' : 'Open',
+            title: annotation.text.split('\n')[0].slice(0, 80),
+            description: annotation.text,
+            index: index + 1,
+            creation_date: annotation.createdAt,
+            creation_author: annotation.author,
+            modified_date: annotation.updatedAt,
+            viewpoints: [{
+                components: {
+                    selection: [{
+                        originating_system: 'House Project AR',
+                        authoring_tool_id: annotation.node
+                    }]
+                },
+                pin: {
+                    location: { x: round(annotation.position[0]), y: round(annotation.position[1]), z: round(annotation.position[2]) },
+                    part: annotation.nodeName
+                }
+            }]
+        }))
+    };
+}
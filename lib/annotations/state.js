@@ -0,0 +1,93 @@
+import { useEffect, useRef, useState } from 'react';
+import { mergeAnnotations, validateAnnotation } from './format.js';
+import { fetchAnnotations, removeAnnotation, storeAnnotation } from './client.js';
+
+// Valid annotation of `modelId` among the session values, or null
+const sessionAnnotation = (session, id, modelId) => {
+    const value = session.get(id);
+    if (!value || value.model !== modelId) return null;
+    try {
+        return validateAnnotation(value);
+    } catch (error) {
+        console.warn('Ignoring an invalid annotation from the review session:', error.message);
+        return null;
+    }
+};
+
+const withoutDeleted = (session, list) => list.filter(annotation => session.get(annotation.id) !== null);
+
+// Annotations of the selected model: loaded from the annotations API, saved
+// back to it and shared with a review session. Session values carry the
+// model id so annotations of another model are left out.
+//   modelId - selected model, or null
+//   share(id, value) - send an annotation ({ ...annotation, model }), or
+//                      null once deleted, to the review session
+// Returns { annotations, error, save(annotation), remove(id), receive(id, value) }
+export function useAnnotations({ modelId, share = () => {} }) {
+    const [annotations, setAnnotations] = useState([]);
+    const [error, setError] = useState('');
+    // Annotation id -> latest session value, null when deleted
+    const sessionRef = useRef(new Map());
+
+    useEffect(() => {
+        const session = sessionRef.current;
+        const shared = [...session.keys()].map(id => sessionAnnotation(session, id, modelId)).filter(Boolean);
+        setAnnotations(mergeAnnotations([], shared));
+        setError('');
+        if (!modelId) return undefined;
+
+        let cancelled = false;
+        fetchAnnotations(modelId)
+            .then((loaded) => {
+                if (!cancelled) setAnnotations(current => withoutDeleted(session, mergeAnnotations(current, loaded)));
+            })
+            .catch((error) => {
+                console.error('Error loading annotations:', error);
+                if (!cancelled) setError(error.message);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [modelId]);
+
+    return {
+        annotations,
+        error,
+
+        // Add or change an annotation
+        save(annotation) {
+            if (!modelId) return;
+            const value = { ...annotation, model: modelId };
+            sessionRef.current.set(annotation.id, value);
+            setAnnotations(current => mergeAnnotations(current, [annotation]));
+            setError('');
+            share(annotation.id, value);
+            storeAnnotation(modelId, annotation).catch((error) => {
+                console.error('Error saving an annotation:', error);
+                setError(error.message);
+            });
+        },
+
+        remove(id) {
+            if (!modelId) return;
+            sessionRef.current.set(id, null);
+            setAnnotations(current => current.filter(annotation => annotation.id !== id));
+            setError('');
+            share(id, null);
+            removeAnnotation(modelId, id).catch((error) => {
+                console.error('Error deleting an annotation:', error);
+                setError(error.message);
+            });
+        },
+
+        // Someone in the review session added, changed or deleted an
+        // annotation; they store it themselves
+        receive(id, value) {
+            sessionRef.current.set(id, value);
+            const annotation = sessionAnnotation(sessionRef.current, id, modelId);
+            setAnnotations(current => (annotation
+                ? mergeAnnotations(current, [annotation])
+                : current.filter(entry => entry.id !== id || value)));
+        }
+    };
+}
@@ -0,0 +1,77 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { sortAnnotations, validateAnnotation } from './format.js';
+
+// Annotations of each model in a JSON file, data/annotations/<model id>.json
+// (override the folder with ANNOTATIONS_DIR):
+//   { "version": 1, "model": "<id>", "annotations": [...] }
+
+export const ANNOTATIONS_DIR = process.env.ANNOTATIONS_DIR || path.join(process.cwd(), 'data', 'annotations');
+
+const FILE_VERSION = 1;
+
+// Catalog ids are slugs, but keep anything else out of the file name
+const filePath = (modelId) => {
+    if (!/^[\w-]+$/.test(modelId)) throw new Error(`Invalid model id "${modelId}"`);
+    return path.join(ANNOTATIONS_DIR, `${modelId}.json`);
+};
+
+export async function readAnnotations(modelId) {
+    let data;
+    try {
+        data = JSON.parse(await fs.readFile(filePath(modelId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    // Skip entries that no longer validate rather than losing the file
+    const annotations = [];
+    (Array.isArray(data.annotations) ? data.annotations : []).forEach((entry) => {
+        try {
+            annotations.push(validateAnnotation(entry));
+        } catch (error) {
+            console.warn(`Skipping an annotation of ${modelId}:`, error.message);
+        }
+    });
+    return sortAnnotations(annotations);
+}
+
+// Model id -> promise of the last write, so writes to one file take turns
+const writes = new Map();
+
+// Read, change and write back a model's annotations. `change` gets the list
+// and returns the new one; the file is replaced in one rename.
+const updateAnnotations = (modelId, change) => {
+    const previous = writes.get(modelId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const annotations = sortAnnotations(change(await readAnnotations(modelId)));
+        const target = filePath(modelId);
+        const temporary = `${target}.${process.pid}.tmp`;
+        await fs.mkdir(ANNOTATIONS_DIR, { recursive: true });
+        await fs.writeFile(temporary, JSON.stringify({ version: FILE_VERSION, model: modelId, annotations }, null, 2));
+        await fs.rename(temporary, target);
+        return annotations;
+    });
+    writes.set(modelId, next);
+    return next;
+};
+
+// Add or replace an annotation; resolves to the stored annotation
+export async function saveAnnotation(modelId, data) {
+    const annotation = validateAnnotation(data);
+    await updateAnnotations(modelId, annotations => [
+        ...annotations.filter(entry => entry.id !== annotation.id),
+        annotation
+    ]);
+    return annotation;
+}
+
+// Resolves to whether there was an annotation with that id
+export async function deleteAnnotation(modelId, id) {
+    let found = false;
+    await updateAnnotations(modelId, annotations => annotations.filter((entry) => {
+        if (entry.id === id) found = true;
+        return entry.id !== id;
+    }));
+    return found;
+}
@@ -0,0 +1,100 @@
+// Video clips and file names of AR captures (see lib/three/capture.js for
+// the frames themselves). No three.js here, so pages can use it directly.
+
+// Longest side of video frames in pixels
+export const CLIP_MAX_SIZE = 720;
+export const CLIP_FRAME_RATE = 20;
+// Clips stop by themselves after this long (ms)
+export const CLIP_MAX_DURATION = 15000;
+
+// Recorder formats, most widely shareable first
+const CLIP_TYPES = ['video/mp4;codecs=avc1', 'video/mp4', 'video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// A photo or clip that could not be taken. `reason` says why, for pages to
+// show in the user's language: 'not-presenting', 'busy', 'encode-failed',
+// 'session-ended', 'empty', 'nothing-recorded', 'recording-failed' or
+// 'failed'. The message is English, for logs.
+export class CaptureError extends Error {
+    constructor(reason, message, options) {
+        super(message, options);
+        this.name = 'CaptureError';
+        this.reason = reason;
+    }
+}
+
+// Whether this browser can record canvas clips
+export function canRecordClips() {
+    return typeof MediaRecorder !== 'undefined' &&
+        typeof HTMLCanvasElement !== 'undefined' &&
+        'captureStream' in HTMLCanvasElement.prototype;
+}
+
+// File extension for a captured blob
+export function captureExtension(type) {
+    if (type.startsWith('image/jpeg')) return 'jpg';
+    if (type.startsWith('image/png')) return 'png';
+    if (type.startsWith('video/mp4')) return 'mp4';
+    return 'webm';
+}
+
+// Records a canvas as a video clip through canvas.captureStream() and
+// MediaRecorder. Call start() once the canvas has its final size; `clip`
+// resolves to the video Blob when recording stops, by stop() or after
+// `maxDuration` ms.
+export function createClipRecorder(canvas, { frameRate = CLIP_FRAME_RATE, maxDuration = CLIP_MAX_DURATION } = {}) {
+    const mimeType = CLIP_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const chunks = [];
+    let recorder = null;
+    let stream = null;
+    let timeout;
+    let resolveClip;
+    let rejectClip;
+    const clip = new Promise((resolve, reject) => {
+        resolveClip = resolve;
+        rejectClip = reject;
+    });
+
+    const release = () => {
+        clearTimeout(timeout);
+        if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+
+    return {
+        clip,
+
+        get started() {
+            return recorder !== null;
+        },
+
+        start() {
+            if (recorder) return;
+            stream = canvas.captureStream(frameRate);
+            recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+            recorder.addEventListener('dataavailable', (event) => {
+                if (event.data.size) chunks.push(event.data);
+            });
+            recorder.addEventListener('stop', () => {
+                release();
+                if (!chunks.length) {
+                    rejectClip(new CaptureError('empty', 'The clip is empty'));
+                    return;
+                }
+                resolveClip(new Blob(chunks, { type: recorder.mimeType || mimeType || 'video/webm' }));
+            });
+            recorder.addEventListener('error', (event) => {
+                release();
+                rejectClip(new CaptureError('recording-failed', 'Recording failed', { cause: event.error }));
+            });
+            recorder.start(1000);
+            timeout = setTimeout(() => this.stop(), maxDuration);
+        },
+
+        stop() {
+            if (!recorder) {
+                rejectClip(new CaptureError('nothing-recorded', 'Nothing was recorded'));
+                return;
+            }
+            if (recorder.state !== 'inactive') recorder.stop();
+        }
+    };
+}
@@ -0,0 +1,192 @@
+import { sameValue } from './protocol.js';
+
+// Browser side of a review session (see protocol.js). Keeps the session's
+// values, sends local changes, and reconnects with backoff when the
+// connection drops, bringing along what changed meanwhile.
+
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 15000];
+
+const randomId = () => Math.random().toString(36).slice(2, 10);
+
+//   url     - collaboration server, see collabUrl()
+//   code    - join code, or null to open a new session
+//   role    - 'ar' or 'preview'
+//   values  - local { key: value } state; seeds a new session
+//   onChange(changes)    - values changed by others: { key: value }
+//   onPeers(peers)       - participants: [{ id, role }], this one included
+//   onPose(from, pose)   - an AR participant's camera pose, null when gone
+//   onStatus(status, reason) - 'connecting', 'connected', 'reconnecting'
+//                        or 'closed', with why when it failed: an error
+//                        reason of the server (see protocol.js) or
+//                        'unreachable'
+export function createCollabClient({
+    url,
+    code = null,
+    role,
+    values: initialValues = {},
+    onChange = () => {},
+    onPeers = () => {},
+    onPose = () => {},
+    onStatus = () => {}
+}) {
+    const clientId = randomId();
+    let joinCode = code;
+    let socket = null;
+    let status = 'connecting';
+    let attempt = 0;
+    let reconnectTimer = null;
+    // Session revision last seen, null until the first welcome
+    let revision = null;
+    // The current connection has been welcomed into the session
+    let joined = false;
+    let values = { ...initialValues };
+    // Local changes not yet acknowledged: key -> { value, seq }
+    const pending = new Map();
+    let seq = 0;
+    // Last change sent along with the join
+    let joinSeq = 0;
+    // A new session starts from the local values
+    if (code === null) Object.entries(values).forEach(([key, value]) => pending.set(key, { value, seq: 0 }));
+
+    const setStatus = (next, reason = '') => {
+        status = next;
+        onStatus(next, reason);
+    };
+
+    const send = (message) => {
+        if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    };
+
+    const pendingValues = () => Object.fromEntries([...pending].map(([key, { value }]) => [key, value]));
+
+    // Adopt the server's values, reporting those that differ from ours
+    const adopt = (serverValues) => {
+        const changes = {};
+        Object.entries(serverValues).forEach(([key, value]) => {
+            if (!sameValue(values[key], value)) changes[key] = value;
+        });
+        values = { ...values, ...serverValues };
+        if (Object.keys(changes).length) onChange(changes);
+    };
+
+    // Changes not yet acknowledged win until the server decides on them
+    const withoutPending = changes => Object.fromEntries(Object.entries(changes).filter(([key]) => !pending.has(key)));
+
+    const handleMessage = (message) => {
+        if (message.type === 'welcome') {
+            joinCode = message.code;
+            joined = true;
+            revision = message.revision;
+            attempt = 0;
+            // The join carried these; newer ones follow as an update
+            pending.forEach((entry, key) => {
+                if (entry.seq <= joinSeq) pending.delete(key);
+            });
+            adopt(withoutPending(message.values));
+            onPeers(message.peers);
+            Object.entries(message.poses).forEach(([from, pose]) => onPose(from, pose));
+            setStatus('connected');
+            if (pending.size) send({ type: 'update', seq, base: revision, changes: pendingValues() });
+        } else if (message.type === 'state') {
+            revision = Math.max(revision, message.revision);
+            adopt(withoutPending(message.changes));
+        } else if (message.type === 'ack') {
+            revision = Math.max(revision, message.revision);
+            pending.forEach((entry, key) => {
+                if (entry.seq <= message.seq) pending.delete(key);
+            });
+            adopt(withoutPending(message.rejected));
+        } else if (message.type === 'peers') {
+            onPeers(message.peers);
+        } else if (message.type === 'pose') {
+            onPose(message.from, message.pose);
+        } else if (message.type === 'error') {
+            console.warn('Collaboration server:', message.message);
+            // Errors before the welcome mean the session cannot be joined
+            if (!joined) close(message.reason || 'failed');
+        }
+    };
+
+    const connect = () => {
+        socket = new WebSocket(url);
+        socket.addEventListener('open', () => {
+            joined = false;
+            joinSeq = seq;
+            send({
+                type: 'join',
+                code: joinCode,
+                clientId,
+                role,
+                revision,
+                pending: pendingValues(),
+                // Lets the server restore the session if it was restarted
+                snapshot: revision === null ? null : values
+            });
+        });
+        socket.addEventListener('message', (event) => {
+            try {
+                handleMessage(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('Invalid collaboration message:', error);
+            }
+        });
+        socket.addEventListener('close', () => {
+            socket = null;
+            joined = false;
+            if (status === 'closed') return;
+            // Never joined: the server is not reachable
+            if (revision === null && attempt >= RECONNECT_DELAYS.length) {
+                console.warn('Could not reach the collaboration server');
+                setStatus('closed', 'unreachable');
+                return;
+            }
+            setStatus('reconnecting');
+            reconnectTimer = setTimeout(connect, RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)]);
+            attempt++;
+        });
+    };
+
+    const close = (reason = '') => {
+        clearTimeout(reconnectTimer);
+        setStatus('closed', reason);
+        if (socket) socket.close();
+        socket = null;
+    };
+
+    connect();
+
+    return {
+        // Join code, once the server has assigned or confirmed it
+        get code() {
+            return revision === null ? null : joinCode;
+        },
+
+        get status() {
+            return status;
+        },
+
+        get values() {
+            return values;
+        },
+
+        // Share a local change; unchanged values are not sent again
+        set(key, value) {
+            if (status === 'closed' || sameValue(values[key], value)) return;
+            values = { ...values, [key]: value };
+            // Before the first welcome only a new session takes local values
+            if (revision === null && joinCode !== null) return;
+            seq++;
+            pending.set(key, { value, seq });
+            if (status === 'connected') send({ type: 'update', seq, base: revision, changes: { [key]: value } });
+        },
+
+        // Camera pose of an AR participant, or null when not placed
+        sendPose(pose) {
+            if (status === 'connected') send({ type: 'pose', pose });
+        },
+
+        close() {
+            close();
+        }
+    };
+}
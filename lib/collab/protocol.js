@@ -0,0 +1,142 @@
+// Review sessions: participants share the selected model, its material
+// configuration, part visibility and annotations through the collaboration
+// server (scripts/collab-server.mjs). Shared by the server and the browser.
+//
+// Session state is a flat map of keys to JSON values:
+//   model            - catalog id of the model under review
+//   configuration    - material { variant, finishes }, see lib/configuration.js
+//   visibility       - { model, hidden, cutHeight }: hidden node paths (see
+//                      nodePath() in lib/three/inspect.js) and the cutaway
+//                      height in meters, or null
+//   annotation:<id>  - an annotation, null once deleted
+//
+// Every accepted change bumps the session revision, and the server keeps the
+// revision each key last changed at. A change based on an older revision than
+// its key's is rejected, so concurrent edits of the same key resolve to the
+// first one the server saw. That also reconciles changes made while
+// disconnected: they are sent with the revision last seen and kept unless
+// someone else changed the same key in the meantime.
+//
+// Messages are JSON objects with a `type`. Client to server:
+//   join   { code, clientId, role, revision, pending, snapshot }
+//   update { seq, base, changes }
+//   pose   { pose }
+// Server to client:
+//   welcome { code, clientId, revision, values, peers, poses }
+//   state   { revision, changes, from }
+//   ack     { seq, revision, rejected }
+//   peers   { peers }
+//   pose    { from, pose }
+//   error   { reason, message }: reason is 'invalid-code', 'no-session',
+//           'session-full', 'too-many-sessions', 'invalid-message' or
+//           'failed'; the message is English, for logs
+
+export const DEFAULT_COLLAB_PORT = 3001;
+
+// Participant roles: an AR viewer on site and desktop 3D previews
+export const COLLAB_ROLES = ['ar', 'preview'];
+
+// Join codes avoid characters that read alike (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const JOIN_CODE_LENGTH = 6;
+
+// Limits checked by the server
+export const MAX_MESSAGE_SIZE = 64 * 1024;
+export const MAX_VALUE_SIZE = 16 * 1024;
+export const MAX_PEERS = 16;
+
+// How often an AR viewer sends its camera pose (ms)
+export const POSE_INTERVAL = 100;
+
+const ANNOTATION_PREFIX = 'annotation:';
+const ANNOTATION_ID = /^[\w-]{1,64}$/;
+
+export function createJoinCode(random = Math.random) {
+    let code = '';
+    for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[Math.floor(random() * CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// Join code as typed (any case, spaces, dashes), or null when it cannot be one
+export function normalizeJoinCode(input) {
+    if (typeof input !== 'string') return null;
+    const code = input.toUpperCase().replace(/[\s-]/g, '');
+    if (code.length !== JOIN_CODE_LENGTH) return null;
+    return [...code].every(char => CODE_ALPHABET.includes(char)) ? code : null;
+}
+
+export const annotationKey = id => `${ANNOTATION_PREFIX}${id}`;
+
+// Annotation id of a session key, or null for other keys
+export const annotationIdOf = key => (key.startsWith(ANNOTATION_PREFIX) ? key.slice(ANNOTATION_PREFIX.length) : null);
+
+export function isSessionKey(key) {
+    if (key === 'model' || key === 'configuration' || key === 'visibility') return true;
+    return typeof key === 'string' && key.startsWith(ANNOTATION_PREFIX) &&
+        ANNOTATION_ID.test(key.slice(ANNOTATION_PREFIX.length));
+}
+
+// Annotations of a session's values: { id: annotation }
+export function sessionAnnotations(values) {
+    return Object.fromEntries(Object.entries(values)
+        .filter(([key, value]) => key.startsWith(ANNOTATION_PREFIX) && value !== null)
+        .map(([key, value]) => [key.slice(ANNOTATION_PREFIX.length), value]));
+}
+
+export const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+export function createSessionState() {
+    return { revision: 0, values: {}, revisions: {} };
+}
+
+// Apply `changes` ({ key: value }) made on top of revision `base`. Unknown
+// keys, oversized values and keys changed by someone else since `base` are
+// rejected. Returns { accepted, rejected } as { key: value } maps; rejected
+// ones carry the session's current value.
+export function applyChanges(session, changes, base) {
+    const accepted = {};
+    const rejected = {};
+    Object.entries(changes).forEach(([key, value]) => {
+        const valid = isSessionKey(key) && value !== undefined && JSON.stringify(value).length <= MAX_VALUE_SIZE;
+        if (!valid || (session.revisions[key] || 0) > base) {
+            if (isSessionKey(key)) rejected[key] = key in session.values ? session.values[key] : null;
+            return;
+        }
+        accepted[key] = value;
+    });
+    if (Object.keys(accepted).length) {
+        session.revision++;
+        Object.entries(accepted).forEach(([key, value]) => {
+            session.values[key] = value;
+            session.revisions[key] = session.revision;
+        });
+    }
+    return { accepted, rejected };
+}
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// AR camera pose relative to the placed model, in the model's own meters
+// with the same origin as the 3D preview:
+//   { position: [x, y, z], quaternion: [x, y, z, w], fov, aspect, scale }
+// `fov` is the vertical field of view in degrees and `scale` the model
+// meters per real meter (1 at 1:1, more on a tabletop).
+export function roundPose({ position, quaternion, fov, aspect, scale }) {
+    return {
+        position: position.map(value => round(value, 3)),
+        quaternion: quaternion.map(value => round(value, 4)),
+        fov: round(fov, 1),
+        aspect: round(aspect, 3),
+        scale: round(scale, 3)
+    };
+}
+
+// Collaboration server address. NEXT_PUBLIC_COLLAB_URL overrides the default
+// of the page's host on DEFAULT_COLLAB_PORT, wss:// on https pages.
+export function collabUrl(location) {
+    if (process.env.NEXT_PUBLIC_COLLAB_URL) return process.env.NEXT_PUBLIC_COLLAB_URL;
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${location.hostname}:${DEFAULT_COLLAB_PORT}`;
+}
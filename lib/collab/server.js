@@ -0,0 +1,220 @@
+import http from 'http';
+import https from 'https';
+import { acceptWebSocket } from './websocket.js';
+import {
+    applyChanges,
+    COLLAB_ROLES,
+    createJoinCode,
+    createSessionState,
+    MAX_MESSAGE_SIZE,
+    MAX_PEERS,
+    normalizeJoinCode,
+    roundPose
+} from './protocol.js';
+
+// Collaboration server: review sessions by join code, relaying state changes
+// and AR camera poses between participants (see protocol.js). Sessions live
+// in memory; an empty one is kept for a while so participants can reconnect.
+
+// Empty sessions are dropped after this long (ms)
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+// Connections that miss a ping are dropped (ms)
+const HEARTBEAT_INTERVAL = 30 * 1000;
+// Connections that are not in a session this long after connecting are
+// closed (ms)
+const JOIN_TIMEOUT = 60 * 1000;
+const MAX_SESSIONS = 1000;
+
+// A message the server refuses, sent back as an error with its reason
+class CollabError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'CollabError';
+        this.reason = reason;
+    }
+}
+
+//   tls - { cert, key } to serve wss://, which pages served over https need
+//   log(message)
+export function createCollabServer({ tls = null, log = () => {} } = {}) {
+    // Code -> { code, state, clients: Map(clientId -> client), poses: Map(clientId -> pose), idleTimer }
+    const sessions = new Map();
+    // Every open connection's client, joined or not
+    const clients = new Set();
+
+    const respond = (req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('This is the collaboration server; connect with a WebSocket.\n');
+    };
+    const server = tls ? https.createServer(tls, respond) : http.createServer(respond);
+
+    const send = (client, message) => client.connection.send(JSON.stringify(message));
+
+    const broadcast = (session, message, except = null) => {
+        session.clients.forEach((client) => {
+            if (client !== except) send(client, message);
+        });
+    };
+
+    const peersOf = session => [...session.clients.values()].map(({ id, role }) => ({ id, role }));
+
+    const openSession = (code) => {
+        const session = { code, state: createSessionState(), clients: new Map(), poses: new Map(), idleTimer: null };
+        sessions.set(code, session);
+        log(`Session ${code} opened`);
+        return session;
+    };
+
+    const newSession = () => {
+        let code = createJoinCode();
+        while (sessions.has(code)) code = createJoinCode();
+        return openSession(code);
+    };
+
+    const join = (client, message) => {
+        const role = COLLAB_ROLES.includes(message.role) ? message.role : 'preview';
+        const revision = Number.isInteger(message.revision) ? message.revision : null;
+        const requested = message.code === null ? null : normalizeJoinCode(message.code);
+        if (message.code !== null && !requested) throw new CollabError('invalid-code', 'That is not a valid join code');
+        if (typeof message.clientId !== 'string' || !message.clientId) throw new CollabError('invalid-message', 'Missing client id');
+
+        let session = requested ? sessions.get(requested) : null;
+        if (!session) {
+            if (sessions.size >= MAX_SESSIONS) throw new CollabError('too-many-sessions', 'The server has too many open sessions');
+            // A participant coming back after a server restart brings the
+            // session back with what it last saw
+            const returning = requested && revision !== null && message.snapshot && typeof message.snapshot === 'object';
+            if (requested && !returning) throw new CollabError('no-session', `There is no session with the code ${requested}`);
+            session = requested ? openSession(requested) : newSession();
+            if (returning) applyChanges(session.state, message.snapshot, 0);
+        }
+
+        // A reconnect replaces the participant's old connection
+        const previous = session.clients.get(message.clientId);
+        if (previous) {
+            previous.session = null;
+            previous.connection.terminate();
+        } else if (session.clients.size >= MAX_PEERS) {
+            throw new CollabError('session-full', 'This session is full');
+        }
+
+        // Creating a session seeds it; a returning participant brings the
+        // changes it made while disconnected. Someone joining for the first
+        // time takes the session as it is.
+        if (message.pending && typeof message.pending === 'object' && (message.code === null || revision !== null)) {
+            const { accepted } = applyChanges(session.state, message.pending, revision || 0);
+            if (Object.keys(accepted).length) {
+                broadcast(session, { type: 'state', revision: session.state.revision, changes: accepted, from: message.clientId });
+            }
+        }
+
+        clearTimeout(session.idleTimer);
+        client.id = message.clientId;
+        client.role = role;
+        client.session = session;
+        session.clients.set(client.id, client);
+
+        send(client, {
+            type: 'welcome',
+            code: session.code,
+            clientId: client.id,
+            revision: session.state.revision,
+            values: session.state.values,
+            peers: peersOf(session),
+            poses: Object.fromEntries(session.poses)
+        });
+        broadcast(session, { type: 'peers', peers: peersOf(session) }, client);
+    };
+
+    const update = (client, { seq, base, changes }) => {
+        const { state } = client.session;
+        if (!changes || typeof changes !== 'object' || !Number.isInteger(base)) throw new CollabError('invalid-message', 'Invalid update');
+        const { accepted, rejected } = applyChanges(state, changes, base);
+        if (Object.keys(accepted).length) {
+            broadcast(client.session, { type: 'state', revision: state.revision, changes: accepted, from: client.id }, client);
+        }
+        send(client, { type: 'ack', seq, revision: state.revision, rejected });
+    };
+
+    const pose = (client, message) => {
+        if (client.role !== 'ar') return;
+        const { session } = client;
+        const value = message.pose ? roundPose(message.pose) : null;
+        if (value) {
+            session.poses.set(client.id, value);
+        } else {
+            session.poses.delete(client.id);
+        }
+        broadcast(session, { type: 'pose', from: client.id, pose: value }, client);
+    };
+
+    const leave = (client) => {
+        const { session } = client;
+        if (!session) return;
+        client.session = null;
+        session.clients.delete(client.id);
+        if (session.poses.delete(client.id)) broadcast(session, { type: 'pose', from: client.id, pose: null });
+        broadcast(session, { type: 'peers', peers: peersOf(session) });
+        if (session.clients.size === 0) {
+            session.idleTimer = setTimeout(() => {
+                sessions.delete(session.code);
+                log(`Session ${session.code} closed`);
+            }, SESSION_IDLE_TIMEOUT);
+            // The listening server keeps the process alive, not the timers
+            session.idleTimer.unref();
+        }
+    };
+
+    const handlers = { join, update, pose };
+
+    server.on('upgrade', (req, socket) => {
+        const connection = acceptWebSocket(req, socket, { maxMessageSize: MAX_MESSAGE_SIZE });
+        if (!connection) return;
+        const client = { id: null, role: null, session: null, connection, alive: true, connectedAt: Date.now() };
+        clients.add(client);
+
+        connection.on('pong', () => {
+            client.alive = true;
+        });
+        connection.on('message', (text) => {
+            try {
+                const message = JSON.parse(text);
+                const handler = message && handlers[message.type];
+                if (!handler) throw new CollabError('invalid-message', `Unknown message type "${message && message.type}"`);
+                if ((message.type === 'join') === Boolean(client.session)) {
+                    throw new CollabError('invalid-message', client.session ? 'Already in a session' : 'Join a session first');
+                }
+                handler(client, message);
+            } catch (error) {
+                if (error instanceof SyntaxError) {
+                    send(client, { type: 'error', reason: 'invalid-message', message: 'Messages must be JSON' });
+                } else {
+                    send(client, { type: 'error', reason: error.reason || 'failed', message: error.message });
+                }
+            }
+        });
+        connection.on('close', () => {
+            clients.delete(client);
+            leave(client);
+        });
+    });
+
+    const heartbeat = setInterval(() => {
+        const now = Date.now();
+        clients.forEach((client) => {
+            if (!client.alive || (!client.session && now - client.connectedAt > JOIN_TIMEOUT)) {
+                client.connection.terminate();
+                return;
+            }
+            client.alive = false;
+            client.connection.ping();
+        });
+    }, HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+    server.on('close', () => {
+        clearInterval(heartbeat);
+        sessions.forEach(session => clearTimeout(session.idleTimer));
+    });
+
+    return server;
+}
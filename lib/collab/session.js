@@ -0,0 +1,120 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createCollabClient } from './client.js';
+import { collabUrl, normalizeJoinCode, POSE_INTERVAL, roundPose } from './protocol.js';
+
+// The values a page shares: null and undefined ones are left out
+const sharedValues = values => Object.fromEntries(Object.entries(values || {})
+    .filter(([, value]) => value !== null && value !== undefined));
+
+// Review session of a page (see client.js): shares the page's values while
+// joined and reports what others change.
+//   role       - 'ar' or 'preview'
+//   values     - { key: value } the page shares; null values are not shared
+//   onChange(changes)  - others changed values: { key: value }
+//   onPose(from, pose) - an AR participant's camera pose, null when gone
+//   poseSource()       - this AR participant's camera pose, or null
+// Returns { status, error, code, peers, start(), join(code), leave(),
+// set(key, value), value(key) }
+// with status 'idle', 'connecting', 'connected', 'reconnecting' or 'closed'
+// and error why the session could not be joined: a reason from client.js,
+// 'invalid-code', or '' when nothing went wrong.
+// The functions stay the same from render to render.
+export function useCollabSession({ role, values, onChange = () => {}, onPose = () => {}, poseSource = null }) {
+    const clientRef = useRef(null);
+    const [status, setStatus] = useState('idle');
+    const [error, setError] = useState('');
+    const [code, setCode] = useState(null);
+    const [peers, setPeers] = useState([]);
+
+    // Latest page state and callbacks, read by the running client
+    const latest = useRef({});
+    useEffect(() => {
+        latest.current = { values, onChange, onPose, poseSource };
+    });
+
+    const stop = useCallback(() => {
+        const client = clientRef.current;
+        clientRef.current = null;
+        if (client) client.close();
+    }, []);
+
+    const connect = useCallback((joinCode) => {
+        stop();
+        setError('');
+        setPeers([]);
+        setCode(null);
+        setStatus('connecting');
+        const client = createCollabClient({
+            url: collabUrl(window.location),
+            code: joinCode,
+            role,
+            values: sharedValues(latest.current.values),
+            onChange: changes => latest.current.onChange(changes),
+            onPeers: setPeers,
+            onPose: (from, pose) => latest.current.onPose(from, pose),
+            onStatus: (next, reason) => {
+                if (clientRef.current !== client) return;
+                setStatus(next);
+                setError(reason);
+                setCode(client.code);
+            }
+        });
+        clientRef.current = client;
+    }, [role, stop]);
+
+    // Share local changes; the client skips values it already has
+    const serialized = JSON.stringify(values || {});
+    useEffect(() => {
+        const client = clientRef.current;
+        if (!client) return;
+        Object.entries(sharedValues(JSON.parse(serialized))).forEach(([key, value]) => client.set(key, value));
+    }, [serialized]);
+
+    // AR participants send their camera pose while connected
+    useEffect(() => {
+        if (status !== 'connected' || role !== 'ar') return undefined;
+        let sentNull = false;
+        const timer = setInterval(() => {
+            const pose = latest.current.poseSource ? latest.current.poseSource() : null;
+            if (!pose && sentNull) return;
+            sentNull = !pose;
+            if (clientRef.current) clientRef.current.sendPose(pose ? roundPose(pose) : null);
+        }, POSE_INTERVAL);
+        return () => clearInterval(timer);
+    }, [status, role]);
+
+    useEffect(() => stop, [stop]);
+
+    // Open a new session with the page's values
+    const start = useCallback(() => connect(null), [connect]);
+
+    const join = useCallback((input) => {
+        const joinCode = normalizeJoinCode(input);
+        if (!joinCode) {
+            setError('invalid-code');
+            return;
+        }
+        connect(joinCode);
+    }, [connect]);
+
+    const leave = useCallback(() => {
+        stop();
+        setStatus('idle');
+        setError('');
+        setCode(null);
+        setPeers([]);
+    }, [stop]);
+
+    // Share a value outside `values`, e.g. an annotation
+    const set = useCallback((key, value) => {
+        if (clientRef.current) clientRef.current.set(key, value);
+    }, []);
+
+    // Current session value of a key, or null outside a session
+    const value = useCallback((key) => {
+        const client = clientRef.current;
+        return client && key in client.values ? client.values[key] : null;
+    }, []);
+
+    return { status, error, code, peers, start, join, leave, set, value };
+}
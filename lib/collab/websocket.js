@@ -0,0 +1,161 @@
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+
+// Minimal WebSocket (RFC 6455) server side for the collaboration server:
+// the upgrade handshake, text messages, ping/pong and close. Binary messages
+// and extensions are not supported.
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Close codes
+const PROTOCOL_ERROR = 1002;
+const UNSUPPORTED_DATA = 1003;
+const MESSAGE_TOO_BIG = 1009;
+
+const encodeFrame = (opcode, payload) => {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+};
+
+// Finish the upgrade of an HTTP request to a WebSocket. Returns a connection
+// emitting 'message' (string) and 'close', or null after answering a bad
+// handshake with 400.
+//   maxMessageSize - larger messages close the connection
+export function acceptWebSocket(req, socket, { maxMessageSize }) {
+    const key = req.headers['sec-websocket-key'];
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const connection = new EventEmitter();
+    let buffer = Buffer.alloc(0);
+    // Payloads of a fragmented message
+    let fragments = null;
+    let closed = false;
+
+    const write = (opcode, payload) => {
+        if (!closed && socket.writable) socket.write(encodeFrame(opcode, payload));
+    };
+
+    const close = (code = 1000, reason = '') => {
+        if (closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        write(OPCODES.close, payload);
+        closed = true;
+        socket.end();
+    };
+
+    const handleFrame = (opcode, fin, payload) => {
+        if (opcode === OPCODES.ping) {
+            write(OPCODES.pong, payload);
+        } else if (opcode === OPCODES.pong) {
+            connection.emit('pong');
+        } else if (opcode === OPCODES.close) {
+            close();
+        } else if (opcode === OPCODES.binary) {
+            close(UNSUPPORTED_DATA, 'Only text messages are supported');
+        } else if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+            if ((opcode === OPCODES.text) === (fragments !== null)) {
+                close(PROTOCOL_ERROR, 'Unexpected fragment');
+                return;
+            }
+            fragments = [...(fragments || []), payload];
+            if (fragments.reduce((size, fragment) => size + fragment.length, 0) > maxMessageSize) {
+                close(MESSAGE_TOO_BIG, 'Message too big');
+                return;
+            }
+            if (fin) {
+                const message = Buffer.concat(fragments).toString('utf8');
+                fragments = null;
+                connection.emit('message', message);
+            }
+        } else {
+            close(PROTOCOL_ERROR, 'Unknown opcode');
+        }
+    };
+
+    // Parse every complete frame in the buffer
+    const parse = () => {
+        while (!closed && buffer.length >= 2) {
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                const long = buffer.readBigUInt64BE(2);
+                length = long > BigInt(maxMessageSize) ? Infinity : Number(long);
+                offset = 10;
+            }
+            // Clients must mask their frames
+            if (!masked) {
+                close(PROTOCOL_ERROR, 'Frames must be masked');
+                return;
+            }
+            if (length > maxMessageSize) {
+                close(MESSAGE_TOO_BIG, 'Message too big');
+                return;
+            }
+            if (buffer.length < offset + 4 + length) return;
+
+            const mask = buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            buffer = buffer.subarray(offset + 4 + length);
+            handleFrame(opcode, fin, payload);
+        }
+    };
+
+    socket.on('data', (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        parse();
+    });
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => {
+        closed = true;
+        connection.emit('close');
+    });
+
+    connection.send = message => write(OPCODES.text, Buffer.from(message, 'utf8'));
+    connection.ping = () => write(OPCODES.ping, Buffer.alloc(0));
+    connection.close = close;
+    // Drop the connection without a closing handshake
+    connection.terminate = () => socket.destroy();
+    return connection;
+}
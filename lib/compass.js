@@ -0,0 +1,70 @@
+// Compass heading of the rear camera from device orientation events, used to
+// align the AR scene with true north. Browsers report magnetic or true north
+// depending on the platform; local magnetic declination is not corrected.
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Heading (degrees clockwise from north) the rear camera looks towards, from
+// the W3C DeviceOrientation angles. The camera looks along the device's -Z
+// axis; rotate it into the earth frame (x east, y north, z up).
+export function cameraHeading(alpha, beta, gamma) {
+    const a = toRadians(alpha);
+    const b = toRadians(beta);
+    const g = toRadians(gamma);
+
+    const east = -(Math.cos(g) * Math.sin(a) * Math.sin(b) + Math.cos(a) * Math.sin(g));
+    const north = -(Math.sin(a) * Math.sin(g) - Math.cos(a) * Math.cos(g) * Math.sin(b));
+    const heading = Math.atan2(east, north) * 180 / Math.PI;
+    return (heading + 360) % 360;
+}
+
+// Listen for heading updates. start() must run from a user gesture because
+// iOS asks for permission; it resolves to false when no compass is available.
+//   onHeading(heading) - heading of the rear camera in degrees
+export function createCompass({ onHeading = () => {} } = {}) {
+    let heading = null;
+    let eventName = null;
+
+    const onOrientation = (event) => {
+        if (typeof event.webkitCompassHeading === 'number') {
+            // iOS reports the heading of the top of the device directly
+            heading = event.webkitCompassHeading;
+        } else if (event.absolute && event.alpha !== null) {
+            heading = cameraHeading(event.alpha, event.beta, event.gamma);
+        } else {
+            return;
+        }
+        onHeading(heading);
+    };
+
+    return {
+        // Latest heading in degrees, or null before the first reading
+        get heading() {
+            return heading;
+        },
+
+        async start() {
+            if (typeof window === 'undefined' || !('DeviceOrientationEvent' in window)) return false;
+
+            if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+                try {
+                    if (await DeviceOrientationEvent.requestPermission() !== 'granted') return false;
+                } catch (error) {
+                    console.warn('Compass permission request failed:', error);
+                    return false;
+                }
+            }
+
+            // Chrome only reports earth-relative angles on the 'absolute' event
+            eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+            window.addEventListener(eventName, onOrientation);
+            return true;
+        },
+
+        stop() {
+            if (eventName) window.removeEventListener(eventName, onOrientation);
+            eventName = null;
+            heading = null;
+        }
+    };
+}
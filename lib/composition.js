@@ -0,0 +1,85 @@
+// Scene composition: the anchored model plus props from the catalog (cars,
+// trees, fences, people for scale). Instances are plain data here,
+//   { model, position: { x, y, z }, rotationY }
+// with positions in meters and rotations in radians about the vertical
+// axis, relative to the first anchor: the placement of the main model,
+// which is always the first instance, at the origin.
+
+export const COMPOSITION_VERSION = 1;
+// Undo steps kept
+export const HISTORY_LIMIT = 50;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Save format, version 1. Positions in meters rounded to millimeters.
+export function compositionToJSON(instances) {
+    return {
+        version: COMPOSITION_VERSION,
+        units: 'm',
+        referenceSpace: 'first-anchor',
+        createdAt: new Date().toISOString(),
+        instances: instances.map(({ model, position, rotationY }) => ({
+            model,
+            position: [round(position.x), round(position.y), round(position.z)],
+            rotationY: round(rotationY)
+        }))
+    };
+}
+
+// Instances of a saved composition; throws on anything that is not one
+export function parseComposition(data) {
+    if (!data || typeof data !== 'object' || data.version !== COMPOSITION_VERSION || !Array.isArray(data.instances)) {
+        throw new Error('Not a saved scene');
+    }
+    const instances = data.instances.map((instance, index) => {
+        const valid = instance && typeof instance.model === 'string' &&
+            Array.isArray(instance.position) && instance.position.length === 3 &&
+            instance.position.every(Number.isFinite) && Number.isFinite(instance.rotationY);
+        if (!valid) throw new Error(`Object ${index + 1} of the saved scene is invalid`);
+        const [x, y, z] = instance.position;
+        return { model: instance.model, position: { x, y, z }, rotationY: instance.rotationY };
+    });
+    if (!instances.length) throw new Error('The saved scene is empty');
+    return instances;
+}
+
+// Undo/redo over snapshots of the composition. push() records the state
+// after a change; undo() and redo() return the state to show, or null.
+export function createHistory(limit = HISTORY_LIMIT) {
+    let states = [];
+    let index = -1;
+
+    return {
+        get canUndo() {
+            return index > 0;
+        },
+
+        get canRedo() {
+            return index < states.length - 1;
+        },
+
+        push(state) {
+            states = states.slice(Math.max(0, index + 1 - limit + 1), index + 1);
+            states.push(state);
+            index = states.length - 1;
+        },
+
+        undo() {
+            if (index <= 0) return null;
+            index--;
+            return states[index];
+        },
+
+        redo() {
+            if (index >= states.length - 1) return null;
+            index++;
+            return states[index];
+        },
+
+        // Start over from `state`, e.g. after the scene was cleared
+        reset(state) {
+            states = [state];
+            index = 0;
+        }
+    };
+}
@@ -0,0 +1,44 @@
+// Material configuration of a model, shared through the URL so a link
+// shows the same house: ?variant=<name>&finish=roof:slate,trim:white
+//   variant  - KHR_materials_variants variant name, or null for as modelled
+//   finishes - { slotId: finishId } for the sidecar's material slots
+
+export const EMPTY_CONFIGURATION = { variant: null, finishes: {} };
+
+const SEPARATOR = ',';
+const ASSIGNMENT = ':';
+
+// Configuration from a Next.js router query. Names are checked against the
+// model's options when they are applied.
+export function parseConfiguration(query) {
+    const variant = typeof query.variant === 'string' && query.variant ? query.variant : null;
+    const finishes = {};
+    if (typeof query.finish === 'string') {
+        query.finish.split(SEPARATOR).forEach((pair) => {
+            const [slot, finish] = pair.split(ASSIGNMENT);
+            if (slot && finish) finishes[slot] = finish;
+        });
+    }
+    return { variant, finishes };
+}
+
+// Query parameters for a configuration; empty parts are left out
+export function configurationQuery({ variant, finishes }) {
+    const query = {};
+    if (variant) query.variant = variant;
+    const pairs = Object.entries(finishes)
+        .filter(([, finish]) => finish)
+        .map(([slot, finish]) => `${slot}${ASSIGNMENT}${finish}`);
+    if (pairs.length) query.finish = pairs.join(SEPARATOR);
+    return query;
+}
+
+// Router query with the configuration replaced
+export function withConfiguration(query, configuration) {
+    const { variant, finish, ...rest } = query;
+    return { ...rest, ...configurationQuery(configuration) };
+}
+
+export const hasConfigurationOptions = options => Boolean(
+    options && (options.variants.length || options.slots.length)
+);
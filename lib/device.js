@@ -0,0 +1,41 @@
+// Device capability checks shared by the AR view and the 3D preview
+
+// Known low-end GPU identifiers
+const LOW_END_GPUS = ['PowerVR', 'Mali-4', 'Mali-T6', 'Mali-G5', 'Adreno 3', 'Adreno 4'];
+
+export const PERFORMANCE_MODES = ['low', 'medium', 'high'];
+
+// Simple heuristic to detect low-end devices from the GPU renderer string
+// and navigator.deviceMemory (GB, null when unknown). Returns
+// { performanceMode, isLowEnd }.
+export function classifyDevice({ renderer, memory }) {
+    const lowEndGpu = LOW_END_GPUS.some(gpu => renderer.includes(gpu));
+    const lowMemory = Boolean(memory && memory < 4);
+    const isLowEnd = lowEndGpu || lowMemory;
+    return { performanceMode: isLowEnd ? 'low' : 'medium', isLowEnd };
+}
+
+// Classify this device, asking a throwaway WebGL context for the GPU.
+// Returns { performanceMode, isLowEnd, renderer, memory }.
+export function detectDevicePerformance() {
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+    const memory = navigator.deviceMemory || null;
+
+    // Without WebGL nothing will render well
+    if (!gl) {
+        return { performanceMode: 'low', isLowEnd: true, renderer: '', memory };
+    }
+
+    const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+    const renderer = debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : '';
+    return { ...classifyDevice({ renderer, memory }), renderer, memory };
+}
+
+// Pixel ratio cap for a performance mode
+export function pixelRatioFor(performanceMode) {
+    const pixelRatio = window.devicePixelRatio || 1;
+    return performanceMode === 'low' ? Math.min(pixelRatio, 1) :
+        performanceMode === 'medium' ? Math.min(pixelRatio, 1.5) :
+            pixelRatio;
+}
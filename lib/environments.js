@@ -0,0 +1,42 @@
+// Lighting presets for when the device cannot estimate real-world lighting.
+// The HDR environment is rendered from three's physical Sky model at load
+// time (lib/three/lighting.js), so nothing has to be downloaded.
+//   sky       - Sky shader uniforms
+//   elevation - sun height above the horizon in degrees
+//   azimuth   - sun direction in degrees, clockwise from -Z
+export const ENVIRONMENT_PRESETS = [
+    {
+        id: 'overcast',
+        sky: { turbidity: 20, rayleigh: 0.4, mieCoefficient: 0.05, mieDirectionalG: 0.2 },
+        elevation: 50,
+        azimuth: 160,
+        sunColor: 0xdfe6ee,
+        sunIntensity: 0.5,
+        environmentIntensity: 1.0,
+        shadowOpacity: 0.12
+    },
+    {
+        id: 'noon',
+        sky: { turbidity: 2, rayleigh: 1, mieCoefficient: 0.005, mieDirectionalG: 0.8 },
+        elevation: 65,
+        azimuth: 180,
+        sunColor: 0xfff5e6,
+        sunIntensity: 2.5,
+        environmentIntensity: 0.6,
+        shadowOpacity: 0.35
+    },
+    {
+        id: 'dusk',
+        sky: { turbidity: 6, rayleigh: 3, mieCoefficient: 0.005, mieDirectionalG: 0.95 },
+        elevation: 4,
+        azimuth: 250,
+        sunColor: 0xffa466,
+        sunIntensity: 1.2,
+        environmentIntensity: 0.4,
+        shadowOpacity: 0.3
+    }
+];
+
+export const DEFAULT_ENVIRONMENT_PRESET = 'noon';
+
+export const findEnvironmentPreset = id => ENVIRONMENT_PRESETS.find(preset => preset.id === id) || null;
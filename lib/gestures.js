@@ -0,0 +1,119 @@
+// Touch gesture recognizer for the AR DOM overlay: one-finger drag,
+// two-finger twist and pinch. Reports deltas, leaving the 3D math to the caller.
+
+// Movement in pixels before a touch counts as a drag rather than a tap
+export const TAP_SLOP = 10;
+
+// Elements that keep their own touch behaviour; overlay panels opt in with
+// a data-overlay-panel attribute
+const INTERACTIVE = 'button, select, input, textarea, a, label, [data-overlay-panel]';
+
+const touchPoint = (touch) => ({ x: touch.clientX, y: touch.clientY });
+
+const twoFingerState = (touches) => {
+    const [a, b] = [touchPoint(touches[0]), touchPoint(touches[1])];
+    return {
+        distance: Math.hypot(b.x - a.x, b.y - a.y),
+        angle: Math.atan2(b.y - a.y, b.x - a.x)
+    };
+};
+
+// Shortest signed difference between two angles
+const angleDelta = (from, to) => {
+    let delta = to - from;
+    while (delta > Math.PI) delta -= 2 * Math.PI;
+    while (delta < -Math.PI) delta += 2 * Math.PI;
+    return delta;
+};
+
+// handlers: { onDragStart(point), onDrag(point), onDragEnd(), onRotate(radians),
+//             onScale(factor), onGestureEnd() }
+// Angles follow screen coordinates, so a positive delta is a clockwise twist.
+// Returns { dispose, wasGesture } where wasGesture() tells whether the last
+// touch sequence moved enough that the following XR select should be ignored.
+export function attachGestures(element, handlers) {
+    let mode = null; // 'pending', 'drag' or 'twoFinger'
+    let start = null;
+    let previous = null;
+    let moved = false;
+    let active = false; // a drag or two-finger gesture is in progress
+
+    const onTouchStart = (event) => {
+        if (event.target.closest && event.target.closest(INTERACTIVE)) return;
+
+        if (event.touches.length === 1) {
+            mode = 'pending';
+            moved = false;
+            start = touchPoint(event.touches[0]);
+        } else if (event.touches.length === 2) {
+            if (mode === 'drag' && handlers.onDragEnd) handlers.onDragEnd();
+            mode = 'twoFinger';
+            moved = true;
+            active = true;
+            previous = twoFingerState(event.touches);
+        }
+    };
+
+    const onTouchMove = (event) => {
+        if (!mode) return;
+
+        if (mode === 'twoFinger' && event.touches.length >= 2) {
+            const current = twoFingerState(event.touches);
+            if (handlers.onRotate) handlers.onRotate(angleDelta(previous.angle, current.angle));
+            if (handlers.onScale && previous.distance > 0) handlers.onScale(current.distance / previous.distance);
+            previous = current;
+            return;
+        }
+
+        if (event.touches.length !== 1) return;
+        const point = touchPoint(event.touches[0]);
+
+        if (mode === 'pending' && Math.hypot(point.x - start.x, point.y - start.y) > TAP_SLOP) {
+            mode = 'drag';
+            moved = true;
+            active = true;
+            if (handlers.onDragStart) handlers.onDragStart(start);
+        }
+        if (mode === 'drag' && handlers.onDrag) {
+            handlers.onDrag(point);
+        }
+    };
+
+    const onTouchEnd = (event) => {
+        if (event.touches.length > 0) {
+            // Lifting one finger of a twist should not turn into a drag
+            if (mode === 'twoFinger') mode = null;
+            return;
+        }
+        if (mode === 'drag' && handlers.onDragEnd) handlers.onDragEnd();
+        if (active && handlers.onGestureEnd) handlers.onGestureEnd();
+        active = false;
+        mode = null;
+    };
+
+    element.addEventListener('touchstart', onTouchStart, { passive: true });
+    element.addEventListener('touchmove', onTouchMove, { passive: true });
+    element.addEventListener('touchend', onTouchEnd, { passive: true });
+    element.addEventListener('touchcancel', onTouchEnd, { passive: true });
+
+    return {
+        wasGesture: () => moved,
+        dispose: () => {
+            element.removeEventListener('touchstart', onTouchStart);
+            element.removeEventListener('touchmove', onTouchMove);
+            element.removeEventListener('touchend', onTouchEnd);
+            element.removeEventListener('touchcancel', onTouchEnd);
+        }
+    };
+}
+
+// Stop taps on overlay controls from also firing an XR select in the scene
+export function blockXRSelectOnControls(root) {
+    const onBeforeXRSelect = (event) => {
+        if (event.target.closest && event.target.closest(INTERACTIVE)) {
+            event.preventDefault();
+        }
+    };
+    root.addEventListener('beforexrselect', onBeforeXRSelect);
+    return () => root.removeEventListener('beforexrselect', onBeforeXRSelect);
+}
@@ -0,0 +1,260 @@
+// Arabic messages (right-to-left)
+const messages = {
+    'preferences.language': 'اللغة',
+    'preferences.units': 'الوحدات',
+    'units.metric': 'متري',
+    'units.imperial': 'إمبراطوري',
+
+    'nav.home': 'الرئيسية',
+    'nav.ar': 'الواقع المعزز',
+    'nav.preview': 'معاينة ثلاثية الأبعاد',
+
+    'home.description.meta': 'House Project AR - شاهد نموذج منزلك ثلاثي الأبعاد بالواقع المعزز',
+    'home.title.before': 'شاهد مشروع منزلك',
+    'home.title.highlight': 'بالواقع المعزز',
+    'home.title.after': '',
+    'home.description': 'اعرض نموذج منزلك ثلاثي الأبعاد في محيطك الحقيقي عبر عارض الواقع المعزز المبني على WebXR. لا حاجة لتثبيت تطبيق، يعمل مباشرة في المتصفح!',
+    'home.cta': 'ابدأ تجربة الواقع المعزز',
+    'home.mobile.title': 'مناسب للجوال',
+    'home.mobile.text': 'يعمل على أجهزة أندرويد مع متصفح كروم. لا حاجة لتثبيت تطبيق.',
+    'home.surfaces.title': 'اكتشاف الأسطح',
+    'home.surfaces.text': 'يتيح اكتشاف الأسطح وضع النماذج على أسطح حقيقية.',
+    'home.interactive.title': 'تفاعلي',
+    'home.interactive.text': 'انقر لوضع نماذجك ثلاثية الأبعاد في أي مكان من محيطك.',
+    'home.builtWith': 'مبني باستخدام Next.js وThree.js وWebXR',
+    'home.copyright': '© 2024 House Project AR. جميع الحقوق محفوظة.',
+
+    'ar.title': 'House Project AR - الواقع المعزز',
+    'ar.description.meta': 'شاهد مشروع منزلك بالواقع المعزز باستخدام Next.js وThree.js',
+    'ar.heading': 'عارض الواقع المعزز لمشروع المنزل',
+    'ar.intro': 'ضع مشروع منزلك في الواقع المعزز',
+    'ar.previewInstead': 'افتح المعاينة ثلاثية الأبعاد بدلاً من ذلك',
+    'ar.preview': 'معاينة ثلاثية الأبعاد',
+    'ar.model': 'النموذج:',
+    'ar.chooseModel': 'اختر نموذجاً',
+    'ar.loadingModels': 'جارٍ تحميل النماذج...',
+    'ar.performance': 'أداء الجهاز:',
+    'ar.scale': 'المقياس:',
+    'ar.lighting': 'الإضاءة:',
+    'ar.units': 'الوحدات:',
+    'ar.start': 'ابدأ تجربة الواقع المعزز',
+    'ar.notSupported': 'الواقع المعزز غير مدعوم',
+    'ar.back': '→ رجوع',
+    'ar.loading': 'جارٍ تحميل النموذج... {progress}٪',
+    'ar.loadingVariant': 'جارٍ تحميل النموذج ({variant})... {progress}٪',
+    'ar.quality': 'الجودة: {tier}',
+    'ar.realLighting': 'إضاءة حقيقية',
+    'ar.anchorsUnsupported': 'هذا الجهاز لا يدعم نقاط الارتكاز. قد ينزاح النموذج عند فقدان التتبع.',
+    'ar.placementSaved': 'تم حفظ الموضع على هذا الجهاز',
+    'ar.instructions.measure': 'وجّه نحو الأرض وانقر لإضافة نقاط. انقر على النقطة الأولى لإغلاق الشكل؛ تلتصق النقاط بالنموذج.',
+    'ar.instructions.annotate': 'انقر على موضع الملاحظة في النموذج. تُرقَّم الدبابيس بترتيب إنشاء الملاحظات.',
+    'ar.instructions.placed': 'اسحب للتحريك، ولُفّ للتدوير، وقرّب إصبعيك لتغيير الحجم. انقر على جزء لفحصه أو على عنصر لتحريكه وحده؛ انقر بجانب النموذج لإعادة وضعه.',
+    'ar.instructions.placeOnSurface': 'انقر على سطح لوضع النموذج',
+    'ar.instructions.place': 'انقر لوضع النموذج',
+    'ar.dimension.width': 'العرض',
+    'ar.dimension.depth': 'العمق',
+    'ar.dimension.height': 'الارتفاع',
+    'ar.enter': 'ابدأ الواقع المعزز',
+    'ar.exit': 'أوقف الواقع المعزز',
+    'ar.voice': 'إرشاد صوتي',
+    'ar.coach.idle': 'اضغط على «ابدأ الواقع المعزز» واسمح باستخدام الكاميرا لرؤية النموذج في غرفتك',
+    'ar.coach.scanning': 'حرّك هاتفك ببطء لمسح الأرضية',
+    'ar.coach.scanningSlow': 'لم يُعثر على سطح بعد. وجّه الهاتف نحو أرضية ذات نقوش وإضاءة جيدة وحرّكه يميناً ويساراً',
+    'ar.coach.tracking-limited': 'فُقد التتبع. ثبّت الهاتف ووجّهه نحو المنطقة التي مسحتها',
+    'ar.coach.session-lost': 'انتهت جلسة الواقع المعزز. اضغط على «ابدأ الواقع المعزز» للمتابعة',
+
+    'ar.error.catalog': 'تعذّر تحميل كتالوج النماذج: {message}',
+    'ar.error.unknownModel': 'النموذج "{id}" غير معروف. يرجى اختيار أحد النماذج المتاحة.',
+    'ar.error.noModels': 'لا توجد نماذج متاحة بعد.',
+    'ar.sessionSwitched': 'انتقلت الجلسة إلى {name}. ابدأ الواقع المعزز مجدداً لعرضه.',
+
+    'preview.title': 'House Project AR - معاينة ثلاثية الأبعاد',
+    'preview.description.meta': 'اعرض مشروع منزلك بالأبعاد الثلاثية على أي جهاز',
+    'preview.home': '→ الرئيسية',
+    'preview.quality': 'الجودة:',
+    'preview.plans': 'مخططات الطوابق',
+    'preview.viewInAR': 'عرض بالواقع المعزز',
+
+    'loadError.not-found': 'تعذّر العثور على ملف النموذج على الخادم.',
+    'loadError.missing-extension': 'يحتاج هذا النموذج إلى ميزات لا يدعمها العارض ({extensions}).',
+    'loadError.parse-error': 'ملف النموذج تالف أو ليس نموذج glTF صالحاً.',
+    'loadError.network': 'تعذّر تنزيل النموذج. تحقّق من اتصالك وحاول مجدداً.',
+    'loadError.failed': 'تعذّر تحميل النموذج ثلاثي الأبعاد. يُرجى المحاولة لاحقاً.',
+
+    'diagnostics.unsupported-browser.title': 'لا يمكن لهذا المتصفح عرض الواقع المعزز',
+    'diagnostics.unsupported-browser.help': 'افتح هذه الصفحة في كروم على هاتف أندرويد يدعم ARCore، أو شاهد النموذج في المعاينة ثلاثية الأبعاد.',
+    'diagnostics.camera-permission.title': 'لا يوجد إذن للوصول إلى الكاميرا',
+    'diagnostics.camera-permission.help': 'اسمح بالوصول إلى الكاميرا لهذا الموقع من إعدادات الموقع في المتصفح، ثم حاول مجدداً.',
+    'diagnostics.hit-test-unsupported.title': 'هذا الجهاز لا يكتشف الأسطح',
+    'diagnostics.hit-test-unsupported.help': 'استخدم الوضع المبسّط الذي يضع النموذج أمام الكاميرا بدلاً من سطح مكتشف.',
+    'diagnostics.low-light.title': 'المكان مظلم جداً',
+    'diagnostics.low-light.help': 'يصعب العثور على الأسطح في الإضاءة الخافتة. شغّل الأضواء أو انتقل إلى مكان أكثر إضاءة.',
+    'diagnostics.session-failed.title': 'تعذّر بدء الواقع المعزز',
+    'diagnostics.session-failed.help': 'أغلق التطبيقات الأخرى التي تستخدم الكاميرا وحاول مجدداً.',
+    'diagnostics.model-load.title': 'تعذّر تحميل النموذج',
+    'diagnostics.model-load.help': 'تحقق من اتصالك وارجع للمحاولة مجدداً، أو اختر نموذجاً آخر.',
+    'diagnostics.start-failed.title': 'تعذّر بدء عرض الواقع المعزز',
+    'diagnostics.start-failed.help': 'أعد تحميل الصفحة. إذا استمر الفشل فاستخدم المعاينة ثلاثية الأبعاد.',
+    'diagnostics.details': 'التفاصيل',
+    'diagnostics.retry': 'حاول مجدداً',
+    'diagnostics.simplified': 'استخدم الوضع المبسّط',
+    'diagnostics.dismiss': 'إغلاق',
+
+    'common.close': 'إغلاق',
+    'common.done': 'تم',
+    'common.save': 'حفظ',
+    'common.delete': 'حذف',
+    'common.undo': 'تراجع',
+    'common.redo': 'إعادة',
+
+    'notes.button': '📌 الملاحظات',
+    'notes.buttonOpen': '📌 الملاحظات ({count} مفتوحة)',
+    'notes.title': 'الملاحظات',
+    'notes.add': 'إضافة ملاحظة',
+    'notes.cancel': 'إلغاء',
+    'notes.exportCsv': 'تصدير CSV',
+    'notes.exportBcf': 'تصدير BCF',
+    'notes.tapModel': 'انقر على موضع الملاحظة في النموذج.',
+    'notes.on': 'على {part}',
+    'notes.text': 'الملاحظة',
+    'notes.textPlaceholder': 'ما الذي يجب تغييره؟',
+    'notes.author': 'الكاتب',
+    'notes.authorPlaceholder': 'اسمك',
+    'notes.resolve': 'حلّ',
+    'notes.reopen': 'إعادة فتح',
+
+    'capture.photo': '📷 صورة',
+    'capture.record': '🎥 تسجيل',
+    'capture.stop': '⏹ إيقاف {seconds} ث / {max} ث',
+    'capture.photoOf': 'صورة {name}',
+    'capture.transparent': 'لا يشارك هذا الجهاز صورة الكاميرا، لذلك تعرض الصورة النموذج على خلفية شفافة.',
+    'capture.share': 'مشاركة',
+    'capture.downloaded': 'المشاركة غير متاحة هنا، لذلك تم تنزيل الملف',
+    'capture.error.not-presenting': 'ابدأ الواقع المعزز أولاً.',
+    'capture.error.busy': 'يجري تسجيل مقطع بالفعل.',
+    'capture.error.encode-failed': 'تعذّر حفظ الصورة.',
+    'capture.error.session-ended': 'انتهى الواقع المعزز قبل التقاط الصورة.',
+    'capture.error.empty': 'المقطع فارغ.',
+    'capture.error.nothing-recorded': 'لم يُسجَّل شيء.',
+    'capture.error.recording-failed': 'فشل التسجيل.',
+    'capture.error.failed': 'لم ينجح الالتقاط. يُرجى المحاولة مجدداً.',
+
+    'collab.button': '👥 جلسة مراجعة',
+    'collab.start': 'بدء جلسة',
+    'collab.code': 'رمز الانضمام',
+    'collab.join': 'انضمام',
+    'collab.leave': 'مغادرة',
+    'collab.session': 'الجلسة',
+    'collab.status.connecting': 'جارٍ الاتصال…',
+    'collab.status.connected': 'متصل',
+    'collab.status.reconnecting': 'جارٍ إعادة الاتصال…',
+    'collab.role.ar': '{count} في الواقع المعزز',
+    'collab.role.preview': '{count} في العرض ثلاثي الأبعاد',
+    'collab.error.invalid-code': 'رمز الانضمام هذا غير صالح.',
+    'collab.error.no-session': 'لا توجد جلسة بهذا الرمز.',
+    'collab.error.session-full': 'هذه الجلسة ممتلئة.',
+    'collab.error.too-many-sessions': 'لدى الخادم جلسات مفتوحة كثيرة. حاول مجدداً لاحقاً.',
+    'collab.error.unreachable': 'تعذّر الوصول إلى خادم جلسات المراجعة.',
+    'collab.error.invalid-message': 'لم يفهم خادم جلسات المراجعة هذه الصفحة. أعد تحميلها وحاول مجدداً.',
+    'collab.error.failed': 'تعذّر الانضمام إلى جلسة المراجعة.',
+
+    'configurator.design': 'التصميم:',
+    'configurator.slot': '{label}:',
+    'configurator.asModelled': 'كما في النموذج',
+
+    'layers.button': '▤ الطوابق والمقطع',
+    'layers.title': 'الطوابق والمقطع',
+    'layers.showAll': 'إظهار كل الأجزاء',
+    'layers.noStoreys': 'لم يُعثر على طوابق. سمِّ عقد الطوابق "Level 0" و"Level 1"...',
+    'layers.cutaway': 'المقطع',
+    'layers.noCut': 'بدون مقطع',
+    'layers.cutAt': 'مقطع عند {storey}',
+    'layers.cutAtHeight': 'مقطع عند ارتفاع',
+    'layers.cutHeight': 'ارتفاع المقطع',
+
+    'measure.button': '📏 قياس',
+    'measure.buttonCount': '📏 قياس ({count})',
+    'measure.title': 'قياس',
+    'measure.endLine': 'إنهاء الخط',
+    'measure.closeShape': 'إغلاق الشكل',
+    'measure.clear': 'مسح',
+    'measure.export': 'تصدير JSON',
+    'measure.line': 'الخط {number}:',
+    'measure.shape': 'الشكل {number}:',
+    'measure.measuring': '(جارٍ القياس)',
+
+    'minimap.button': '🗺 الخريطة',
+    'minimap.title': 'الخريطة',
+    'minimap.storey': 'الطابق',
+    'minimap.current': 'الطابق الحالي',
+    'minimap.currentNamed': 'الحالي ({storey})',
+    'minimap.plan': 'المخطط الأرضي',
+    'minimap.placeFirst': 'ضع النموذج لترى موقعك.',
+
+    'part.materials': 'المواد',
+    'part.selectParent': 'تحديد الأصل',
+    'part.hide': 'إخفاء',
+    'part.isolate': 'عزل',
+
+    'scene.button': '🧩 المشهد',
+    'scene.buttonCount': '🧩 المشهد ({count})',
+    'scene.title': 'المشهد',
+    'scene.add': 'إضافة عنصر',
+    'scene.addPrompt': 'إضافة عنصر…',
+    'scene.placeFirst': 'ضع النموذج لإضافة عناصر',
+    'scene.props': 'العناصر',
+    'scene.models': 'النماذج',
+    'scene.anchor': '{name} (مرتكز)',
+    'scene.loading': 'جارٍ التحميل…',
+    'scene.duplicate': 'تكرار',
+    'scene.save': 'حفظ JSON',
+    'scene.load': 'تحميل JSON',
+    'scene.loadingFile': 'جارٍ تحميل المشهد...',
+    'scene.loadFailed': 'تعذّر تحميل {count} من العناصر',
+    'scene.invalidJson': 'الملف ليس JSON صالحاً',
+
+    'sun.button': '☀ دراسة الشمس',
+    'sun.title': 'دراسة الشمس',
+    'sun.latitude': 'خط العرض',
+    'sun.longitude': 'خط الطول',
+    'sun.myLocation': 'موقعي',
+    'sun.date': 'التاريخ',
+    'sun.play': 'تشغيل اليوم',
+    'sun.pause': 'إيقاف مؤقت',
+    'sun.alignNorth': 'المحاذاة مع الشمال',
+    'sun.time': 'الوقت من اليوم',
+    'sun.enterLocation': 'أدخل موقع الأرض أو استخدم موقعك.',
+    'sun.position': 'سمت الشمس {azimuth}°، الارتفاع {elevation}°',
+    'sun.belowHorizon': 'الشمس تحت الأفق.',
+    'sun.noGeolocation': 'تحديد الموقع غير متاح على هذا الجهاز.',
+    'sun.locating': 'جارٍ تحديد الموقع...',
+    'sun.locationFailed': 'تعذّر الحصول على موقعك: {message}',
+    'sun.noCompass': 'لا توجد بوصلة. الشمال هو الاتجاه الذي كنت تواجهه عند بدء الواقع المعزز.',
+    'sun.compassSilent': 'لم تستجب البوصلة. الشمال هو الاتجاه الذي كنت تواجهه عند بدء الواقع المعزز.',
+    'sun.aligned': 'تمت المحاذاة مع الشمال (اتجاه الكاميرا {heading}°)',
+    'sun.startFirst': 'ابدأ جلسة الواقع المعزز قبل المحاذاة مع الشمال.',
+
+    'performance.auto': 'اكتشاف تلقائي',
+    'performance.low': 'جهاز منخفض الأداء',
+    'performance.medium': 'جهاز متوسط الأداء',
+    'performance.high': 'جهاز عالي الأداء',
+
+    'scale.fit': 'على الطاولة',
+    'scale.1:1': 'الحجم الحقيقي (1:1)',
+
+    'environment.overcast': 'غائم',
+    'environment.noon': 'الظهيرة',
+    'environment.dusk': 'الغسق',
+
+    'variant.full': 'جودة كاملة',
+    'variant.ktx2': 'خامات KTX2',
+    'variant.draco': 'مضغوط بـ Draco',
+    'variant.low': 'منخفض المضلعات',
+
+    'quality.minimal': 'أدنى',
+    'quality.low': 'منخفضة',
+    'quality.medium': 'متوسطة',
+    'quality.high': 'عالية'
+};
+
+export default messages;
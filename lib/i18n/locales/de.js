@@ -0,0 +1,260 @@
+// German messages
+const messages = {
+    'preferences.language': 'Sprache',
+    'preferences.units': 'Einheiten',
+    'units.metric': 'Metrisch',
+    'units.imperial': 'Imperial',
+
+    'nav.home': 'Start',
+    'nav.ar': 'AR-Ansicht',
+    'nav.preview': '3D-Vorschau',
+
+    'home.description.meta': 'House Project AR - Ihr 3D-Hausmodell in Augmented Reality ansehen',
+    'home.title.before': 'Ihr Hausprojekt in',
+    'home.title.highlight': 'Augmented Reality',
+    'home.title.after': 'ansehen',
+    'home.description': 'Sehen Sie Ihr 3D-Hausmodell in Ihrer realen Umgebung mit unserem WebXR-basierten AR-Viewer. Keine App-Installation nötig – läuft direkt im Browser!',
+    'home.cta': 'AR-Ansicht starten',
+    'home.mobile.title': 'Für Mobilgeräte',
+    'home.mobile.text': 'Läuft auf Android-Geräten mit Chrome. Keine App-Installation nötig.',
+    'home.surfaces.title': 'Flächenerkennung',
+    'home.surfaces.text': 'Die Flächenerkennung platziert Modelle auf realen Oberflächen.',
+    'home.interactive.title': 'Interaktiv',
+    'home.interactive.text': 'Tippen Sie, um Ihre 3D-Modelle an beliebiger Stelle in Ihrer Umgebung zu platzieren.',
+    'home.builtWith': 'Erstellt mit Next.js, Three.js und WebXR',
+    'home.copyright': '© 2024 House Project AR. Alle Rechte vorbehalten.',
+
+    'ar.title': 'House Project AR - AR-Ansicht',
+    'ar.description.meta': 'Ihr Hausprojekt in Augmented Reality ansehen, mit Next.js und Three.js',
+    'ar.heading': 'House Project AR Viewer',
+    'ar.intro': 'Platzieren Sie Ihr Hausprojekt in Augmented Reality',
+    'ar.previewInstead': 'Stattdessen die 3D-Vorschau öffnen',
+    'ar.preview': '3D-Vorschau',
+    'ar.model': 'Modell:',
+    'ar.chooseModel': 'Modell wählen',
+    'ar.loadingModels': 'Modelle werden geladen...',
+    'ar.performance': 'Geräteleistung:',
+    'ar.scale': 'Maßstab:',
+    'ar.lighting': 'Beleuchtung:',
+    'ar.units': 'Einheiten:',
+    'ar.start': 'AR-Ansicht starten',
+    'ar.notSupported': 'AR nicht unterstützt',
+    'ar.back': '← Zurück',
+    'ar.loading': 'Modell wird geladen... {progress} %',
+    'ar.loadingVariant': 'Modell wird geladen ({variant})... {progress} %',
+    'ar.quality': 'Qualität: {tier}',
+    'ar.realLighting': 'Reale Beleuchtung',
+    'ar.anchorsUnsupported': 'Dieses Gerät unterstützt keine Anker. Das Modell kann wandern, wenn das Tracking verloren geht.',
+    'ar.placementSaved': 'Platzierung auf diesem Gerät gespeichert',
+    'ar.instructions.measure': 'Auf den Boden zielen und tippen, um Punkte zu setzen. Auf den ersten Punkt tippen, um eine Fläche zu schließen; Punkte rasten am Modell ein.',
+    'ar.instructions.annotate': 'Auf die Stelle des Modells tippen, zu der die Notiz gehört. Pins sind in der Reihenfolge der Notizen nummeriert.',
+    'ar.instructions.placed': 'Ziehen zum Verschieben, drehen zum Drehen, zwei Finger zum Skalieren. Auf ein Bauteil tippen, um es zu untersuchen, oder auf ein Objekt, um es einzeln zu bewegen; neben das Modell tippen, um es neu zu platzieren.',
+    'ar.instructions.placeOnSurface': 'Auf eine Fläche tippen, um das Modell zu platzieren',
+    'ar.instructions.place': 'Tippen, um das Modell zu platzieren',
+    'ar.dimension.width': 'B',
+    'ar.dimension.depth': 'T',
+    'ar.dimension.height': 'H',
+    'ar.enter': 'AR starten',
+    'ar.exit': 'AR beenden',
+    'ar.voice': 'Sprachführung',
+    'ar.coach.idle': 'Tippen Sie auf „AR starten“ und erlauben Sie die Kamera, um das Modell in Ihrem Raum zu sehen',
+    'ar.coach.scanning': 'Bewegen Sie das Telefon langsam, um den Boden zu erfassen',
+    'ar.coach.scanningSlow': 'Noch keine Fläche gefunden. Zielen Sie auf einen strukturierten, gut beleuchteten Boden und schwenken Sie das Telefon hin und her',
+    'ar.coach.tracking-limited': 'Tracking verloren. Halten Sie still und zielen Sie auf den erfassten Bereich',
+    'ar.coach.session-lost': 'Die AR-Sitzung wurde beendet. Tippen Sie auf „AR starten“, um fortzufahren',
+
+    'ar.error.catalog': 'Der Modellkatalog konnte nicht geladen werden: {message}',
+    'ar.error.unknownModel': 'Unbekanntes Modell „{id}“. Bitte wählen Sie eines der verfügbaren Modelle.',
+    'ar.error.noModels': 'Noch keine Modelle verfügbar.',
+    'ar.sessionSwitched': 'Die Sitzung ist zu {name} gewechselt. Starten Sie AR erneut, um es anzusehen.',
+
+    'preview.title': 'House Project AR - 3D-Vorschau',
+    'preview.description.meta': 'Sehen Sie sich Ihr Hausprojekt auf jedem Gerät in 3D an',
+    'preview.home': '← Startseite',
+    'preview.quality': 'Qualität:',
+    'preview.plans': 'Grundrisse',
+    'preview.viewInAR': 'In AR ansehen',
+
+    'loadError.not-found': 'Die Modelldatei wurde auf dem Server nicht gefunden.',
+    'loadError.missing-extension': 'Dieses Modell braucht Funktionen, die der Viewer nicht unterstützt ({extensions}).',
+    'loadError.parse-error': 'Die Modelldatei ist beschädigt oder kein gültiges glTF-Modell.',
+    'loadError.network': 'Das Modell konnte nicht heruntergeladen werden. Prüfen Sie Ihre Verbindung und versuchen Sie es erneut.',
+    'loadError.failed': 'Das 3D-Modell konnte nicht geladen werden. Bitte versuchen Sie es später erneut.',
+
+    'diagnostics.unsupported-browser.title': 'Dieser Browser kann kein AR anzeigen',
+    'diagnostics.unsupported-browser.help': 'Öffnen Sie die Seite in Chrome auf einem Android-Telefon mit ARCore oder sehen Sie sich das Modell in der 3D-Vorschau an.',
+    'diagnostics.camera-permission.title': 'Kein Zugriff auf die Kamera',
+    'diagnostics.camera-permission.help': 'Erlauben Sie den Kamerazugriff für diese Seite in den Website-Einstellungen des Browsers und versuchen Sie es erneut.',
+    'diagnostics.hit-test-unsupported.title': 'Dieses Gerät erkennt keine Flächen',
+    'diagnostics.hit-test-unsupported.help': 'Nutzen Sie die vereinfachte Platzierung, die das Modell vor die Kamera statt auf eine erkannte Fläche stellt.',
+    'diagnostics.low-light.title': 'Es ist zu dunkel',
+    'diagnostics.low-light.help': 'Bei wenig Licht sind Flächen schwer zu finden. Schalten Sie das Licht ein oder gehen Sie an einen helleren Ort.',
+    'diagnostics.session-failed.title': 'AR konnte nicht starten',
+    'diagnostics.session-failed.help': 'Schließen Sie andere Apps, die die Kamera nutzen, und versuchen Sie es erneut.',
+    'diagnostics.model-load.title': 'Das Modell konnte nicht geladen werden',
+    'diagnostics.model-load.help': 'Prüfen Sie Ihre Verbindung und gehen Sie zurück, um es erneut zu versuchen, oder wählen Sie ein anderes Modell.',
+    'diagnostics.start-failed.title': 'Die AR-Ansicht konnte nicht starten',
+    'diagnostics.start-failed.help': 'Laden Sie die Seite neu. Wenn es weiter scheitert, nutzen Sie die 3D-Vorschau.',
+    'diagnostics.details': 'Details',
+    'diagnostics.retry': 'Erneut versuchen',
+    'diagnostics.simplified': 'Vereinfachte Platzierung nutzen',
+    'diagnostics.dismiss': 'Schließen',
+
+    'common.close': 'Schließen',
+    'common.done': 'Fertig',
+    'common.save': 'Speichern',
+    'common.delete': 'Löschen',
+    'common.undo': 'Rückgängig',
+    'common.redo': 'Wiederholen',
+
+    'notes.button': '📌 Notizen',
+    'notes.buttonOpen': '📌 Notizen ({count} offen)',
+    'notes.title': 'Notizen',
+    'notes.add': 'Notiz hinzufügen',
+    'notes.cancel': 'Abbrechen',
+    'notes.exportCsv': 'CSV exportieren',
+    'notes.exportBcf': 'BCF exportieren',
+    'notes.tapModel': 'Auf die Stelle des Modells tippen, zu der die Notiz gehört.',
+    'notes.on': 'An {part}',
+    'notes.text': 'Notiz',
+    'notes.textPlaceholder': 'Was muss sich ändern?',
+    'notes.author': 'Verfasser',
+    'notes.authorPlaceholder': 'Ihr Name',
+    'notes.resolve': 'Erledigt',
+    'notes.reopen': 'Wieder öffnen',
+
+    'capture.photo': '📷 Foto',
+    'capture.record': '🎥 Aufnehmen',
+    'capture.stop': '⏹ Stopp {seconds} s / {max} s',
+    'capture.photoOf': 'Foto von {name}',
+    'capture.transparent': 'Dieses Gerät gibt sein Kamerabild nicht frei, deshalb zeigt das Foto das Modell vor transparentem Hintergrund.',
+    'capture.share': 'Teilen',
+    'capture.downloaded': 'Teilen ist hier nicht möglich, deshalb wurde die Datei heruntergeladen',
+    'capture.error.not-presenting': 'Starten Sie zuerst AR.',
+    'capture.error.busy': 'Es wird bereits ein Clip aufgenommen.',
+    'capture.error.encode-failed': 'Das Foto konnte nicht gespeichert werden.',
+    'capture.error.session-ended': 'AR wurde beendet, bevor das Foto gemacht wurde.',
+    'capture.error.empty': 'Der Clip ist leer.',
+    'capture.error.nothing-recorded': 'Es wurde nichts aufgenommen.',
+    'capture.error.recording-failed': 'Die Aufnahme ist fehlgeschlagen.',
+    'capture.error.failed': 'Die Aufnahme hat nicht funktioniert. Bitte versuchen Sie es erneut.',
+
+    'collab.button': '👥 Review-Sitzung',
+    'collab.start': 'Sitzung starten',
+    'collab.code': 'Beitrittscode',
+    'collab.join': 'Beitreten',
+    'collab.leave': 'Verlassen',
+    'collab.session': 'Sitzung',
+    'collab.status.connecting': 'Verbinden…',
+    'collab.status.connected': 'Verbunden',
+    'collab.status.reconnecting': 'Verbindung wird wiederhergestellt…',
+    'collab.role.ar': '{count} in AR',
+    'collab.role.preview': '{count} in 3D',
+    'collab.error.invalid-code': 'Das ist kein gültiger Beitrittscode.',
+    'collab.error.no-session': 'Es gibt keine Sitzung mit diesem Code.',
+    'collab.error.session-full': 'Diese Sitzung ist voll.',
+    'collab.error.too-many-sessions': 'Auf dem Server sind zu viele Sitzungen offen. Versuchen Sie es später erneut.',
+    'collab.error.unreachable': 'Der Server für Sitzungen ist nicht erreichbar.',
+    'collab.error.invalid-message': 'Der Server für Sitzungen hat diese Seite nicht verstanden. Laden Sie sie neu und versuchen Sie es erneut.',
+    'collab.error.failed': 'Der Sitzung konnte nicht beigetreten werden.',
+
+    'configurator.design': 'Entwurf:',
+    'configurator.slot': '{label}:',
+    'configurator.asModelled': 'Wie modelliert',
+
+    'layers.button': '▤ Geschosse & Schnitt',
+    'layers.title': 'Geschosse & Schnitt',
+    'layers.showAll': 'Alle Bauteile zeigen',
+    'layers.noStoreys': 'Keine Geschosse gefunden. Geschossknoten „Level 0“, „Level 1“... benennen.',
+    'layers.cutaway': 'Schnitt',
+    'layers.noCut': 'Kein Schnitt',
+    'layers.cutAt': 'Schnitt bei {storey}',
+    'layers.cutAtHeight': 'Schnitt in Höhe',
+    'layers.cutHeight': 'Schnitthöhe',
+
+    'measure.button': '📏 Messen',
+    'measure.buttonCount': '📏 Messen ({count})',
+    'measure.title': 'Messen',
+    'measure.endLine': 'Linie beenden',
+    'measure.closeShape': 'Fläche schließen',
+    'measure.clear': 'Leeren',
+    'measure.export': 'JSON exportieren',
+    'measure.line': 'Linie {number}:',
+    'measure.shape': 'Fläche {number}:',
+    'measure.measuring': '(wird gemessen)',
+
+    'minimap.button': '🗺 Karte',
+    'minimap.title': 'Karte',
+    'minimap.storey': 'Geschoss',
+    'minimap.current': 'Aktuelles Geschoss',
+    'minimap.currentNamed': 'Aktuell ({storey})',
+    'minimap.plan': 'Grundriss',
+    'minimap.placeFirst': 'Platzieren Sie das Modell, um zu sehen, wo Sie sind.',
+
+    'part.materials': 'Materialien',
+    'part.selectParent': 'Übergeordnetes wählen',
+    'part.hide': 'Ausblenden',
+    'part.isolate': 'Isolieren',
+
+    'scene.button': '🧩 Szene',
+    'scene.buttonCount': '🧩 Szene ({count})',
+    'scene.title': 'Szene',
+    'scene.add': 'Objekt hinzufügen',
+    'scene.addPrompt': 'Objekt hinzufügen…',
+    'scene.placeFirst': 'Modell platzieren, um Objekte hinzuzufügen',
+    'scene.props': 'Objekte',
+    'scene.models': 'Modelle',
+    'scene.anchor': '{name} (Anker)',
+    'scene.loading': 'Wird geladen…',
+    'scene.duplicate': 'Duplizieren',
+    'scene.save': 'JSON speichern',
+    'scene.load': 'JSON laden',
+    'scene.loadingFile': 'Szene wird geladen...',
+    'scene.loadFailed': '{count} Objekt(e) konnten nicht geladen werden',
+    'scene.invalidJson': 'Die Datei ist kein gültiges JSON',
+
+    'sun.button': '☀ Sonnenstudie',
+    'sun.title': 'Sonnenstudie',
+    'sun.latitude': 'Breitengrad',
+    'sun.longitude': 'Längengrad',
+    'sun.myLocation': 'Mein Standort',
+    'sun.date': 'Datum',
+    'sun.play': 'Tag abspielen',
+    'sun.pause': 'Pause',
+    'sun.alignNorth': 'Nach Norden ausrichten',
+    'sun.time': 'Tageszeit',
+    'sun.enterLocation': 'Geben Sie den Standort des Grundstücks ein oder verwenden Sie Ihren.',
+    'sun.position': 'Sonnenazimut {azimuth}°, Höhe {elevation}°',
+    'sun.belowHorizon': 'Die Sonne steht unter dem Horizont.',
+    'sun.noGeolocation': 'Der Standort ist auf diesem Gerät nicht verfügbar.',
+    'sun.locating': 'Standort wird ermittelt...',
+    'sun.locationFailed': 'Ihr Standort konnte nicht ermittelt werden: {message}',
+    'sun.noCompass': 'Kein Kompass verfügbar. Norden ist die Richtung, in die Sie beim Start von AR geschaut haben.',
+    'sun.compassSilent': 'Der Kompass hat nicht geantwortet. Norden ist die Richtung, in die Sie beim Start von AR geschaut haben.',
+    'sun.aligned': 'Nach Norden ausgerichtet (Kamerarichtung {heading}°)',
+    'sun.startFirst': 'Starten Sie die AR-Sitzung, bevor Sie nach Norden ausrichten.',
+
+    'performance.auto': 'Automatisch erkennen',
+    'performance.low': 'Einfaches Gerät',
+    'performance.medium': 'Mittelklasse-Gerät',
+    'performance.high': 'Leistungsstarkes Gerät',
+
+    'scale.fit': 'Tischmodell',
+    'scale.1:1': 'Originalgröße (1:1)',
+
+    'environment.overcast': 'Bewölkt',
+    'environment.noon': 'Mittag',
+    'environment.dusk': 'Abenddämmerung',
+
+    'variant.full': 'Volle Qualität',
+    'variant.ktx2': 'KTX2-Texturen',
+    'variant.draco': 'Draco-komprimiert',
+    'variant.low': 'Low-Poly',
+
+    'quality.minimal': 'Minimal',
+    'quality.low': 'Niedrig',
+    'quality.medium': 'Mittel',
+    'quality.high': 'Hoch'
+};
+
+export default messages;
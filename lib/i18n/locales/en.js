@@ -0,0 +1,265 @@
+// English messages, the reference catalog: every key is defined here and the
+// other locales fall back to it
+const messages = {
+    'app.name': 'House Project AR',
+    'preferences.language': 'Language',
+    'preferences.units': 'Units',
+    'units.metric': 'Metric',
+    'units.imperial': 'Imperial',
+
+    'nav.home': 'Home',
+    'nav.ar': 'AR Experience',
+    'nav.preview': '3D Preview',
+
+    'home.description.meta': 'House Project AR - View your 3D house model in augmented reality',
+    'home.title.before': 'View Your House Project in',
+    'home.title.highlight': 'Augmented Reality',
+    'home.title.after': '',
+    'home.description': 'Visualize your 3D house model in your real-world environment with our WebXR-powered AR viewer. No app installation required - works directly in your browser!',
+    'home.cta': 'Launch AR Experience',
+    'home.mobile.title': 'Mobile Friendly',
+    'home.mobile.text': 'Works on Android devices with Chrome browser. No app installation needed.',
+    'home.surfaces.title': 'Surface Detection',
+    'home.surfaces.text': 'Advanced surface detection allows you to place models on real-world surfaces.',
+    'home.interactive.title': 'Interactive',
+    'home.interactive.text': 'Tap to place your 3D models anywhere in your environment.',
+    'home.builtWith': 'Built with Next.js, Three.js and WebXR',
+    'home.copyright': '© 2024 House Project AR. All rights reserved.',
+
+    'ar.title': 'House Project AR - AR Experience',
+    'ar.description.meta': 'View your house project in augmented reality with Next.js and Three.js',
+    'ar.heading': 'House Project AR Viewer',
+    'ar.intro': 'Place your house project in augmented reality',
+    'ar.previewInstead': 'Open the 3D preview instead',
+    'ar.preview': '3D preview',
+    'ar.model': 'Model:',
+    'ar.chooseModel': 'Choose a model',
+    'ar.loadingModels': 'Loading models...',
+    'ar.performance': 'Device Performance:',
+    'ar.scale': 'Scale:',
+    'ar.lighting': 'Lighting:',
+    'ar.units': 'Units:',
+    'ar.start': 'Start AR Experience',
+    'ar.notSupported': 'AR Not Supported',
+    'ar.back': '← Back',
+    'ar.loading': 'Loading model... {progress}%',
+    'ar.loadingVariant': 'Loading model ({variant})... {progress}%',
+    'ar.quality': 'Quality: {tier}',
+    'ar.realLighting': 'Real-world lighting',
+    'ar.anchorsUnsupported': 'Anchors are not supported on this device. The model may drift when tracking is lost.',
+    'ar.placementSaved': 'Placement saved on this device',
+    'ar.instructions.measure': 'Aim at the ground and tap to add points. Tap the first point to close a shape; points snap to the model.',
+    'ar.instructions.annotate': 'Tap the model where the note belongs. Pins are numbered in the order notes were made.',
+    'ar.instructions.placed': 'Drag to move, twist to rotate, pinch to resize. Tap a part to inspect it or a prop to move it on its own; tap beside the model to re-place.',
+    'ar.instructions.placeOnSurface': 'Tap on a surface to place the model',
+    'ar.instructions.place': 'Tap to place the model',
+    'ar.dimension.width': 'W',
+    'ar.dimension.depth': 'D',
+    'ar.dimension.height': 'H',
+    'ar.enter': 'Start AR',
+    'ar.exit': 'Stop AR',
+    'ar.voice': 'Voice guidance',
+    'ar.coach.idle': 'Press Start AR and allow the camera to see the model in your room',
+    'ar.coach.scanning': 'Move your phone slowly to scan the floor',
+    'ar.coach.scanningSlow': 'Still looking for a surface. Aim at a textured, well-lit floor and sweep your phone from side to side',
+    'ar.coach.tracking-limited': 'Tracking lost. Hold still and point at the area you scanned',
+    'ar.coach.session-lost': 'The AR session ended. Press Start AR to continue',
+
+    'ar.error.catalog': 'Could not load the model catalog: {message}',
+    'ar.error.unknownModel': 'Unknown model "{id}". Please choose one of the available models.',
+    'ar.error.noModels': 'No models are available yet.',
+    'ar.sessionSwitched': 'The session switched to {name}. Start AR again to view it.',
+
+    'preview.title': 'House Project AR - 3D Preview',
+    'preview.description.meta': 'Preview your house project in 3D on any device',
+    'preview.home': '← Home',
+    'preview.quality': 'Quality:',
+    'preview.plans': 'Floor plans',
+    'preview.viewInAR': 'View in AR',
+
+    'loadError.not-found': 'The model file could not be found on the server.',
+    'loadError.missing-extension': 'This model needs features the viewer does not support ({extensions}).',
+    'loadError.parse-error': 'The model file is damaged or not a valid glTF model.',
+    'loadError.network': 'Could not download the model. Check your connection and try again.',
+    'loadError.failed': 'Could not load 3D model. Please try again later.',
+
+    'diagnostics.unsupported-browser.title': 'This browser cannot show AR',
+    'diagnostics.unsupported-browser.help': 'Open this page in Chrome on an Android phone with ARCore, or look at the model in the 3D preview.',
+    'diagnostics.camera-permission.title': 'No access to the camera',
+    'diagnostics.camera-permission.help': 'Allow camera access for this site in the browser\'s site settings, then try again.',
+    'diagnostics.hit-test-unsupported.title': 'This device cannot detect surfaces',
+    'diagnostics.hit-test-unsupported.help': 'Use simplified placement, which puts the model in front of the camera instead of on a detected surface.',
+    'diagnostics.low-light.title': 'It is too dark',
+    'diagnostics.low-light.help': 'Surfaces are hard to find in low light. Turn on the lights or move to a brighter spot.',
+    'diagnostics.session-failed.title': 'AR could not start',
+    'diagnostics.session-failed.help': 'Close other apps using the camera and try again.',
+    'diagnostics.model-load.title': 'The model could not be loaded',
+    'diagnostics.model-load.help': 'Check your connection and go back to try again, or choose another model.',
+    'diagnostics.start-failed.title': 'The AR view could not start',
+    'diagnostics.start-failed.help': 'Reload the page. If it keeps failing, use the 3D preview.',
+    'diagnostics.details': 'Details',
+    'diagnostics.retry': 'Try again',
+    'diagnostics.simplified': 'Use simplified placement',
+    'diagnostics.dismiss': 'Dismiss',
+
+    'common.close': 'Close',
+    'common.done': 'Done',
+    'common.save': 'Save',
+    'common.delete': 'Delete',
+    'common.undo': 'Undo',
+    'common.redo': 'Redo',
+
+    'notes.button': '📌 Notes',
+    'notes.buttonOpen': '📌 Notes ({count} open)',
+    'notes.title': 'Notes',
+    'notes.add': 'Add note',
+    'notes.cancel': 'Cancel',
+    'notes.exportCsv': 'Export CSV',
+    'notes.exportBcf': 'Export BCF',
+    'notes.tapModel': 'Tap the model where the note belongs.',
+    'notes.on': 'On {part}',
+    'notes.text': 'Note',
+    'notes.textPlaceholder': 'What needs to change?',
+    'notes.author': 'Author',
+    'notes.authorPlaceholder': 'Your name',
+    'notes.resolve': 'Resolve',
+    'notes.reopen': 'Reopen',
+
+    'capture.photo': '📷 Photo',
+    'capture.record': '🎥 Record',
+    'capture.stop': '⏹ Stop {seconds}s / {max}s',
+    'capture.photoOf': 'Photo of {name}',
+    'capture.transparent': 'This device does not share its camera image, so the photo shows the model on a transparent background.',
+    'capture.share': 'Share',
+    'capture.downloaded': 'Sharing is not available here, so the file was downloaded',
+    'capture.error.not-presenting': 'Start AR first.',
+    'capture.error.busy': 'A clip is already recording.',
+    'capture.error.encode-failed': 'The photo could not be saved.',
+    'capture.error.session-ended': 'AR ended before the photo was taken.',
+    'capture.error.empty': 'The clip is empty.',
+    'capture.error.nothing-recorded': 'Nothing was recorded.',
+    'capture.error.recording-failed': 'Recording failed.',
+    'capture.error.failed': 'The capture did not work. Please try again.',
+
+    'collab.button': '👥 Review session',
+    'collab.start': 'Start a session',
+    'collab.code': 'Join code',
+    'collab.join': 'Join',
+    'collab.leave': 'Leave',
+    'collab.session': 'Session',
+    'collab.status.connecting': 'Connecting…',
+    'collab.status.connected': 'Connected',
+    'collab.status.reconnecting': 'Reconnecting…',
+    'collab.role.ar': '{count} in AR',
+    'collab.role.preview': '{count} in 3D',
+    'collab.error.invalid-code': 'That is not a valid join code.',
+    'collab.error.no-session': 'There is no session with that code.',
+    'collab.error.session-full': 'This session is full.',
+    'collab.error.too-many-sessions': 'The server has too many open sessions. Try again later.',
+    'collab.error.unreachable': 'Could not reach the review session server.',
+    'collab.error.invalid-message': 'The review session server did not understand this page. Reload it and try again.',
+    'collab.error.failed': 'The review session could not be joined.',
+
+    'configurator.design': 'Design:',
+    'configurator.slot': '{label}:',
+    'configurator.asModelled': 'As modelled',
+
+    'layers.button': '▤ Storeys & cut',
+    'layers.title': 'Storeys & cut',
+    'layers.showAll': 'Show all parts',
+    'layers.noStoreys': 'No storeys found. Name storey nodes "Level 0", "Level 1"...',
+    'layers.cutaway': 'Cutaway',
+    'layers.noCut': 'No cut',
+    'layers.cutAt': 'Cut at {storey}',
+    'layers.cutAtHeight': 'Cut at height',
+    'layers.cutHeight': 'Cut height',
+
+    'measure.button': '📏 Measure',
+    'measure.buttonCount': '📏 Measure ({count})',
+    'measure.title': 'Measure',
+    'measure.endLine': 'End line',
+    'measure.closeShape': 'Close shape',
+    'measure.clear': 'Clear',
+    'measure.export': 'Export JSON',
+    'measure.line': 'Line {number}:',
+    'measure.shape': 'Shape {number}:',
+    'measure.measuring': '(measuring)',
+
+    'minimap.button': '🗺 Map',
+    'minimap.title': 'Map',
+    'minimap.storey': 'Storey',
+    'minimap.current': 'Current storey',
+    'minimap.currentNamed': 'Current ({storey})',
+    'minimap.plan': 'Floor plan',
+    'minimap.placeFirst': 'Place the model to see where you are.',
+
+    'part.materials': 'Materials',
+    'part.selectParent': 'Select parent',
+    'part.hide': 'Hide',
+    'part.isolate': 'Isolate',
+
+    'scene.button': '🧩 Scene',
+    'scene.buttonCount': '🧩 Scene ({count})',
+    'scene.title': 'Scene',
+    'scene.add': 'Add object',
+    'scene.addPrompt': 'Add object…',
+    'scene.placeFirst': 'Place the model to add objects',
+    'scene.props': 'Props',
+    'scene.models': 'Models',
+    'scene.anchor': '{name} (anchor)',
+    'scene.loading': 'Loading…',
+    'scene.duplicate': 'Duplicate',
+    'scene.save': 'Save JSON',
+    'scene.load': 'Load JSON',
+    'scene.loadingFile': 'Loading scene...',
+    'scene.loadFailed': '{count} object(s) could not be loaded',
+    'scene.invalidJson': 'The file is not valid JSON',
+
+    'sun.button': '☀ Sun study',
+    'sun.title': 'Sun study',
+    'sun.latitude': 'Latitude',
+    'sun.longitude': 'Longitude',
+    'sun.myLocation': 'My location',
+    'sun.date': 'Date',
+    'sun.play': 'Play day',
+    'sun.pause': 'Pause',
+    'sun.alignNorth': 'Align north',
+    'sun.time': 'Time of day',
+    'sun.enterLocation': 'Enter the site location or use yours.',
+    'sun.position': 'Sun azimuth {azimuth}°, elevation {elevation}°',
+    'sun.belowHorizon': 'The sun is below the horizon.',
+    'sun.noGeolocation': 'Location is not available on this device.',
+    'sun.locating': 'Locating...',
+    'sun.locationFailed': 'Could not get your location: {message}',
+    'sun.noCompass': 'No compass available. North is the direction you faced when AR started.',
+    'sun.compassSilent': 'The compass did not respond. North is the direction you faced when AR started.',
+    'sun.aligned': 'Aligned to north (camera heading {heading}°)',
+    'sun.startFirst': 'Start the AR session before aligning to north.',
+
+    'performance.auto': 'Auto-detect',
+    'performance.low': 'Low-end Device',
+    'performance.medium': 'Mid-range Device',
+    'performance.high': 'High-end Device',
+
+    'scale.fit': 'Tabletop',
+    'scale.1:1': 'Real size (1:1)',
+    'scale.1:50': '1:50',
+    'scale.1:100': '1:100',
+    'scale.1:200': '1:200',
+
+    'environment.overcast': 'Overcast',
+    'environment.noon': 'Noon',
+    'environment.dusk': 'Dusk',
+
+    'variant.full': 'Full quality',
+    'variant.ktx2': 'KTX2 textures',
+    'variant.draco': 'Draco compressed',
+    'variant.low': 'Low-poly',
+
+    'quality.minimal': 'Minimal',
+    'quality.low': 'Low',
+    'quality.medium': 'Medium',
+    'quality.high': 'High'
+};
+
+export default messages;
@@ -0,0 +1,260 @@
+// French messages
+const messages = {
+    'preferences.language': 'Langue',
+    'preferences.units': 'Unités',
+    'units.metric': 'Métrique',
+    'units.imperial': 'Impérial',
+
+    'nav.home': 'Accueil',
+    'nav.ar': 'Réalité augmentée',
+    'nav.preview': 'Aperçu 3D',
+
+    'home.description.meta': 'House Project AR - Voyez votre maquette 3D de maison en réalité augmentée',
+    'home.title.before': 'Voyez votre projet de maison en',
+    'home.title.highlight': 'réalité augmentée',
+    'home.title.after': '',
+    'home.description': 'Visualisez votre maquette 3D dans votre environnement réel grâce à notre visionneuse AR basée sur WebXR. Aucune application à installer : tout fonctionne dans le navigateur !',
+    'home.cta': 'Lancer la réalité augmentée',
+    'home.mobile.title': 'Adapté aux mobiles',
+    'home.mobile.text': 'Fonctionne sur les appareils Android avec Chrome. Aucune application à installer.',
+    'home.surfaces.title': 'Détection des surfaces',
+    'home.surfaces.text': 'La détection des surfaces permet de poser les maquettes sur des surfaces réelles.',
+    'home.interactive.title': 'Interactif',
+    'home.interactive.text': 'Touchez l’écran pour poser vos maquettes 3D où vous voulez.',
+    'home.builtWith': 'Réalisé avec Next.js, Three.js et WebXR',
+    'home.copyright': '© 2024 House Project AR. Tous droits réservés.',
+
+    'ar.title': 'House Project AR - Réalité augmentée',
+    'ar.description.meta': 'Voyez votre projet de maison en réalité augmentée avec Next.js et Three.js',
+    'ar.heading': 'Visionneuse AR House Project',
+    'ar.intro': 'Placez votre projet de maison en réalité augmentée',
+    'ar.previewInstead': 'Ouvrir plutôt l’aperçu 3D',
+    'ar.preview': 'Aperçu 3D',
+    'ar.model': 'Maquette :',
+    'ar.chooseModel': 'Choisir une maquette',
+    'ar.loadingModels': 'Chargement des maquettes...',
+    'ar.performance': 'Performances de l’appareil :',
+    'ar.scale': 'Échelle :',
+    'ar.lighting': 'Éclairage :',
+    'ar.units': 'Unités :',
+    'ar.start': 'Démarrer la réalité augmentée',
+    'ar.notSupported': 'AR non prise en charge',
+    'ar.back': '← Retour',
+    'ar.loading': 'Chargement de la maquette... {progress} %',
+    'ar.loadingVariant': 'Chargement de la maquette ({variant})... {progress} %',
+    'ar.quality': 'Qualité : {tier}',
+    'ar.realLighting': 'Éclairage réel',
+    'ar.anchorsUnsupported': 'Cet appareil ne prend pas en charge les ancres. La maquette peut dériver si le suivi est perdu.',
+    'ar.placementSaved': 'Position enregistrée sur cet appareil',
+    'ar.instructions.measure': 'Visez le sol et touchez pour ajouter des points. Touchez le premier point pour fermer une forme ; les points s’accrochent à la maquette.',
+    'ar.instructions.annotate': 'Touchez la maquette là où la note doit aller. Les repères sont numérotés dans l’ordre des notes.',
+    'ar.instructions.placed': 'Glissez pour déplacer, tournez pour pivoter, pincez pour redimensionner. Touchez une partie pour l’inspecter ou un objet pour le déplacer seul ; touchez à côté de la maquette pour la replacer.',
+    'ar.instructions.placeOnSurface': 'Touchez une surface pour placer la maquette',
+    'ar.instructions.place': 'Touchez pour placer la maquette',
+    'ar.dimension.width': 'L',
+    'ar.dimension.depth': 'P',
+    'ar.dimension.height': 'H',
+    'ar.enter': 'Démarrer l’AR',
+    'ar.exit': 'Arrêter l’AR',
+    'ar.voice': 'Guidage vocal',
+    'ar.coach.idle': 'Appuyez sur « Démarrer l’AR » et autorisez la caméra pour voir la maquette dans votre pièce',
+    'ar.coach.scanning': 'Déplacez lentement le téléphone pour balayer le sol',
+    'ar.coach.scanningSlow': 'Aucune surface trouvée pour l’instant. Visez un sol texturé et bien éclairé en balayant d’un côté à l’autre',
+    'ar.coach.tracking-limited': 'Suivi perdu. Restez immobile et visez la zone déjà balayée',
+    'ar.coach.session-lost': 'La session AR s’est terminée. Appuyez sur « Démarrer l’AR » pour continuer',
+
+    'ar.error.catalog': 'Impossible de charger le catalogue : {message}',
+    'ar.error.unknownModel': 'Maquette « {id} » inconnue. Choisissez l’une des maquettes disponibles.',
+    'ar.error.noModels': 'Aucune maquette n’est encore disponible.',
+    'ar.sessionSwitched': 'La session est passée à {name}. Redémarrez l’AR pour la voir.',
+
+    'preview.title': 'House Project AR - Aperçu 3D',
+    'preview.description.meta': 'Prévisualisez votre projet de maison en 3D sur n’importe quel appareil',
+    'preview.home': '← Accueil',
+    'preview.quality': 'Qualité :',
+    'preview.plans': 'Plans d’étage',
+    'preview.viewInAR': 'Voir en AR',
+
+    'loadError.not-found': 'Le fichier de la maquette est introuvable sur le serveur.',
+    'loadError.missing-extension': 'Cette maquette a besoin de fonctions que la visionneuse ne prend pas en charge ({extensions}).',
+    'loadError.parse-error': 'Le fichier de la maquette est endommagé ou n’est pas un modèle glTF valide.',
+    'loadError.network': 'Impossible de télécharger la maquette. Vérifiez votre connexion et réessayez.',
+    'loadError.failed': 'Impossible de charger la maquette 3D. Veuillez réessayer plus tard.',
+
+    'diagnostics.unsupported-browser.title': 'Ce navigateur ne peut pas afficher l’AR',
+    'diagnostics.unsupported-browser.help': 'Ouvrez cette page dans Chrome sur un téléphone Android avec ARCore, ou regardez la maquette dans l’aperçu 3D.',
+    'diagnostics.camera-permission.title': 'Pas d’accès à la caméra',
+    'diagnostics.camera-permission.help': 'Autorisez l’accès à la caméra pour ce site dans les paramètres du navigateur, puis réessayez.',
+    'diagnostics.hit-test-unsupported.title': 'Cet appareil ne détecte pas les surfaces',
+    'diagnostics.hit-test-unsupported.help': 'Utilisez le placement simplifié, qui pose la maquette devant la caméra plutôt que sur une surface détectée.',
+    'diagnostics.low-light.title': 'Il fait trop sombre',
+    'diagnostics.low-light.help': 'Les surfaces sont difficiles à trouver avec peu de lumière. Allumez la lumière ou allez dans un endroit plus clair.',
+    'diagnostics.session-failed.title': 'L’AR n’a pas pu démarrer',
+    'diagnostics.session-failed.help': 'Fermez les autres applications qui utilisent la caméra et réessayez.',
+    'diagnostics.model-load.title': 'La maquette n’a pas pu être chargée',
+    'diagnostics.model-load.help': 'Vérifiez votre connexion et revenez en arrière pour réessayer, ou choisissez une autre maquette.',
+    'diagnostics.start-failed.title': 'La vue AR n’a pas pu démarrer',
+    'diagnostics.start-failed.help': 'Rechargez la page. Si l’échec persiste, utilisez l’aperçu 3D.',
+    'diagnostics.details': 'Détails',
+    'diagnostics.retry': 'Réessayer',
+    'diagnostics.simplified': 'Utiliser le placement simplifié',
+    'diagnostics.dismiss': 'Fermer',
+
+    'common.close': 'Fermer',
+    'common.done': 'Terminé',
+    'common.save': 'Enregistrer',
+    'common.delete': 'Supprimer',
+    'common.undo': 'Annuler',
+    'common.redo': 'Rétablir',
+
+    'notes.button': '📌 Notes',
+    'notes.buttonOpen': '📌 Notes ({count} ouvertes)',
+    'notes.title': 'Notes',
+    'notes.add': 'Ajouter une note',
+    'notes.cancel': 'Annuler',
+    'notes.exportCsv': 'Exporter en CSV',
+    'notes.exportBcf': 'Exporter en BCF',
+    'notes.tapModel': 'Touchez la maquette là où la note doit aller.',
+    'notes.on': 'Sur {part}',
+    'notes.text': 'Note',
+    'notes.textPlaceholder': 'Que faut-il changer ?',
+    'notes.author': 'Auteur',
+    'notes.authorPlaceholder': 'Votre nom',
+    'notes.resolve': 'Résoudre',
+    'notes.reopen': 'Rouvrir',
+
+    'capture.photo': '📷 Photo',
+    'capture.record': '🎥 Filmer',
+    'capture.stop': '⏹ Arrêter {seconds} s / {max} s',
+    'capture.photoOf': 'Photo de {name}',
+    'capture.transparent': 'Cet appareil ne partage pas l’image de sa caméra : la photo montre la maquette sur un fond transparent.',
+    'capture.share': 'Partager',
+    'capture.downloaded': 'Le partage n’est pas disponible ici : le fichier a été téléchargé',
+    'capture.error.not-presenting': 'Lancez d’abord l’AR.',
+    'capture.error.busy': 'Un clip est déjà en cours d’enregistrement.',
+    'capture.error.encode-failed': 'La photo n’a pas pu être enregistrée.',
+    'capture.error.session-ended': 'L’AR s’est arrêtée avant la prise de la photo.',
+    'capture.error.empty': 'Le clip est vide.',
+    'capture.error.nothing-recorded': 'Rien n’a été enregistré.',
+    'capture.error.recording-failed': 'L’enregistrement a échoué.',
+    'capture.error.failed': 'La capture n’a pas fonctionné. Veuillez réessayer.',
+
+    'collab.button': '👥 Session de revue',
+    'collab.start': 'Démarrer une session',
+    'collab.code': 'Code de la session',
+    'collab.join': 'Rejoindre',
+    'collab.leave': 'Quitter',
+    'collab.session': 'Session',
+    'collab.status.connecting': 'Connexion…',
+    'collab.status.connected': 'Connecté',
+    'collab.status.reconnecting': 'Reconnexion…',
+    'collab.role.ar': '{count} en AR',
+    'collab.role.preview': '{count} en 3D',
+    'collab.error.invalid-code': 'Ce code de session n’est pas valide.',
+    'collab.error.no-session': 'Aucune session ne correspond à ce code.',
+    'collab.error.session-full': 'Cette session est complète.',
+    'collab.error.too-many-sessions': 'Le serveur a trop de sessions ouvertes. Réessayez plus tard.',
+    'collab.error.unreachable': 'Impossible de joindre le serveur des sessions de revue.',
+    'collab.error.invalid-message': 'Le serveur des sessions de revue n’a pas compris cette page. Rechargez-la et réessayez.',
+    'collab.error.failed': 'Impossible de rejoindre la session de revue.',
+
+    'configurator.design': 'Variante :',
+    'configurator.slot': '{label} :',
+    'configurator.asModelled': 'Tel que modélisé',
+
+    'layers.button': '▤ Niveaux et coupe',
+    'layers.title': 'Niveaux et coupe',
+    'layers.showAll': 'Afficher toutes les parties',
+    'layers.noStoreys': 'Aucun niveau trouvé. Nommez les nœuds de niveau « Level 0 », « Level 1 »...',
+    'layers.cutaway': 'Coupe',
+    'layers.noCut': 'Sans coupe',
+    'layers.cutAt': 'Coupe à {storey}',
+    'layers.cutAtHeight': 'Coupe à une hauteur',
+    'layers.cutHeight': 'Hauteur de coupe',
+
+    'measure.button': '📏 Mesurer',
+    'measure.buttonCount': '📏 Mesurer ({count})',
+    'measure.title': 'Mesurer',
+    'measure.endLine': 'Terminer la ligne',
+    'measure.closeShape': 'Fermer la forme',
+    'measure.clear': 'Effacer',
+    'measure.export': 'Exporter en JSON',
+    'measure.line': 'Ligne {number} :',
+    'measure.shape': 'Forme {number} :',
+    'measure.measuring': '(mesure en cours)',
+
+    'minimap.button': '🗺 Plan',
+    'minimap.title': 'Plan',
+    'minimap.storey': 'Niveau',
+    'minimap.current': 'Niveau actuel',
+    'minimap.currentNamed': 'Actuel ({storey})',
+    'minimap.plan': 'Plan d’étage',
+    'minimap.placeFirst': 'Placez la maquette pour voir où vous êtes.',
+
+    'part.materials': 'Matériaux',
+    'part.selectParent': 'Sélectionner le parent',
+    'part.hide': 'Masquer',
+    'part.isolate': 'Isoler',
+
+    'scene.button': '🧩 Scène',
+    'scene.buttonCount': '🧩 Scène ({count})',
+    'scene.title': 'Scène',
+    'scene.add': 'Ajouter un objet',
+    'scene.addPrompt': 'Ajouter un objet…',
+    'scene.placeFirst': 'Placez la maquette pour ajouter des objets',
+    'scene.props': 'Objets',
+    'scene.models': 'Maquettes',
+    'scene.anchor': '{name} (ancre)',
+    'scene.loading': 'Chargement…',
+    'scene.duplicate': 'Dupliquer',
+    'scene.save': 'Enregistrer en JSON',
+    'scene.load': 'Charger un JSON',
+    'scene.loadingFile': 'Chargement de la scène...',
+    'scene.loadFailed': '{count} objet(s) n’ont pas pu être chargés',
+    'scene.invalidJson': 'Le fichier n’est pas un JSON valide',
+
+    'sun.button': '☀ Étude d’ensoleillement',
+    'sun.title': 'Étude d’ensoleillement',
+    'sun.latitude': 'Latitude',
+    'sun.longitude': 'Longitude',
+    'sun.myLocation': 'Ma position',
+    'sun.date': 'Date',
+    'sun.play': 'Lire la journée',
+    'sun.pause': 'Pause',
+    'sun.alignNorth': 'Aligner au nord',
+    'sun.time': 'Heure de la journée',
+    'sun.enterLocation': 'Saisissez l’emplacement du terrain ou utilisez le vôtre.',
+    'sun.position': 'Azimut du soleil {azimuth}°, hauteur {elevation}°',
+    'sun.belowHorizon': 'Le soleil est sous l’horizon.',
+    'sun.noGeolocation': 'La localisation n’est pas disponible sur cet appareil.',
+    'sun.locating': 'Localisation...',
+    'sun.locationFailed': 'Impossible d’obtenir votre position : {message}',
+    'sun.noCompass': 'Aucune boussole disponible. Le nord est la direction dans laquelle vous regardiez au démarrage de l’AR.',
+    'sun.compassSilent': 'La boussole n’a pas répondu. Le nord est la direction dans laquelle vous regardiez au démarrage de l’AR.',
+    'sun.aligned': 'Aligné au nord (cap de la caméra {heading}°)',
+    'sun.startFirst': 'Démarrez la session AR avant d’aligner au nord.',
+
+    'performance.auto': 'Détection automatique',
+    'performance.low': 'Appareil d’entrée de gamme',
+    'performance.medium': 'Appareil milieu de gamme',
+    'performance.high': 'Appareil haut de gamme',
+
+    'scale.fit': 'Sur table',
+    'scale.1:1': 'Taille réelle (1:1)',
+
+    'environment.overcast': 'Couvert',
+    'environment.noon': 'Midi',
+    'environment.dusk': 'Crépuscule',
+
+    'variant.full': 'Qualité maximale',
+    'variant.ktx2': 'Textures KTX2',
+    'variant.draco': 'Compression Draco',
+    'variant.low': 'Basse résolution',
+
+    'quality.minimal': 'Minimale',
+    'quality.low': 'Basse',
+    'quality.medium': 'Moyenne',
+    'quality.high': 'Haute'
+};
+
+export default messages;
@@ -0,0 +1,34 @@
+import en from './locales/en.js';
+import de from './locales/de.js';
+import fr from './locales/fr.js';
+import ar from './locales/ar.js';
+
+// Message catalogs of the user interface. Keys are flat ('ar.start'), values
+// may hold {name} placeholders. Locales are also configured in
+// next.config.mjs, which picks one from Accept-Language on the home page.
+
+export const CATALOGS = { en, de, fr, ar };
+export const LOCALES = Object.keys(CATALOGS);
+export const DEFAULT_LOCALE = 'en';
+
+// Names of the locales in their own language, for the language switcher
+export const LOCALE_NAMES = {
+    en: 'English',
+    de: 'Deutsch',
+    fr: 'Français',
+    ar: 'العربية'
+};
+
+const RTL_LOCALES = ['ar'];
+
+// 'rtl' for right-to-left scripts, otherwise 'ltr'
+export const textDirection = locale => (RTL_LOCALES.includes(locale) ? 'rtl' : 'ltr');
+
+// Message `key` of `locale` with its placeholders filled from `params`.
+// Falls back to English, then to the key itself, so a missing translation
+// shows up without breaking the page.
+export function translate(locale, key, params = {}) {
+    const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+    const message = key in catalog ? catalog[key] : key in CATALOGS[DEFAULT_LOCALE] ? CATALOGS[DEFAULT_LOCALE][key] : key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
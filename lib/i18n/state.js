@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { DEFAULT_LOCALE, textDirection, translate } from './messages.js';
+import { defaultUnitSystem, UNIT_SYSTEMS } from '../units.js';
+
+const UNITS_STORAGE_KEY = 'house-ar:units';
+
+// Messages of the page's locale, which Next.js takes from the URL
+// (/de/ar), the NEXT_LOCALE cookie or Accept-Language.
+// Returns { locale, dir, t(key, params) }
+export function useTranslation() {
+    const { locale = DEFAULT_LOCALE } = useRouter();
+    return {
+        locale,
+        dir: textDirection(locale),
+        t: (key, params) => translate(locale, key, params)
+    };
+}
+
+// The user's unit system for lengths, 'metric' or 'imperial', remembered on
+// this device. Until chosen it follows the region of the browser's language.
+// Returns [system, setSystem(system)]
+export function useUnitSystem() {
+    const [system, setSystem] = useState('metric');
+
+    useEffect(() => {
+        let stored = null;
+        try {
+            stored = window.localStorage.getItem(UNITS_STORAGE_KEY);
+        } catch {
+            // Storage can be unavailable in private browsing
+        }
+        setSystem(UNIT_SYSTEMS.includes(stored)
+            ? stored
+            : defaultUnitSystem(navigator.languages || [navigator.language]));
+    }, []);
+
+    const select = (next) => {
+        setSystem(next);
+        try {
+            window.localStorage.setItem(UNITS_STORAGE_KEY, next);
+        } catch {
+            // Not remembering the choice is fine
+        }
+    };
+
+    return [system, select];
+}
@@ -0,0 +1,78 @@
+// Geometry of on-site measurements, shared by the AR measure tool and its
+// JSON export. Points are { x, y, z } in meters in the XR reference space,
+// with y up.
+
+export const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+
+// Length of each segment; closed shapes include the closing segment
+export function segmentLengths(points, closed = false) {
+    const lengths = [];
+    for (let i = 1; i < points.length; i++) {
+        lengths.push(distance(points[i - 1], points[i]));
+    }
+    if (closed && points.length > 2) {
+        lengths.push(distance(points[points.length - 1], points[0]));
+    }
+    return lengths;
+}
+
+export const pathLength = (points, closed = false) => segmentLengths(points, closed).reduce((total, length) => total + length, 0);
+
+// Area of a closed shape projected onto the ground (shoelace formula on x/z),
+// which is what lot and footprint areas mean
+export function polygonArea(points) {
+    if (points.length < 3) return 0;
+    let twiceArea = 0;
+    points.forEach((point, i) => {
+        const next = points[(i + 1) % points.length];
+        twiceArea += point.x * next.z - next.x * point.z;
+    });
+    return Math.abs(twiceArea) / 2;
+}
+
+// Average of the points, where the area label goes
+export function centroid(points) {
+    const sum = points.reduce((total, point) => ({
+        x: total.x + point.x,
+        y: total.y + point.y,
+        z: total.z + point.z
+    }), { x: 0, y: 0, z: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length, z: sum.z / points.length };
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Summary of one measurement: { type, points, closed, lengths, length, area }
+export function describeMeasurement({ points, closed }) {
+    const isPolygon = closed && points.length > 2;
+    return {
+        type: isPolygon ? 'polygon' : 'polyline',
+        points,
+        closed: isPolygon,
+        lengths: segmentLengths(points, isPolygon),
+        length: pathLength(points, isPolygon),
+        area: isPolygon ? polygonArea(points) : null
+    };
+}
+
+// Export format, version 1. Coordinates and lengths are meters, areas
+// square meters, rounded to millimeters.
+export function measurementsToJSON(measurements, { modelId = null, referenceSpace = null } = {}) {
+    return {
+        version: 1,
+        units: 'm',
+        model: modelId,
+        referenceSpace,
+        createdAt: new Date().toISOString(),
+        measurements: measurements.map((measurement) => {
+            const { type, points, lengths, length, area } = describeMeasurement(measurement);
+            return {
+                type,
+                points: points.map(point => [round(point.x), round(point.y), round(point.z)]),
+                lengths: lengths.map(round),
+                length: round(length),
+                area: area === null ? null : round(area)
+            };
+        })
+    };
+}
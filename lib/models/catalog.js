@@ -0,0 +1,349 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { DEFAULT_UNITS, isKnownUnit, metersPerUnit } from '../units.js';
+import { VARIANT_TYPES } from '../variants.js';
+import { computeSceneBounds, externalUris, GLB_HEADER_LENGTH, parseGlb } from './gltf.js';
+
+// Server-side model catalog. Scans public/models and the upload directory
+// for glTF assets and describes each one so the AR page can offer a picker.
+
+export const MODELS_DIR = path.join(process.cwd(), 'public', 'models');
+export const MODELS_URL = '/models';
+
+// Uploads live outside public/ because Next.js only serves files that
+// existed at build time; /api/models/files streams them instead.
+export const UPLOADS_DIR = process.env.MODELS_UPLOAD_DIR || path.join(process.cwd(), 'data', 'models');
+export const UPLOADS_URL = '/api/models/files';
+
+const SOURCES = [
+    { name: 'bundled', dir: MODELS_DIR, url: MODELS_URL },
+    { name: 'uploaded', dir: UPLOADS_DIR, url: UPLOADS_URL }
+];
+
+const MODEL_FORMATS = {
+    '.gltf': 'gltf',
+    '.glb': 'glb'
+};
+
+// Prebuilt level-of-detail files written by scripts/generate-lods.mjs
+export const LOD_SUFFIX = '.lod.glb';
+
+// Alternative versions of a model, <model>.<type>.glb (see lib/variants.js)
+const VARIANT_FILE = new RegExp(`\\.(${VARIANT_TYPES.filter(type => type !== 'full').join('|')})\\.(glb|gltf)$`, 'i');
+
+// Catalog entries are source models only, not their LODs or variants
+const isModelFile = (name) =>
+    Boolean(MODEL_FORMATS[path.extname(name).toLowerCase()]) &&
+    !name.toLowerCase().endsWith(LOD_SUFFIX) &&
+    !VARIANT_FILE.test(name);
+
+export function lodFileName(file) {
+    return file.slice(0, -path.extname(file).length) + LOD_SUFFIX;
+}
+
+// Optional per-model settings, e.g. { "units": "feet" } for exports that
+// ignore the glTF convention of meters
+export const META_SUFFIX = '.model.json';
+
+export function metaFileName(file) {
+    return file.slice(0, -path.extname(file).length) + META_SUFFIX;
+}
+
+const readMeta = async (filePath) => {
+    try {
+        return JSON.parse(await fs.readFile(metaFileName(filePath), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Could not read ${metaFileName(filePath)}:`, error.message);
+        }
+        return {};
+    }
+};
+
+const statOrNull = (filePath) => fs.stat(filePath).catch(() => null);
+
+// Parsed entries keyed by absolute path, invalidated by mtime
+const entryCache = new Map();
+
+export function slugify(name) {
+    return name
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+const fileSize = async (filePath) => {
+    try {
+        return (await fs.stat(filePath)).size;
+    } catch {
+        return 0;
+    }
+};
+
+// Read only the GLB header and JSON chunk instead of the whole binary
+const readGlbJson = async (filePath) => {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const header = Buffer.alloc(GLB_HEADER_LENGTH + 8);
+        await handle.read(header, 0, header.length, 0);
+        const jsonLength = header.readUInt32LE(GLB_HEADER_LENGTH);
+        const buffer = Buffer.alloc(header.length + jsonLength);
+        await handle.read(buffer, 0, buffer.length, 0);
+        // Patch the total length so parseGlb stops after the JSON chunk
+        buffer.writeUInt32LE(buffer.length, 8);
+        return parseGlb(buffer).json;
+    } finally {
+        await handle.close();
+    }
+};
+
+const readGltfJson = async (filePath, format) => {
+    if (format === 'glb') {
+        return readGlbJson(filePath);
+    }
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+};
+
+// Variant files that exist for a model, from the sidecar or by naming convention
+const findVariants = async (source, relativePath, meta, toUrl) => {
+    const variants = [];
+    const dir = path.dirname(relativePath);
+    const base = relativePath.slice(0, -path.extname(relativePath).length);
+
+    for (const type of VARIANT_TYPES.filter(variantType => variantType !== 'full')) {
+        const explicit = meta.variants && meta.variants[type];
+        const candidates = explicit
+            ? [path.join(dir, explicit)]
+            : [`${base}.${type}.glb`, `${base}.${type}.gltf`];
+
+        for (const candidate of candidates) {
+            const variantStat = await statOrNull(path.join(source.dir, candidate));
+            if (variantStat) {
+                variants.push({ type, url: toUrl(candidate), size: variantStat.size });
+                break;
+            }
+        }
+        if (explicit && !variants.some(variant => variant.type === type)) {
+            console.warn(`Variant "${type}" of ${relativePath} is missing: ${explicit}`);
+        }
+    }
+    return variants;
+};
+
+const describeModel = async (source, relativePath) => {
+    const filePath = path.join(source.dir, relativePath);
+    const stat = await fs.stat(filePath);
+    const lodStat = await statOrNull(path.join(source.dir, lodFileName(relativePath)));
+    const metaStat = await statOrNull(metaFileName(filePath));
+    const toUrl = (file) => `${source.url}/${file.split(path.sep).map(encodeURIComponent).join('/')}`;
+
+    // Parsing is cached; variants and LODs are cheap stats done every time
+    const version = [stat, metaStat].map(fileStat => (fileStat ? fileStat.mtimeMs : 0)).join(':');
+    const cached = entryCache.get(filePath);
+    const { entry, meta } = cached && cached.version === version
+        ? cached
+        : await readModel(source, relativePath, stat, metaStat, toUrl);
+    entryCache.set(filePath, { version, entry, meta });
+
+    return {
+        ...entry,
+        lodUrl: lodStat ? toUrl(lodFileName(relativePath)) : null,
+        variants: [
+            { type: 'full', url: entry.url, size: entry.size },
+            ...await findVariants(source, relativePath, meta, toUrl)
+        ]
+    };
+};
+
+// { latitude, longitude, north } from a sidecar or asset extras "site"
+// object. `north` is the angle in degrees, clockwise seen from above, from
+// the model's -Z axis to true north.
+const parseSite = (site) => {
+    if (!site || typeof site !== 'object') return null;
+    const { latitude, longitude, north = 0 } = site;
+    const valid = Number.isFinite(latitude) && Math.abs(latitude) <= 90 &&
+        Number.isFinite(longitude) && Math.abs(longitude) <= 180 &&
+        Number.isFinite(north);
+    if (!valid) {
+        console.warn('Ignoring invalid site', site);
+        return null;
+    }
+    return { latitude, longitude, north };
+};
+
+// What an entry is for: 'model' (a building placed on its own) or 'prop'
+// (cars, trees, fences, people added around a model for context and scale)
+export const MODEL_KINDS = ['model', 'prop'];
+
+// Slot and finish ids appear in shared URLs (?finish=roof:slate)
+const CONFIG_ID = /^[\w-]+$/;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const isUnitInterval = value => value === undefined || (Number.isFinite(value) && value >= 0 && value <= 1);
+
+// Finish presets: { label, color, roughness, metalness }
+const parseFinish = (id, finish) => {
+    if (!CONFIG_ID.test(id) || !finish || typeof finish !== 'object') return null;
+    const { label = id, color, roughness, metalness } = finish;
+    const valid = (color === undefined || HEX_COLOR.test(color)) && isUnitInterval(roughness) && isUnitInterval(metalness);
+    const orNull = value => (value === undefined ? null : value);
+    return valid ? { id, label: String(label), color: color || null, roughness: orNull(roughness), metalness: orNull(metalness) } : null;
+};
+
+// Swappable material slots from the sidecar "slots" object:
+// { roof: { label, materials: [...], nodes: [...], finishes: { slate: {...} } } }
+// `materials` are glTF material names, `nodes` node names whose meshes the
+// slot covers.
+const parseSlots = (slots, relativePath) => {
+    if (!slots || typeof slots !== 'object') return [];
+
+    return Object.entries(slots).flatMap(([id, slot]) => {
+        const finishes = slot && slot.finishes && typeof slot.finishes === 'object'
+            ? Object.entries(slot.finishes).map(([finishId, finish]) => parseFinish(finishId, finish))
+            : [];
+        const names = value => (Array.isArray(value) ? value.filter(name => typeof name === 'string') : []);
+        const materials = slot ? names(slot.materials) : [];
+        const nodes = slot ? names(slot.nodes) : [];
+
+        if (!CONFIG_ID.test(id) || finishes.length === 0 || finishes.includes(null) || (!materials.length && !nodes.length)) {
+            console.warn(`Ignoring invalid material slot "${id}" of ${relativePath}`);
+            return [];
+        }
+        return [{ id, label: typeof slot.label === 'string' ? slot.label : id, materials, nodes, finishes }];
+    });
+};
+
+const readModel = async (source, relativePath, stat, metaStat, toUrl) => {
+    const filePath = path.join(source.dir, relativePath);
+    const ext = path.extname(relativePath).toLowerCase();
+    const format = MODEL_FORMATS[ext];
+    const baseName = path.basename(relativePath, path.extname(relativePath));
+    const meta = metaStat ? await readMeta(filePath) : {};
+    const entry = {
+        id: slugify(baseName),
+        name: baseName,
+        file: relativePath,
+        url: toUrl(relativePath),
+        format,
+        source: source.name,
+        size: stat.size,
+        units: DEFAULT_UNITS,
+        metersPerUnit: 1,
+        dimensions: null,
+        kind: 'model',
+        site: null,
+        slots: parseSlots(meta.slots, relativePath)
+    };
+
+    try {
+        const json = await readGltfJson(filePath, format);
+        const extras = (json.asset && json.asset.extras) || {};
+
+        const title = meta.name || extras.title;
+        if (typeof title === 'string' && title.trim()) {
+            entry.name = title.trim();
+        }
+
+        // glTF is specified in meters, but some exporters write feet or
+        // inches; a units override in the sidecar or asset extras wins
+        const units = meta.units || extras.units;
+        if (units && isKnownUnit(units)) {
+            entry.units = units;
+            entry.metersPerUnit = metersPerUnit(units);
+        } else if (units) {
+            console.warn(`Unknown units "${units}" for ${relativePath}, assuming ${DEFAULT_UNITS}`);
+        }
+
+        const kind = meta.kind || extras.kind;
+        if (MODEL_KINDS.includes(kind)) {
+            entry.kind = kind;
+        } else if (kind) {
+            console.warn(`Unknown kind "${kind}" for ${relativePath}, assuming model`);
+        }
+
+        // Where the building stands, for the sun study
+        const site = parseSite(meta.site || extras.site);
+        if (site) {
+            entry.site = site;
+        }
+
+        // Count sidecar buffers and textures towards the download size
+        const sidecars = externalUris(json).map((uri) => path.join(path.dirname(filePath), uri));
+        const sizes = await Promise.all(sidecars.map(fileSize));
+        entry.size += sizes.reduce((total, size) => total + size, 0);
+
+        // Dimensions are reported in meters
+        const bounds = computeSceneBounds(json);
+        if (bounds) {
+            const toMeters = (value) => Math.round(value * entry.metersPerUnit * 1000) / 1000;
+            entry.dimensions = {
+                width: toMeters(bounds.width),
+                height: toMeters(bounds.height),
+                depth: toMeters(bounds.depth)
+            };
+        }
+    } catch (error) {
+        console.error(`Could not read model ${relativePath}:`, error.message);
+        entry.error = error.message;
+    }
+
+    return { entry, meta };
+};
+
+// Model files at the top level of a directory and one level below it
+const findModelFiles = async (dir) => {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        if (entry.isFile() && isModelFile(entry.name)) {
+            files.push(entry.name);
+        } else if (entry.isDirectory()) {
+            const children = await fs.readdir(path.join(dir, entry.name));
+            children
+                .filter(isModelFile)
+                .forEach((name) => files.push(path.join(entry.name, name)));
+        }
+    }
+    return files;
+};
+
+export async function listModels() {
+    const entries = [];
+    for (const source of SOURCES) {
+        const files = await findModelFiles(source.dir);
+        entries.push(...await Promise.all(files.map((file) => describeModel(source, file))));
+    }
+
+    // Ids must be unique for ?model= links; bundled models win over uploads
+    const seen = new Set();
+    return entries
+        .filter((entry) => {
+            if (seen.has(entry.id)) {
+                console.warn(`Duplicate model id "${entry.id}" for ${entry.file}, skipping`);
+                return false;
+            }
+            seen.add(entry.id);
+            return true;
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Absolute path of a catalog entry on this server
+export function modelFilePath(entry) {
+    const source = SOURCES.find(({ name }) => name === entry.source);
+    return path.join(source.dir, entry.file);
+}
+
+export async function findModel(id) {
+    const models = await listModels();
+    return models.find((model) => model.id === id) || null;
+}
@@ -0,0 +1,26 @@
+import { METERS_PER_UNIT } from '../units.js';
+
+// Browser-side access to the model catalog API
+
+export function fetchModels() {
+    return fetch('/api/models')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Catalog request failed (${response.status})`);
+            }
+            return response.json();
+        })
+        .then(data => data.models);
+}
+
+export function formatModelSize(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export function formatDimensions(dimensions, system = 'metric') {
+    if (!dimensions) return 'size unknown';
+    const { width, depth, height } = dimensions;
+    const factor = system === 'imperial' ? 1 / METERS_PER_UNIT.feet : 1;
+    const unit = system === 'imperial' ? 'ft' : 'm';
+    return `${(width * factor).toFixed(1)} × ${(depth * factor).toFixed(1)} × ${(height * factor).toFixed(1)} ${unit}`;
+}
@@ -0,0 +1,217 @@
+import { Box3, Matrix4, Quaternion, Vector3 } from 'three';
+
+// Helpers for reading glTF 2.0 assets without a WebGL context, so they can
+// run inside API routes as well as in the browser.
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a; // 'JSON'
+const CHUNK_BIN = 0x004e4942; // 'BIN\0'
+
+export const GLB_HEADER_LENGTH = 12;
+
+// Split a binary .glb container into its JSON document and optional BIN chunk
+export function parseGlb(buffer) {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+
+    if (buffer.byteLength < GLB_HEADER_LENGTH || view.getUint32(0, true) !== GLB_MAGIC) {
+        throw new Error('Not a binary glTF file (bad magic)');
+    }
+
+    const version = view.getUint32(4, true);
+    if (version !== 2) {
+        throw new Error(`Unsupported binary glTF version ${version}`);
+    }
+
+    const length = Math.min(view.getUint32(8, true), buffer.byteLength);
+    let json = null;
+    let bin = null;
+    let offset = GLB_HEADER_LENGTH;
+
+    while (offset + 8 <= length) {
+        const chunkLength = view.getUint32(offset, true);
+        const chunkType = view.getUint32(offset + 4, true);
+        const start = offset + 8;
+        const end = start + chunkLength;
+
+        if (end > length) {
+            throw new Error('Binary glTF chunk exceeds file length');
+        }
+
+        if (chunkType === CHUNK_JSON && !json) {
+            json = JSON.parse(new TextDecoder().decode(buffer.subarray(start, end)));
+        } else if (chunkType === CHUNK_BIN && !bin) {
+            bin = buffer.subarray(start, end);
+        }
+
+        offset = end;
+    }
+
+    if (!json) {
+        throw new Error('Binary glTF has no JSON chunk');
+    }
+
+    return { json, bin };
+}
+
+export function isDataUri(uri) {
+    return typeof uri === 'string' && uri.startsWith('data:');
+}
+
+// Percent-decode a uri, or null when it is not a string or has a malformed
+// escape such as "%zz"
+export function decodeUri(uri) {
+    if (typeof uri !== 'string') return null;
+    try {
+        return decodeURIComponent(uri);
+    } catch {
+        return null;
+    }
+}
+
+// External (non-embedded) resources referenced by buffers and images
+export function externalUris(json) {
+    const uris = [];
+    [...(json.buffers || []), ...(json.images || [])].forEach(({ uri }) => {
+        const decoded = uri && !isDataUri(uri) ? decodeUri(uri) : null;
+        if (decoded) {
+            uris.push(decoded);
+        }
+    });
+    return uris;
+}
+
+const nodeMatrix = (node) => {
+    const matrix = new Matrix4();
+    if (node.matrix) {
+        return matrix.fromArray(node.matrix);
+    }
+    return matrix.compose(
+        new Vector3().fromArray(node.translation || [0, 0, 0]),
+        new Quaternion().fromArray(node.rotation || [0, 0, 0, 1]),
+        new Vector3().fromArray(node.scale || [1, 1, 1])
+    );
+};
+
+// Bounding box of the default scene, built from the POSITION accessors'
+// min/max and the node transforms, so no vertex data has to be read.
+export function computeSceneBounds(json) {
+    const box = new Box3();
+    const nodes = json.nodes || [];
+    const scene = (json.scenes || [])[json.scene || 0];
+    const roots = scene ? scene.nodes || [] : nodes.map((_, index) => index);
+
+    const visit = (index, parentMatrix, depth) => {
+        const node = nodes[index];
+        // Guard against malformed files with cyclic node graphs
+        if (!node || depth > 64) return;
+
+        const world = new Matrix4().multiplyMatrices(parentMatrix, nodeMatrix(node));
+        const mesh = json.meshes && json.meshes[node.mesh];
+
+        if (mesh) {
+            mesh.primitives.forEach((primitive) => {
+                const accessor = json.accessors && json.accessors[primitive.attributes.POSITION];
+                if (!accessor || !accessor.min || !accessor.max) return;
+
+                const local = new Box3(
+                    new Vector3().fromArray(accessor.min),
+                    new Vector3().fromArray(accessor.max)
+                );
+                box.union(local.applyMatrix4(world));
+            });
+        }
+
+        (node.children || []).forEach((child) => visit(child, world, depth + 1));
+    };
+
+    roots.forEach((index) => visit(index, new Matrix4(), 0));
+
+    if (box.isEmpty()) return null;
+
+    // Millimetre precision is plenty for display and keeps the JSON tidy
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const size = box.getSize(new Vector3());
+    return {
+        width: round(size.x),
+        height: round(size.y),
+        depth: round(size.z),
+        min: box.min.toArray().map(round),
+        max: box.max.toArray().map(round)
+    };
+}
+
+const COMPONENT_ARRAYS = {
+    5120: Int8Array,
+    5121: Uint8Array,
+    5122: Int16Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array
+};
+
+const TYPE_COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+// Read an accessor into a tightly packed typed array. Normalized integer
+// attributes are converted to floats; `buffers` holds one Uint8Array per buffer.
+export function readAccessor(json, buffers, index) {
+    const accessor = json.accessors[index];
+    const ArrayType = COMPONENT_ARRAYS[accessor.componentType];
+    const components = TYPE_COMPONENTS[accessor.type];
+    const length = accessor.count * components;
+
+    if (accessor.sparse) {
+        throw new Error(`Sparse accessor ${index} is not supported`);
+    }
+    if (accessor.bufferView === undefined) {
+        return new ArrayType(length);
+    }
+
+    const view = json.bufferViews[accessor.bufferView];
+    const buffer = buffers[view.buffer];
+    const elementSize = ArrayType.BYTES_PER_ELEMENT * components;
+    const stride = view.byteStride || elementSize;
+    const start = buffer.byteOffset + (view.byteOffset || 0) + (accessor.byteOffset || 0);
+
+    // Copy element by element so strides and unaligned offsets are handled
+    const bytes = new Uint8Array(length * ArrayType.BYTES_PER_ELEMENT);
+    for (let i = 0; i < accessor.count; i++) {
+        const from = start + i * stride;
+        bytes.set(new Uint8Array(buffer.buffer, from, elementSize), i * elementSize);
+    }
+    const values = new ArrayType(bytes.buffer);
+
+    if (!accessor.normalized || ArrayType === Float32Array) {
+        return values;
+    }
+    const max = 2 ** (ArrayType.BYTES_PER_ELEMENT * 8 - (ArrayType === Int8Array || ArrayType === Int16Array ? 1 : 0)) - 1;
+    return Float32Array.from(values, (value) => Math.max(value / max, -1));
+}
+
+// Pack a glTF document and binary payload into a .glb container
+export function writeGlb(json, bin) {
+    const pad = (length) => (4 - (length % 4)) % 4;
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = jsonBytes.length + pad(jsonBytes.length);
+    const binLength = bin ? bin.byteLength + pad(bin.byteLength) : 0;
+    const total = GLB_HEADER_LENGTH + 8 + jsonLength + (bin ? 8 + binLength : 0);
+
+    const output = new Uint8Array(total);
+    const view = new DataView(output.buffer);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, CHUNK_JSON, true);
+    output.set(jsonBytes, 20);
+    // JSON chunks are padded with spaces, binary chunks with zeros
+    output.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength);
+
+    if (bin) {
+        const offset = 20 + jsonLength;
+        view.setUint32(offset, binLength, true);
+        view.setUint32(offset + 4, CHUNK_BIN, true);
+        output.set(bin, offset + 8);
+    }
+    return output;
+}
@@ -0,0 +1,202 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { unzipSync } from 'three/examples/jsm/libs/fflate.module.js';
+import { listModels, slugify, UPLOADS_DIR } from './catalog.js';
+import { decodeUri, isDataUri, parseGlb } from './gltf.js';
+import { validateGltf } from './validate.js';
+
+// Turns an uploaded set of files (.glb, .gltf plus sidecars, or a .zip
+// bundle) into a validated model stored under UPLOADS_DIR.
+
+export const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+
+// Total size of the files inside zip bundles, checked against the sizes the
+// archive declares before anything is inflated
+export const MAX_UNPACKED_BYTES = 4 * MAX_UPLOAD_BYTES;
+
+const MODEL_EXTENSIONS = ['.gltf', '.glb'];
+
+// Normalize a client-supplied path and refuse anything escaping the upload root
+const safeRelativePath = (name) => {
+    const normalized = path.posix.normalize(name.replace(/\\/g, '/')).replace(/^\/+/, '');
+    if (!normalized || normalized === '.' || normalized.startsWith('../')) {
+        return null;
+    }
+    return normalized;
+};
+
+// Expand zip bundles so every upload becomes a flat list of { name, data }.
+// Bundles that cannot be unpacked are left out and reported in `errors`.
+export function unpackUpload(files) {
+    const entries = [];
+    const errors = [];
+    let unpacked = 0;
+    files.forEach(({ name, data }) => {
+        if (path.extname(name).toLowerCase() === '.zip') {
+            let tooLarge = false;
+            let unzipped;
+            try {
+                unzipped = unzipSync(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), {
+                    // Inflated entries never exceed their declared size
+                    filter: ({ originalSize }) => {
+                        unpacked += originalSize;
+                        tooLarge = tooLarge || unpacked > MAX_UNPACKED_BYTES;
+                        return !tooLarge;
+                    }
+                });
+            } catch (error) {
+                errors.push({ code: 'ZIP_INVALID', message: `Could not unpack ${name}: ${error.message}` });
+                return;
+            }
+            if (tooLarge) {
+                errors.push({
+                    code: 'ZIP_TOO_LARGE',
+                    message: `${name} unpacks to more than ${MAX_UNPACKED_BYTES / 1024 / 1024} MB`
+                });
+                return;
+            }
+            Object.entries(unzipped).forEach(([entryName, entryData]) => {
+                // Skip folders and macOS resource forks
+                if (entryName.endsWith('/') || entryName.startsWith('__MACOSX/')) return;
+                entries.push({ name: entryName, data: Buffer.from(entryData) });
+            });
+        } else {
+            entries.push({ name, data });
+        }
+    });
+
+    return {
+        files: entries
+            .map(({ name, data }) => ({ name: safeRelativePath(name), data }))
+            .filter(({ name }) => name),
+        errors
+    };
+}
+
+// Find the model file, parse it and validate it against the other files.
+// Never throws for bad input: problems are reported in `report`.
+export function inspectUpload(files) {
+    const report = { valid: false, errors: [], warnings: [] };
+    const models = files.filter(({ name }) => MODEL_EXTENSIONS.includes(path.extname(name).toLowerCase()));
+
+    if (models.length === 0) {
+        report.errors.push({ code: 'NO_MODEL_FILE', message: 'Upload must contain a .gltf or .glb file' });
+        return { report };
+    }
+    if (models.length > 1) {
+        report.errors.push({
+            code: 'MULTIPLE_MODEL_FILES',
+            message: `Upload one model at a time, found ${models.map(({ name }) => name).join(', ')}`
+        });
+        return { report };
+    }
+
+    const main = models[0];
+    const format = path.extname(main.name).toLowerCase() === '.glb' ? 'glb' : 'gltf';
+    let json;
+    let bin = null;
+
+    try {
+        if (format === 'glb') {
+            ({ json, bin } = parseGlb(main.data));
+        } else {
+            json = JSON.parse(main.data.toString('utf8'));
+        }
+    } catch (error) {
+        report.errors.push({ code: 'PARSE_ERROR', message: `Could not parse ${main.name}: ${error.message}` });
+        return { report };
+    }
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        report.errors.push({ code: 'PARSE_ERROR', message: `${main.name} does not hold a glTF JSON object` });
+        return { report };
+    }
+
+    // Sidecars are resolved relative to the model file, then by file name
+    // because browsers drop folder names from multipart uploads.
+    const baseDir = path.posix.dirname(main.name);
+    const byPath = new Map(files.map((file) => [file.name, file]));
+    const byName = new Map(files.map((file) => [path.posix.basename(file.name), file]));
+    const findResource = (uri) => {
+        const decoded = decodeUri(uri);
+        if (decoded === null) return null;
+        return byPath.get(path.posix.join(baseDir, decoded)) || byName.get(path.posix.basename(decoded)) || null;
+    };
+
+    let result;
+    try {
+        result = validateGltf({
+            json,
+            bin,
+            resolveUri: (uri) => {
+                const file = findResource(uri);
+                return file ? file.data.byteLength : null;
+            }
+        });
+    } catch (error) {
+        // Properties nested deeper than the validator checks can still have
+        // the wrong type
+        report.errors.push({ code: 'STRUCTURE_INVALID', message: `${main.name} is malformed: ${error.message}` });
+        return { report };
+    }
+    report.valid = result.valid;
+    report.errors.push(...result.errors);
+    report.warnings.push(...result.warnings);
+
+    const resources = new Map();
+    // validateGltf() has reported wrongly typed properties and invalid uris
+    const entries = (value) => (Array.isArray(value) ? value.filter(Boolean) : []);
+    [...entries(json.buffers), ...entries(json.images)].forEach(({ uri }) => {
+        const decoded = decodeUri(uri);
+        if (!decoded || isDataUri(uri)) return;
+        const target = safeRelativePath(decoded);
+        const file = findResource(uri);
+        if (!target) {
+            report.valid = false;
+            report.errors.push({ code: 'URI_OUTSIDE_BUNDLE', message: `"${uri}" points outside the model folder` });
+        } else if (file) {
+            resources.set(target, file);
+        }
+    });
+
+    const used = new Set([main, ...resources.values()]);
+    files.filter((file) => !used.has(file)).forEach(({ name }) => {
+        report.warnings.push({ code: 'UNUSED_FILE', message: `${name} is not referenced by the model and was ignored` });
+    });
+
+    return { report, main, format, json, resources };
+}
+
+// Validate and, if valid, write the model into its own folder under UPLOADS_DIR
+export async function storeUpload(files) {
+    const unpacked = unpackUpload(files);
+    if (unpacked.errors.length > 0) {
+        return { report: { valid: false, errors: unpacked.errors, warnings: [] }, model: null };
+    }
+    const { report, main, format, json, resources } = inspectUpload(unpacked.files);
+
+    if (!report.valid) {
+        return { report, model: null };
+    }
+
+    const baseName = path.basename(main.name, path.extname(main.name));
+    const title = json.asset && json.asset.extras && json.asset.extras.title;
+    const baseId = slugify(title || baseName) || 'model';
+    const taken = new Set((await listModels()).map(({ id }) => id));
+    let id = baseId;
+    for (let n = 2; taken.has(id); n++) {
+        id = `${baseId}-${n}`;
+    }
+
+    // The catalog derives ids from file names, so store the model as <id>.<ext>
+    const dir = path.join(UPLOADS_DIR, id);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${id}.${format}`), main.data);
+    for (const [target, file] of resources) {
+        const filePath = path.join(dir, target);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, file.data);
+    }
+
+    const model = (await listModels()).find((entry) => entry.id === id) || null;
+    return { report, model };
+}
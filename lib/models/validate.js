@@ -0,0 +1,316 @@
+import { decodeUri, isDataUri } from './gltf.js';
+
+// Structural glTF 2.0 checks run on upload, before a model ever reaches the
+// AR viewer. This is not a full Khronos validator: it covers the problems
+// that make GLTFLoader fail or render nothing.
+
+// Extensions our GLTFLoader setup can decode. Anything else listed in
+// extensionsRequired makes the model unloadable.
+export const SUPPORTED_EXTENSIONS = [
+    'KHR_draco_mesh_compression',
+    'KHR_lights_punctual',
+    'KHR_materials_anisotropy',
+    'KHR_materials_clearcoat',
+    'KHR_materials_dispersion',
+    'KHR_materials_emissive_strength',
+    'KHR_materials_ior',
+    'KHR_materials_iridescence',
+    'KHR_materials_sheen',
+    'KHR_materials_specular',
+    'KHR_materials_transmission',
+    'KHR_materials_unlit',
+    'KHR_materials_variants',
+    'KHR_materials_volume',
+    'KHR_mesh_quantization',
+    'KHR_texture_basisu',
+    'KHR_texture_transform',
+    'EXT_materials_bump',
+    'EXT_mesh_gpu_instancing',
+    'EXT_texture_avif',
+    'EXT_texture_webp'
+];
+
+const COMPONENT_SIZES = {
+    5120: 1, // BYTE
+    5121: 1, // UNSIGNED_BYTE
+    5122: 2, // SHORT
+    5123: 2, // UNSIGNED_SHORT
+    5125: 4, // UNSIGNED_INT
+    5126: 4 // FLOAT
+};
+
+const TYPE_SIZES = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT2: 4,
+    MAT3: 9,
+    MAT4: 16
+};
+
+// Byte length of a base64 data URI payload without decoding it, or null
+// when a percent-encoded payload is malformed
+const dataUriByteLength = (uri) => {
+    const comma = uri.indexOf(',');
+    const payload = uri.slice(comma + 1);
+    if (!/;base64$/.test(uri.slice(0, comma))) {
+        const decoded = decodeUri(payload);
+        return decoded === null ? null : decoded.length;
+    }
+    const padding = payload.endsWith('==') ? 2 : payload.endsWith('=') ? 1 : 0;
+    return Math.floor(payload.length * 3 / 4) - padding;
+};
+
+// Validate a parsed glTF document.
+//   json        - the glTF JSON
+//   bin         - the GLB BIN chunk, if any
+//   resolveUri  - (uri) => byte length of an external resource, or null if missing
+// Returns { valid, errors, warnings } where each issue is { code, message, pointer }.
+export function validateGltf({ json, bin = null, resolveUri = () => null }) {
+    const errors = [];
+    const warnings = [];
+    const error = (code, message, pointer) => errors.push({ code, message, pointer });
+    const warning = (code, message, pointer) => warnings.push({ code, message, pointer });
+
+    // Top-level arrays; anything else is reported and read as empty, and so
+    // are entries that are not objects in arrays of objects
+    const list = (name, { objects = true } = {}) => {
+        const value = json[name];
+        if (value === undefined) return [];
+        if (!Array.isArray(value)) {
+            error('PROPERTY_TYPE_INVALID', `${name} must be an array`, `/${name}`);
+            return [];
+        }
+        if (!objects) return value;
+        return value.map((entry, i) => {
+            if (entry && typeof entry === 'object' && !Array.isArray(entry)) return entry;
+            error('PROPERTY_TYPE_INVALID', `${name}[${i}] must be an object`, `/${name}/${i}`);
+            return {};
+        });
+    };
+
+    // asset
+    const version = json.asset && json.asset.version;
+    if (!json.asset) {
+        error('ASSET_MISSING', 'The "asset" property is required', '/asset');
+    } else if (typeof version !== 'string') {
+        error('ASSET_VERSION_MISSING', 'asset.version is required', '/asset/version');
+    } else if (version.split('.')[0] !== '2') {
+        error('ASSET_VERSION_UNSUPPORTED', `glTF version ${version} is not supported, expected 2.x`, '/asset/version');
+    } else if (json.asset.minVersion && json.asset.minVersion !== '2.0') {
+        error('ASSET_MIN_VERSION_UNSUPPORTED', `asset.minVersion ${json.asset.minVersion} is newer than 2.0`, '/asset/minVersion');
+    }
+
+    // extensions
+    const used = list('extensionsUsed', { objects: false });
+    const required = list('extensionsRequired', { objects: false });
+    required.forEach((name, i) => {
+        if (!SUPPORTED_EXTENSIONS.includes(name)) {
+            error('EXTENSION_UNSUPPORTED', `Required extension ${name} is not supported by the viewer`, `/extensionsRequired/${i}`);
+        }
+        if (!used.includes(name)) {
+            error('EXTENSION_NOT_DECLARED', `Required extension ${name} is missing from extensionsUsed`, `/extensionsRequired/${i}`);
+        }
+    });
+    used.forEach((name, i) => {
+        if (!SUPPORTED_EXTENSIONS.includes(name) && !required.includes(name)) {
+            warning('EXTENSION_IGNORED', `Optional extension ${name} will be ignored by the viewer`, `/extensionsUsed/${i}`);
+        }
+    });
+
+    // buffers
+    const buffers = list('buffers');
+    const bufferLengths = buffers.map((buffer, i) => {
+        const pointer = `/buffers/${i}`;
+        let actual = null;
+
+        if (buffer.uri === undefined) {
+            if (i === 0 && bin) {
+                actual = bin.byteLength;
+            } else {
+                error('BUFFER_DATA_MISSING', 'Buffer has no uri and no GLB binary chunk', pointer);
+            }
+        } else if (decodeUri(buffer.uri) === null) {
+            error('URI_INVALID', 'Buffer uri is not a valid URI', `${pointer}/uri`);
+        } else if (isDataUri(buffer.uri)) {
+            actual = dataUriByteLength(buffer.uri);
+            if (actual === null) {
+                error('URI_INVALID', 'Buffer data URI is not valid', `${pointer}/uri`);
+            }
+        } else {
+            actual = resolveUri(buffer.uri);
+            if (actual === null) {
+                error('URI_MISSING', `Buffer file "${buffer.uri}" was not uploaded`, `${pointer}/uri`);
+            }
+        }
+
+        if (!(buffer.byteLength >= 1)) {
+            error('BUFFER_LENGTH_INVALID', 'buffer.byteLength must be a positive integer', `${pointer}/byteLength`);
+            return actual;
+        }
+        if (actual !== null && actual < buffer.byteLength) {
+            error('BUFFER_TOO_SHORT', `Buffer holds ${actual} bytes but declares ${buffer.byteLength}`, pointer);
+        }
+        return Math.min(buffer.byteLength, actual === null ? buffer.byteLength : actual);
+    });
+
+    // bufferViews
+    const bufferViews = list('bufferViews');
+    bufferViews.forEach((view, i) => {
+        const pointer = `/bufferViews/${i}`;
+        const bufferLength = bufferLengths[view.buffer];
+
+        if (!buffers[view.buffer]) {
+            error('BUFFER_INDEX_INVALID', `bufferView references missing buffer ${view.buffer}`, `${pointer}/buffer`);
+            return;
+        }
+        const end = (view.byteOffset || 0) + view.byteLength;
+        if (!(view.byteLength >= 1)) {
+            error('BUFFER_VIEW_LENGTH_INVALID', 'bufferView.byteLength must be a positive integer', `${pointer}/byteLength`);
+        } else if (bufferLength !== null && end > bufferLength) {
+            error('BUFFER_VIEW_OUT_OF_BOUNDS', `bufferView ends at byte ${end}, past the end of buffer ${view.buffer} (${bufferLength} bytes)`, pointer);
+        }
+        if (view.byteStride !== undefined && (view.byteStride < 4 || view.byteStride > 252 || view.byteStride % 4 !== 0)) {
+            error('BUFFER_VIEW_STRIDE_INVALID', 'byteStride must be a multiple of 4 between 4 and 252', `${pointer}/byteStride`);
+        }
+    });
+
+    // accessors
+    const accessors = list('accessors');
+    accessors.forEach((accessor, i) => {
+        const pointer = `/accessors/${i}`;
+        const componentSize = COMPONENT_SIZES[accessor.componentType];
+        const components = TYPE_SIZES[accessor.type];
+
+        if (!componentSize) {
+            error('ACCESSOR_COMPONENT_TYPE_INVALID', `Unknown componentType ${accessor.componentType}`, `${pointer}/componentType`);
+        }
+        if (!components) {
+            error('ACCESSOR_TYPE_INVALID', `Unknown accessor type ${accessor.type}`, `${pointer}/type`);
+        }
+        if (!Number.isInteger(accessor.count) || accessor.count < 1) {
+            error('ACCESSOR_COUNT_INVALID', 'accessor.count must be a positive integer', `${pointer}/count`);
+            return;
+        }
+        if (accessor.min && components && accessor.min.length !== components) {
+            error('ACCESSOR_MIN_INVALID', `accessor.min must have ${components} values`, `${pointer}/min`);
+        }
+        if (accessor.max && components && accessor.max.length !== components) {
+            error('ACCESSOR_MAX_INVALID', `accessor.max must have ${components} values`, `${pointer}/max`);
+        }
+
+        if (accessor.bufferView === undefined || !componentSize || !components) return;
+
+        const view = bufferViews[accessor.bufferView];
+        if (!view) {
+            error('BUFFER_VIEW_INDEX_INVALID', `accessor references missing bufferView ${accessor.bufferView}`, `${pointer}/bufferView`);
+            return;
+        }
+        const elementSize = componentSize * components;
+        const stride = view.byteStride || elementSize;
+        const end = (accessor.byteOffset || 0) + stride * (accessor.count - 1) + elementSize;
+        if (end > view.byteLength) {
+            error('ACCESSOR_OUT_OF_BOUNDS', `${accessor.count} elements need ${end} bytes but bufferView ${accessor.bufferView} has ${view.byteLength}`, pointer);
+        }
+        if ((accessor.byteOffset || 0) % componentSize !== 0) {
+            error('ACCESSOR_ALIGNMENT', 'accessor.byteOffset must be a multiple of the component size', `${pointer}/byteOffset`);
+        }
+    });
+
+    // meshes
+    const meshes = list('meshes');
+    const materials = list('materials');
+    meshes.forEach((mesh, m) => {
+        (mesh.primitives || []).forEach((primitive, p) => {
+            const pointer = `/meshes/${m}/primitives/${p}`;
+            // Draco-compressed primitives carry their data in the extension
+            const compressed = primitive.extensions && primitive.extensions.KHR_draco_mesh_compression;
+            const attributes = primitive.attributes || {};
+            let vertexCount = null;
+
+            if (attributes.POSITION === undefined) {
+                warning('MESH_POSITION_MISSING', 'Primitive has no POSITION attribute and will not render', `${pointer}/attributes`);
+            }
+
+            Object.entries(attributes).forEach(([name, index]) => {
+                const accessor = accessors[index];
+                if (!accessor) {
+                    error('ACCESSOR_INDEX_INVALID', `Attribute ${name} references missing accessor ${index}`, `${pointer}/attributes/${name}`);
+                    return;
+                }
+                if (name === 'POSITION' && (!accessor.min || !accessor.max)) {
+                    error('POSITION_BOUNDS_MISSING', 'POSITION accessors must define min and max', `/accessors/${index}`);
+                }
+                if (vertexCount === null) {
+                    vertexCount = accessor.count;
+                } else if (accessor.count !== vertexCount && !compressed) {
+                    error('ATTRIBUTE_COUNT_MISMATCH', `Attribute ${name} has ${accessor.count} elements, expected ${vertexCount}`, `${pointer}/attributes/${name}`);
+                }
+            });
+
+            if (primitive.indices !== undefined && !accessors[primitive.indices]) {
+                error('ACCESSOR_INDEX_INVALID', `indices reference missing accessor ${primitive.indices}`, `${pointer}/indices`);
+            }
+            if (primitive.material !== undefined && !materials[primitive.material]) {
+                error('MATERIAL_INDEX_INVALID', `Primitive references missing material ${primitive.material}`, `${pointer}/material`);
+            }
+        });
+    });
+
+    // images and textures
+    const images = list('images');
+    images.forEach((image, i) => {
+        const pointer = `/images/${i}`;
+        if (image.uri !== undefined) {
+            if (decodeUri(image.uri) === null) {
+                error('URI_INVALID', 'Image uri is not a valid URI', `${pointer}/uri`);
+            } else if (!isDataUri(image.uri) && resolveUri(image.uri) === null) {
+                error('URI_MISSING', `Image file "${image.uri}" was not uploaded`, `${pointer}/uri`);
+            }
+        } else if (image.bufferView !== undefined) {
+            if (!bufferViews[image.bufferView]) {
+                error('BUFFER_VIEW_INDEX_INVALID', `Image references missing bufferView ${image.bufferView}`, `${pointer}/bufferView`);
+            }
+            if (!image.mimeType) {
+                error('IMAGE_MIME_TYPE_MISSING', 'Images stored in a bufferView need a mimeType', pointer);
+            }
+        } else {
+            error('IMAGE_DATA_MISSING', 'Image has neither uri nor bufferView', pointer);
+        }
+    });
+    list('textures').forEach((texture, i) => {
+        if (texture.source !== undefined && !images[texture.source]) {
+            error('IMAGE_INDEX_INVALID', `Texture references missing image ${texture.source}`, `/textures/${i}/source`);
+        }
+    });
+
+    // nodes and scenes
+    const nodes = list('nodes');
+    nodes.forEach((node, i) => {
+        if (node.mesh !== undefined && !meshes[node.mesh]) {
+            error('MESH_INDEX_INVALID', `Node references missing mesh ${node.mesh}`, `/nodes/${i}/mesh`);
+        }
+        (node.children || []).forEach((child, c) => {
+            if (!nodes[child]) {
+                error('NODE_INDEX_INVALID', `Node references missing child ${child}`, `/nodes/${i}/children/${c}`);
+            }
+        });
+    });
+    const scenes = list('scenes');
+    if (scenes.length === 0) {
+        warning('SCENE_MISSING', 'The file defines no scenes, nothing will be displayed', '/scenes');
+    }
+    scenes.forEach((scene, s) => {
+        (scene.nodes || []).forEach((index, n) => {
+            if (!nodes[index]) {
+                error('NODE_INDEX_INVALID', `Scene references missing node ${index}`, `/scenes/${s}/nodes/${n}`);
+            }
+        });
+    });
+    if (json.scene !== undefined && !scenes[json.scene]) {
+        error('SCENE_INDEX_INVALID', `Default scene ${json.scene} does not exist`, '/scene');
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
@@ -0,0 +1,120 @@
+import { METERS_PER_UNIT } from './units.js';
+
+// Floor plans drawn from the slices of lib/three/plan.js: the AR minimap and
+// the SVG export of the plan page. Plans are in meters, seen from above with
+// x to the right and z down; a frame is { minX, minZ, maxX, maxZ }.
+
+// Height above a storey's floor at which its plan is cut, in meters; as
+// STOREY_CUT_HEIGHT of lib/three/inspect.js (which needs three)
+export const PLAN_CUT_HEIGHT = 1.2;
+
+// How far below the eye a storey's floor must be for the viewer to stand on
+// it, in meters; eyes are about 1.6 m above the floor
+const EYE_ABOVE_FLOOR = 0.3;
+
+// Drawing sizes on paper, in millimeters
+const LINE_WIDTH_MM = 0.35;
+const TEXT_SIZE_MM = 3;
+const MARGIN_MM = 10;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Length of a scale bar at most `span` long: 1, 2 or 5 times a power of ten
+export function scaleBarLength(span) {
+    if (!(span > 0)) return 0;
+    const power = 10 ** Math.floor(Math.log10(span));
+    const step = [5, 2, 1].find(factor => factor * power <= span);
+    return step * power;
+}
+
+// The storey the viewer is on: the highest one whose floor is below the
+// eye height (meters above the model's base), or the lowest one
+export function storeyAt(storeys, eyeHeight) {
+    if (storeys.length === 0) return null;
+    const below = storeys.filter(storey => storey.elevation <= eyeHeight - EYE_ABOVE_FLOOR);
+    return below.length ? below[below.length - 1] : storeys[0];
+}
+
+// Where a camera with `quaternion` ([x, y, z, w], as in viewerPose()) looks
+// on the plan: a unit vector [x, z], or null when it looks straight up or down
+export function viewDirection([x, y, z, w]) {
+    // The camera looks along its -Z axis
+    const forwardX = -2 * (x * z + w * y);
+    const forwardZ = -(1 - 2 * (x * x + y * y));
+    const length = Math.hypot(forwardX, forwardZ);
+    return length < 1e-3 ? null : [forwardX / length, forwardZ / length];
+}
+
+// Fit a frame into a width × height drawing area with `padding` around it.
+// Returns { scale, toX(x), toY(z) } mapping plan meters to drawing units.
+export function fitPlan(frame, width, height, padding = 0) {
+    const planWidth = Math.max(frame.maxX - frame.minX, 1e-6);
+    const planDepth = Math.max(frame.maxZ - frame.minZ, 1e-6);
+    const scale = Math.min((width - 2 * padding) / planWidth, (height - 2 * padding) / planDepth);
+    const offsetX = (width - planWidth * scale) / 2 - frame.minX * scale;
+    const offsetY = (height - planDepth * scale) / 2 - frame.minZ * scale;
+    return {
+        scale,
+        toX: x => offsetX + x * scale,
+        toY: z => offsetY + z * scale
+    };
+}
+
+const escapeXML = text => String(text).replace(/[<>&'"]/g, character => `&#${character.charCodeAt(0)};`);
+
+// Paper size in millimeters of planToSVG()'s document at 1:`scale`
+export function planPaperSize(frame, { scale = 100 } = {}) {
+    const mm = scale / 1000;
+    return {
+        width: round((frame.maxX - frame.minX) / mm + 2 * MARGIN_MM),
+        height: round((frame.maxZ - frame.minZ) / mm + 2 * MARGIN_MM + 4 * TEXT_SIZE_MM)
+    };
+}
+
+// SVG document of a plan, sized to print at 1:`scale` (width and height in
+// millimeters, coordinates in meters) with a scale bar and title below it.
+//   segments - [x1, z1, x2, z2] lines in meters, from slicePlan()
+//   frame    - extent of the plan, from planFrame()
+//   title    - text under the plan, e.g. model and storey name
+//   scale    - drawing scale, 100 for 1:100
+//   units    - 'metric' or 'imperial' scale bar
+export function planToSVG(segments, frame, { title = '', scale = 100, units = 'metric' } = {}) {
+    // Paper millimeters in plan meters
+    const mm = scale / 1000;
+    const margin = MARGIN_MM * mm;
+    const width = frame.maxX - frame.minX;
+    const depth = frame.maxZ - frame.minZ;
+    // Scale bar length in meters, a round number of meters or feet
+    const unitLength = units === 'imperial' ? METERS_PER_UNIT.feet : 1;
+    const barLength = scaleBarLength(width / 3 / unitLength) * unitLength;
+    const barY = frame.maxZ + margin;
+    const footer = 4 * TEXT_SIZE_MM * mm;
+
+    const left = frame.minX - margin;
+    const top = frame.minZ - margin;
+    const viewWidth = width + 2 * margin;
+    const viewHeight = depth + 2 * margin + footer;
+
+    const path = segments.map(([x1, z1, x2, z2]) => `M${round(x1)} ${round(z1)}L${round(x2)} ${round(z2)}`).join('');
+    const text = (x, y, content, anchor) => `<text x="${round(x)}" y="${round(y)}" font-size="${round(TEXT_SIZE_MM * mm)}" text-anchor="${anchor}">${escapeXML(content)}</text>`;
+    const paper = planPaperSize(frame, { scale });
+    const barLabel = units === 'imperial' ? `${round(barLength / unitLength)} ft`
+        : barLength >= 1 ? `${barLength} m` : `${Math.round(barLength * 100)} cm`;
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${paper.width}mm" height="${paper.height}mm" viewBox="${round(left)} ${round(top)} ${round(viewWidth)} ${round(viewHeight)}" font-family="sans-serif">`,
+        `<title>${escapeXML(title)}</title>`,
+        `<rect x="${round(left)}" y="${round(top)}" width="${round(viewWidth)}" height="${round(viewHeight)}" fill="#fff"/>`,
+        `<path d="${path}" fill="none" stroke="#000" stroke-width="${round(LINE_WIDTH_MM * mm)}" stroke-linecap="round"/>`,
+        `<g stroke="#000" stroke-width="${round(LINE_WIDTH_MM * mm)}">`,
+        `<line x1="${round(frame.minX)}" y1="${round(barY)}" x2="${round(frame.minX + barLength)}" y2="${round(barY)}"/>`,
+        `<line x1="${round(frame.minX)}" y1="${round(barY - mm)}" x2="${round(frame.minX)}" y2="${round(barY + mm)}"/>`,
+        `<line x1="${round(frame.minX + barLength)}" y1="${round(barY - mm)}" x2="${round(frame.minX + barLength)}" y2="${round(barY + mm)}"/>`,
+        '</g>',
+        text(frame.minX + barLength / 2, barY + 1.5 * TEXT_SIZE_MM * mm, barLabel, 'middle'),
+        text(frame.maxX, barY + 1.5 * TEXT_SIZE_MM * mm, `${title ? `${title} · ` : ''}1:${scale}`, 'end'),
+        '</svg>',
+        ''
+    ].join('\n');
+}
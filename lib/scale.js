@@ -0,0 +1,42 @@
+// Scale presets for placing a model: a tabletop preview that fits the model
+// into a small footprint, true size, or a named architectural scale.
+
+export const SCALE_PRESETS = [
+    { id: 'fit', ratio: null },
+    { id: '1:1', ratio: 1 },
+    { id: '1:50', ratio: 50 },
+    { id: '1:100', ratio: 100 },
+    { id: '1:200', ratio: 200 }
+];
+
+export const DEFAULT_SCALE_PRESET = 'fit';
+
+// Longest side of the footprint in tabletop mode, in meters
+export const FIT_SIZE = 0.5;
+
+export function findScalePreset(id) {
+    return SCALE_PRESETS.find(preset => preset.id === id) || null;
+}
+
+// Uniform scale to apply to a model whose bounding box `size` is in model
+// units, given how many meters one model unit is
+export function modelScale(presetId, size, metersPerUnit = 1) {
+    const preset = findScalePreset(presetId) || findScalePreset(DEFAULT_SCALE_PRESET);
+    if (preset.ratio === null) {
+        const footprint = Math.max(size.x, size.z);
+        return footprint > 0 ? FIT_SIZE / footprint : 1;
+    }
+    return metersPerUnit / preset.ratio;
+}
+
+// Real-world width, depth and height in meters
+export function realDimensions(size, metersPerUnit = 1) {
+    return {
+        width: size.x * metersPerUnit,
+        depth: size.z * metersPerUnit,
+        height: size.y * metersPerUnit
+    };
+}
+
+// How far pinching may shrink or grow the model relative to its preset scale
+export const PINCH_SCALE_LIMITS = { min: 0.25, max: 4 };
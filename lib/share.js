@@ -0,0 +1,38 @@
+// Sharing and saving files produced in the browser (AR captures, exports).
+
+// Save a blob through a temporary download link
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the download a moment to start before freeing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Whether the Web Share API can share this kind of file here
+export function canShareFile(blob, fileName) {
+    if (typeof navigator === 'undefined' || !navigator.canShare || typeof File === 'undefined') return false;
+    return navigator.canShare({ files: [new File([blob], fileName, { type: blob.type })] });
+}
+
+// Share through the Web Share API (the system share sheet), falling back to
+// a download. Must run from a user gesture. Resolves to 'shared',
+// 'downloaded' or 'cancelled'.
+export async function shareOrDownload(blob, fileName, { title, text } = {}) {
+    if (canShareFile(blob, fileName)) {
+        try {
+            await navigator.share({ files: [new File([blob], fileName, { type: blob.type })], title, text });
+            return 'shared';
+        } catch (error) {
+            // Closing the share sheet is not an error
+            if (error.name === 'AbortError') return 'cancelled';
+            console.warn('Sharing failed, downloading instead:', error);
+        }
+    }
+    downloadBlob(blob, fileName);
+    return 'downloaded';
+}
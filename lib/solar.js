@@ -0,0 +1,120 @@
+// Solar position for the sun study, computed locally with the NOAA solar
+// calculator equations (accurate to well under a degree between 1800 and
+// 2100). No network access is needed.
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// Julian century (since J2000.0) of a Date
+const julianCentury = (date) => {
+    const julianDay = date.getTime() / 86400000 + 2440587.5;
+    return (julianDay - 2451545) / 36525;
+};
+
+// Sun's declination and the equation of time (minutes) for a Julian century
+const solarCoordinates = (t) => {
+    const meanLongitude = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+    const meanAnomaly = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+    const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+
+    const m = toRadians(meanAnomaly);
+    const center = Math.sin(m) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+        Math.sin(2 * m) * (0.019993 - 0.000101 * t) +
+        Math.sin(3 * m) * 0.000289;
+    const trueLongitude = meanLongitude + center;
+
+    const omega = 125.04 - 1934.136 * t;
+    const apparentLongitude = trueLongitude - 0.00569 - 0.00478 * Math.sin(toRadians(omega));
+
+    const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+    const obliquity = meanObliquity + 0.00256 * Math.cos(toRadians(omega));
+
+    const declination = toDegrees(Math.asin(Math.sin(toRadians(obliquity)) * Math.sin(toRadians(apparentLongitude))));
+
+    const y = Math.tan(toRadians(obliquity / 2)) ** 2;
+    const l0 = toRadians(meanLongitude);
+    const equationOfTime = 4 * toDegrees(
+        y * Math.sin(2 * l0) -
+        2 * eccentricity * Math.sin(m) +
+        4 * eccentricity * y * Math.sin(m) * Math.cos(2 * l0) -
+        0.5 * y * y * Math.sin(4 * l0) -
+        1.25 * eccentricity * eccentricity * Math.sin(2 * m)
+    );
+
+    return { declination, equationOfTime };
+};
+
+// Atmospheric refraction near the horizon, in degrees
+const refraction = (elevation) => {
+    if (elevation > 85) return 0;
+    const te = Math.tan(toRadians(elevation));
+    const arcSeconds = elevation > 5 ? 58.1 / te - 0.07 / te ** 3 + 0.000086 / te ** 5 :
+        elevation > -0.575 ? 1735 + elevation * (-518.2 + elevation * (103.4 + elevation * (-12.79 + elevation * 0.711))) :
+            -20.772 / te;
+    return arcSeconds / 3600;
+};
+
+// Sun position seen from latitude/longitude (degrees, east positive) at
+// `date`. Returns { azimuth, elevation } in degrees; azimuth is clockwise
+// from true north, elevation includes refraction and is negative at night.
+export function solarPosition(date, latitude, longitude) {
+    const { declination, equationOfTime } = solarCoordinates(julianCentury(date));
+
+    const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+    const trueSolarTime = ((utcMinutes + equationOfTime + 4 * longitude) % 1440 + 1440) % 1440;
+    const hourAngle = trueSolarTime / 4 - 180;
+
+    const lat = toRadians(latitude);
+    const dec = toRadians(declination);
+    const cosZenith = Math.min(1, Math.max(-1,
+        Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(toRadians(hourAngle))
+    ));
+    const zenith = Math.acos(cosZenith);
+
+    let azimuth;
+    const denominator = Math.cos(lat) * Math.sin(zenith);
+    if (Math.abs(denominator) > 1e-9) {
+        const cosAzimuth = Math.min(1, Math.max(-1, (Math.sin(lat) * cosZenith - Math.sin(dec)) / denominator));
+        const angle = toDegrees(Math.acos(cosAzimuth));
+        azimuth = hourAngle > 0 ? (angle + 180) % 360 : (540 - angle) % 360;
+    } else {
+        // Sun straight overhead or observer at a pole
+        azimuth = latitude > 0 ? 180 : 0;
+    }
+
+    const elevation = 90 - toDegrees(zenith);
+    return { azimuth, elevation: elevation + refraction(elevation) };
+}
+
+// The sun's upper limb touches the horizon; refraction is already included
+const HORIZON_ELEVATION = -0.27;
+
+// Sunrise and sunset on the local day of `date`, found by stepping through
+// the day. Returns { sunrise, sunset } as Dates, either null during polar
+// day or night.
+export function daylight(date, latitude, longitude, stepMinutes = 5) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+
+    let sunrise = null;
+    let sunset = null;
+    let wasUp = solarPosition(start, latitude, longitude).elevation > HORIZON_ELEVATION;
+    for (let minutes = stepMinutes; minutes <= 1440; minutes += stepMinutes) {
+        const time = new Date(start.getTime() + minutes * 60000);
+        const isUp = solarPosition(time, latitude, longitude).elevation > HORIZON_ELEVATION;
+        if (isUp && !wasUp && !sunrise) sunrise = time;
+        if (!isUp && wasUp) sunset = time;
+        wasUp = isUp;
+    }
+    return { sunrise, sunset };
+}
+
+// Minutes since local midnight, and a Date on the same day at given minutes
+export const minutesOfDay = date => date.getHours() * 60 + date.getMinutes();
+
+export function atMinutes(date, minutes) {
+    const result = new Date(date);
+    result.setHours(0, 0, 0, 0);
+    result.setMinutes(minutes);
+    return result;
+}
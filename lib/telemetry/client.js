@@ -0,0 +1,68 @@
+import { MAX_BATCH_EVENTS } from './events.js';
+
+// Browser side of the telemetry (see events.js): events are queued and sent
+// in batches with navigator.sendBeacon, which also works while the page is
+// closing. Nothing is sent when NEXT_PUBLIC_TELEMETRY is 'off' or the
+// browser asks not to be tracked.
+
+const ENDPOINT = '/api/telemetry';
+// Queued events wait at most this long (ms)
+const FLUSH_DELAY = 10 * 1000;
+
+// Random id per page load, so events of one visit can be told apart
+const session = Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+let device = {};
+let queue = [];
+let flushTimer = null;
+let listening = false;
+
+const enabled = () => typeof window !== 'undefined' &&
+    process.env.NEXT_PUBLIC_TELEMETRY !== 'off' &&
+    navigator.doNotTrack !== '1';
+
+const send = (events) => {
+    const body = JSON.stringify({ session, device, events });
+    const blob = new Blob([body], { type: 'application/json' });
+    if (navigator.sendBeacon && navigator.sendBeacon(ENDPOINT, blob)) return;
+    // No beacon support, or the browser refused the beacon (too much queued)
+    fetch(ENDPOINT, { method: 'POST', body, headers: { 'Content-Type': 'application/json' }, keepalive: true })
+        .catch(() => {});
+};
+
+// Send what is queued now
+export function flushTelemetry() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (queue.length === 0) return;
+    const events = queue;
+    queue = [];
+    send(events);
+}
+
+const listen = () => {
+    if (listening) return;
+    listening = true;
+    // The last chance to send before the page is closed or frozen
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushTelemetry();
+    });
+    window.addEventListener('pagehide', flushTelemetry);
+};
+
+// What detectDevicePerformance() found: { renderer, memory, performanceMode };
+// sent along with every batch
+export function setTelemetryDevice({ renderer, memory, performanceMode }) {
+    device = { renderer, memory, performanceMode };
+}
+
+// Queue an event of one of TELEMETRY_EVENT_TYPES with its fields
+export function track(type, fields = {}) {
+    if (!enabled()) return;
+    listen();
+    queue.push({ type, time: Date.now(), ...fields });
+    if (queue.length >= MAX_BATCH_EVENTS) {
+        flushTelemetry();
+    } else if (!flushTimer) {
+        flushTimer = setTimeout(flushTelemetry, FLUSH_DELAY);
+    }
+}
@@ -0,0 +1,160 @@
+// Usage and performance telemetry. The browser sends batches of events:
+//   { session, device: { renderer, memory, performanceMode }, events: [...] }
+// where `session` is a random id per page load and `device` is what
+// detectDevicePerformance() found. Each event is { type, time, model, ... }
+// with `time` in ms since the epoch and one of these types:
+//   ar-start     - performanceMode (as chosen on the start screen)
+//   model-load   - variant, loadTime (ms)
+//   frame-stats  - tier, fps: { p10, p50, p90 }, windows; sent when an AR
+//                  session ends (fps of the governor's windows)
+//   quality-change - from, to (tier ids), fps of the window that decided it
+//   placement    - placed (boolean), mode ('reticle' or 'camera'); sent on
+//                  the first placement of an AR view, so AR starts without
+//                  one count as failed placements
+//   error        - stage ('support', 'start', 'load' or 'session'), message
+
+export const TELEMETRY_EVENT_TYPES = ['ar-start', 'model-load', 'frame-stats', 'quality-change', 'placement', 'error'];
+export const MAX_BATCH_EVENTS = 50;
+
+const MAX_STRING_LENGTH = 300;
+// Quality tier ids, lowest first, as in QUALITY_TIERS of lib/three/quality.js
+// (which needs three, so the server does not import it)
+const QUALITY_ORDER = ['minimal', 'low', 'medium', 'high'];
+
+const text = value => (typeof value === 'string' ? value.slice(0, MAX_STRING_LENGTH) : null);
+const number = value => (Number.isFinite(value) ? value : null);
+const fpsOf = value => (value && typeof value === 'object'
+    ? { p10: number(value.p10), p50: number(value.p50), p90: number(value.p90) }
+    : null);
+
+// Fields kept for each event type; anything else is dropped
+const EVENT_FIELDS = {
+    'ar-start': event => ({ performanceMode: text(event.performanceMode) }),
+    'model-load': event => ({ variant: text(event.variant), loadTime: number(event.loadTime) }),
+    'frame-stats': event => ({ tier: text(event.tier), fps: fpsOf(event.fps), windows: number(event.windows) }),
+    'quality-change': event => ({ from: text(event.from), to: text(event.to), fps: number(event.fps) }),
+    'placement': event => ({ placed: event.placed === true, mode: text(event.mode) }),
+    'error': event => ({ stage: text(event.stage), message: text(event.message) })
+};
+
+// Stored events of a batch: each event flattened with the batch's session
+// and device. Throws when the batch is not one; unknown event types are
+// skipped so older servers accept newer clients.
+export function eventsOfBatch(batch, receivedAt = Date.now()) {
+    if (!batch || typeof batch !== 'object' || !Array.isArray(batch.events)) throw new Error('Not a telemetry batch');
+    if (typeof batch.session !== 'string' || !/^[\w-]{1,64}$/.test(batch.session)) throw new Error('Invalid session id');
+    if (batch.events.length > MAX_BATCH_EVENTS) throw new Error(`Batches hold at most ${MAX_BATCH_EVENTS} events`);
+
+    const device = batch.device && typeof batch.device === 'object' ? batch.device : {};
+    const context = {
+        session: batch.session,
+        renderer: text(device.renderer) || '',
+        memory: number(device.memory),
+        detectedMode: text(device.performanceMode)
+    };
+    return batch.events
+        // Own keys only, so types such as "constructor" are unknown too
+        .filter(event => event && Object.prototype.hasOwnProperty.call(EVENT_FIELDS, event.type))
+        .map(event => ({
+            // The type's fields come first so they cannot replace the fields
+            // checked here
+            ...EVENT_FIELDS[event.type](event),
+            type: event.type,
+            // Clock skew of phones is not worth trusting beyond a day
+            time: Number.isFinite(event.time) && Math.abs(event.time - receivedAt) < 24 * 60 * 60 * 1000 ? event.time : receivedAt,
+            model: text(event.model),
+            ...context
+        }));
+}
+
+// GPU families, matched in order against the WebGL renderer string
+const GPU_FAMILIES = [
+    ['Adreno', /adreno/i],
+    ['Mali', /mali/i],
+    ['PowerVR', /powervr/i],
+    ['Apple', /apple/i],
+    ['Xclipse', /xclipse/i],
+    ['NVIDIA', /nvidia|geforce/i],
+    ['AMD', /amd|radeon/i],
+    ['Intel', /intel/i]
+];
+
+// Coarse device class for grouping: GPU family and memory, e.g. "Adreno · 4–7 GB"
+export function deviceClass({ renderer, memory }) {
+    const family = GPU_FAMILIES.find(([, pattern]) => pattern.test(renderer || ''));
+    const gpu = family ? family[0] : renderer ? 'Other GPU' : 'Unknown GPU';
+    // navigator.deviceMemory is rounded and capped at 8
+    const ram = memory === null || memory === undefined ? 'memory unknown'
+        : memory < 4 ? 'under 4 GB'
+            : memory < 8 ? '4–7 GB'
+                : '8 GB or more';
+    return `${gpu} · ${ram}`;
+}
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Value at percentile `p` (0-1) of a non-empty list
+const percentile = (values, p) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+// Summary of a group of events
+const summarize = (events) => {
+    const of = type => events.filter(event => event.type === type);
+    const started = new Set(of('ar-start').map(event => event.session));
+    const placed = new Set(of('placement').filter(event => event.placed).map(event => event.session));
+    const loadTimes = of('model-load').map(event => event.loadTime).filter(value => value !== null);
+    const frameStats = of('frame-stats').filter(event => event.fps && event.fps.p50 !== null);
+    const downgrades = of('quality-change').filter(event => QUALITY_ORDER.indexOf(event.to) < QUALITY_ORDER.indexOf(event.from));
+    const medianOf = values => (values.length ? round(percentile(values, 0.5)) : null);
+
+    return {
+        sessions: new Set(events.map(event => event.session)).size,
+        arStarts: started.size,
+        // Share of AR starts that placed the model
+        placementRate: started.size ? round([...started].filter(session => placed.has(session)).length / started.size, 2) : null,
+        loads: loadTimes.length,
+        loadTime: { p50: medianOf(loadTimes), p90: loadTimes.length ? round(percentile(loadTimes, 0.9)) : null },
+        // Medians over AR sessions of each session's fps percentiles
+        fps: {
+            p10: medianOf(frameStats.map(event => event.fps.p10).filter(value => value !== null)),
+            p50: medianOf(frameStats.map(event => event.fps.p50))
+        },
+        downgrades: downgrades.length,
+        errors: of('error').length
+    };
+};
+
+const groupBy = (events, key) => {
+    const groups = new Map();
+    events.forEach((event) => {
+        const name = key(event);
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(event);
+    });
+    return [...groups].map(([name, group]) => ({ name, ...summarize(group) }))
+        .sort((a, b) => b.sessions - a.sessions || a.name.localeCompare(b.name));
+};
+
+// Dashboard data: totals, groups by device class and by model, and the
+// latest errors
+export function aggregateEvents(events) {
+    return {
+        total: { events: events.length, ...summarize(events) },
+        from: events.reduce((first, event) => (first === null || event.time < first ? event.time : first), null),
+        to: events.reduce((last, event) => (last === null || event.time > last ? event.time : last), null),
+        byDevice: groupBy(events, deviceClass),
+        byModel: groupBy(events.filter(event => event.model), event => event.model),
+        recentErrors: events.filter(event => event.type === 'error')
+            .sort((a, b) => b.time - a.time)
+            .slice(0, 20)
+            .map(event => ({
+                time: event.time,
+                model: event.model,
+                stage: event.stage,
+                message: event.message,
+                deviceClass: deviceClass(event)
+            }))
+    };
+}
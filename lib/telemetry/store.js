@@ -0,0 +1,57 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Telemetry events as JSON lines, one event per line, appended to
+// data/telemetry/events.jsonl (override the folder with TELEMETRY_DIR).
+// Appends need no locking and a line cut short by a crash is skipped.
+// Once the file reaches TELEMETRY_MAX_BYTES it becomes events.1.jsonl,
+// replacing the one before, so at most twice that is kept and read.
+
+export const TELEMETRY_DIR = process.env.TELEMETRY_DIR || path.join(process.cwd(), 'data', 'telemetry');
+export const TELEMETRY_MAX_BYTES = Number(process.env.TELEMETRY_MAX_BYTES) || 20 * 1024 * 1024;
+
+const eventsFile = () => path.join(TELEMETRY_DIR, 'events.jsonl');
+const rotatedFile = () => path.join(TELEMETRY_DIR, 'events.1.jsonl');
+
+const fileSize = async (file) => {
+    try {
+        return (await fs.stat(file)).size;
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+};
+
+const readLines = async (file) => {
+    try {
+        return (await fs.readFile(file, 'utf8')).split('\n');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+};
+
+export async function appendEvents(events) {
+    if (events.length === 0) return;
+    await fs.mkdir(TELEMETRY_DIR, { recursive: true });
+    if (await fileSize(eventsFile()) >= TELEMETRY_MAX_BYTES) {
+        await fs.rename(eventsFile(), rotatedFile());
+    }
+    await fs.appendFile(eventsFile(), events.map(event => JSON.stringify(event) + '\n').join(''));
+}
+
+// Events received since `since` (ms since the epoch), oldest first
+export async function readEvents(since = 0) {
+    const lines = [...await readLines(rotatedFile()), ...await readLines(eventsFile())];
+    const events = [];
+    lines.forEach((line) => {
+        if (!line) return;
+        try {
+            const event = JSON.parse(line);
+            if (event.time >= since) events.push(event);
+        } catch {
+            // Partly written line
+        }
+    });
+    return events;
+}
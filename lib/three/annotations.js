@@ -0,0 +1,144 @@
+import { CanvasTexture, Group, SRGBColorSpace, Sprite, SpriteMaterial, Vector3 } from 'three';
+import { isShown, nodeAtPath } from './inspect.js';
+
+// Numbered pins for review annotations (lib/annotations/format.js). Pins are
+// sprites, so they always face the viewer, keep the same size on screen and
+// show through walls. Add `object` to the scene (not the model) and call
+// update() each frame so the pins follow their nodes.
+
+const PIN_COLORS = { open: '#e8590c', resolved: '#2b8a3e' };
+// Pin height as an angle of view (radians)
+const PIN_SIZE = 0.07;
+const CANVAS_WIDTH = 64;
+const CANVAS_HEIGHT = 96;
+
+// Round head with the number over a point at the bottom
+const drawPin = (label, color, selected) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = CANVAS_HEIGHT;
+    const context = canvas.getContext('2d');
+    const radius = CANVAS_WIDTH / 2 - 4;
+    const center = radius + 4;
+
+    context.beginPath();
+    context.arc(center, center, radius, Math.PI * 0.8, Math.PI * 0.2);
+    context.lineTo(center, CANVAS_HEIGHT - 2);
+    context.closePath();
+    context.fillStyle = color;
+    context.fill();
+    context.lineWidth = selected ? 6 : 3;
+    context.strokeStyle = selected ? '#00c8ff' : '#ffffff';
+    context.stroke();
+
+    context.fillStyle = '#ffffff';
+    context.font = `bold ${label.length > 2 ? 20 : 28}px sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(label, center, center);
+
+    const texture = new CanvasTexture(canvas);
+    texture.colorSpace = SRGBColorSpace;
+    return texture;
+};
+
+// Pins on the nodes of `model`, the placement group from prepareModel(),
+// for a model in units of `metersPerUnit`
+export function createAnnotationPins(model, metersPerUnit = 1) {
+    const group = new Group();
+    group.name = 'annotations';
+    // Annotation id -> { sprite, annotation, node, key }
+    const pins = new Map();
+    let selectedId = null;
+    const point = new Vector3();
+
+    const removePin = (id) => {
+        const { sprite } = pins.get(id);
+        sprite.removeFromParent();
+        sprite.material.map.dispose();
+        sprite.material.dispose();
+        pins.delete(id);
+    };
+
+    // Redraw a pin when its number, status or selection changed
+    const drawIfChanged = (pin, label) => {
+        const key = `${label}:${pin.annotation.status}:${pin.annotation.id === selectedId}`;
+        if (pin.key === key) return;
+        pin.key = key;
+        if (pin.sprite.material.map) pin.sprite.material.map.dispose();
+        pin.sprite.material.map = drawPin(label, PIN_COLORS[pin.annotation.status], pin.annotation.id === selectedId);
+        pin.sprite.material.needsUpdate = true;
+    };
+
+    const redraw = () => {
+        [...pins.values()].forEach((pin, index) => drawIfChanged(pin, String(index + 1)));
+    };
+
+    return {
+        object: group,
+
+        // Show these annotations, numbered in order
+        set(annotations) {
+            const ids = new Set(annotations.map(annotation => annotation.id));
+            [...pins.keys()].filter(id => !ids.has(id)).forEach(removePin);
+            annotations.forEach((annotation) => {
+                let pin = pins.get(annotation.id);
+                if (!pin) {
+                    const sprite = new Sprite(new SpriteMaterial({ depthTest: false, sizeAttenuation: false }));
+                    sprite.center.set(0.5, 0);
+                    sprite.scale.set(PIN_SIZE * CANVAS_WIDTH / CANVAS_HEIGHT, PIN_SIZE, 1);
+                    sprite.renderOrder = 2;
+                    sprite.userData.helper = true;
+                    group.add(sprite);
+                    pin = { sprite, key: null };
+                }
+                // Keep the map in annotation order for numbering
+                pins.delete(annotation.id);
+                pins.set(annotation.id, { ...pin, annotation, node: nodeAtPath(model, annotation.node) });
+            });
+            redraw();
+        },
+
+        select(id) {
+            selectedId = id;
+            redraw();
+        },
+
+        // Annotation whose pin is under the ray, or null. Pins keep their
+        // size on screen, so this compares angles.
+        pick(ray) {
+            let best = null;
+            pins.forEach(({ sprite, annotation }) => {
+                if (!sprite.visible) return;
+                const distance = point.copy(sprite.position).sub(ray.origin).dot(ray.direction);
+                if (distance <= 0) return;
+                // Aim at the head, which sits above the pinned point
+                point.y += distance * PIN_SIZE * 0.65;
+                const offAxis = point.addScaledVector(ray.direction, -distance).length();
+                if (offAxis / distance < PIN_SIZE * 0.5 && (!best || distance < best.distance)) {
+                    best = { id: annotation.id, distance };
+                }
+            });
+            return best ? best.id : null;
+        },
+
+        // Move the pins to their nodes and hide those on hidden parts. Pins
+        // whose node is gone (another model version) use their position.
+        update() {
+            pins.forEach(({ sprite, annotation, node }) => {
+                sprite.visible = isShown(node || model);
+                if (!sprite.visible) return;
+                if (node) {
+                    sprite.position.fromArray(annotation.offset).applyMatrix4(node.matrixWorld);
+                } else {
+                    sprite.position.fromArray(annotation.position).divideScalar(metersPerUnit).applyMatrix4(model.matrixWorld);
+                }
+            });
+        },
+
+        dispose() {
+            [...pins.keys()].forEach(removePin);
+            group.removeFromParent();
+        }
+    };
+}
@@ -0,0 +1,164 @@
+import {
+    HalfFloatType,
+    NoBlending,
+    PerspectiveCamera,
+    ShaderMaterial,
+    Texture,
+    WebGLRenderTarget
+} from 'three';
+import { FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass.js';
+
+// Frames of the AR view for photos and clips (see lib/capture.js). The XR
+// framebuffer is neither readable nor kept after presenting
+// (preserveDrawingBuffer is off), so each capture renders the scene again
+// into a render target from the viewer's pose. Where the session granted
+// 'camera-access', the camera image of the same frame goes underneath;
+// elsewhere the capture keeps a transparent background around the model.
+
+// The scene renders linear and premultiplied; the camera image is already
+// sRGB, like the display the XR compositor blends the view onto
+const compositeShader = {
+    vertexShader: /* glsl */`
+        varying vec2 vUv;
+
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: /* glsl */`
+        #include <colorspace_pars_fragment>
+
+        uniform sampler2D sceneMap;
+        uniform sampler2D cameraMap;
+        uniform bool hasCamera;
+        varying vec2 vUv;
+
+        void main() {
+            vec4 scene = texture2D(sceneMap, vUv);
+            vec3 color = scene.a > 0.0 ? sRGBTransferOETF(vec4(scene.rgb / scene.a, 1.0)).rgb : vec3(0.0);
+            gl_FragColor = hasCamera
+                ? vec4(mix(texture2D(cameraMap, vUv).rgb, color, scene.a), 1.0)
+                : vec4(color, scene.a);
+        }
+    `
+};
+
+// Renders still frames of the running XR session into `canvas`. Call
+// capture() from the XR frame loop, after the frame itself has rendered:
+// the camera image is only valid during the frame that delivered it.
+//   samples - MSAA samples of the scene render
+export function createFrameCapture(renderer, { samples = 0 } = {}) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const sceneTarget = new WebGLRenderTarget(1, 1, { type: HalfFloatType, samples });
+    const outputTarget = new WebGLRenderTarget(1, 1);
+    const composite = new FullScreenQuad(new ShaderMaterial({
+        ...compositeShader,
+        uniforms: {
+            sceneMap: { value: sceneTarget.texture },
+            cameraMap: { value: null },
+            hasCamera: { value: false }
+        },
+        blending: NoBlending,
+        depthTest: false,
+        depthWrite: false
+    }));
+    // Wraps the WebXR camera texture, like three's depth sensing does
+    const cameraTexture = new Texture();
+    const captureCamera = new PerspectiveCamera();
+    captureCamera.matrixAutoUpdate = false;
+    captureCamera.matrixWorldAutoUpdate = false;
+
+    let pixels = null;
+    let image = null;
+
+    // Camera image of the viewer's first view, if the session grants it
+    const cameraImage = (frame) => {
+        const pose = frame.getViewerPose(renderer.xr.getReferenceSpace());
+        const xrCamera = pose && pose.views.length ? pose.views[0].camera : null;
+        if (!xrCamera) return null;
+        const texture = renderer.xr.getBinding().getCameraImage(xrCamera);
+        if (!texture) return null;
+        renderer.properties.get(cameraTexture).__webglTexture = texture;
+        return { texture: cameraTexture, width: xrCamera.width, height: xrCamera.height };
+    };
+
+    // Copy the output target into the canvas, flipping it upright
+    const readOutput = (width, height) => {
+        if (!pixels || pixels.length !== width * height * 4) {
+            pixels = new Uint8Array(width * height * 4);
+            image = context.createImageData(width, height);
+        }
+        renderer.readRenderTargetPixels(outputTarget, 0, 0, width, height, pixels);
+        const row = width * 4;
+        for (let y = 0; y < height; y++) {
+            image.data.set(pixels.subarray((height - 1 - y) * row, (height - y) * row), y * row);
+        }
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        context.putImageData(image, 0, 0);
+    };
+
+    return {
+        canvas,
+
+        // Draw `scene` as the viewer sees it in `frame` into the canvas.
+        // Returns whether the camera image is underneath (opaque) or not
+        // (transparent background). `maxSize` caps the longest side.
+        capture(scene, frame, { maxSize = Infinity } = {}) {
+            const view = renderer.xr.getCamera().cameras[0];
+            if (!view) throw new Error('No XR view to capture');
+
+            const camera = cameraImage(frame);
+            const fullWidth = camera ? camera.width : view.viewport.z;
+            const fullHeight = camera ? camera.height : view.viewport.w;
+            const fit = Math.min(1, maxSize / Math.max(fullWidth, fullHeight));
+            const width = Math.max(1, Math.round(fullWidth * fit));
+            const height = Math.max(1, Math.round(fullHeight * fit));
+
+            captureCamera.projectionMatrix.copy(view.projectionMatrix);
+            captureCamera.projectionMatrixInverse.copy(view.projectionMatrixInverse);
+            captureCamera.matrixWorld.copy(view.matrixWorld);
+            captureCamera.matrixWorldInverse.copy(view.matrixWorldInverse);
+            sceneTarget.setSize(width, height);
+            outputTarget.setSize(width, height);
+            composite.material.uniforms.cameraMap.value = camera ? camera.texture : null;
+            composite.material.uniforms.hasCamera.value = Boolean(camera);
+
+            // Render like an ordinary canvas would, then hand the XR
+            // framebuffer back
+            const previousTarget = renderer.getRenderTarget();
+            const previousClearAlpha = renderer.getClearAlpha();
+            const xrEnabled = renderer.xr.enabled;
+            renderer.xr.enabled = false;
+            try {
+                renderer.setClearAlpha(0);
+                renderer.setRenderTarget(sceneTarget);
+                renderer.clear();
+                renderer.render(scene, captureCamera);
+                renderer.setRenderTarget(outputTarget);
+                composite.render(renderer);
+                readOutput(width, height);
+            } finally {
+                renderer.setRenderTarget(previousTarget);
+                renderer.setClearAlpha(previousClearAlpha);
+                renderer.xr.enabled = xrEnabled;
+            }
+            return Boolean(camera);
+        },
+
+        dispose() {
+            sceneTarget.dispose();
+            outputTarget.dispose();
+            composite.material.dispose();
+            composite.dispose();
+            // Leaves the WebXR texture alone; three never allocated it
+            cameraTexture.dispose();
+            pixels = null;
+            image = null;
+        }
+    };
+}
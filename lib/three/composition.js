@@ -0,0 +1,275 @@
+import { Group, Vector3 } from 'three';
+import { loadModel } from './loader.js';
+import { cloneModel, optimizeModel, prepareModel, tierMaterials } from './model.js';
+import { disposeObject } from './dispose.js';
+import { isShown } from './inspect.js';
+import { compositionToJSON, createHistory, parseComposition } from '../composition.js';
+import { deviceProfile, rankVariants } from '../variants.js';
+
+// Placed instances of the AR scene: the main model at the origin of `root`
+// and props around it. `root` sits on the first anchor and carries the
+// scene scale, so instance transforms are real meters relative to the
+// anchor (see lib/composition.js). Each catalog entry is loaded once and
+// cloned for every instance.
+
+// Gap between a duplicate and its original (meters)
+const DUPLICATE_GAP = 0.3;
+const UP = new Vector3(0, 1, 0);
+
+//   loader          - GLTFLoader from createModelLoader()
+//   catalog         - catalog entries instances can come from
+//   performanceMode - as for optimizeModel()
+//   signal          - AbortSignal that cancels loading
+//   onInstance(object) - a new instance object, before it is shown
+//   onEdit()        - instances were added, moved or deleted, or a change undone
+//   onChange()      - anything above, the selection or loading changed
+export function createComposition({
+    loader,
+    catalog,
+    performanceMode,
+    signal,
+    onInstance = () => {},
+    onEdit = () => {},
+    onChange = () => {}
+}) {
+    const root = new Group();
+    root.name = 'composition';
+
+    // Model id -> Promise of { entry, object, width }
+    const prototypes = new Map();
+    // Instances by id: { id, model, name, object, width }. Deleted ones
+    // stay here so undo can bring them back.
+    const instances = new Map();
+    let primary = null;
+    let selected = null;
+    let nextId = 1;
+    let loading = 0;
+    const history = createHistory();
+
+    const placed = () => [...instances.values()].filter(instance => instance.object.parent === root);
+    const props = () => placed().filter(instance => instance !== primary);
+
+    const loadPrototype = (modelId) => {
+        if (!prototypes.has(modelId)) {
+            const entry = catalog.find(candidate => candidate.id === modelId);
+            if (!entry) return Promise.reject(new Error(`"${modelId}" is not in the catalog`));
+
+            const variants = rankVariants(entry.variants, deviceProfile(performanceMode));
+            const prototype = loadModel(loader, variants, { signal }).then(({ gltf }) => {
+                const { model, box } = prepareModel(gltf.scene);
+                optimizeModel(model, { performanceMode });
+                model.traverse((node) => {
+                    if (node.isMesh) node.castShadow = true;
+                });
+                // Instances keep their real size whatever the scene scale
+                model.scale.setScalar(entry.metersPerUnit);
+                return { entry, object: model, width: (box.max.x - box.min.x) * entry.metersPerUnit };
+            });
+            // Let a later attempt try again
+            prototype.catch(() => prototypes.delete(modelId));
+            prototypes.set(modelId, prototype);
+        }
+        return prototypes.get(modelId);
+    };
+
+    // Load and show an instance of a catalog entry
+    const addInstance = (modelId, { position, rotationY = 0 }) => {
+        loading++;
+        onChange();
+        return loadPrototype(modelId)
+            .then(({ entry, object, width }) => {
+                const instance = { id: nextId++, model: modelId, name: entry.name, object: cloneModel(object), width };
+                instance.object.position.copy(position);
+                instance.object.rotation.y = rotationY;
+                onInstance(instance.object);
+                instances.set(instance.id, instance);
+                root.add(instance.object);
+                return instance;
+            })
+            .finally(() => {
+                loading--;
+                onChange();
+            });
+    };
+
+    const snapshot = () => placed().map(({ id, model, object }) => ({
+        id,
+        model,
+        position: { x: object.position.x, y: object.position.y, z: object.position.z },
+        rotationY: object.rotation.y
+    }));
+
+    const commit = () => {
+        history.push(snapshot());
+        onEdit();
+        onChange();
+    };
+
+    // Show a snapshot from the history
+    const restore = (state) => {
+        if (!state) return;
+        const ids = state.map(entry => entry.id);
+        props().forEach((instance) => {
+            if (!ids.includes(instance.id)) instance.object.removeFromParent();
+        });
+        state.forEach(({ id, position, rotationY }) => {
+            const instance = instances.get(id);
+            if (!instance || instance === primary) return;
+            root.add(instance.object);
+            instance.object.position.copy(position);
+            instance.object.rotation.y = rotationY;
+        });
+        if (selected && selected.object.parent !== root) selected = null;
+        onEdit();
+        onChange();
+    };
+
+    // The instance `object` belongs to, if any
+    const instanceOf = (object) => {
+        for (let node = object; node && node !== root; node = node.parent) {
+            if (node.parent === root) return placed().find(instance => instance.object === node) || null;
+        }
+        return null;
+    };
+
+    const select = (instance) => {
+        selected = instance;
+        onChange();
+    };
+
+    return {
+        object: root,
+
+        // Placed instances, main model first: [{ id, model, name, primary }]
+        get instances() {
+            return placed().map(instance => ({
+                id: instance.id,
+                model: instance.model,
+                name: instance.name,
+                primary: instance === primary
+            }));
+        },
+
+        // Selected prop instance, or null; gestures move it instead of the scene
+        get selected() {
+            return selected;
+        },
+
+        get canUndo() {
+            return history.canUndo;
+        },
+
+        get canRedo() {
+            return history.canRedo;
+        },
+
+        // Props still loading
+        get loading() {
+            return loading;
+        },
+
+        // Meters from the anchor that the props reach
+        get radius() {
+            return props().reduce((radius, { object, width }) => Math.max(radius, Math.hypot(object.position.x, object.position.z) + width / 2), 0);
+        },
+
+        // Put the main model at the origin; the history starts here
+        setPrimary(entry, object) {
+            primary = { id: 0, model: entry.id, name: entry.name, object, width: 0 };
+            instances.set(primary.id, primary);
+            root.add(object);
+            history.reset(snapshot());
+            onChange();
+        },
+
+        // Nearest prop under the ray: { instance, distance }, or null
+        pick(raycaster) {
+            const hit = raycaster.intersectObjects(props().map(instance => instance.object), true)
+                .find(candidate => isShown(candidate.object));
+            return hit ? { instance: instanceOf(hit.object), distance: hit.distance } : null;
+        },
+
+        select(id) {
+            const instance = instances.get(id);
+            select(instance && instance !== primary && instance.object.parent === root ? instance : null);
+        },
+
+        // Add a prop at `position` (meters from the anchor); resolves to
+        // its id once loaded
+        add(modelId, position, rotationY = 0) {
+            return addInstance(modelId, { position, rotationY }).then((instance) => {
+                selected = instance;
+                commit();
+                return instance.id;
+            });
+        },
+
+        // Copy the selected prop next to it
+        duplicateSelected() {
+            if (!selected) return Promise.resolve(null);
+            const { object, width, model } = selected;
+            const offset = new Vector3(width + DUPLICATE_GAP, 0, 0).applyAxisAngle(UP, object.rotation.y);
+            return this.add(model, object.position.clone().add(offset), object.rotation.y);
+        },
+
+        deleteSelected() {
+            if (!selected) return;
+            selected.object.removeFromParent();
+            selected = null;
+            commit();
+        },
+
+        // Record the current transforms, e.g. after a prop was dragged
+        commit,
+
+        undo() {
+            restore(history.undo());
+        },
+
+        redo() {
+            restore(history.redo());
+        },
+
+        // Save format of lib/composition.js
+        toJSON() {
+            return compositionToJSON(snapshot());
+        },
+
+        // Replace the props with those of a saved composition. The first
+        // saved instance must be the main model. Resolves to the number of
+        // props that could not be loaded.
+        load(data) {
+            let saved;
+            try {
+                saved = parseComposition(data);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            if (saved[0].model !== primary.model) {
+                const entry = catalog.find(candidate => candidate.id === saved[0].model);
+                return Promise.reject(new Error(`This scene was made for ${entry ? entry.name : saved[0].model}`));
+            }
+
+            props().forEach(instance => instance.object.removeFromParent());
+            selected = null;
+            return Promise.allSettled(saved.slice(1).map(instance => addInstance(instance.model, instance)))
+                .then((results) => {
+                    const failed = results.filter(result => result.status === 'rejected');
+                    failed.forEach(result => console.warn('Could not load a saved object:', result.reason));
+                    commit();
+                    return failed.length;
+                });
+        },
+
+        dispose() {
+            root.removeFromParent();
+            prototypes.forEach((prototype) => {
+                prototype
+                    .then(({ object }) => disposeObject(object, tierMaterials(object)))
+                    .catch(() => {});
+            });
+            prototypes.clear();
+            instances.clear();
+        }
+    };
+}
@@ -0,0 +1,150 @@
+import { PropertyBinding } from 'three';
+import { loadedMaterial, setMeshMaterial } from './model.js';
+
+// Material configurator shared by the AR view and the 3D preview. Design
+// variants come from the glTF's KHR_materials_variants extension; finishes
+// (slate roof, white trim) come from the material slots in the model's
+// sidecar (see lib/models/catalog.js). Finishes apply on top of the variant.
+
+const VARIANTS_EXTENSION = 'KHR_materials_variants';
+
+const variantsExtension = (object) => {
+    const extensions = object.userData.gltfExtensions;
+    return extensions && extensions[VARIANTS_EXTENSION] ? extensions[VARIANTS_EXTENSION] : null;
+};
+
+// LOD levels built after loading share the glTF data of their first level
+const sourceMesh = mesh => (mesh.parent && mesh.parent.isLOD ? mesh.parent.levels[0].object : mesh);
+
+// Whether a mesh belongs to a slot, by material name or by the name of the
+// mesh or one of its ancestors. GLTFLoader sanitizes node names, so slot
+// names are sanitized the same way.
+const matchesSlot = (slot, mesh, material) => {
+    if ([].concat(material).some(entry => slot.materials.includes(entry.name))) return true;
+    const nodes = slot.nodes.map(name => PropertyBinding.sanitizeNodeName(name));
+    for (let node = mesh; node; node = node.parent) {
+        if (nodes.includes(node.name)) return true;
+    }
+    return false;
+};
+
+// Apply a finish to a copy of `base`; textures are shared. The color
+// multiplies any base color texture, like glTF's baseColorFactor.
+const finishMaterial = (base, finish) => {
+    const material = base.clone();
+    if (finish.color && material.color) material.color.set(finish.color);
+    if (finish.roughness !== null && 'roughness' in material) material.roughness = finish.roughness;
+    if (finish.metalness !== null && 'metalness' in material) material.metalness = finish.metalness;
+    return material;
+};
+
+// Configure a loaded model. Call after optimizeModel() so LOD levels and
+// material tiers are in place.
+//   gltf  - GLTFLoader result the model was prepared from
+//   model - placement group from prepareModel()
+//   slots - material slots of the catalog entry
+export function createConfigurator(gltf, model, slots = []) {
+    const extension = variantsExtension(gltf);
+    const variantNames = extension ? extension.variants.map(variant => variant.name) : [];
+
+    // Meshes the configurator may touch, with their material as loaded
+    const targets = [];
+    model.traverse((node) => {
+        if (!node.isMesh || node.userData.helper) return;
+        const original = loadedMaterial(node);
+        const mappings = variantsExtension(sourceMesh(node));
+        const slot = slots.find(candidate => matchesSlot(candidate, node, original)) || null;
+        if ((mappings && mappings.mappings.length) || slot) {
+            targets.push({ mesh: node, original, mappings: mappings ? mappings.mappings : [], slot });
+        }
+    });
+
+    // Only offer slots that match something in this file
+    const usedSlots = slots.filter(slot => targets.some(target => target.slot === slot));
+    slots.filter(slot => !usedSlots.includes(slot)).forEach((slot) => {
+        console.warn(`Material slot "${slot.id}" matches no mesh`);
+    });
+
+    // Base material -> finish id -> finished copy
+    const finished = new Map();
+    let configuration = { variant: null, finishes: {} };
+    // Only the latest of overlapping apply() calls takes effect
+    let generation = 0;
+
+    const finishedMaterial = (base, slot, finish) => {
+        if (!finished.has(base)) finished.set(base, new Map());
+        const copies = finished.get(base);
+        const key = `${slot.id}:${finish.id}`;
+        if (!copies.has(key)) copies.set(key, finishMaterial(base, finish));
+        return copies.get(key);
+    };
+
+    // Material of the selected variant for a target, as GLTFLoader would
+    // have assigned it (vertex colors, flat shading...)
+    const variantMaterial = async (target, variantIndex) => {
+        const mapping = target.mappings.find(entry => entry.variants.includes(variantIndex));
+        if (!mapping) return target.original;
+
+        const material = await gltf.parser.getDependency('material', mapping.material);
+        const { mesh } = target;
+        const current = mesh.material;
+        mesh.material = material;
+        gltf.parser.assignFinalMaterial(mesh);
+        const final = mesh.material;
+        mesh.material = current;
+        return final;
+    };
+
+    // Drop names the model does not offer
+    const normalize = ({ variant = null, finishes = {} }) => ({
+        variant: variantNames.includes(variant) ? variant : null,
+        finishes: Object.fromEntries(usedSlots
+            .filter(slot => slot.finishes.some(finish => finish.id === finishes[slot.id]))
+            .map(slot => [slot.id, finishes[slot.id]]))
+    });
+
+    return {
+        // What can be configured: { variants: [name], slots: [{ id, label, finishes: [{ id, label }] }] }
+        options: {
+            variants: variantNames,
+            slots: usedSlots.map(({ id, label, finishes }) => ({
+                id,
+                label,
+                finishes: finishes.map(finish => ({ id: finish.id, label: finish.label }))
+            }))
+        },
+
+        get configuration() {
+            return configuration;
+        },
+
+        // Show a { variant, finishes } configuration. Unknown names are
+        // ignored; resolves to the configuration actually shown, or null if
+        // a later call replaced it.
+        async apply(requested) {
+            const next = normalize(requested);
+            const current = ++generation;
+            const variantIndex = next.variant === null ? -1 : variantNames.indexOf(next.variant);
+
+            const bases = await Promise.all(targets.map(target => variantMaterial(target, variantIndex)));
+            if (current !== generation) return null;
+
+            targets.forEach((target, index) => {
+                const finishId = target.slot && next.finishes[target.slot.id];
+                const finish = finishId && target.slot.finishes.find(entry => entry.id === finishId);
+                const base = bases[index];
+                setMeshMaterial(target.mesh, finish
+                    ? (Array.isArray(base) ? base.map(entry => finishedMaterial(entry, target.slot, finish)) : finishedMaterial(base, target.slot, finish))
+                    : base);
+            });
+            configuration = next;
+            return next;
+        },
+
+        // Stop pending apply() calls from touching the model
+        dispose() {
+            generation++;
+            finished.clear();
+        }
+    };
+}
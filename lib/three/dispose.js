@@ -0,0 +1,33 @@
+// Free the GPU resources held by an object tree. three.js keeps geometries,
+// materials and textures uploaded until dispose() is called on each of them,
+// so a scene that is simply dropped leaks them for the life of the context.
+
+// Every texture referenced by a material (map, normalMap, envMap, ...)
+const materialTextures = material => Object.values(material).filter(value => value && value.isTexture);
+
+// Dispose geometries, materials and textures under `root`, plus any extra
+// disposables (e.g. geometries that never made it into the scene).
+export function disposeObject(root, extras = []) {
+    const resources = new Set();
+    const addMaterial = (material) => {
+        resources.add(material);
+        materialTextures(material).forEach(texture => resources.add(texture));
+    };
+
+    // Materials off the scene (other tiers or configurations) may hold
+    // textures nothing else references
+    extras.forEach(extra => (extra.isMaterial ? addMaterial(extra) : resources.add(extra)));
+
+    root.traverse((node) => {
+        if (node.geometry) resources.add(node.geometry);
+        if (node.material) [].concat(node.material).forEach(addMaterial);
+    });
+
+    resources.forEach(resource => resource.dispose());
+    return resources.size;
+}
+
+// Prebuilt LOD geometries from collectLodLevels(), used or not
+export function lodGeometries(lodLevels) {
+    return lodLevels ? [...lodLevels.values()].flat().filter(Boolean) : [];
+}
@@ -0,0 +1,56 @@
+import { BufferGeometry, Float32BufferAttribute, LineBasicMaterial, LineSegments, MathUtils } from 'three';
+
+// Outline of a remote AR participant's camera for the 3D preview: a pyramid
+// from the eye along the view direction with a notch on the top edge. It
+// takes poses from review sessions (see roundPose() in lib/collab/protocol.js).
+
+// Length of the pyramid in real meters in front of the AR camera
+const FRUSTUM_LENGTH = 1;
+
+export function createViewerMarker(color = 0xff3d7f) {
+    const geometry = new BufferGeometry();
+    geometry.setAttribute('position', new Float32BufferAttribute(new Float32Array(20 * 3), 3));
+    // Drawn through walls so a participant inside the model stays visible
+    const material = new LineBasicMaterial({ color, depthTest: false, transparent: true });
+    const lines = new LineSegments(geometry, material);
+    lines.renderOrder = 1;
+    lines.frustumCulled = false;
+    lines.visible = false;
+
+    const setShape = (fov, aspect) => {
+        const halfHeight = Math.tan(MathUtils.degToRad(fov) / 2);
+        const halfWidth = halfHeight * aspect;
+        const corners = [[-halfWidth, -halfHeight], [halfWidth, -halfHeight], [halfWidth, halfHeight], [-halfWidth, halfHeight]];
+        const points = [];
+        corners.forEach(([x, y], i) => {
+            const [nextX, nextY] = corners[(i + 1) % 4];
+            points.push(0, 0, 0, x, y, -1);
+            points.push(x, y, -1, nextX, nextY, -1);
+        });
+        // Notch marking the top of the view
+        points.push(-halfWidth / 3, halfHeight, -1, 0, halfHeight * 1.3, -1);
+        points.push(0, halfHeight * 1.3, -1, halfWidth / 3, halfHeight, -1);
+        geometry.attributes.position.array.set(points);
+        geometry.attributes.position.needsUpdate = true;
+    };
+
+    return {
+        object: lines,
+
+        // Show a pose, or hide the marker for null
+        update(pose) {
+            lines.visible = Boolean(pose);
+            if (!pose) return;
+            setShape(pose.fov, pose.aspect);
+            lines.position.fromArray(pose.position);
+            lines.quaternion.fromArray(pose.quaternion);
+            lines.scale.setScalar(FRUSTUM_LENGTH * pose.scale);
+        },
+
+        dispose() {
+            lines.removeFromParent();
+            geometry.dispose();
+            material.dispose();
+        }
+    };
+}
@@ -0,0 +1,193 @@
+import { Box3, BoxHelper, Matrix4 } from 'three';
+
+// Inspection of a loaded model: picking parts with a ray, reading their glTF
+// extras, hiding or isolating parts and storeys, and the cutaway height.
+// Functions take the placement group from prepareModel() as `root`.
+
+// userData keys set by this app or GLTFLoader rather than by glTF extras
+const INTERNAL_KEYS = ['helper', 'lodSource', 'lodLevel', 'gltfExtensions'];
+
+// Node names marking a storey, e.g. "Level 1", "Floor_02", "Storey -1".
+// GLTFLoader replaces spaces in names with underscores.
+export const STOREY_PATTERN = /^(?:storey|story|level|floor|etage|geschoss)[\s_-]*(-?\d+)(?:\D|$)/i;
+
+// Cutaway height above a storey's floor, in meters; floor plans are cut
+// at about this height too
+export const STOREY_CUT_HEIGHT = 1.2;
+
+const extrasOf = node => Object.fromEntries(
+    Object.entries(node.userData).filter(([key]) => !INTERNAL_KEYS.includes(key))
+);
+
+// Whether an object and all its ancestors are visible
+export const isShown = (object) => {
+    for (let node = object; node; node = node.parent) {
+        if (!node.visible) return false;
+    }
+    return true;
+};
+
+// Whether `node` is `ancestor` or inside it
+export function isDescendant(node, ancestor) {
+    for (let current = node; current; current = current.parent) {
+        if (current === ancestor) return true;
+    }
+    return false;
+}
+
+// Where a node sits in the model as child indices from `root`, e.g. '0/3/1',
+// so other devices showing the same model find it again. LOD objects keep
+// the index of the mesh they replace.
+export function nodePath(node, root) {
+    const indices = [];
+    for (let current = node; current && current !== root; current = current.parent) {
+        if (!current.parent) return null;
+        indices.unshift(current.parent.children.indexOf(current));
+    }
+    return indices.join('/');
+}
+
+// Node at a path from nodePath(), or null
+export function nodeAtPath(root, path) {
+    if (!path) return root;
+    let node = root;
+    for (const index of path.split('/')) {
+        node = node.children[Number(index)];
+        if (!node) return null;
+    }
+    return node;
+}
+
+// Node a hit on `object` selects: the closest ancestor carrying glTF extras
+// (a room, a wall, a window), else the mesh itself. LOD levels stand for
+// their LOD, which is what visibility has to be set on.
+export function inspectableNode(object, root) {
+    const start = object.parent && object.parent.isLOD ? object.parent : object;
+    // Stop below the glTF scene, whose extras describe the whole model
+    for (let node = start; node.parent && node.parent !== root; node = node.parent) {
+        if (Object.keys(extrasOf(node)).length) return node;
+    }
+    return start;
+}
+
+// First visible part of the model along the raycaster's ray, skipping what
+// the cutaway `clipPlane` removes. Returns { node, point } or null.
+export function pickNode(raycaster, root, clipPlane = null) {
+    const hit = raycaster.intersectObject(root, true).find(({ object, point }) => (
+        object.isMesh &&
+        !object.userData.helper &&
+        isShown(object) &&
+        (!clipPlane || clipPlane.distanceToPoint(point) >= 0)
+    ));
+    return hit ? { node: inspectableNode(hit.object, root), point: hit.point } : null;
+}
+
+// What the overlay shows about a node: { name, extras, materials }
+export function describeNode(node) {
+    const materials = new Set();
+    node.traverse((child) => {
+        if (!child.isMesh || !child.material) return;
+        [].concat(child.material).forEach((material) => {
+            if (material.name) materials.add(material.name);
+        });
+    });
+    return {
+        name: node.name ? node.name.replace(/_/g, ' ') : 'Unnamed part',
+        extras: extrasOf(node),
+        materials: [...materials]
+    };
+}
+
+// Top-most nodes named like storeys, lowest level first. `elevation` is the
+// bottom of the storey above the model's base, in model units.
+export function findStoreys(root) {
+    root.updateMatrixWorld(true);
+    const toRoot = new Matrix4().copy(root.matrixWorld).invert();
+    const storeys = [];
+
+    const visit = (node) => {
+        const match = STOREY_PATTERN.exec(node.name);
+        if (!match) {
+            node.children.forEach(visit);
+            return;
+        }
+        const box = new Box3().setFromObject(node).applyMatrix4(toRoot);
+        storeys.push({
+            node,
+            name: node.name.replace(/_/g, ' '),
+            level: Number(match[1]),
+            elevation: box.isEmpty() ? 0 : box.min.y
+        });
+    };
+    visit(root);
+
+    return storeys.sort((a, b) => a.level - b.level);
+}
+
+// Hide and isolate parts, remembering what was hidden so showAll() only
+// restores those nodes
+export function createPartVisibility(root) {
+    const hidden = new Set();
+
+    const setShown = (node, shown) => {
+        if (shown) {
+            node.visible = true;
+            hidden.delete(node);
+        } else if (node.visible) {
+            node.visible = false;
+            hidden.add(node);
+        }
+    };
+
+    return {
+        setShown,
+
+        // Nodes hidden through setShown() or isolate()
+        get hidden() {
+            return [...hidden];
+        },
+
+        // Hide everything except `node` and its ancestors
+        isolate(node) {
+            for (let current = node; current.parent && current.parent !== root; current = current.parent) {
+                current.parent.children.forEach((sibling) => {
+                    if (sibling !== current) setShown(sibling, false);
+                });
+            }
+        },
+
+        showAll() {
+            hidden.forEach((node) => {
+                node.visible = true;
+            });
+            hidden.clear();
+        }
+    };
+}
+
+// Box outline around the selected part; add `object` to the scene (not the
+// model) and call update() each frame so it follows the model
+export function createHighlight(color = 0x00c8ff) {
+    const helper = new BoxHelper(undefined, color);
+    helper.userData.helper = true;
+    helper.visible = false;
+
+    return {
+        object: helper,
+
+        show(node) {
+            helper.object = node;
+            helper.visible = Boolean(node);
+            if (node) helper.update();
+        },
+
+        update() {
+            if (helper.object && helper.visible) helper.update();
+        },
+
+        dispose() {
+            helper.removeFromParent();
+            helper.dispose();
+        }
+    };
+}
@@ -0,0 +1,174 @@
+import { Color, MathUtils, Mesh, PlaneGeometry, PMREMGenerator, Scene, ShadowMaterial, Vector3 } from 'three';
+import { Sky } from 'three/examples/jsm/objects/Sky.js';
+import { XREstimatedLight } from 'three/examples/jsm/webxr/XREstimatedLight.js';
+import { findEnvironmentPreset } from '../environments.js';
+
+// Scene lighting shared by the AR view and the 3D preview: HDR sky
+// environments, a key light that casts the model's shadow onto a shadow
+// catcher, and WebXR light estimation where the device supports it.
+
+// Shadow map resolution per performance mode
+export const SHADOW_MAP_SIZES = {
+    low: 512,
+    medium: 1024,
+    high: 2048
+};
+
+// Unit vector pointing from the scene towards the sun
+export function sunDirection(elevation, azimuth) {
+    return new Vector3().setFromSphericalCoords(
+        1,
+        MathUtils.degToRad(90 - elevation),
+        MathUtils.degToRad(180 - azimuth)
+    );
+}
+
+const SUN_LOW_COLOR = new Color(0xffa466);
+const SUN_HIGH_COLOR = new Color(0xfff5e6);
+
+// Color and intensity of direct sunlight at a solar elevation (degrees):
+// warm and weak near the horizon, off below it
+export function sunLight(elevation) {
+    const daylight = MathUtils.smoothstep(elevation, -1, 10);
+    return {
+        color: SUN_LOW_COLOR.clone().lerp(SUN_HIGH_COLOR, MathUtils.smoothstep(elevation, 0, 30)),
+        intensity: 2.5 * daylight
+    };
+}
+
+// Prefiltered (PMREM) environment maps for the presets, rendered on first
+// use and cached. Call dispose() when done.
+export function createEnvironments(renderer) {
+    const targets = new Map();
+
+    const render = (preset) => {
+        const sky = new Sky();
+        sky.scale.setScalar(10);
+        Object.entries(preset.sky).forEach(([name, value]) => {
+            sky.material.uniforms[name].value = value;
+        });
+        sky.material.uniforms.sunPosition.value.copy(sunDirection(preset.elevation, preset.azimuth));
+
+        const skyScene = new Scene();
+        skyScene.add(sky);
+
+        const pmremGenerator = new PMREMGenerator(renderer);
+        const target = pmremGenerator.fromScene(skyScene, 0, 0.1, 100);
+        pmremGenerator.dispose();
+        sky.geometry.dispose();
+        sky.material.dispose();
+        return target;
+    };
+
+    return {
+        // Environment texture for a preset id
+        get(id) {
+            if (!targets.has(id)) {
+                targets.set(id, render(findEnvironmentPreset(id)));
+            }
+            return targets.get(id).texture;
+        },
+
+        dispose() {
+            targets.forEach(target => target.dispose());
+            targets.clear();
+        }
+    };
+}
+
+// Transparent plane that only shows shadows, sized 1x1 in its own units
+export function createShadowCatcher(opacity = 0.25) {
+    const catcher = new Mesh(
+        new PlaneGeometry(1, 1).rotateX(-Math.PI / 2),
+        new ShadowMaterial({ opacity })
+    );
+    catcher.name = 'shadowCatcher';
+    catcher.receiveShadow = true;
+    // Never picked, measured or simplified as part of the model
+    catcher.userData.helper = true;
+    return catcher;
+}
+
+// Size the key light's shadow for a model of bounding `radius` around
+// `center`, lit from `direction`.
+export function aimShadowLight(light, { center, radius, direction, performanceMode }) {
+    const size = SHADOW_MAP_SIZES[performanceMode] || SHADOW_MAP_SIZES.medium;
+    if (light.shadow.mapSize.x !== size) {
+        light.shadow.mapSize.set(size, size);
+        if (light.shadow.map) {
+            light.shadow.map.dispose();
+            light.shadow.map = null;
+        }
+    }
+
+    light.position.copy(direction).multiplyScalar(radius * 3).add(center);
+    light.target.position.copy(center);
+    light.target.updateMatrixWorld();
+
+    const shadowCamera = light.shadow.camera;
+    shadowCamera.left = shadowCamera.bottom = -radius * 1.5;
+    shadowCamera.right = shadowCamera.top = radius * 1.5;
+    shadowCamera.near = radius * 0.1;
+    shadowCamera.far = radius * 6;
+    shadowCamera.updateProjectionMatrix();
+    light.shadow.bias = -0.0005;
+    light.shadow.normalBias = radius * 0.002;
+}
+
+// WebXR light estimation ('light-estimation' feature). Once the browser
+// delivers estimates, spherical harmonics light the scene through a light
+// probe, the key light follows the primary light and PBR materials reflect
+// an estimated cube map.
+//   onStart(), onEnd() - estimation started / stopped delivering values
+export function createLightEstimation(renderer, { onStart = () => {}, onEnd = () => {} } = {}) {
+    const estimated = new XREstimatedLight(renderer, true);
+    // Its own directional light stays dark; the key light copies from it so
+    // shadows and quality tiers keep working
+    estimated.directionalLight.visible = false;
+
+    let active = false;
+    estimated.addEventListener('estimationstart', () => {
+        active = true;
+        onStart();
+    });
+    estimated.addEventListener('estimationend', () => {
+        active = false;
+        onEnd();
+    });
+
+    return {
+        // Group holding the light probe; add it to the scene
+        object: estimated,
+
+        get active() {
+            return active;
+        },
+
+        // Estimated reflection cube map, once the browser provides one
+        get environment() {
+            return estimated.environment;
+        },
+
+        // Average brightness of the estimated ambient light: the luminance
+        // of the light probe's constant term
+        get ambientLevel() {
+            const [constant] = estimated.lightProbe.sh.coefficients;
+            return (0.2126 * constant.x + 0.7152 * constant.y + 0.0722 * constant.z) * 0.282095;
+        },
+
+        // Copy the estimated primary light onto `light`; returns its direction
+        applyTo(light) {
+            const { directionalLight } = estimated;
+            light.color.copy(directionalLight.color);
+            light.intensity = directionalLight.intensity;
+            return directionalLight.position.clone().normalize();
+        },
+
+        dispose() {
+            active = false;
+            if (estimated.environment) estimated.environment.dispose();
+            estimated.removeFromParent();
+            estimated.dispose();
+        }
+    };
+}
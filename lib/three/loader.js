@@ -0,0 +1,457 @@
+import { LoaderUtils } from 'three';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { isDataUri, parseGlb, writeGlb } from '../models/gltf.js';
+import { SUPPORTED_EXTENSIONS } from '../models/validate.js';
+import { collectLodLevels } from './lod.js';
+
+// Model downloading, caching and parsing shared by the AR view and the 3D
+// preview. Downloads can be cancelled with an AbortSignal, are cached per
+// URL + ETag (external buffers and textures included), and failures surface
+// as typed errors.
+
+// Decoders are copied from three into public/ by scripts/copy-decoders.mjs
+export const DRACO_DECODER_PATH = '/draco/';
+export const BASIS_TRANSCODER_PATH = '/basis/';
+
+const CACHE_NAME = 'house-ar:models';
+const DB_NAME = 'house-ar';
+const DB_STORE = 'models';
+
+// Base class for everything that can go wrong while loading a model.
+// `code` is one of NOT_FOUND, HTTP_ERROR, NETWORK_ERROR, PARSE_ERROR,
+// MISSING_EXTENSION or ABORTED.
+export class ModelLoadError extends Error {
+    constructor(message, { code = 'LOAD_FAILED', url = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ModelLoadError';
+        this.code = code;
+        this.url = url;
+    }
+}
+
+// The model, or a file it references, does not exist (HTTP 404)
+export class ModelNotFoundError extends ModelLoadError {
+    constructor(url, options = {}) {
+        super(`Model file not found: ${url}`, { ...options, code: 'NOT_FOUND', url });
+        this.name = 'ModelNotFoundError';
+        this.status = 404;
+    }
+}
+
+// The file was downloaded but is not valid glTF
+export class ModelParseError extends ModelLoadError {
+    constructor(url, options = {}) {
+        super(`Could not parse model ${url}: ${options.cause ? options.cause.message : 'invalid glTF'}`, { ...options, code: 'PARSE_ERROR', url });
+        this.name = 'ModelParseError';
+    }
+}
+
+// The model requires glTF extensions this viewer cannot decode
+export class MissingExtensionError extends ModelLoadError {
+    constructor(url, extensions, options = {}) {
+        super(`Model ${url} requires unsupported extensions: ${extensions.join(', ')}`, { ...options, code: 'MISSING_EXTENSION', url });
+        this.name = 'MissingExtensionError';
+        this.extensions = extensions;
+    }
+}
+
+// Loading was cancelled, e.g. the user pressed Back
+export class ModelLoadAbortedError extends ModelLoadError {
+    constructor(url) {
+        super('Model loading was cancelled', { code: 'ABORTED', url });
+        this.name = 'ModelLoadAbortedError';
+    }
+}
+
+export const isAbortError = error => error instanceof ModelLoadAbortedError || (error && error.name === 'AbortError');
+
+// GLTF loader with Draco and KTX2 support. KTX2 needs the renderer to pick a
+// GPU texture format; without one (geometry only, as for floor plans) KTX2
+// textures cannot load. Call dispose() when done.
+export function createModelLoader(renderer) {
+    // Configure DRACO loader for compressed models
+    const dracoLoader = new DRACOLoader();
+    dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
+
+    const ktx2Loader = new KTX2Loader();
+    ktx2Loader.setTranscoderPath(BASIS_TRANSCODER_PATH);
+    if (renderer) ktx2Loader.detectSupport(renderer);
+
+    const loader = new GLTFLoader();
+    loader.setDRACOLoader(dracoLoader);
+    loader.setKTX2Loader(ktx2Loader);
+
+    return {
+        loader,
+        dispose: () => {
+            dracoLoader.dispose();
+            ktx2Loader.dispose();
+        }
+    };
+}
+
+// --- Cache -----------------------------------------------------------------
+
+// Cache key for one version of a file. Cache Storage ignores URL fragments,
+// so the ETag goes into the query string.
+const cacheKey = (url, etag) => {
+    const absolute = new URL(url, window.location.href);
+    absolute.searchParams.set('etag', etag);
+    return absolute.href;
+};
+
+const sameFile = (key, url) => {
+    const absolute = new URL(key);
+    absolute.searchParams.delete('etag');
+    return absolute.href === new URL(url, window.location.href).href;
+};
+
+// Cache Storage backed store, available in secure contexts
+const cacheStorageStore = () => ({
+    get: async (url, etag) => {
+        const cache = await caches.open(CACHE_NAME);
+        const response = await cache.match(cacheKey(url, etag));
+        return response ? response.arrayBuffer() : null;
+    },
+    latest: async (url) => {
+        const cache = await caches.open(CACHE_NAME);
+        const keys = (await cache.keys()).filter(request => sameFile(request.url, url));
+        if (keys.length === 0) return null;
+        const response = await cache.match(keys[keys.length - 1]);
+        return response ? response.arrayBuffer() : null;
+    },
+    put: async (url, etag, data) => {
+        const cache = await caches.open(CACHE_NAME);
+        // Older versions of the same file are never requested again
+        for (const request of await cache.keys()) {
+            if (sameFile(request.url, url)) await cache.delete(request);
+        }
+        await cache.put(cacheKey(url, etag), new Response(data));
+    }
+});
+
+const idbRequest = request => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+let dbPromise = null;
+const openDb = () => {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(DB_STORE, { keyPath: 'url' });
+        };
+        dbPromise = idbRequest(request);
+    }
+    return dbPromise;
+};
+
+// IndexedDB store, one record per file URL holding its latest version
+const indexedDbStore = () => {
+    const read = async (url) => {
+        const db = await openDb();
+        return idbRequest(db.transaction(DB_STORE).objectStore(DB_STORE).get(new URL(url, window.location.href).href));
+    };
+    return {
+        get: async (url, etag) => {
+            const record = await read(url);
+            return record && record.etag === etag ? record.data : null;
+        },
+        latest: async (url) => {
+            const record = await read(url);
+            return record ? record.data : null;
+        },
+        put: async (url, etag, data) => {
+            const db = await openDb();
+            const store = db.transaction(DB_STORE, 'readwrite').objectStore(DB_STORE);
+            await idbRequest(store.put({ url: new URL(url, window.location.href).href, etag, data }));
+        }
+    };
+};
+
+const createStore = () => {
+    if (typeof caches !== 'undefined') return cacheStorageStore();
+    if (typeof indexedDB !== 'undefined') return indexedDbStore();
+    return null;
+};
+
+// The cache only ever speeds things up, so its failures are logged and ignored
+const tryStore = async (store, method, ...args) => {
+    if (!store) return null;
+    try {
+        return await store[method](...args);
+    } catch (error) {
+        console.warn(`Model cache ${method} failed:`, error);
+        return null;
+    }
+};
+
+// --- Download --------------------------------------------------------------
+
+const checkResponse = (response, url) => {
+    if (response.status === 404) throw new ModelNotFoundError(url);
+    if (!response.ok) {
+        const error = new ModelLoadError(`Could not download ${url}: HTTP ${response.status}`, { code: 'HTTP_ERROR', url });
+        error.status = response.status;
+        throw error;
+    }
+};
+
+const wrapFetchError = (error, url, signal) => {
+    if (signal && signal.aborted) return new ModelLoadAbortedError(url);
+    if (error instanceof ModelLoadError) return error;
+    return new ModelLoadError(`Could not download ${url}: ${error.message}`, { code: 'NETWORK_ERROR', url, cause: error });
+};
+
+// Read a response body, reporting progress as a 0..1 fraction. Servers that
+// send gzip or chunked responses have no usable Content-Length; progress then
+// stays at 0 until the download completes instead of turning into NaN.
+const readBody = async (response, onProgress) => {
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    if (!response.body || !total) {
+        const data = await response.arrayBuffer();
+        onProgress(1);
+        return data;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.byteLength;
+        onProgress(Math.min(loaded / total, 1));
+    }
+
+    const data = new Uint8Array(loaded);
+    let offset = 0;
+    for (const chunk of chunks) {
+        data.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    onProgress(1);
+    return data.buffer;
+};
+
+// Download a file through the cache. A HEAD request yields the current ETag;
+// a cached copy under URL + ETag is used as is, otherwise the file is
+// downloaded and cached. When offline, the last cached version is used.
+export async function fetchModelFile(url, { signal, onProgress = () => {} } = {}) {
+    const store = createStore();
+
+    let etag = null;
+    try {
+        const head = await fetch(url, { method: 'HEAD', signal, cache: 'no-cache' });
+        checkResponse(head, url);
+        etag = head.headers.get('ETag');
+    } catch (error) {
+        const wrapped = wrapFetchError(error, url, signal);
+        if (wrapped.code !== 'NETWORK_ERROR') throw wrapped;
+
+        // Offline: fall back to whatever version we have
+        const cached = await tryStore(store, 'latest', url);
+        if (cached) {
+            onProgress(1);
+            return cached;
+        }
+        throw wrapped;
+    }
+
+    if (etag) {
+        const cached = await tryStore(store, 'get', url, etag);
+        if (cached) {
+            onProgress(1);
+            return cached;
+        }
+    }
+
+    try {
+        const response = await fetch(url, { signal });
+        checkResponse(response, url);
+        const data = await readBody(response, onProgress);
+
+        const version = response.headers.get('ETag') || etag;
+        if (version) await tryStore(store, 'put', url, version, data.slice(0));
+        return data;
+    } catch (error) {
+        throw wrapFetchError(error, url, signal);
+    }
+}
+
+// --- Parsing ---------------------------------------------------------------
+
+// Share of the progress a .gltf or .glb file has before its external files
+// are known
+const DOCUMENT_SHARE = 0.1;
+
+// Document of a .glb or .gltf file, or a ModelParseError:
+// { json, bin, binary, resources }, where resources are the buffers and
+// images stored in files of their own
+const readDocument = (data, url) => {
+    try {
+        const binary = new Uint8Array(data, 0, 4).every((byte, i) => byte === 'glTF'.charCodeAt(i));
+        const { json, bin } = binary
+            ? parseGlb(new Uint8Array(data))
+            : { json: JSON.parse(new TextDecoder().decode(data)), bin: null };
+        const resources = [...(json.buffers || []), ...(json.images || [])]
+            .filter(resource => resource && typeof resource.uri === 'string' && !isDataUri(resource.uri));
+        return { json, bin, binary, resources };
+    } catch (error) {
+        throw new ModelParseError(url, { cause: error });
+    }
+};
+
+// GLTFLoader errors for decoders we did not configure
+const DECODER_ERRORS = [
+    { pattern: /setKTX2Loader/, extension: 'KHR_texture_basisu' },
+    { pattern: /DRACOLoader/, extension: 'KHR_draco_mesh_compression' },
+    { pattern: /setMeshoptDecoder/, extension: 'EXT_meshopt_compression' }
+];
+
+const classifyParseError = (error, url) => {
+    const decoder = DECODER_ERRORS.find(({ pattern }) => pattern.test(error.message));
+    if (decoder) return new MissingExtensionError(url, [decoder.extension], { cause: error });
+
+    return new ModelParseError(url, { cause: error });
+};
+
+const abortable = (promise, signal, url) => {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(new ModelLoadAbortedError(url));
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new ModelLoadAbortedError(url));
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+};
+
+// Download and parse one glTF file. Its external buffers and textures are
+// downloaded through the cache as well, so models made of several files
+// load offline too; the parser gets them as blob URLs. Progress (0-100)
+// covers the file and every external one.
+export async function loadGltf(loader, url, { signal, onProgress = () => {} } = {}) {
+    // Fraction downloaded of the file, and of each external file once the
+    // file has listed them; a small .gltf may have heavy external files
+    let downloaded = 0;
+    let external = null;
+    const report = () => {
+        const fraction = external
+            ? DOCUMENT_SHARE + (1 - DOCUMENT_SHARE) * (external.length
+                ? external.reduce((sum, part) => sum + part, 0) / external.length
+                : 1)
+            : DOCUMENT_SHARE * downloaded;
+        onProgress(Math.floor(fraction * 100));
+    };
+
+    const data = await fetchModelFile(url, {
+        signal,
+        onProgress: (fraction) => {
+            downloaded = fraction;
+            report();
+        }
+    });
+    const { json, bin, binary, resources } = readDocument(data, url);
+
+    const unsupported = (json.extensionsRequired || []).filter(name => !SUPPORTED_EXTENSIONS.includes(name));
+    if (unsupported.length) throw new MissingExtensionError(url, unsupported);
+
+    const base = LoaderUtils.extractUrlBase(url);
+    external = resources.map(() => 0);
+    report();
+    const files = await Promise.all(resources.map((resource, index) => fetchModelFile(
+        LoaderUtils.resolveURL(resource.uri, base),
+        {
+            signal,
+            onProgress: (fraction) => {
+                external[index] = fraction;
+                report();
+            }
+        }
+    )));
+    const objectUrls = files.map(file => URL.createObjectURL(new Blob([file])));
+    resources.forEach((resource, index) => {
+        resource.uri = objectUrls[index];
+    });
+    let parsedData = data;
+    if (resources.length) parsedData = binary ? writeGlb(json, bin).buffer : JSON.stringify(json);
+
+    // External files still finish loading after an abort; the parsed
+    // result is simply dropped and never reaches the GPU.
+    const parsed = loader.parseAsync(parsedData, base)
+        .catch((error) => {
+            throw classifyParseError(error, url);
+        })
+        .finally(() => objectUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl)));
+    return abortable(parsed, signal, url);
+}
+
+// Load the first variant that works, falling back along the list.
+// Resolves to { gltf, variant }.
+//   signal              - AbortSignal that cancels loading
+//   onProgress(percent) - progress of the current attempt
+//   onVariant(variant)  - called before each attempt
+export function loadModel(loader, variants, { signal, onProgress = () => {}, onVariant = () => {} } = {}) {
+    const attempt = (index) => {
+        const variant = variants[index];
+        onVariant(variant);
+        onProgress(0);
+        return loadGltf(loader, variant.url, { signal, onProgress })
+            .then(gltf => ({ gltf, variant }))
+            .catch((error) => {
+                if (isAbortError(error)) throw error;
+                console.error(`Error loading ${variant.type} variant from ${variant.url}:`, error);
+
+                // Try the next variant if available; onVariant reports it
+                if (index + 1 < variants.length) return attempt(index + 1);
+                console.error('All model loading attempts failed');
+                throw error;
+            });
+    };
+
+    if (variants.length === 0) {
+        return Promise.reject(new ModelLoadError('No model variants to load'));
+    }
+    return attempt(0);
+}
+
+// Prebuilt *.lod.glb levels, or null so LODs are generated instead
+export function loadLodLevels(loader, lodUrl, { signal } = {}) {
+    if (!lodUrl) return Promise.resolve(null);
+    return loadGltf(loader, lodUrl, { signal })
+        .then(lodGltf => collectLodLevels(lodGltf.scene))
+        .catch((error) => {
+            if (isAbortError(error)) throw error;
+            console.warn('Could not load prebuilt LODs, generating them instead:', error);
+            return null;
+        });
+}
+
+// English messages by reason
+const LOAD_ERROR_MESSAGES = {
+    'not-found': () => 'The model file could not be found on the server.',
+    'missing-extension': error => `This model needs features the viewer does not support (${error.extensions.join(', ')}).`,
+    'parse-error': () => 'The model file is damaged or not a valid glTF model.',
+    network: () => 'Could not download the model. Check your connection and try again.',
+    failed: () => 'Could not load 3D model. Please try again later.'
+};
+
+// Why loading failed, for pages to show in the user's language:
+// 'not-found', 'missing-extension' (see the error's `extensions`),
+// 'parse-error', 'network' or 'failed'
+export function loadErrorReason(error) {
+    if (error instanceof ModelNotFoundError) return 'not-found';
+    if (error instanceof MissingExtensionError) return 'missing-extension';
+    if (error instanceof ModelParseError) return 'parse-error';
+    if (error && error.code === 'NETWORK_ERROR') return 'network';
+    return 'failed';
+}
+
+// Short English message, for logs and telemetry
+export function describeLoadError(error) {
+    return LOAD_ERROR_MESSAGES[loadErrorReason(error)](error);
+}
@@ -0,0 +1,159 @@
+import { BufferAttribute, BufferGeometry, LOD, Mesh } from 'three';
+import { SimplifyModifier } from 'three/examples/jsm/modifiers/SimplifyModifier.js';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+// Level-of-detail support for heavy meshes. Levels are either generated at
+// load time with SimplifyModifier or read from a prebuilt *.lod.glb written
+// by scripts/generate-lods.mjs.
+
+export const LOD_DEFAULTS = {
+    // Meshes with more vertices than this get LOD levels
+    minVertices: 5000,
+    // Target vertex ratio of each simplified level, relative to the source
+    ratios: [0.5, 0.2],
+    // Camera distance in meters at which each level (source first) kicks in
+    distances: [0, 6, 15]
+};
+
+// Key linking a prebuilt level back to the source glTF mesh primitive
+export const lodKey = (mesh, primitive) => `${mesh}:${primitive}`;
+
+export function vertexCount(geometry) {
+    return geometry && geometry.attributes.position ? geometry.attributes.position.count : 0;
+}
+
+// Decimate a geometry to roughly `ratio` of its unique vertices
+export function simplifyGeometry(geometry, ratio) {
+    // SimplifyModifier welds vertices first, so count against the welded mesh
+    const welded = new BufferGeometry();
+    welded.setAttribute('position', geometry.attributes.position);
+    if (geometry.index) welded.setIndex(geometry.index);
+    const unique = vertexCount(mergeVertices(welded));
+
+    const remove = Math.floor(unique * (1 - ratio));
+    const simplified = new SimplifyModifier().modify(geometry, remove);
+    simplified.computeBoundingSphere();
+    return simplified;
+}
+
+// Replace `mesh` in its parent with a THREE.LOD holding the mesh and its levels
+export function replaceWithLod(mesh, geometries, distances = LOD_DEFAULTS.distances) {
+    const lod = new LOD();
+    lod.name = mesh.name;
+    lod.position.copy(mesh.position);
+    lod.quaternion.copy(mesh.quaternion);
+    lod.scale.copy(mesh.scale);
+    lod.userData = { ...mesh.userData };
+
+    const parent = mesh.parent;
+    const index = parent.children.indexOf(mesh);
+    mesh.position.set(0, 0, 0);
+    mesh.quaternion.identity();
+    mesh.scale.set(1, 1, 1);
+
+    lod.addLevel(mesh, distances[0]);
+    geometries.forEach((geometry, level) => {
+        const levelMesh = new Mesh(geometry, mesh.material);
+        levelMesh.name = `${mesh.name}_lod${level + 1}`;
+        lod.addLevel(levelMesh, distances[Math.min(level + 1, distances.length - 1)]);
+    });
+
+    // addLevel() took the mesh out of its parent; put the LOD where it was
+    // in the parent's child list
+    parent.add(lod);
+    parent.children.pop();
+    parent.children.splice(index, 0, lod);
+    return lod;
+}
+
+// Meshes heavy enough to need LODs, skipping ones that are already levels
+const heavyMeshes = (model, minVertices) => {
+    const meshes = [];
+    model.traverse((node) => {
+        if (node.isMesh && !(node.parent && node.parent.isLOD) && vertexCount(node.geometry) > minVertices) {
+            meshes.push(node);
+        }
+    });
+    return meshes;
+};
+
+// Generate LOD levels in the browser. Returns the number of LODs created.
+export function buildLods(model, options = {}) {
+    const { minVertices, ratios, distances } = { ...LOD_DEFAULTS, ...options };
+    const meshes = heavyMeshes(model, minVertices);
+
+    meshes.forEach((mesh) => {
+        const geometries = ratios.map((ratio) => simplifyGeometry(mesh.geometry, ratio));
+        replaceWithLod(mesh, geometries, distances);
+    });
+    return meshes.length;
+}
+
+// Collect prebuilt levels from a loaded *.lod.glb, keyed by source primitive
+export function collectLodLevels(lodScene) {
+    const levels = new Map();
+    lodScene.traverse((node) => {
+        const { lodSource, lodLevel } = node.userData;
+        if (!node.isMesh || !lodSource) return;
+
+        const key = lodKey(lodSource.mesh, lodSource.primitive);
+        if (!levels.has(key)) levels.set(key, []);
+        levels.get(key)[lodLevel - 1] = node.geometry;
+    });
+    return levels;
+}
+
+// Attach prebuilt levels to the matching meshes of the source model. Uses
+// the GLTFLoader parser associations to map meshes back to glTF indices.
+export function applyLodLevels(model, levels, associations, options = {}) {
+    const { minVertices, distances } = { ...LOD_DEFAULTS, ...options };
+    let applied = 0;
+
+    heavyMeshes(model, minVertices).forEach((mesh) => {
+        const reference = associations.get(mesh);
+        const geometries = reference && levels.get(lodKey(reference.meshes, reference.primitives));
+        if (geometries && geometries.length) {
+            replaceWithLod(mesh, geometries.filter(Boolean), distances);
+            applied++;
+        }
+    });
+    return applied;
+}
+
+// LOD -> level distances as built, before any bias
+const baseDistances = new WeakMap();
+
+// Scale the switch distances of every LOD in the model. A bias below 1
+// switches to simpler levels closer to the camera, above 1 further away.
+export function setLodBias(model, bias) {
+    model.traverse((node) => {
+        if (!node.isLOD) return;
+        if (!baseDistances.has(node)) {
+            baseDistances.set(node, node.levels.map(level => level.distance));
+        }
+        const distances = baseDistances.get(node);
+        node.levels.forEach((level, index) => {
+            level.distance = distances[index] * bias;
+        });
+    });
+}
+
+// Plain typed arrays of a geometry, as needed by the *.lod.glb writer
+export function geometryToArrays(geometry) {
+    const { position, normal, uv } = geometry.attributes;
+    const arrays = { position: Float32Array.from(position.array) };
+    if (normal) arrays.normal = Float32Array.from(normal.array);
+    if (uv) arrays.uv = Float32Array.from(uv.array);
+    if (geometry.index) arrays.index = Uint32Array.from(geometry.index.array);
+    return arrays;
+}
+
+// Build a geometry from typed arrays of glTF vertex attributes
+export function arraysToGeometry({ position, normal, uv, index }) {
+    const geometry = new BufferGeometry();
+    geometry.setAttribute('position', new BufferAttribute(position, 3));
+    if (normal) geometry.setAttribute('normal', new BufferAttribute(normal, 3));
+    if (uv) geometry.setAttribute('uv', new BufferAttribute(uv, 2));
+    if (index) geometry.setIndex(new BufferAttribute(index, 1));
+    return geometry;
+}
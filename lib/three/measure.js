@@ -0,0 +1,366 @@
+import {
+    Box3,
+    BufferGeometry,
+    CanvasTexture,
+    EdgesGeometry,
+    Group,
+    Line,
+    Line3,
+    LineBasicMaterial,
+    LineLoop,
+    Matrix4,
+    Mesh,
+    MeshBasicMaterial,
+    RingGeometry,
+    SphereGeometry,
+    Sprite,
+    SpriteMaterial,
+    SRGBColorSpace,
+    Vector3
+} from 'three';
+import { centroid, describeMeasurement, distance, measurementsToJSON } from '../measure.js';
+import { formatArea, formatLength } from '../units.js';
+import { isShown } from './inspect.js';
+
+// Measure tool for the AR view: markers, segments and distance and area
+// labels for points picked by hit testing, and snapping to the corners and
+// edges of the placed model.
+
+// A tap this close (meters) to the first point closes the shape
+export const CLOSE_DISTANCE = 0.1;
+// Snap to model corners and edges within this distance (meters)
+export const SNAP_DISTANCE = 0.05;
+// Faces meeting at more than this angle (degrees) form an edge
+const EDGE_ANGLE = 30;
+
+const COLOR = 0xffd400;
+const SNAP_COLOR = 0x00c8ff;
+// Measurements draw over the model and the camera feed
+const RENDER_ORDER = 10;
+
+const LABEL_WIDTH = 256;
+const LABEL_HEIGHT = 64;
+// Label height on screen, relative to the view at 1 m; labels keep their
+// size at any distance
+const LABEL_SCALE = 0.05;
+
+const onTop = (material) => {
+    material.depthTest = false;
+    material.transparent = true;
+    return material;
+};
+
+// Text sprite, redrawn only when the text changes
+const createLabel = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = LABEL_WIDTH;
+    canvas.height = LABEL_HEIGHT;
+    const context = canvas.getContext('2d');
+    const texture = new CanvasTexture(canvas);
+    texture.colorSpace = SRGBColorSpace;
+
+    const sprite = new Sprite(onTop(new SpriteMaterial({ map: texture, sizeAttenuation: false })));
+    sprite.scale.set(LABEL_SCALE * LABEL_WIDTH / LABEL_HEIGHT, LABEL_SCALE, 1);
+    sprite.renderOrder = RENDER_ORDER + 1;
+
+    let text = null;
+    return {
+        object: sprite,
+
+        setText(next) {
+            if (next === text) return;
+            text = next;
+            context.clearRect(0, 0, LABEL_WIDTH, LABEL_HEIGHT);
+            context.font = '600 34px sans-serif';
+            const width = Math.min(LABEL_WIDTH, context.measureText(text).width + 28);
+            context.fillStyle = 'rgba(0, 0, 0, 0.75)';
+            context.fillRect((LABEL_WIDTH - width) / 2, 0, width, LABEL_HEIGHT);
+            context.fillStyle = '#ffffff';
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(text, LABEL_WIDTH / 2, LABEL_HEIGHT / 2);
+            texture.needsUpdate = true;
+        },
+
+        dispose() {
+            sprite.removeFromParent();
+            texture.dispose();
+            sprite.material.dispose();
+        }
+    };
+};
+
+// Markers, lines and labels of measurements. Add `object` to the scene.
+//   units - 'metric' or 'imperial' labels
+export function createMeasureTool({ units = 'metric' } = {}) {
+    const root = new Group();
+    root.name = 'measurements';
+    root.userData.helper = true;
+
+    const markerGeometry = new SphereGeometry(0.012, 12, 8);
+    const markerMaterial = onTop(new MeshBasicMaterial({ color: COLOR }));
+    const lineMaterial = onTop(new LineBasicMaterial({ color: COLOR }));
+
+    // Cursor ring where the next point goes, and a rubber band to it from
+    // the last point with the live distance
+    const cursor = new Mesh(
+        new RingGeometry(0.02, 0.03, 24).rotateX(-Math.PI / 2),
+        onTop(new MeshBasicMaterial({ color: COLOR }))
+    );
+    cursor.renderOrder = RENDER_ORDER;
+    cursor.visible = false;
+    const band = new Line(
+        new BufferGeometry().setFromPoints([new Vector3(), new Vector3()]),
+        onTop(new LineBasicMaterial({ color: COLOR, opacity: 0.6 }))
+    );
+    band.renderOrder = RENDER_ORDER;
+    band.frustumCulled = false;
+    band.visible = false;
+    const bandLabel = createLabel();
+    bandLabel.object.visible = false;
+    root.add(cursor, band, bandLabel.object);
+
+    // { points: [Vector3], closed } and the objects drawing each
+    let measurements = [];
+    let visuals = [];
+    // Index of the measurement taking new points, or null
+    let open = null;
+
+    const disposeVisual = (visual) => {
+        visual.labels.forEach(label => label.dispose());
+        if (visual.line) visual.line.geometry.dispose();
+        visual.group.removeFromParent();
+    };
+
+    const addLabel = (group, labels, text, position) => {
+        const label = createLabel();
+        label.setText(text);
+        label.object.position.copy(position);
+        group.add(label.object);
+        labels.push(label);
+    };
+
+    const buildVisual = (measurement) => {
+        const { points } = measurement;
+        const summary = describeMeasurement(measurement);
+        const group = new Group();
+        const labels = [];
+
+        points.forEach((point) => {
+            const marker = new Mesh(markerGeometry, markerMaterial);
+            marker.position.copy(point);
+            marker.renderOrder = RENDER_ORDER;
+            group.add(marker);
+        });
+
+        let line = null;
+        if (points.length > 1) {
+            line = new (summary.closed ? LineLoop : Line)(new BufferGeometry().setFromPoints(points), lineMaterial);
+            line.renderOrder = RENDER_ORDER;
+            group.add(line);
+        }
+
+        summary.lengths.forEach((length, index) => {
+            const middle = points[index].clone().add(points[(index + 1) % points.length]).multiplyScalar(0.5);
+            addLabel(group, labels, formatLength(length, units), middle);
+        });
+        if (summary.area !== null) {
+            const center = centroid(points);
+            addLabel(group, labels, formatArea(summary.area, units), new Vector3(center.x, center.y, center.z));
+        }
+
+        root.add(group);
+        return { group, labels, line };
+    };
+
+    const redraw = (index) => {
+        if (visuals[index]) disposeVisual(visuals[index]);
+        visuals[index] = buildVisual(measurements[index]);
+    };
+
+    const remove = (index) => {
+        disposeVisual(visuals[index]);
+        measurements.splice(index, 1);
+        visuals.splice(index, 1);
+    };
+
+    return {
+        object: root,
+
+        // Summaries from describeMeasurement(), oldest first
+        get measurements() {
+            return measurements.map(measurement => ({ ...describeMeasurement(measurement), open: measurement === measurements[open] }));
+        },
+
+        // Add a point to the open measurement, starting one if needed. A
+        // point next to the first one of three or more closes the shape.
+        // Returns 'added' or 'closed'.
+        addPoint(point) {
+            if (open === null) {
+                measurements.push({ points: [], closed: false });
+                open = measurements.length - 1;
+            }
+            const measurement = measurements[open];
+            if (measurement.points.length > 2 && distance(point, measurement.points[0]) < CLOSE_DISTANCE) {
+                this.close();
+                return 'closed';
+            }
+            measurement.points.push(point.clone());
+            redraw(open);
+            return 'added';
+        },
+
+        // End the open measurement as a line
+        finish() {
+            if (open === null) return;
+            if (measurements[open].points.length < 2) remove(open);
+            open = null;
+        },
+
+        // End the open measurement as a closed shape, if it has 3+ points
+        close() {
+            if (open === null || measurements[open].points.length < 3) return;
+            measurements[open].closed = true;
+            redraw(open);
+            open = null;
+        },
+
+        // Take back the last point (or the closing segment)
+        undo() {
+            if (!measurements.length) return;
+            const index = open === null ? measurements.length - 1 : open;
+            const measurement = measurements[index];
+            if (measurement.closed) {
+                measurement.closed = false;
+            } else {
+                measurement.points.pop();
+            }
+            if (!measurement.points.length) {
+                remove(index);
+                open = null;
+                return;
+            }
+            redraw(index);
+            open = index;
+        },
+
+        clear() {
+            visuals.forEach(disposeVisual);
+            measurements = [];
+            visuals = [];
+            open = null;
+        },
+
+        // Where the next point would go, or null; `snapped` tints it
+        setCursor(point, snapped = false) {
+            cursor.visible = Boolean(point);
+            const last = open === null ? null : measurements[open].points[measurements[open].points.length - 1];
+            band.visible = bandLabel.object.visible = Boolean(point && last);
+            if (!point) return;
+
+            cursor.position.copy(point);
+            cursor.material.color.set(snapped ? SNAP_COLOR : COLOR);
+            if (last) {
+                band.geometry.setFromPoints([last, point]);
+                bandLabel.object.position.copy(last).add(point).multiplyScalar(0.5);
+                bandLabel.setText(formatLength(distance(last, point), units));
+            }
+        },
+
+        setUnits(system) {
+            units = system;
+            measurements.forEach((measurement, index) => redraw(index));
+        },
+
+        toJSON(meta) {
+            return measurementsToJSON(measurements, meta);
+        },
+
+        dispose() {
+            this.clear();
+            bandLabel.dispose();
+            band.geometry.dispose();
+            band.material.dispose();
+            cursor.geometry.dispose();
+            cursor.material.dispose();
+            markerGeometry.dispose();
+            markerMaterial.dispose();
+            lineMaterial.dispose();
+            root.removeFromParent();
+        }
+    };
+}
+
+// Snap points to the corners and edges of a model. Edges are extracted once
+// in the model's own coordinates, so moving, turning or scaling the placed
+// model does not invalidate them; hidden parts are skipped.
+export function createEdgeSnapper(model) {
+    // [{ part, positions, box }] with segment end points in model space
+    let edgeSets = null;
+    const toModel = new Matrix4();
+    const local = new Vector3();
+    const start = new Vector3();
+    const end = new Vector3();
+    const closest = new Vector3();
+    const worldScale = new Vector3();
+    const segment = new Line3(start, end);
+
+    const build = () => {
+        model.updateMatrixWorld(true);
+        toModel.copy(model.matrixWorld).invert();
+        edgeSets = [];
+        model.traverse((node) => {
+            if (!node.isMesh || node.userData.helper) return;
+            // Only the full-detail level of an LOD
+            if (node.parent && node.parent.isLOD && node.parent.levels[0].object !== node) return;
+
+            const edges = new EdgesGeometry(node.geometry, EDGE_ANGLE);
+            edges.applyMatrix4(new Matrix4().multiplyMatrices(toModel, node.matrixWorld));
+            edges.computeBoundingBox();
+            // LODs switch their levels' visibility themselves
+            const part = node.parent && node.parent.isLOD ? node.parent : node;
+            edgeSets.push({ part, positions: edges.attributes.position.array, box: edges.boundingBox });
+        });
+    };
+
+    return {
+        // Nearest corner or edge point within `maxDistance` meters of the
+        // world-space `point`: { point, kind: 'corner' | 'edge' }, or null
+        snap(point, maxDistance = SNAP_DISTANCE) {
+            if (!edgeSets) build();
+            toModel.copy(model.matrixWorld).invert();
+            local.copy(point).applyMatrix4(toModel);
+            const threshold = maxDistance / worldScale.setFromMatrixScale(model.matrixWorld).x;
+            const reach = new Box3();
+
+            let best = null;
+            let bestDistance = threshold;
+            edgeSets.forEach(({ part, positions, box }) => {
+                if (!isShown(part) || !reach.copy(box).expandByScalar(threshold).containsPoint(local)) return;
+
+                for (let i = 0; i < positions.length; i += 6) {
+                    start.fromArray(positions, i);
+                    end.fromArray(positions, i + 3);
+                    segment.closestPointToPoint(local, true, closest);
+                    const gap = closest.distanceTo(local);
+                    if (gap >= bestDistance) continue;
+
+                    bestDistance = gap;
+                    // Corners win over the edge next to them
+                    const corner = closest.distanceTo(start) < threshold ? start
+                        : closest.distanceTo(end) < threshold ? end
+                            : null;
+                    best = { point: (corner || closest).clone(), kind: corner ? 'corner' : 'edge' };
+                }
+            });
+
+            if (!best) return null;
+            best.point.applyMatrix4(model.matrixWorld);
+            return best;
+        },
+
+        dispose() {
+            edgeSets = null;
+        }
+    };
+}
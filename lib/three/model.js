@@ -0,0 +1,146 @@
+import { Box3, Color, Group, MathUtils, MeshBasicMaterial, SRGBColorSpace, Vector3 } from 'three';
+import { applyLodLevels, buildLods } from './lod.js';
+
+// Model preparation and optimization shared by the AR view and the 3D
+// preview. Loading lives in loader.js.
+
+// Wrap the glTF scene in a placement group so centering and rotation of the
+// content survive re-placement, and measure it. Returns { model, box } where
+// `box` is in model units, in the displayed orientation.
+export function prepareModel(gltfScene) {
+    const model = new Group();
+    model.add(gltfScene);
+
+    // Rotate the model
+    gltfScene.rotation.x = MathUtils.degToRad(-90);
+
+    gltfScene.updateMatrixWorld(true);
+    const box = new Box3().setFromObject(gltfScene);
+
+    // Center the model on its footprint with its base on the placement point
+    const center = box.getCenter(new Vector3());
+    gltfScene.position.set(-center.x, -box.min.y, -center.z);
+
+    return { model, box };
+}
+
+// Material tiers: 'standard' keeps the materials as loaded, 'basic' swaps in
+// unlit MeshBasicMaterials. Both stay cached so the quality governor can
+// switch back and forth without reloading the model.
+export const MATERIAL_TIERS = ['basic', 'standard'];
+
+// Mesh -> material as loaded (or as configured), every material it has
+// been given, and loaded material -> its basic stand-in
+const loadedMaterials = new WeakMap();
+const materialHistory = new WeakMap();
+const basicMaterials = new WeakMap();
+
+const rememberMaterial = (mesh, material) => {
+    if (!materialHistory.has(mesh)) materialHistory.set(mesh, new Set());
+    [].concat(material).forEach(entry => materialHistory.get(mesh).add(entry));
+};
+
+const basicMaterialFor = (material) => {
+    if (!basicMaterials.has(material)) {
+        // Replace with basic material for better performance
+        const color = material.color ?
+            material.color.clone() :
+            new Color(0xcccccc);
+
+        const basic = new MeshBasicMaterial({
+            color: color,
+            map: material.map
+        });
+        // Keep the glTF material name for part inspection
+        basic.name = material.name;
+        basicMaterials.set(material, basic);
+    }
+    return basicMaterials.get(material);
+};
+
+const tierMaterial = (loaded, tier) => {
+    if (tier !== 'basic') return loaded;
+    return Array.isArray(loaded) ? loaded.map(basicMaterialFor) : basicMaterialFor(loaded);
+};
+
+// Switch every mesh of the model to the given material tier
+export function setMaterialTier(model, tier) {
+    model.traverse((node) => {
+        if (!node.isMesh || !node.material) return;
+        if (!loadedMaterials.has(node)) {
+            loadedMaterials.set(node, node.material);
+            rememberMaterial(node, node.material);
+        }
+        node.material = tierMaterial(loadedMaterials.get(node), tier);
+    });
+}
+
+// Material a mesh shows at the 'standard' tier
+export const loadedMaterial = mesh => loadedMaterials.get(mesh) || mesh.material;
+
+// Give a mesh a new full-quality material (a configured finish), keeping
+// its current material tier
+export function setMeshMaterial(mesh, material) {
+    const loaded = loadedMaterials.get(mesh);
+    const tier = loaded && mesh.material !== loaded ? 'basic' : 'standard';
+    loadedMaterials.set(mesh, material);
+    rememberMaterial(mesh, material);
+    mesh.material = tierMaterial(material, tier);
+}
+
+// Copy of a prepared model sharing its geometries and materials, which keeps
+// the material tiers working on the copy
+export function cloneModel(model) {
+    const copy = model.clone();
+    const sources = [];
+    model.traverse(node => sources.push(node));
+    let index = 0;
+    copy.traverse((node) => {
+        const source = sources[index++];
+        if (loadedMaterials.has(source)) loadedMaterials.set(node, loadedMaterials.get(source));
+        if (materialHistory.has(source)) materialHistory.set(node, new Set(materialHistory.get(source)));
+    });
+    return copy;
+}
+
+// Materials of every tier and configuration, including ones not currently
+// shown, for disposal
+export function tierMaterials(model) {
+    const materials = [];
+    model.traverse((node) => {
+        if (!materialHistory.has(node)) return;
+        materialHistory.get(node).forEach((material) => {
+            materials.push(material);
+            if (basicMaterials.has(material)) materials.push(basicMaterials.get(material));
+        });
+    });
+    return materials;
+}
+
+// Optimize materials and geometry for the device's performance mode.
+//   lodLevels, associations - prebuilt LOD levels and the GLTFLoader parser
+//                             associations needed to match them up
+export function optimizeModel(model, { performanceMode, lodLevels = null, associations = null }) {
+    model.traverse((node) => {
+        // Ensure proper material settings
+        if (node.isMesh && node.material) {
+            [].concat(node.material).forEach((material) => {
+                material.needsUpdate = true;
+
+                if (material.map) {
+                    material.map.colorSpace = SRGBColorSpace;
+                }
+            });
+        }
+    });
+
+    // For low-end devices, simplify materials
+    setMaterialTier(model, performanceMode === 'low' ? 'basic' : 'standard');
+
+    // Swap heavy meshes for THREE.LOD objects on low-end devices. The
+    // renderer picks a level by distance to the camera every frame.
+    if (performanceMode === 'low') {
+        if (lodLevels && associations) applyLodLevels(model, lodLevels, associations);
+        buildLods(model);
+    }
+}
@@ -0,0 +1,101 @@
+import { Box3, Matrix4, Vector3 } from 'three';
+
+// Floor plan slices: the lines where a horizontal plane cuts the model, as
+// an architect's plan is cut about 1.2 m above each floor (see lib/plan.js
+// for drawing them).
+
+// LODs hold the source mesh as their first level; the simplified levels
+// would only add rougher copies of the same lines
+const isSimplifiedLevel = node => Boolean(node.parent && node.parent.isLOD &&
+    node.parent.levels.length && node.parent.levels[0].object !== node);
+
+// Whether `node` and its ancestors up to `root` are visible; the model's own
+// placement may be hidden while it is not placed. LODs switch the visibility
+// of their levels with the camera distance, so that of a level is ignored.
+const shownWithin = (node, root) => {
+    for (let current = node; current && current !== root; current = current.parent) {
+        const isLevel = current.parent && current.parent.isLOD;
+        if (!current.visible && !isLevel) return false;
+    }
+    return true;
+};
+
+// The plan frame of a prepared model: its footprint in meters around the
+// base center, from the box prepareModel() measured. Slices of every storey
+// share it so they line up.
+export function planFrame(box, metersPerUnit = 1) {
+    const size = box.getSize(new Vector3()).multiplyScalar(metersPerUnit);
+    return { minX: -size.x / 2, minZ: -size.z / 2, maxX: size.x / 2, maxZ: size.z / 2 };
+}
+
+// Cut the visible meshes of `model` (the group from prepareModel()) at
+// `height` meters above its base. Returns line segments [x1, z1, x2, z2] in
+// meters, seen from above with x to the right and z down.
+export function slicePlan(model, height, metersPerUnit = 1) {
+    model.updateMatrixWorld(true);
+    const toModel = new Matrix4().copy(model.matrixWorld).invert();
+    // The model group's own scale is undone along with its placement
+    const level = height / metersPerUnit;
+    const segments = [];
+
+    const matrix = new Matrix4();
+    const instanceMatrix = new Matrix4();
+    const meshMatrix = new Matrix4();
+    const box = new Box3();
+    const corners = [new Vector3(), new Vector3(), new Vector3()];
+    const crossings = [];
+
+    const cutTriangle = () => {
+        crossings.length = 0;
+        for (let i = 0; i < 3; i++) {
+            const a = corners[i];
+            const b = corners[(i + 1) % 3];
+            // A corner exactly on the plane counts as above it, so a
+            // triangle never yields a single crossing
+            if ((a.y >= level) === (b.y >= level)) continue;
+            const t = (level - a.y) / (b.y - a.y);
+            crossings.push(a.x + (b.x - a.x) * t, a.z + (b.z - a.z) * t);
+        }
+        if (crossings.length === 4) {
+            segments.push(crossings.map(value => value * metersPerUnit));
+        }
+    };
+
+    const cutGeometry = (geometry) => {
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        box.copy(geometry.boundingBox).applyMatrix4(matrix);
+        if (level < box.min.y || level > box.max.y) return;
+
+        const position = geometry.attributes.position;
+        const index = geometry.index;
+        const count = index ? index.count : position.count;
+        for (let i = 0; i + 2 < count; i += 3) {
+            for (let corner = 0; corner < 3; corner++) {
+                const vertex = index ? index.getX(i + corner) : i + corner;
+                corners[corner].fromBufferAttribute(position, vertex).applyMatrix4(matrix);
+            }
+            cutTriangle();
+        }
+    };
+
+    model.traverse((node) => {
+        if (!node.isMesh || node.userData.helper || !node.geometry.attributes.position) return;
+        if (isSimplifiedLevel(node) || !shownWithin(node, model)) return;
+        // Only triangles cut into lines
+        if (node.material && [].concat(node.material).some(material => material.wireframe)) return;
+
+        meshMatrix.multiplyMatrices(toModel, node.matrixWorld);
+        if (node.isInstancedMesh) {
+            for (let instance = 0; instance < node.count; instance++) {
+                node.getMatrixAt(instance, instanceMatrix);
+                matrix.multiplyMatrices(meshMatrix, instanceMatrix);
+                cutGeometry(node.geometry);
+            }
+        } else {
+            matrix.copy(meshMatrix);
+            cutGeometry(node.geometry);
+        }
+    });
+
+    return segments;
+}
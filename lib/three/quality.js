@@ -0,0 +1,172 @@
+import { setLodBias } from './lod.js';
+import { setMaterialTier } from './model.js';
+
+// Rendering quality governor. Frame times are collected over a sliding
+// window; the slow end of the distribution (p90) decides whether to step
+// down a tier, and only several healthy windows in a row step back up, so
+// the quality does not flap around a threshold.
+
+// Quality tiers, lowest first. Each step changes what the GPU has to do,
+// never where the model is:
+//   pixelRatio    - cap on the renderer pixel ratio outside XR
+//   xrFramebuffer - WebXR framebuffer scale, applied to the next session
+//   shadows       - shadow maps on/off
+//   lights        - number of directional lights on top of the ambient light
+//   materials     - material tier, see MATERIAL_TIERS
+//   lodBias       - multiplier on LOD switch distances
+export const QUALITY_TIERS = [
+    { id: 'minimal', pixelRatio: 0.75, xrFramebuffer: 0.5, shadows: false, lights: 0, materials: 'basic', lodBias: 0.5 },
+    { id: 'low', pixelRatio: 1, xrFramebuffer: 0.75, shadows: false, lights: 0, materials: 'basic', lodBias: 1 },
+    { id: 'medium', pixelRatio: 1.5, xrFramebuffer: 1, shadows: true, lights: 1, materials: 'standard', lodBias: 1 },
+    { id: 'high', pixelRatio: 2, xrFramebuffer: 1, shadows: true, lights: 1, materials: 'standard', lodBias: 1.5 }
+];
+
+export const GOVERNOR_DEFAULTS = {
+    // Frames in the sliding window, about two seconds at 60 fps
+    windowSize: 120,
+    // Step down when the p90 frame time is slower than this (30 fps)
+    downFrameTime: 1000 / 30,
+    // Step up when the p90 frame time is faster than this (55 fps)...
+    upFrameTime: 1000 / 55,
+    // ...for this many full windows in a row
+    upWindows: 3,
+    // Gaps longer than this are pauses (tab hidden, session paused), not frames
+    maxFrameTime: 250
+};
+
+// Starting tier for the performance mode picked on the start screen
+export function tierForPerformanceMode(performanceMode) {
+    return performanceMode === 'low' ? 'low' : performanceMode === 'high' ? 'high' : 'medium';
+}
+
+export const findTier = id => QUALITY_TIERS.find(tier => tier.id === id) || null;
+
+// Value at percentile `p` (0-1) of an unsorted list
+export function percentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// Watch frame timestamps and decide the quality tier.
+//   initialTier        - tier id to start at
+//   minTier, maxTier   - range the governor may move within
+//   onChange(tier, stats) - called after every step up or down
+//   onWindow(stats)       - called with { p50, p90, fps } of every full window
+export function createQualityGovernor({
+    initialTier = 'medium',
+    minTier = QUALITY_TIERS[0].id,
+    maxTier = QUALITY_TIERS[QUALITY_TIERS.length - 1].id,
+    onChange = () => {},
+    onWindow = () => {},
+    ...options
+} = {}) {
+    const settings = { ...GOVERNOR_DEFAULTS, ...options };
+    const indexOf = id => QUALITY_TIERS.findIndex(tier => tier.id === id);
+    const minIndex = indexOf(minTier);
+    const maxIndex = indexOf(maxTier);
+
+    let index = Math.min(Math.max(indexOf(initialTier), minIndex), maxIndex);
+    let frameTimes = [];
+    let lastTimestamp = null;
+    let healthyWindows = 0;
+    let stats = null;
+
+    const step = (direction) => {
+        index += direction;
+        healthyWindows = 0;
+        // Measure the new tier from scratch
+        frameTimes = [];
+        onChange(QUALITY_TIERS[index], stats);
+    };
+
+    const evaluate = () => {
+        const p50 = percentile(frameTimes, 0.5);
+        const p90 = percentile(frameTimes, 0.9);
+        stats = { p50, p90, fps: Math.round(1000 / p50) };
+        frameTimes = [];
+        onWindow(stats);
+
+        if (p90 > settings.downFrameTime) {
+            healthyWindows = 0;
+            if (index > minIndex) step(-1);
+        } else if (p90 < settings.upFrameTime) {
+            healthyWindows++;
+            if (healthyWindows >= settings.upWindows && index < maxIndex) step(1);
+        } else {
+            healthyWindows = 0;
+        }
+    };
+
+    return {
+        get tier() {
+            return QUALITY_TIERS[index];
+        },
+
+        // Latest { p50, p90, fps } of the last full window, or null
+        get stats() {
+            return stats;
+        },
+
+        // Record the animation frame at `timestamp` (ms)
+        sample(timestamp) {
+            if (lastTimestamp !== null) {
+                const frameTime = timestamp - lastTimestamp;
+                if (frameTime > 0 && frameTime < settings.maxFrameTime) {
+                    frameTimes.push(frameTime);
+                }
+            }
+            lastTimestamp = timestamp;
+
+            if (frameTimes.length >= settings.windowSize) {
+                evaluate();
+            }
+        },
+
+        // Forget timing after a pause so it does not count as a slow frame
+        reset() {
+            lastTimestamp = null;
+            frameTimes = [];
+            healthyWindows = 0;
+        }
+    };
+}
+
+// Apply a tier to the renderer, lights and model. Safe to call repeatedly;
+// nothing here moves, rotates or scales the model.
+//   lights - directional lights in order of importance
+export function applyQualityTier(tier, { renderer, lights = [], model = null }) {
+    const presenting = renderer.xr.enabled && renderer.xr.isPresenting;
+
+    // The XR framebuffer is sized when the session starts; in a session the
+    // canvas pixel ratio has no effect
+    if (!presenting) {
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, tier.pixelRatio));
+        if (renderer.xr.enabled) renderer.xr.setFramebufferScaleFactor(tier.xrFramebuffer);
+    }
+
+    lights.forEach((light, index) => {
+        light.visible = index < tier.lights;
+        light.castShadow = tier.shadows && light.visible;
+    });
+
+    if (model) {
+        setMaterialTier(model, tier.materials);
+        setLodBias(model, tier.lodBias);
+    }
+
+    if (renderer.shadowMap.enabled !== tier.shadows) {
+        renderer.shadowMap.enabled = tier.shadows;
+
+        // Materials compile shadow support into their shaders
+        if (model) {
+            model.traverse((node) => {
+                if (node.isMesh) {
+                    [].concat(node.material).forEach((material) => {
+                        material.needsUpdate = true;
+                    });
+                }
+            });
+        }
+    }
+}
@@ -0,0 +1,59 @@
+// Length units and formatting shared by the catalog API and the viewer.
+// Everything is converted to meters internally.
+
+export const METERS_PER_UNIT = {
+    meters: 1,
+    centimeters: 0.01,
+    millimeters: 0.001,
+    feet: 0.3048,
+    inches: 0.0254
+};
+
+export const DEFAULT_UNITS = 'meters';
+
+export function metersPerUnit(units) {
+    return METERS_PER_UNIT[units] || METERS_PER_UNIT[DEFAULT_UNITS];
+}
+
+export function isKnownUnit(units) {
+    return Object.prototype.hasOwnProperty.call(METERS_PER_UNIT, units);
+}
+
+export function formatMeters(meters) {
+    return meters < 10 ? `${meters.toFixed(2)} m` : `${meters.toFixed(1)} m`;
+}
+
+// Feet and inches, e.g. 12′ 4″
+export function formatFeet(meters) {
+    const totalInches = Math.round(meters / METERS_PER_UNIT.inches);
+    const feet = Math.floor(totalInches / 12);
+    const inches = totalInches % 12;
+    return inches ? `${feet}′ ${inches}″` : `${feet}′`;
+}
+
+// Unit systems the user can display lengths in
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+export function formatLength(meters, system = 'metric') {
+    return system === 'imperial' ? formatFeet(meters) : formatMeters(meters);
+}
+
+export function formatArea(squareMeters, system = 'metric') {
+    if (system === 'imperial') {
+        const squareFeet = squareMeters / (METERS_PER_UNIT.feet ** 2);
+        return `${Math.round(squareFeet).toLocaleString('en-US')} ft²`;
+    }
+    return squareMeters < 100 ? `${squareMeters.toFixed(1)} m²` : `${Math.round(squareMeters)} m²`;
+}
+
+// Regions that measure in feet and inches
+const IMPERIAL_REGIONS = ['US', 'LR', 'MM'];
+
+// Unit system to start with for the browser's preferred languages, e.g.
+// ['en-US', 'en'] gives 'imperial'. Only the first language with a region
+// decides.
+export function defaultUnitSystem(languages = []) {
+    const tagged = languages.find(language => /^[a-z]{2,3}[-_][a-z]{2}\b/i.test(language));
+    const region = tagged ? tagged.split(/[-_]/)[1].toUpperCase() : null;
+    return IMPERIAL_REGIONS.includes(region) ? 'imperial' : 'metric';
+}
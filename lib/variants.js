@@ -0,0 +1,67 @@
+// Model variants for tiered delivery. Besides the full-quality source file a
+// model can ship a low-poly, a Draco-compressed and a KTX2-texture version,
+// named <model>.low.glb, <model>.draco.glb and <model>.ktx2.glb or listed
+// under "variants" in <model>.model.json.
+
+export const VARIANT_TYPES = ['full', 'ktx2', 'draco', 'low'];
+
+export const VARIANT_LABELS = {
+    full: 'Full quality',
+    ktx2: 'KTX2 textures',
+    draco: 'Draco compressed',
+    low: 'Low-poly'
+};
+
+// Preferred order per device class; the loader falls back along the list
+const PREFERENCES = {
+    // Data saver or 2G: smallest download first
+    constrained: ['low', 'draco', 'ktx2', 'full'],
+    low: ['low', 'draco', 'ktx2', 'full'],
+    medium: ['ktx2', 'draco', 'full', 'low'],
+    high: ['full', 'ktx2', 'draco', 'low']
+};
+
+const SLOW_NETWORKS = ['slow-2g', '2g'];
+
+// Snapshot of what the browser tells us about the device and network
+export function deviceProfile(performanceMode) {
+    const connection = (typeof navigator !== 'undefined' && navigator.connection) || {};
+    return {
+        performanceMode,
+        deviceMemory: (typeof navigator !== 'undefined' && navigator.deviceMemory) || null,
+        effectiveType: connection.effectiveType || null,
+        saveData: Boolean(connection.saveData)
+    };
+}
+
+// Device class used to pick a preference list
+export function deviceClass({ performanceMode, deviceMemory, effectiveType, saveData }) {
+    if (saveData || SLOW_NETWORKS.includes(effectiveType)) return 'constrained';
+    if (performanceMode === 'low' || (deviceMemory && deviceMemory < 4)) return 'low';
+    if (performanceMode === 'high' && (!deviceMemory || deviceMemory >= 8)) return 'high';
+    return 'medium';
+}
+
+// Order the available variants for this device, best candidate first
+export function rankVariants(variants, profile) {
+    const order = [...PREFERENCES[deviceClass(profile)]];
+
+    // On 3G, a smaller download beats better textures
+    if (profile.effectiveType === '3g') {
+        order.splice(order.indexOf('draco'), 1);
+        order.unshift('draco');
+    }
+
+    return order
+        .map(type => variants.find(variant => variant.type === type))
+        .filter(Boolean);
+}
+
+// Variants with the model's exact geometry for floor plans, smallest download
+// first. Low-poly shapes would distort the plan, and KTX2 textures need a
+// renderer the plan page does not have.
+export function planVariants(variants) {
+    return ['draco', 'full']
+        .map(type => variants.find(variant => variant.type === type))
+        .filter(Boolean);
+}
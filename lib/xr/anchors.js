@@ -0,0 +1,212 @@
+// WebXR anchors for the placed model. Keeps the model glued to the real
+// world when tracking relocalizes and, where the browser supports persistent
+// anchors, remembers the placement across reloads via localStorage.
+
+const STORAGE_PREFIX = 'house-ar:anchor:';
+
+export function loadSavedPlacement(modelId) {
+    try {
+        const saved = window.localStorage.getItem(STORAGE_PREFIX + modelId);
+        return saved ? JSON.parse(saved) : null;
+    } catch {
+        return null;
+    }
+}
+
+export function savePlacement(modelId, placement) {
+    try {
+        window.localStorage.setItem(STORAGE_PREFIX + modelId, JSON.stringify(placement));
+    } catch (error) {
+        console.warn('Could not save anchor placement:', error);
+    }
+}
+
+export function clearSavedPlacement(modelId) {
+    try {
+        window.localStorage.removeItem(STORAGE_PREFIX + modelId);
+    } catch {
+        // Storage unavailable (private mode); nothing to clear
+    }
+}
+
+export function supportsAnchors(session, frame) {
+    if (session.enabledFeatures) {
+        return session.enabledFeatures.includes('anchors');
+    }
+    return typeof frame.createAnchor === 'function';
+}
+
+export function supportsPersistentAnchors(session) {
+    return typeof session.restorePersistentAnchor === 'function';
+}
+
+// Tracks a single anchor for the model. Anchors can only be created inside
+// an XR frame, so requests are queued and fulfilled by update().
+//   onStatus(status) - 'available', 'anchored', 'persistent' or 'unsupported'
+export function createAnchorTracker({ modelId, onStatus = () => {} }) {
+    let session = null;
+    let anchor = null;
+    let handle = null;
+    let pending = null;
+    let supported = null;
+    // Orientation of the anchor at the previous update()
+    let orientation = null;
+    // Bumped whenever the anchor is let go, so anchors the browser creates
+    // or restores for an earlier placement are deleted once they arrive
+    let generation = 0;
+
+    const release = () => {
+        if (anchor) {
+            anchor.delete();
+            anchor = null;
+        }
+        orientation = null;
+    };
+
+    const adopt = (newAnchor) => {
+        release();
+        anchor = newAnchor;
+    };
+
+    // Let go of the anchor and of anchors still being created
+    const drop = () => {
+        generation++;
+        pending = null;
+        release();
+    };
+
+    // Ask the browser for a persistent handle and remember it with the
+    // user's rotation/scale so the next session can restore the placement
+    const persist = (placement) => {
+        if (!anchor || !supportsPersistentAnchors(session) || typeof anchor.requestPersistentHandle !== 'function') {
+            return;
+        }
+        const persisted = anchor;
+        persisted.requestPersistentHandle()
+            .then((newHandle) => {
+                if (persisted !== anchor) return;
+                if (handle && handle !== newHandle) {
+                    session.deletePersistentAnchor(handle).catch(() => {});
+                }
+                handle = newHandle;
+                savePlacement(modelId, { ...placement, handle });
+                onStatus('persistent');
+            })
+            .catch(error => console.warn('Could not persist anchor:', error));
+    };
+
+    return {
+        // Call on the first XR frame of a session
+        start(xrSession, frame) {
+            session = xrSession;
+            supported = supportsAnchors(session, frame);
+            onStatus(supported ? 'available' : 'unsupported');
+            return supported;
+        },
+
+        get supported() {
+            return supported;
+        },
+
+        // Restore a placement saved by an earlier session, resolving to the
+        // saved { rotationY, gestureScale } once the anchor is back
+        restore() {
+            const saved = loadSavedPlacement(modelId);
+            if (!supported || !saved || !saved.handle || !supportsPersistentAnchors(session)) {
+                return Promise.resolve(null);
+            }
+            const requested = generation;
+            return session.restorePersistentAnchor(saved.handle)
+                .then((restored) => {
+                    if (requested !== generation) {
+                        restored.delete();
+                        return null;
+                    }
+                    adopt(restored);
+                    handle = saved.handle;
+                    onStatus('persistent');
+                    return saved;
+                })
+                .catch((error) => {
+                    console.warn('Could not restore saved anchor:', error);
+                    clearSavedPlacement(modelId);
+                    return null;
+                });
+        },
+
+        // Queue an anchor at `position`. With `useHit` the anchor is created
+        // from the next hit-test result so it sticks to the detected surface.
+        request(position, placement, useHit = false) {
+            if (supported) {
+                pending = { position: { x: position.x, y: position.y, z: position.z }, placement, useHit };
+            }
+        },
+
+        // Update the saved rotation/scale without moving the anchor
+        updatePlacement(placement) {
+            if (handle) {
+                savePlacement(modelId, { ...placement, handle });
+            }
+        },
+
+        // Fulfil queued requests and return the anchor's current pose in
+        // `referenceSpace` as { position, orientation, previous }, or null
+        // when it is not being tracked. `previous` is the orientation at the
+        // last update() of the same anchor, null for a new one, so callers
+        // can turn the model with the anchor.
+        update(frame, referenceSpace, hit) {
+            if (pending) {
+                const { position, placement, useHit } = pending;
+                pending = null;
+                const created = useHit && hit && typeof hit.createAnchor === 'function'
+                    ? hit.createAnchor()
+                    : frame.createAnchor(new XRRigidTransform(position), referenceSpace);
+                const requested = generation;
+                created
+                    .then((newAnchor) => {
+                        if (requested !== generation) {
+                            newAnchor.delete();
+                            return;
+                        }
+                        adopt(newAnchor);
+                        onStatus('anchored');
+                        persist(placement);
+                    })
+                    .catch(error => console.warn('Could not create anchor:', error));
+            }
+
+            if (!anchor || !frame.trackedAnchors || !frame.trackedAnchors.has(anchor)) {
+                return null;
+            }
+            const pose = frame.getPose(anchor.anchorSpace, referenceSpace);
+            if (!pose) return null;
+            const { position, orientation: current } = pose.transform;
+            const previous = orientation;
+            orientation = { x: current.x, y: current.y, z: current.z, w: current.w };
+            return { position, orientation, previous };
+        },
+
+        // Let go of the anchor while the model is moved by hand, so it stops
+        // following it. The saved handle stays until request() replaces it.
+        detach() {
+            drop();
+        },
+
+        // Forget the anchor, including its persistent handle
+        clear() {
+            drop();
+            if (handle && session && supportsPersistentAnchors(session)) {
+                session.deletePersistentAnchor(handle).catch(() => {});
+            }
+            handle = null;
+            clearSavedPlacement(modelId);
+            if (supported) onStatus('available');
+        },
+
+        // End of session: drop the live anchor but keep the saved handle
+        dispose() {
+            drop();
+            session = null;
+        }
+    };
+}
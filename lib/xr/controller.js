@@ -0,0 +1,1369 @@
+import * as THREE from 'three';
+import { createModelLoader, describeLoadError, isAbortError, loadLodLevels, loadModel } from '../three/loader.js';
+import { optimizeModel, prepareModel, tierMaterials } from '../three/model.js';
+import { applyQualityTier, createQualityGovernor, percentile, tierForPerformanceMode } from '../three/quality.js';
+import {
+    aimShadowLight,
+    createEnvironments,
+    createLightEstimation,
+    createShadowCatcher,
+    sunDirection,
+    sunLight
+} from '../three/lighting.js';
+import { solarPosition } from '../solar.js';
+import { createConfigurator } from '../three/configurator.js';
+import { createEdgeSnapper, createMeasureTool } from '../three/measure.js';
+import { createComposition } from '../three/composition.js';
+import { createFrameCapture } from '../three/capture.js';
+import { createAnnotationPins } from '../three/annotations.js';
+import { planFrame, slicePlan } from '../three/plan.js';
+import { CaptureError, CLIP_FRAME_RATE, CLIP_MAX_SIZE, createClipRecorder } from '../capture.js';
+import { EMPTY_CONFIGURATION } from '../configuration.js';
+import {
+    createHighlight,
+    createPartVisibility,
+    describeNode,
+    findStoreys,
+    isDescendant,
+    isShown,
+    nodeAtPath,
+    nodePath,
+    pickNode,
+    STOREY_CUT_HEIGHT
+} from '../three/inspect.js';
+import { DEFAULT_ENVIRONMENT_PRESET, findEnvironmentPreset } from '../environments.js';
+import { disposeObject, lodGeometries } from '../three/dispose.js';
+import { attachGestures, blockXRSelectOnControls } from '../gestures.js';
+import { createAnchorTracker } from './anchors.js';
+import { createHitTester } from './hits.js';
+import { createOnboarding } from './onboarding.js';
+import { createLowLightMonitor, diagnoseSessionError, diagnostic } from './diagnostics.js';
+import { tapAction } from './tap.js';
+import { modelScale, PINCH_SCALE_LIMITS, realDimensions } from '../scale.js';
+import { deviceProfile, rankVariants } from '../variants.js';
+
+// Reference space of AR sessions: the origin is where the device was when
+// the session started, which needs no floor estimate
+const REFERENCE_SPACE_TYPE = 'local';
+
+// Owns everything the AR view creates: renderer, scene, model, gestures,
+// anchors and the XR session. The page calls start() once the canvas is
+// mounted, enter() from its Start AR button, end() to leave the XR session
+// (enter() can start another) and dispose() when leaving the AR view.
+//
+//   canvas          - canvas element to render into
+//   model           - catalog entry of the model to show
+//   catalog         - catalog entries that can be added as props
+//   performanceMode - 'low', 'medium' or 'high'
+//   scalePreset     - initial scale preset id
+//   environmentPreset - lighting preset id used without light estimation
+//   configuration   - initial material { variant, finishes }, see lib/configuration.js
+//   units           - 'metric' or 'imperial' measure labels
+//   onLoadingProgress(percent), onVariant(variant)
+//   onModelLoaded(dimensions) - real-world size in meters
+//   onError(message)          - the model could not be loaded
+//   onPlaced(placed), onAnchorStatus(status)
+//   onQualityTier(tier, stats) - quality tier picked by the governor
+//   onFrameStats(summary)      - frame rate of an XR session when it ends:
+//                                { tier, fps: { p10, p50, p90 }, windows }
+//   onLightEstimation(active)  - lighting follows the real world or not
+//   onSessionStart()          - an XR session started
+//   onSessionEnd()            - the XR session ended (Stop AR, system UI)
+//   onOnboarding(step)        - the session moved to an onboarding step,
+//                               see lib/xr/onboarding.js
+//   onDiagnostic(diagnostic)  - entering AR failed or the session struggles,
+//                               see lib/xr/diagnostics.js
+//   onInspect(part)           - tapped part as from describeNode(), or null
+//   onVisibility(visibility)  - hidden parts or the cutaway changed, as from
+//                               the `visibility` getter
+//   onConfigurationOptions(options) - variants and slots the model offers
+//   onMeasurements(measurements)    - measure tool summaries after each change
+//   onRecording(recording)          - a clip started or stopped recording
+//   onComposition(state) - placed instances changed:
+//                          { instances, selected, canUndo, canRedo, loading }
+//   onAnnotationTarget(target) - tapped point in annotate mode:
+//                                { node, nodeName, offset, position } as in
+//                                lib/annotations/format.js, or null
+//   onAnnotationSelect(id)     - an annotation pin was tapped
+export function createARController({
+    canvas,
+    model: modelEntry,
+    catalog = [],
+    performanceMode,
+    scalePreset,
+    environmentPreset,
+    configuration = EMPTY_CONFIGURATION,
+    units = 'metric',
+    onLoadingProgress = () => {},
+    onVariant = () => {},
+    onModelLoaded = () => {},
+    onError = () => {},
+    onPlaced = () => {},
+    onAnchorStatus = () => {},
+    onQualityTier = () => {},
+    onFrameStats = () => {},
+    onLightEstimation = () => {},
+    onSessionStart = () => {},
+    onSessionEnd = () => {},
+    onOnboarding = () => {},
+    onDiagnostic = () => {},
+    onInspect = () => {},
+    onVisibility = () => {},
+    onConfigurationOptions = () => {},
+    onMeasurements = () => {},
+    onRecording = () => {},
+    onComposition = () => {},
+    onAnnotationTarget = () => {},
+    onAnnotationSelect = () => {}
+}) {
+    // 'idle' -> 'started' -> 'disposed'
+    let state = 'idle';
+    const loadController = new AbortController();
+
+    // Set up by start()
+    let renderer = null;
+    let scene = null;
+    let camera = null;
+    let sessionInit = null;
+    let reticle = null;
+    let controller = null;
+    let gestures = null;
+    let unblockXRSelect = () => {};
+    let disposeLoader = () => {};
+    let anchors = null;
+    let governor = null;
+    // Directional lights the quality tier may switch off
+    const lights = [];
+    let ambientLight = null;
+    let keyLight = null;
+    let shadowCatcher = null;
+    let environments = null;
+    let lightEstimation = null;
+    let currentEnvironment = findEnvironmentPreset(environmentPreset) || findEnvironmentPreset(DEFAULT_ENVIRONMENT_PRESET);
+    let presetSunDirection = sunDirection(currentEnvironment.elevation, currentEnvironment.azimuth);
+    // Model bounds in model units, for sizing shadows
+    let modelRadius = 0;
+    // Sun study: solar position driving the key light, or null
+    let sunStudy = null;
+    // Azimuth of true north in the XR reference space (degrees clockwise
+    // from -Z); 0 until aligned with the compass
+    let northAzimuth = 0;
+
+    // Placed instances: the model and props from the catalog. `placement`,
+    // the composition's root, is what gets placed, anchored, moved, turned
+    // and scaled; the model sits at its origin.
+    let composition = null;
+    let placement = null;
+    // `model` is a group wrapping the glTF scene, so centering of the
+    // content survives re-placement
+    let model = null;
+    let modelPlaced = false;
+    let modelBox = null;
+    let currentScalePreset = scalePreset;
+    // Pinch multiplier on top of the preset scale
+    let gestureScale = 1;
+
+    // Part inspection: selected node, hidden parts, storeys and the cutaway
+    // height above the model's base in model units (null when off)
+    let selectedNode = null;
+    let highlight = null;
+    let partVisibility = null;
+    let storeys = [];
+    let cutHeight = null;
+    const cutPlane = new THREE.Plane(new THREE.Vector3(0, -1, 0), 0);
+    // Visibility set before the model had loaded
+    let pendingVisibility = null;
+    // Material variants and finishes of the loaded model
+    let configurator = null;
+    // Measure mode: taps add measurement points at the (snapped) cursor
+    let measureTool = null;
+    let snapper = null;
+    let measuring = false;
+    let measureCursor = null;
+    // Captures: photos wait for the next frame; a recording captures frames
+    // into its own canvas. Frame captures are created on first use.
+    let photoCapture = null;
+    let pendingPhotos = [];
+    let recording = null;
+    // Review annotations: pins on the model; in annotate mode taps pick the
+    // point for a new one. Annotations set before the model had loaded wait
+    // in the list.
+    let annotationPins = null;
+    let annotations = [];
+    let selectedAnnotation = null;
+    let annotating = false;
+
+    // glTF index lookup for the loaded model and its prebuilt LOD levels
+    let modelAssociations = null;
+    let lodLevels = null;
+
+    // Per-session state, reset when the XR session ends
+    // end() was called, so the session did not end on its own
+    let endRequested = false;
+    let anchorsStarted = false;
+    let restoredPlacement = null;
+    let latestHit = null;
+    let dragPoint = null;
+    // Prop instance being dragged or twisted instead of the whole scene
+    let gestureInstance = null;
+    // Frame rate of each of the governor's windows
+    let windowFps = [];
+
+    // Surface the placed model slides on when dragged
+    const placementPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+    const raycaster = new THREE.Raycaster();
+    const hitTester = createHitTester({
+        isCurrent: session => Boolean(renderer) && renderer.xr.getSession() === session,
+        onUnavailable: error => onDiagnostic(diagnoseSessionError(error, { hitTestRequired: true }))
+    });
+    const onboarding = createOnboarding({ onChange: step => onOnboarding(step) });
+    const lowLight = createLowLightMonitor();
+
+    let resizeTimeout;
+
+    const setPlaced = (placed) => {
+        modelPlaced = placed;
+        onboarding.setPlaced(placed);
+        onPlaced(placed);
+    };
+
+    // User adjustments and props saved alongside a persistent anchor
+    const currentPlacement = () => ({ rotationY: placement.rotation.y, gestureScale, composition: composition.toJSON() });
+
+    // Scale the scene for the chosen preset (tabletop, 1:1, 1:100...). The
+    // model converts its units to meters like the props do; the placement
+    // group scales meters to the preset.
+    const applyModelScale = () => {
+        if (!model || !modelBox) return;
+        const size = modelBox.getSize(new THREE.Vector3());
+        const scale = modelScale(currentScalePreset, size, modelEntry.metersPerUnit) * gestureScale;
+        model.scale.setScalar(modelEntry.metersPerUnit);
+        placement.scale.setScalar(scale / modelEntry.metersPerUnit);
+    };
+
+    // World units per model unit
+    const modelWorldScale = () => placement.scale.x * model.scale.x;
+
+    // Intersect the ray through a screen point with the placement surface
+    const pointOnPlacementPlane = ({ x, y }) => {
+        const xrCamera = renderer.xr.getCamera();
+        const view = xrCamera.cameras && xrCamera.cameras.length ? xrCamera.cameras[0] : camera;
+        const ndc = new THREE.Vector2((x / window.innerWidth) * 2 - 1, -(y / window.innerHeight) * 2 + 1);
+        raycaster.setFromCamera(ndc, view);
+        return raycaster.ray.intersectPlane(placementPlane, new THREE.Vector3());
+    };
+
+    // Inspect a part of the model; a part and a prop are never selected
+    // at the same time
+    const selectNode = (node) => {
+        if (node && composition.selected) composition.select(null);
+        selectedNode = node;
+        highlight.show(node);
+        onInspect(node ? describeNode(node) : null);
+    };
+
+    const selectInstance = (id) => {
+        if (selectedNode) selectNode(null);
+        composition.select(id);
+    };
+
+    const clearSelection = () => {
+        if (selectedNode) selectNode(null);
+        if (composition.selected) composition.select(null);
+    };
+
+    // Hidden parts as node paths and the cut height in meters, the format
+    // review sessions share (see lib/collab/protocol.js)
+    const currentVisibility = () => ({
+        model: modelEntry.id,
+        hidden: partVisibility ? partVisibility.hidden.map(node => nodePath(node, model)) : [],
+        cutHeight: cutHeight === null ? null : cutHeight * modelEntry.metersPerUnit
+    });
+
+    const reportVisibility = () => onVisibility(currentVisibility());
+
+    const applyVisibility = ({ hidden, cutHeight: meters }) => {
+        partVisibility.showAll();
+        hidden.forEach((path) => {
+            const node = nodeAtPath(model, path);
+            if (node) partVisibility.setShown(node, false);
+        });
+        if (selectedNode && !isShown(selectedNode)) selectNode(null);
+        cutHeight = meters === null ? null : meters / modelEntry.metersPerUnit;
+        reportVisibility();
+    };
+
+    // The part of the model or the prop under the tap, whichever is nearer
+    const objectAtController = () => {
+        raycaster.setFromXRController(controller);
+        const hit = pickNode(raycaster, model, cutHeight === null ? null : cutPlane);
+        const prop = composition.pick(raycaster);
+        if (prop && (!hit || prop.distance < hit.point.distanceTo(raycaster.ray.origin))) {
+            return { type: 'prop', id: prop.instance.id };
+        }
+        return hit ? { type: 'part', node: hit.node } : null;
+    };
+
+    const pinAtController = () => {
+        raycaster.setFromXRController(controller);
+        return annotationPins.pick(raycaster.ray);
+    };
+
+    // Report the point on the model under the tap for a new annotation
+    const annotateAtController = () => {
+        raycaster.setFromXRController(controller);
+        const hit = pickNode(raycaster, model, cutHeight === null ? null : cutPlane);
+        if (!hit) {
+            onAnnotationTarget(null);
+            return;
+        }
+        onAnnotationTarget({
+            node: nodePath(hit.node, model),
+            nodeName: describeNode(hit.node).name,
+            offset: hit.node.worldToLocal(hit.point.clone()).toArray(),
+            position: model.worldToLocal(hit.point.clone()).multiplyScalar(modelEntry.metersPerUnit).toArray()
+        });
+    };
+
+    const reportComposition = () => {
+        // The highlight follows the selected prop unless a part is inspected
+        if (!selectedNode) highlight.show(composition.selected ? composition.selected.object : null);
+        onComposition({
+            instances: composition.instances,
+            selected: composition.selected ? composition.selected.id : null,
+            canUndo: composition.canUndo,
+            canRedo: composition.canRedo,
+            loading: composition.loading
+        });
+    };
+
+    // Keep the props of a persistent placement up to date
+    const saveComposition = () => {
+        if (modelPlaced) anchors.updatePlacement(currentPlacement());
+    };
+
+    const reportMeasurements = () => onMeasurements(measureTool.measurements);
+
+    // Hit-test point under the reticle, snapped to the placed model's
+    // corners and edges when close to them
+    const updateMeasureCursor = () => {
+        measureCursor = reticle.visible ? new THREE.Vector3().setFromMatrixPosition(reticle.matrix) : null;
+        const snapped = measureCursor && snapper && placement.visible ? snapper.snap(measureCursor) : null;
+        if (snapped) measureCursor = snapped.point;
+        measureTool.setCursor(measureCursor, Boolean(snapped));
+        // The measure cursor replaces the placement reticle
+        reticle.visible = false;
+    };
+
+    const createCapture = () => createFrameCapture(renderer, { samples: performanceMode === 'low' ? 0 : 4 });
+
+    // Answer photo requests and feed the recording from the frame that was
+    // just rendered. The reticle is a placement aid, not part of the picture.
+    const captureFrame = (timestamp, frame) => {
+        const recordFrame = recording && timestamp - recording.lastFrame >= 1000 / CLIP_FRAME_RATE;
+        if (!pendingPhotos.length && !recordFrame) return;
+
+        const reticleShown = reticle.visible;
+        reticle.visible = false;
+
+        if (pendingPhotos.length) {
+            const photos = pendingPhotos;
+            pendingPhotos = [];
+            try {
+                if (!photoCapture) photoCapture = createCapture();
+                const composited = photoCapture.capture(scene, frame);
+                const { width, height } = photoCapture.canvas;
+                // toBlob() copies the canvas right away
+                photoCapture.canvas.toBlob((blob) => {
+                    photos.forEach(photo => (blob
+                        ? photo.resolve({ blob, composited, width, height })
+                        : photo.reject(new CaptureError('encode-failed', 'The photo could not be encoded'))));
+                }, composited ? 'image/jpeg' : 'image/png', 0.92);
+            } catch (error) {
+                photos.forEach(photo => photo.reject(new CaptureError('failed', `The photo failed: ${error.message}`, { cause: error })));
+            }
+        }
+
+        if (recordFrame) {
+            recording.lastFrame = timestamp;
+            try {
+                recording.capture.capture(scene, frame, { maxSize: CLIP_MAX_SIZE });
+                // The first frame fixes the video size
+                recording.recorder.start();
+            } catch (error) {
+                console.warn('Recording failed:', error);
+                recording.recorder.stop();
+            }
+        }
+
+        reticle.visible = reticleShown;
+    };
+
+    const stopCaptures = () => {
+        pendingPhotos.forEach(photo => photo.reject(new CaptureError('session-ended', 'AR ended before the photo was taken')));
+        pendingPhotos = [];
+        if (recording) recording.recorder.stop();
+    };
+
+    // Place the scene in front of the camera (low-end mode) or at the reticle
+    const placeModel = (at) => {
+        if (at === 'camera') {
+            // Place model 1 meter in front of camera
+            const position = new THREE.Vector3(0, 0, -1).applyMatrix4(controller.matrixWorld);
+            placement.position.copy(position);
+            placementPlane.setFromNormalAndCoplanarPoint(new THREE.Vector3(0, 1, 0), position);
+            anchors.request(position, currentPlacement());
+        } else {
+            placement.position.setFromMatrixPosition(reticle.matrix);
+            // The hit pose's Y axis is the surface normal
+            const normal = new THREE.Vector3().setFromMatrixColumn(reticle.matrix, 1).normalize();
+            placementPlane.setFromNormalAndCoplanarPoint(normal, placement.position);
+            anchors.request(placement.position, currentPlacement(), true);
+        }
+        placement.visible = true;
+        setPlaced(true);
+    };
+
+    // Function to handle tap/select events; tap.js decides what a tap does
+    function onSelect() {
+        const action = tapAction({
+            gesture: gestures.wasGesture(),
+            measuring,
+            measureCursor: Boolean(measureCursor),
+            modelLoaded: Boolean(model),
+            placed: modelPlaced,
+            reticleVisible: reticle.visible,
+            annotating,
+            hasSelection: Boolean(selectedNode || composition.selected),
+            performanceMode
+        }, { pickPin: pinAtController, pickObject: objectAtController });
+
+        if (action.type === 'measure') {
+            measureTool.addPoint(measureCursor);
+            reportMeasurements();
+        } else if (action.type === 'place') {
+            placeModel(action.at);
+        } else if (action.type === 'annotate') {
+            annotateAtController();
+        } else if (action.type === 'select-annotation') {
+            onAnnotationSelect(action.id);
+        } else if (action.type === 'select') {
+            if (action.target.type === 'prop') {
+                selectInstance(action.target.id);
+            } else {
+                selectNode(action.target.node);
+            }
+        } else if (action.type === 'clear-selection') {
+            clearSelection();
+        } else if (action.type === 'pick-up') {
+            setPlaced(false);
+            anchors.clear();
+            if (performanceMode !== 'low') {
+                placement.visible = false;
+            }
+        }
+    }
+
+    // Apply the governor's tier; only costs change, never the model's transform
+    const applyQuality = () => {
+        applyQualityTier(governor.tier, { renderer, lights, model: placement });
+    };
+
+    // Preset sky, sun and shadow strength, used whenever light estimation
+    // is not delivering values
+    const applyEnvironment = () => {
+        presetSunDirection = sunDirection(currentEnvironment.elevation, currentEnvironment.azimuth);
+        shadowCatcher.material.opacity = currentEnvironment.shadowOpacity;
+        if (lightEstimation && lightEstimation.active) return;
+
+        scene.environment = environments.get(currentEnvironment.id);
+        scene.environmentIntensity = currentEnvironment.environmentIntensity;
+        keyLight.color.set(currentEnvironment.sunColor);
+        keyLight.intensity = currentEnvironment.sunIntensity;
+        ambientLight.visible = true;
+    };
+
+    // Real-world lighting takes over from the preset
+    const onEstimationStart = () => {
+        ambientLight.visible = false;
+        scene.environment = lightEstimation.environment || environments.get(currentEnvironment.id);
+        scene.environmentIntensity = 1;
+        onLightEstimation(true);
+    };
+
+    const onEstimationEnd = () => {
+        // Also fired when a disposed controller's session finishes ending
+        if (state !== 'started') return;
+        applyEnvironment();
+        onLightEstimation(false);
+    };
+
+    // Keep the key light and shadow catcher on the model, wherever it is placed
+    const updateLighting = () => {
+        let direction = lightEstimation && lightEstimation.active
+            ? lightEstimation.applyTo(keyLight)
+            : presetSunDirection;
+
+        // The sun study overrides the real or preset sun
+        if (sunStudy) {
+            direction = sunDirection(sunStudy.elevation, northAzimuth + sunStudy.azimuth);
+            const { color, intensity } = sunLight(sunStudy.elevation);
+            keyLight.color.copy(color);
+            keyLight.intensity = intensity;
+        }
+
+        if (!model) return;
+        const scale = modelWorldScale();
+        // Props around the model, in world units
+        const reach = composition.radius * placement.scale.x;
+        aimShadowLight(keyLight, {
+            center: placement.position,
+            radius: Math.max(modelRadius * scale, reach, 0.1),
+            direction,
+            performanceMode
+        });
+
+        // The catcher follows the scene but is not part of it, so quality
+        // tiers and measurements never touch it
+        shadowCatcher.position.copy(placement.position);
+        shadowCatcher.rotation.y = placement.rotation.y;
+        const size = modelBox.getSize(new THREE.Vector3());
+        // Large enough for the long shadows of a low sun
+        shadowCatcher.scale.set(Math.max(size.x * scale * 3, reach * 3), 1, Math.max(size.z * scale * 3, reach * 3));
+        shadowCatcher.visible = placement.visible && renderer.shadowMap.enabled &&
+            (!sunStudy || sunStudy.elevation > 0);
+    };
+
+    // Keep the cutaway plane and the highlight on the model
+    const updateInspection = () => {
+        if (!model) return;
+        highlight.update();
+        annotationPins.update();
+        if (cutHeight === null || !placement.visible) {
+            renderer.clippingPlanes = [];
+            return;
+        }
+        // Keeps everything below the plane
+        cutPlane.constant = placement.position.y + cutHeight * modelWorldScale();
+        renderer.clippingPlanes = [cutPlane];
+    };
+
+    const onFrame = (timestamp, frame) => {
+        // Frame times drive the quality tier
+        governor.sample(timestamp);
+
+        const session = renderer.xr.getSession();
+
+        if (frame && !anchorsStarted) {
+            // Anchors are optional; without them placement works as before
+            anchorsStarted = true;
+            if (anchors.start(session, frame)) {
+                anchors.restore().then((saved) => {
+                    restoredPlacement = saved;
+                });
+            }
+        }
+
+        latestHit = null;
+        // Low-end mode places the model in front of the camera instead
+        let surface = performanceMode === 'low';
+
+        if (frame && performanceMode !== 'low') {
+            // Perform hit test for medium/high performance devices
+            const result = hitTester.update(session, frame, renderer.xr.getReferenceSpace());
+            if (result) {
+                latestHit = result.hit;
+                surface = Boolean(result.pose);
+                if (result.pose) {
+                    reticle.visible = true;
+                    reticle.matrix.fromArray(result.pose.transform.matrix);
+                } else if (!result.hit) {
+                    reticle.visible = false;
+                }
+            }
+        }
+
+        if (frame) {
+            // Emulated positions come from orientation alone, without tracking
+            const pose = frame.getViewerPose(renderer.xr.getReferenceSpace());
+            onboarding.frame(timestamp, { tracked: Boolean(pose) && !pose.emulatedPosition, surface });
+            // Surfaces are hard to find in the dark
+            if (!modelPlaced && lightEstimation && lightEstimation.active && lowLight.sample(lightEstimation.ambientLevel, timestamp)) {
+                onDiagnostic(diagnostic('low-light'));
+            }
+        }
+
+        if (measuring) updateMeasureCursor();
+
+        if (frame && model) {
+            const anchorPose = anchors.update(frame, renderer.xr.getReferenceSpace(), latestHit);
+            const anchorPosition = anchorPose && anchorPose.position;
+
+            if (anchorPosition && !modelPlaced && restoredPlacement) {
+                // Put the scene back where an earlier session left it
+                placement.rotation.y = restoredPlacement.rotationY || 0;
+                gestureScale = restoredPlacement.gestureScale || 1;
+                applyModelScale();
+                placementPlane.setFromNormalAndCoplanarPoint(new THREE.Vector3(0, 1, 0), anchorPosition);
+                placement.visible = true;
+                if (restoredPlacement.composition) {
+                    composition.load(restoredPlacement.composition)
+                        .catch(error => console.warn('Could not restore the saved props:', error));
+                }
+                restoredPlacement = null;
+                setPlaced(true);
+            }
+
+            // Follow the anchor as tracking refines, except mid-drag: move with
+            // it and turn by as much as it turned since the last frame, which
+            // leaves the user's own rotation alone
+            if (anchorPosition && modelPlaced && !dragPoint) {
+                placement.position.set(anchorPosition.x, anchorPosition.y, anchorPosition.z);
+                if (anchorPose.previous) {
+                    const { orientation, previous } = anchorPose;
+                    const turn = new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w)
+                        .multiply(new THREE.Quaternion(previous.x, previous.y, previous.z, previous.w).invert());
+                    placement.quaternion.premultiply(turn);
+                }
+            }
+        }
+
+        updateLighting();
+        updateInspection();
+
+        // Render the scene
+        renderer.render(scene, camera);
+
+        if (frame) captureFrame(timestamp, frame);
+    };
+
+    // The XR session hides the page while it runs in the background; frames
+    // and input stop arriving, so drop any half-finished drag
+    const onSessionVisibilityChange = (event) => {
+        onboarding.setVisibility(event.session.visibilityState);
+        if (event.session.visibilityState !== 'visible') {
+            dragPoint = null;
+            gestureInstance = null;
+            reticle.visible = false;
+        }
+        governor.reset();
+    };
+
+    const onSessionStarted = () => {
+        renderer.xr.getSession().addEventListener('visibilitychange', onSessionVisibilityChange);
+        governor.reset();
+        onboarding.sessionStarted();
+        onSessionStart();
+    };
+
+    // Frame rate percentiles of the session; the slow end is p10
+    const reportFrameStats = () => {
+        if (windowFps.length === 0) return;
+        onFrameStats({
+            tier: governor.tier.id,
+            fps: { p10: percentile(windowFps, 0.1), p50: percentile(windowFps, 0.5), p90: percentile(windowFps, 0.9) },
+            windows: windowFps.length
+        });
+        windowFps = [];
+    };
+
+    // Reset per-session state so enter() can start a fresh session
+    const onSessionEnded = () => {
+        reportFrameStats();
+
+        hitTester.reset();
+        anchors.dispose();
+        anchorsStarted = false;
+        restoredPlacement = null;
+        latestHit = null;
+        dragPoint = null;
+        gestureInstance = null;
+        // The next session has a new reference space
+        northAzimuth = 0;
+        measureTool.clear();
+        measureTool.setCursor(null);
+        measureCursor = null;
+        reportMeasurements();
+        stopCaptures();
+        reticle.visible = false;
+        placement.visible = false;
+        clearSelection();
+        governor.reset();
+        // Framebuffer scale changes made during the session apply now
+        applyQuality();
+        setPlaced(false);
+        onAnchorStatus(null);
+        onboarding.sessionEnded(endRequested);
+        endRequested = false;
+        lowLight.reset();
+        onSessionEnd();
+    };
+
+    // Nothing needs drawing while the page is in the background outside of
+    // an XR session; the XR session runs its own frame loop
+    const onVisibilityChange = () => {
+        if (!renderer || renderer.xr.isPresenting) return;
+        governor.reset();
+        renderer.setAnimationLoop(document.hidden ? null : onFrame);
+    };
+
+    // Handle window resize with throttling for better performance
+    const onResize = () => {
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(() => {
+            camera.aspect = window.innerWidth / window.innerHeight;
+            camera.updateProjectionMatrix();
+            renderer.setSize(window.innerWidth, window.innerHeight);
+        }, 200);
+    };
+
+    const loadSelectedModel = (loader) => {
+        const { signal } = loadController;
+
+        // Choose model variant based on device capability and network
+        const profile = deviceProfile(performanceMode);
+        const variants = rankVariants(modelEntry.variants, profile);
+
+        return loadModel(loader, variants, { signal, onProgress: onLoadingProgress, onVariant })
+            .then(({ gltf, variant }) => {
+                modelAssociations = gltf.parser.associations;
+
+                // Prebuilt *.lod.glb levels match the full model and are only
+                // worth fetching on low-end devices
+                const lodUrl = performanceMode === 'low' && variant.type === 'full' ? modelEntry.lodUrl : null;
+                return loadLodLevels(loader, lodUrl, { signal }).then((levels) => {
+                    if (state !== 'started') return;
+
+                    lodLevels = levels;
+                    ({ model, box: modelBox } = prepareModel(gltf.scene));
+                    modelRadius = modelBox.getBoundingSphere(new THREE.Sphere()).radius;
+
+                    // Scale based on the chosen scale preset and the model's units
+                    applyModelScale();
+
+                    // Optimize the model based on device performance
+                    optimizeModel(model, { performanceMode, lodLevels, associations: modelAssociations });
+                    model.traverse((node) => {
+                        if (node.isMesh) node.castShadow = true;
+                    });
+
+                    // After optimizeModel, which may swap meshes for LODs
+                    partVisibility = createPartVisibility(model);
+                    storeys = findStoreys(model);
+                    configurator = createConfigurator(gltf, model, modelEntry.slots);
+                    snapper = createEdgeSnapper(model);
+                    onConfigurationOptions(configurator.options);
+                    configurator.apply(configuration)
+                        .catch(error => console.warn('Could not apply the material configuration:', error));
+
+                    composition.setPrimary(modelEntry, model);
+                    annotationPins = createAnnotationPins(model, modelEntry.metersPerUnit);
+                    annotationPins.set(annotations);
+                    annotationPins.select(selectedAnnotation);
+                    scene.add(annotationPins.object);
+                    if (pendingVisibility) applyVisibility(pendingVisibility);
+                    pendingVisibility = null;
+                    applyQuality();
+                    onModelLoaded(realDimensions(modelBox.getSize(new THREE.Vector3()), modelEntry.metersPerUnit));
+                });
+            })
+            .catch((error) => {
+                // Cancelled loads end quietly
+                if (isAbortError(error)) return;
+                onError(describeLoadError(error));
+            });
+    };
+
+    return {
+        get state() {
+            return state;
+        },
+
+        // Build the scene and start loading the model.
+        // Resolves once the model has loaded or failed.
+        start() {
+            if (state !== 'idle') {
+                throw new Error(`Cannot start an AR controller that is ${state}`);
+            }
+            state = 'started';
+
+            scene = new THREE.Scene();
+
+            // Set up camera
+            camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.1, 100);
+
+            // Set up renderer with optimized settings
+            renderer = new THREE.WebGLRenderer({
+                canvas,
+                alpha: true,
+                antialias: performanceMode !== 'low', // Disable antialiasing for low-end devices
+                powerPreference: performanceMode === 'low' ? 'low-power' : 'high-performance',
+                precision: performanceMode === 'low' ? 'lowp' : 'mediump',
+                preserveDrawingBuffer: false
+            });
+
+            renderer.setSize(window.innerWidth, window.innerHeight);
+            renderer.outputColorSpace = THREE.SRGBColorSpace;
+            renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+            renderer.xr.enabled = true;
+
+            // Fill light; the environment map does most of the work for PBR
+            // materials, and light estimation replaces it with a light probe
+            ambientLight = new THREE.AmbientLight(0xffffff, 0.4);
+            scene.add(ambientLight);
+
+            // The placed scene; hidden until placed
+            placement = new THREE.Group();
+            placement.visible = false;
+
+            // Key light (the sun), casting the model's shadow. Switched off by
+            // the lower quality tiers.
+            keyLight = new THREE.DirectionalLight(0xffffff, 0.8);
+            keyLight.position.set(0, 5, 0);
+            scene.add(keyLight);
+            scene.add(keyLight.target);
+            lights.push(keyLight);
+
+            // Transparent ground under the model that only shows its shadow
+            shadowCatcher = createShadowCatcher();
+            shadowCatcher.visible = false;
+            scene.add(shadowCatcher);
+
+            environments = createEnvironments(renderer);
+            applyEnvironment();
+
+            // Capable devices light the model from the camera feed
+            if (performanceMode !== 'low') {
+                lightEstimation = createLightEstimation(renderer, {
+                    onStart: onEstimationStart,
+                    onEnd: onEstimationEnd
+                });
+                scene.add(lightEstimation.object);
+            }
+
+            // Start at the tier for the chosen performance mode and let
+            // measured frame times move it from there
+            governor = createQualityGovernor({
+                initialTier: tierForPerformanceMode(performanceMode),
+                onChange: (tier, stats) => {
+                    applyQuality();
+                    onQualityTier(tier, stats);
+                },
+                onWindow: (stats) => {
+                    if (renderer.xr.isPresenting) windowFps.push(stats.fps);
+                }
+            });
+            applyQuality();
+            onQualityTier(governor.tier, null);
+
+            // Features enter() asks for. Camera access lets photos and clips
+            // show the camera feed behind the model.
+            sessionInit = {
+                requiredFeatures: performanceMode === 'low' ? [] : ['hit-test'],
+                optionalFeatures: ['dom-overlay', 'anchors', 'camera-access', ...(lightEstimation ? ['light-estimation'] : [])],
+                domOverlay: { root: document.body }
+            };
+
+            // Simplified reticle geometry for better performance
+            reticle = new THREE.Mesh(
+                new THREE.RingGeometry(0.15, 0.2, performanceMode === 'low' ? 16 : 32).rotateX(-Math.PI / 2),
+                new THREE.MeshBasicMaterial({ color: 0xffffff })
+            );
+            reticle.matrixAutoUpdate = false;
+            reticle.visible = false;
+            scene.add(reticle);
+
+            // Outline around the inspected part
+            highlight = createHighlight();
+            scene.add(highlight.object);
+
+            measureTool = createMeasureTool({ units });
+            scene.add(measureTool.object);
+
+            // Anchor keeping the placed model fixed to the real world, when supported
+            anchors = createAnchorTracker({ modelId: modelEntry.id, onStatus: onAnchorStatus });
+
+            // Controller for hit testing
+            controller = renderer.xr.getController(0);
+            controller.addEventListener('select', onSelect);
+            scene.add(controller);
+
+            // Touch gestures arrive through the dom-overlay, whose root is document.body
+            gestures = attachGestures(document.body, {
+                onDragStart: (point) => {
+                    // Measuring leaves the scene where it is
+                    dragPoint = modelPlaced && !measuring ? pointOnPlacementPlane(point) : null;
+                    // A selected prop moves on its own
+                    gestureInstance = dragPoint ? composition.selected : null;
+                    // The scene leaves its anchor until onDragEnd re-anchors it,
+                    // so it does not snap back while the new anchor is created
+                    if (dragPoint && !gestureInstance) anchors.detach();
+                },
+                onDrag: (point) => {
+                    if (!modelPlaced || !dragPoint) return;
+                    const next = pointOnPlacementPlane(point);
+                    if (!next) return;
+                    const delta = next.clone().sub(dragPoint);
+                    dragPoint = next;
+                    if (gestureInstance) {
+                        // World to meters from the anchor
+                        delta.applyAxisAngle(new THREE.Vector3(0, 1, 0), -placement.rotation.y).divideScalar(placement.scale.x);
+                        gestureInstance.object.position.add(delta);
+                    } else {
+                        placement.position.add(delta);
+                    }
+                },
+                onDragEnd: () => {
+                    dragPoint = null;
+                    // Re-anchor where the scene was dropped
+                    if (modelPlaced && !gestureInstance) anchors.request(placement.position, currentPlacement());
+                },
+                onRotate: (radians) => {
+                    if (!modelPlaced) return;
+                    if (composition.selected) gestureInstance = composition.selected;
+                    // Screen angles grow clockwise, which is a negative turn seen from above
+                    (gestureInstance ? gestureInstance.object : placement).rotation.y -= radians;
+                },
+                onScale: (factor) => {
+                    if (!modelPlaced) return;
+                    gestureScale = THREE.MathUtils.clamp(gestureScale * factor, PINCH_SCALE_LIMITS.min, PINCH_SCALE_LIMITS.max);
+                    applyModelScale();
+                },
+                onGestureEnd: () => {
+                    if (gestureInstance) {
+                        // Saves the placement too
+                        composition.commit();
+                        gestureInstance = null;
+                    } else if (modelPlaced) {
+                        anchors.updatePlacement(currentPlacement());
+                    }
+                }
+            });
+            unblockXRSelect = blockXRSelectOnControls(document.body);
+
+            renderer.xr.addEventListener('sessionstart', onSessionStarted);
+            renderer.xr.addEventListener('sessionend', onSessionEnded);
+            document.addEventListener('visibilitychange', onVisibilityChange);
+            window.addEventListener('resize', onResize);
+
+            const modelLoader = createModelLoader(renderer);
+            disposeLoader = modelLoader.dispose;
+
+            composition = createComposition({
+                loader: modelLoader.loader,
+                catalog,
+                performanceMode,
+                signal: loadController.signal,
+                // Props join at the current quality tier
+                onInstance: object => applyQualityTier(governor.tier, { renderer, lights, model: object }),
+                onEdit: saveComposition,
+                onChange: reportComposition
+            });
+            placement.add(composition.object);
+            scene.add(placement);
+
+            // Animation loop
+            renderer.setAnimationLoop(onFrame);
+
+            return loadSelectedModel(modelLoader.loader);
+        },
+
+        // Light the model like the sun at { date, latitude, longitude }, or
+        // pass null to go back to normal lighting. Returns the solar
+        // { azimuth, elevation }.
+        setSunStudy(study) {
+            if (!study) {
+                sunStudy = null;
+                if (renderer) applyEnvironment();
+                return null;
+            }
+            sunStudy = solarPosition(study.date, study.latitude, study.longitude);
+            return sunStudy;
+        },
+
+        // Align the scene with true north while the rear camera faces
+        // `heading` (degrees clockwise from north), and turn the placed model
+        // so its own north points there. `modelNorth` is the angle from the
+        // model's -Z axis clockwise to its true north.
+        alignNorth(heading, modelNorth = 0) {
+            if (!renderer || !renderer.xr.isPresenting) return false;
+
+            const forward = new THREE.Vector3(0, 0, -1).transformDirection(renderer.xr.getCamera().matrixWorld);
+            const cameraAzimuth = THREE.MathUtils.radToDeg(Math.atan2(forward.x, -forward.z));
+            northAzimuth = cameraAzimuth - heading;
+
+            if (model) {
+                placement.rotation.y = -THREE.MathUtils.degToRad(northAzimuth - modelNorth);
+                if (modelPlaced) anchors.updatePlacement(currentPlacement());
+            }
+            return true;
+        },
+
+        // Storeys found by node name, lowest first. Heights are meters above
+        // the model's base: [{ id, name, level, elevation, cutHeight, shown }]
+        get storeys() {
+            return storeys.map((storey, id) => {
+                const elevation = storey.elevation * modelEntry.metersPerUnit;
+                return {
+                    id,
+                    name: storey.name,
+                    level: storey.level,
+                    elevation,
+                    cutHeight: elevation + STOREY_CUT_HEIGHT,
+                    shown: storey.node.visible
+                };
+            });
+        },
+
+        // Move the selection to the enclosing part, e.g. from a window to its wall
+        selectParent() {
+            if (!selectedNode || !selectedNode.parent || selectedNode.parent.parent === model) return;
+            selectNode(selectedNode.parent);
+        },
+
+        clearSelection,
+
+        hideSelected() {
+            if (!selectedNode) return;
+            partVisibility.setShown(selectedNode, false);
+            selectNode(null);
+            reportVisibility();
+        },
+
+        isolateSelected() {
+            if (!selectedNode) return;
+            partVisibility.isolate(selectedNode);
+            reportVisibility();
+        },
+
+        showAllParts() {
+            if (!partVisibility) return;
+            partVisibility.showAll();
+            reportVisibility();
+        },
+
+        setStoreyShown(id, shown) {
+            const storey = storeys[id];
+            if (!storey) return;
+            partVisibility.setShown(storey.node, shown);
+            if (!shown && selectedNode && isDescendant(selectedNode, storey.node)) selectNode(null);
+            reportVisibility();
+        },
+
+        // Cut the model horizontally at `meters` above its base (in the
+        // model's own size, whatever the scale preset), or null for no cut
+        setCutHeight(meters) {
+            cutHeight = meters === null ? null : meters / modelEntry.metersPerUnit;
+            reportVisibility();
+        },
+
+        // Hidden parts and cutaway: { model, hidden: [node path], cutHeight }
+        // with the cut height in meters or null
+        get visibility() {
+            return currentVisibility();
+        },
+
+        // Show the visibility of another participant; ignored when it is
+        // for a different model
+        setVisibility(visibility) {
+            if (!visibility || visibility.model !== modelEntry.id) return;
+            if (partVisibility) {
+                applyVisibility(visibility);
+            } else {
+                pendingVisibility = visibility;
+            }
+        },
+
+        // Camera pose relative to the placed model for review sessions (see
+        // roundPose() in lib/collab/protocol.js), or null when not placed
+        viewerPose() {
+            if (!renderer || !renderer.xr.isPresenting || !modelPlaced || !placement.visible) return null;
+            const xrCamera = renderer.xr.getCamera();
+            const view = xrCamera.cameras.length ? xrCamera.cameras[0] : xrCamera;
+            placement.updateMatrixWorld();
+            const local = new THREE.Matrix4().copy(placement.matrixWorld).invert().multiply(xrCamera.matrixWorld);
+            const position = new THREE.Vector3();
+            const quaternion = new THREE.Quaternion();
+            const scale = new THREE.Vector3();
+            local.decompose(position, quaternion, scale);
+            const projection = view.projectionMatrix.elements;
+            return {
+                position: position.toArray(),
+                quaternion: quaternion.toArray(),
+                fov: THREE.MathUtils.radToDeg(2 * Math.atan(1 / projection[5])),
+                aspect: projection[5] / projection[0],
+                scale: scale.x
+            };
+        },
+
+        // Floor plan of the shown parts at `meters` above the model's base:
+        // { segments, frame } in the same meters and axes as viewerPose(),
+        // or null before the model has loaded
+        planSlice(meters) {
+            if (!model) return null;
+            return {
+                segments: slicePlan(model, meters, modelEntry.metersPerUnit),
+                frame: planFrame(modelBox, modelEntry.metersPerUnit)
+            };
+        },
+
+        // Show a material { variant, finishes }; resolves to what is shown
+        configure(next) {
+            if (!configurator) return Promise.resolve(null);
+            return configurator.apply(next).catch((error) => {
+                console.warn('Could not apply the material configuration:', error);
+                return null;
+            });
+        },
+
+        // Measure mode: taps add points instead of placing or inspecting.
+        // Measurements stay visible when the mode is left.
+        setMeasureMode(on) {
+            measuring = Boolean(on);
+            if (!measuring && measureTool) {
+                measureTool.finish();
+                measureTool.setCursor(null);
+                measureCursor = null;
+                reportMeasurements();
+            }
+        },
+
+        // 'finish', 'close', 'undo' or 'clear' the measurements
+        measureAction(action) {
+            if (!measureTool || !['finish', 'close', 'undo', 'clear'].includes(action)) return;
+            measureTool[action]();
+            reportMeasurements();
+        },
+
+        setMeasureUnits(system) {
+            if (measureTool) measureTool.setUnits(system);
+        },
+
+        // Measurements in the export format of lib/measure.js; coordinates
+        // are in the session's reference space
+        exportMeasurements() {
+            return measureTool
+                ? measureTool.toJSON({ modelId: modelEntry.id, referenceSpace: REFERENCE_SPACE_TYPE })
+                : null;
+        },
+
+        // Annotate mode: taps on the placed model report the point under
+        // them through onAnnotationTarget instead of inspecting
+        setAnnotateMode(on) {
+            annotating = Boolean(on);
+        },
+
+        // Annotations to show as numbered pins, in order
+        setAnnotations(list) {
+            annotations = list;
+            if (annotationPins) annotationPins.set(annotations);
+        },
+
+        // Highlight the pin of this annotation (null for none)
+        selectAnnotation(id) {
+            selectedAnnotation = id;
+            if (annotationPins) annotationPins.select(id);
+        },
+
+        // Add a prop from the catalog where the reticle points, or on the
+        // ground in front of the viewer. Resolves to its instance id.
+        addInstance(modelId) {
+            if (!composition || !modelPlaced) return Promise.reject(new Error('Place the model first'));
+
+            let target = reticle.visible ? new THREE.Vector3().setFromMatrixPosition(reticle.matrix) : null;
+            if (!target) target = pointOnPlacementPlane({ x: window.innerWidth / 2, y: window.innerHeight / 2 });
+            if (!target) {
+                target = new THREE.Vector3(0, 0, -1).applyMatrix4(renderer.xr.getCamera().matrixWorld);
+                target.y = placement.position.y;
+            }
+            placement.updateMatrixWorld();
+            return composition.add(modelId, composition.object.worldToLocal(target));
+        },
+
+        selectInstance,
+
+        duplicateSelected() {
+            return composition ? composition.duplicateSelected() : Promise.resolve(null);
+        },
+
+        deleteSelected() {
+            if (composition) composition.deleteSelected();
+        },
+
+        undo() {
+            if (composition) composition.undo();
+        },
+
+        redo() {
+            if (composition) composition.redo();
+        },
+
+        // Instances with transforms relative to the first anchor, in the
+        // format of lib/composition.js
+        exportComposition() {
+            return composition ? composition.toJSON() : null;
+        },
+
+        // Replace the props with a saved composition; resolves to the number
+        // of props that could not be loaded
+        loadComposition(data) {
+            if (!composition || !model) return Promise.reject(new Error('The model has not loaded yet'));
+            return composition.load(data);
+        },
+
+        // Take a photo of the AR view on the next frame. Resolves to
+        // { blob, composited, width, height }: a JPEG of the camera feed
+        // with the model when the device shares its camera image, otherwise
+        // a PNG of the model on a transparent background; size in pixels.
+        capturePhoto() {
+            if (!renderer || !renderer.xr.isPresenting) {
+                return Promise.reject(new CaptureError('not-presenting', 'Start AR to take a photo'));
+            }
+            return new Promise((resolve, reject) => {
+                pendingPhotos.push({ resolve, reject });
+            });
+        },
+
+        // Record a clip of the AR view; resolves to the video Blob once
+        // stopRecording() is called, the time limit is reached or AR ends
+        startRecording() {
+            if (!renderer || !renderer.xr.isPresenting) {
+                return Promise.reject(new CaptureError('not-presenting', 'Start AR to record a clip'));
+            }
+            if (recording) return Promise.reject(new CaptureError('busy', 'A clip is already recording'));
+
+            const capture = createCapture();
+            const recorder = createClipRecorder(capture.canvas);
+            const current = { capture, recorder, lastFrame: -Infinity };
+            recording = current;
+            onRecording(true);
+
+            const finish = () => {
+                capture.dispose();
+                if (recording === current) {
+                    recording = null;
+                    onRecording(false);
+                }
+            };
+            return recorder.clip.then((blob) => {
+                finish();
+                return blob;
+            }, (error) => {
+                finish();
+                throw error;
+            });
+        },
+
+        stopRecording() {
+            if (recording) recording.recorder.stop();
+        },
+
+        setEnvironmentPreset(id) {
+            const preset = findEnvironmentPreset(id);
+            if (!preset) return;
+            currentEnvironment = preset;
+            if (renderer) applyEnvironment();
+        },
+
+        setScalePreset(id) {
+            // Picking a preset restores its exact scale, e.g. true 1:1
+            currentScalePreset = id;
+            gestureScale = 1;
+            applyModelScale();
+        },
+
+        // Start an immersive AR session; call it from a click, which the
+        // browser requires. Resolves to whether the session started; why it
+        // did not goes to onDiagnostic.
+        enter() {
+            if (state !== 'started' || renderer.xr.isPresenting) return Promise.resolve(false);
+            if (!navigator.xr) {
+                onDiagnostic(diagnostic('unsupported-browser'));
+                return Promise.resolve(false);
+            }
+            return navigator.xr.requestSession('immersive-ar', sessionInit)
+                .then((session) => {
+                    // Left the AR view while the browser asked for permissions
+                    if (state !== 'started') {
+                        session.end().catch(() => {});
+                        return false;
+                    }
+                    renderer.xr.setReferenceSpaceType(REFERENCE_SPACE_TYPE);
+                    return renderer.xr.setSession(session).then(() => true);
+                })
+                .catch((error) => {
+                    console.error('Could not start the AR session:', error);
+                    onDiagnostic(diagnoseSessionError(error, { hitTestRequired: sessionInit.requiredFeatures.includes('hit-test') }));
+                    return false;
+                });
+        },
+
+        // Leave the XR session; the scene stays so AR can be entered again
+        end() {
+            const session = renderer && renderer.xr.getSession();
+            if (!session) return Promise.resolve();
+            endRequested = true;
+            return session.end().catch(() => {});
+        },
+
+        // Tear everything down: stop loading, end the session, free GPU
+        // resources and release the WebGL context
+        dispose() {
+            if (state === 'disposed') return;
+            const wasStarted = state === 'started';
+            state = 'disposed';
+            loadController.abort();
+            if (!wasStarted) return;
+            // The session end listener goes away below
+            reportFrameStats();
+
+            renderer.setAnimationLoop(null);
+            renderer.xr.removeEventListener('sessionstart', onSessionStarted);
+            renderer.xr.removeEventListener('sessionend', onSessionEnded);
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+            window.removeEventListener('resize', onResize);
+            clearTimeout(resizeTimeout);
+
+            controller.removeEventListener('select', onSelect);
+            gestures.dispose();
+            unblockXRSelect();
+            anchors.dispose();
+            hitTester.reset();
+            disposeLoader();
+
+            stopCaptures();
+            if (photoCapture) photoCapture.dispose();
+            highlight.dispose();
+            if (annotationPins) annotationPins.dispose();
+            measureTool.dispose();
+            if (snapper) snapper.dispose();
+            if (configurator) configurator.dispose();
+            renderer.clippingPlanes = [];
+            if (lightEstimation) lightEstimation.dispose();
+            scene.environment = null;
+            environments.dispose();
+            disposeObject(scene, [...lodGeometries(lodLevels), ...tierMaterials(placement)]);
+            // After the scene, which holds the placed instances
+            composition.dispose();
+            scene.clear();
+            model = null;
+            lodLevels = null;
+
+            // Let three finish its own session teardown before the renderer
+            // and its WebGL context go away
+            const xrRenderer = renderer;
+            renderer = null;
+            const release = () => {
+                xrRenderer.dispose();
+                xrRenderer.forceContextLoss();
+            };
+            const session = xrRenderer.xr.getSession();
+            if (session) {
+                session.removeEventListener('visibilitychange', onSessionVisibilityChange);
+                session.end().catch(() => {}).then(release);
+            } else {
+                release();
+            }
+        }
+    };
+}
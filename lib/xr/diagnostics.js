@@ -0,0 +1,71 @@
+// Why AR does not work or struggles, as { reason, severity, detail }:
+//   reason   - one of DIAGNOSTIC_REASONS; pages explain it in the user's
+//              language with the `diagnostics.<reason>.*` messages
+//   severity - 'error' when AR cannot go on, 'warning' when it can
+//   detail   - what the browser said, in English, for support requests
+export const DIAGNOSTIC_REASONS = {
+    // No WebXR, or no immersive AR sessions
+    'unsupported-browser': 'error',
+    // The user or the browser's settings denied the camera
+    'camera-permission': 'error',
+    // The device cannot find surfaces; simplified placement still works
+    'hit-test-unsupported': 'error',
+    // The camera sees too little light to track surfaces
+    'low-light': 'warning',
+    // The runtime refused the session for another reason
+    'session-failed': 'error',
+    'model-load': 'error',
+    'start-failed': 'error'
+};
+
+export function diagnostic(reason, detail = '') {
+    return { reason, severity: DIAGNOSTIC_REASONS[reason], detail };
+}
+
+// What checkARSupport() found, or null when AR can start
+export function diagnoseSupport({ reason, message }) {
+    // Inline sessions cannot show the camera feed either
+    return reason ? diagnostic('unsupported-browser', message) : null;
+}
+
+// Why XRSystem.requestSession() rejected. `hitTestRequired` is whether
+// 'hit-test' was among the required features, which runtimes without it
+// answer with NotSupportedError.
+export function diagnoseSessionError(error, { hitTestRequired = false } = {}) {
+    const detail = error && error.message ? error.message : String(error);
+    const name = error && error.name;
+    if (name === 'NotAllowedError' || name === 'SecurityError') return diagnostic('camera-permission', detail);
+    if (name === 'NotSupportedError') return diagnostic(hitTestRequired ? 'hit-test-unsupported' : 'unsupported-browser', detail);
+    return diagnostic('session-failed', detail);
+}
+
+// Ambient light level below which surfaces are hard to track. The level is
+// the average brightness of the estimated light, about 0.2 to 0.5 indoors.
+export const LOW_LIGHT_LEVEL = 0.03;
+export const LOW_LIGHT_MS = 3000;
+
+// Watches the estimated light level of a session. sample() returns true
+// once, when the level has stayed below `threshold` for `duration` ms.
+export function createLowLightMonitor({ threshold = LOW_LIGHT_LEVEL, duration = LOW_LIGHT_MS } = {}) {
+    let darkSince = null;
+    let reported = false;
+
+    return {
+        sample(level, timestamp) {
+            if (reported) return false;
+            if (level >= threshold) {
+                darkSince = null;
+                return false;
+            }
+            if (darkSince === null) darkSince = timestamp;
+            reported = timestamp - darkSince >= duration;
+            return reported;
+        },
+
+        // For the next session
+        reset() {
+            darkSince = null;
+            reported = false;
+        }
+    };
+}
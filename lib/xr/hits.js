@@ -0,0 +1,55 @@
+// Hit testing against real-world surfaces from the viewer's point of view.
+// The hit test source is requested on the first frame of a session and
+// dropped when the session ends.
+//   isCurrent(session)   - whether `session` is still the running one; a
+//                          source that arrives after its session ended is
+//                          cancelled
+//   onUnavailable(error) - the running session cannot hit test
+export function createHitTester({ isCurrent = () => true, onUnavailable = () => {} } = {}) {
+    let source = null;
+    let requested = false;
+
+    const request = (session) => {
+        requested = true;
+        session.requestReferenceSpace('viewer')
+            .then(referenceSpace => session.requestHitTestSource({ space: referenceSpace }))
+            .then((hitTestSource) => {
+                // The session may have ended while the request was pending
+                if (isCurrent(session)) {
+                    source = hitTestSource;
+                } else {
+                    hitTestSource.cancel();
+                }
+            })
+            .catch((error) => {
+                console.warn('Hit test source unavailable:', error);
+                if (isCurrent(session)) onUnavailable(error);
+            });
+    };
+
+    return {
+        // Whether a source is ready, so update() reports hits
+        get ready() {
+            return Boolean(source);
+        },
+
+        // Hit test this frame. Returns null until the source is ready, then
+        // { hit, pose } with the first XRHitTestResult and its pose in
+        // `referenceSpace`; both are null when nothing was hit, and the pose
+        // is null when the hit cannot be located this frame.
+        update(session, frame, referenceSpace) {
+            if (!requested) request(session);
+            if (!source) return null;
+            const [hit] = frame.getHitTestResults(source);
+            if (!hit) return { hit: null, pose: null };
+            return { hit, pose: hit.getPose(referenceSpace) || null };
+        },
+
+        // Drop the source so the next session requests its own
+        reset() {
+            if (source) source.cancel();
+            source = null;
+            requested = false;
+        }
+    };
+}
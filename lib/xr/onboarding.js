@@ -0,0 +1,120 @@
+// Onboarding of an AR session: which step the user is at, for coach hints,
+// announcements and haptics.
+//   idle             - no XR session; the user has to start AR
+//   scanning         - looking for a surface to place the model on
+//   surface-found    - a surface is under the reticle, a tap places the model
+//   placed           - the model is placed
+//   tracking-limited - the device has lost track of its surroundings
+//   session-lost     - the session is hidden by the system or ended without
+//                      the user asking; starting AR again resumes
+export const ONBOARDING_STEPS = ['idle', 'scanning', 'surface-found', 'placed', 'tracking-limited', 'session-lost'];
+
+// Surfaces and tracking have to stay lost this long before the step
+// changes, so a missed hit test or a shaky frame does not flicker the hints
+export const HINT_GRACE_MS = 500;
+
+// Scanning this long without finding a surface gets more detailed tips
+export const SLOW_SCAN_MS = 8000;
+
+// Tracks what happens in the session and reports the step as it changes.
+//   onChange(step, previous) - the step changed
+//   grace                    - see HINT_GRACE_MS
+export function createOnboarding({ onChange = () => {}, grace = HINT_GRACE_MS } = {}) {
+    let step = 'idle';
+    let inSession = false;
+    // The last session ended without end() being asked for
+    let lost = false;
+    // 'visible', 'visible-blurred' or 'hidden', as XRSession.visibilityState
+    let visibility = 'visible';
+    let placed = false;
+    // Timestamps of the last frame with a surface and with full tracking
+    let surfaceSeen = null;
+    let trackingSeen = null;
+    let now = 0;
+
+    const within = seen => seen !== null && now - seen <= grace;
+
+    const current = () => {
+        if (!inSession) return lost ? 'session-lost' : 'idle';
+        if (visibility !== 'visible') return 'session-lost';
+        if (trackingSeen !== null && !within(trackingSeen)) return 'tracking-limited';
+        if (placed) return 'placed';
+        return within(surfaceSeen) ? 'surface-found' : 'scanning';
+    };
+
+    const update = () => {
+        const next = current();
+        if (next === step) return;
+        const previous = step;
+        step = next;
+        onChange(step, previous);
+    };
+
+    return {
+        get step() {
+            return step;
+        },
+
+        sessionStarted() {
+            inSession = true;
+            lost = false;
+            visibility = 'visible';
+            surfaceSeen = null;
+            trackingSeen = null;
+            update();
+        },
+
+        // `requested` is whether the user left the session
+        sessionEnded(requested) {
+            inSession = false;
+            lost = !requested;
+            placed = false;
+            update();
+        },
+
+        setVisibility(state) {
+            visibility = state;
+            update();
+        },
+
+        setPlaced(value) {
+            placed = value;
+            update();
+        },
+
+        // A session frame: whether the viewer is tracked with its real
+        // position (not emulated) and whether a surface was hit.
+        // `surface` stays true where placement needs no surface.
+        frame(timestamp, { tracked, surface }) {
+            now = timestamp;
+            // The grace for tracking starts with the session's first frame
+            if (tracked || trackingSeen === null) trackingSeen = timestamp;
+            if (surface) surfaceSeen = timestamp;
+            update();
+        }
+    };
+}
+
+// Catalog key of the coach hint for `step`.
+//   simplified - placement in front of the camera, without hit testing
+//   slow       - scanning has taken longer than SLOW_SCAN_MS
+export function coachHintKey(step, { simplified = false, slow = false } = {}) {
+    if (step === 'scanning') return slow ? 'ar.coach.scanningSlow' : 'ar.coach.scanning';
+    if (step === 'surface-found') return simplified ? 'ar.instructions.place' : 'ar.instructions.placeOnSurface';
+    if (step === 'placed') return 'ar.instructions.placed';
+    return `ar.coach.${step}`;
+}
+
+// Vibration patterns (ms) felt when a step is reached
+export const HAPTIC_PATTERNS = {
+    placed: [40, 60, 40]
+};
+
+const vibrateDevice = pattern => (typeof navigator !== 'undefined' && navigator.vibrate ? navigator.vibrate(pattern) : false);
+
+// Vibrate for reaching `step` where the device can; returns whether it did.
+// `vibrate` defaults to navigator.vibrate so tests can pass their own.
+export function stepHaptics(step, vibrate = vibrateDevice) {
+    const pattern = HAPTIC_PATTERNS[step];
+    return pattern ? Boolean(vibrate(pattern)) : false;
+}
@@ -0,0 +1,38 @@
+// English notices by reason
+const MESSAGES = {
+    'no-webxr': () => 'WebXR not supported in this browser',
+    'inline-only': () => 'Full AR not supported. Using simplified mode.',
+    'check-failed': error => 'Error checking AR support: ' + error.message
+};
+
+// What the browser's WebXR runtime offers. Resolves to
+// { supported, mode, reason, message, error }:
+//   supported - AR can be started
+//   mode      - 'immersive-ar', 'inline' (simplified mode) or null
+//   reason    - why there is a notice: 'no-webxr', 'inline-only' or
+//               'check-failed', null when there is nothing to say; pages
+//               show it in the user's language
+//   message   - the notice in English, for logs and telemetry
+//   error     - what went wrong while asking the runtime, or null
+// `xr` defaults to navigator.xr so tests can pass a fake runtime.
+export function checkARSupport(xr = typeof navigator !== 'undefined' ? navigator.xr : undefined) {
+    const result = (supported, mode, reason = null, error = null) => ({
+        supported,
+        mode,
+        reason,
+        message: reason ? MESSAGES[reason](error) : '',
+        error
+    });
+    if (!xr) return Promise.resolve(result(false, null, 'no-webxr'));
+
+    return xr.isSessionSupported('immersive-ar')
+        .then((supported) => {
+            if (supported) return result(true, 'immersive-ar');
+            // Try simpler session type as fallback
+            return xr.isSessionSupported('inline')
+                .then(inlineSupported => (inlineSupported
+                    ? result(true, 'inline', 'inline-only')
+                    : result(false, null)));
+        })
+        .catch(error => result(false, null, 'check-failed', error));
+}
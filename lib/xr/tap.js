@@ -0,0 +1,52 @@
+// What a tap (the XR 'select' event) does in the AR view, decided from the
+// controller's state so the rules can be tested without a session.
+//   gesture        - the select ended a drag, twist or pinch
+//   measuring      - measure mode is on
+//   measureCursor  - the measure cursor is on a surface
+//   modelLoaded, placed, reticleVisible, annotating
+//   hasSelection   - a part or prop is selected
+//   performanceMode
+// Picking needs a raycast, so it is passed in and only called when the
+// decision gets there:
+//   pickPin()    - id of the annotation pin under the tap, or null
+//   pickObject() - { type: 'part', node } or { type: 'prop', id } under
+//                  the tap, whichever is nearer, or null
+// Returns one of
+//   { type: 'none' }
+//   { type: 'measure' }                         - add a measurement point
+//   { type: 'place', at: 'camera' | 'reticle' }
+//   { type: 'annotate' }                        - report the point for a note
+//   { type: 'select-annotation', id }
+//   { type: 'select', target }                  - target from pickObject()
+//   { type: 'clear-selection' }
+//   { type: 'pick-up' }                         - lift the scene to re-place it
+
+const NONE = { type: 'none' };
+
+export function tapAction(state, { pickPin = () => null, pickObject = () => null } = {}) {
+    // The end of a drag, twist or pinch also fires a select; it is not a tap
+    if (state.gesture) return NONE;
+
+    if (state.measuring) return state.measureCursor ? { type: 'measure' } : NONE;
+
+    if (!state.modelLoaded) return NONE;
+
+    if (!state.placed) {
+        // Low-end mode skips hit testing and places in front of the camera
+        if (state.performanceMode === 'low') return { type: 'place', at: 'camera' };
+        return state.reticleVisible ? { type: 'place', at: 'reticle' } : NONE;
+    }
+
+    if (state.annotating) return { type: 'annotate' };
+
+    // Pins sit in front of everything, so they win over parts
+    const pin = pickPin();
+    if (pin) return { type: 'select-annotation', id: pin };
+
+    // Taps on the model inspect it and taps on props select them; the first
+    // tap beside them clears the selection, the next one picks the whole
+    // scene up
+    const target = pickObject();
+    if (target) return { type: 'select', target };
+    return state.hasSelection ? { type: 'clear-selection' } : { type: 'pick-up' };
+}
@@ -1,6 +1,17 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  eslint: {
+    // The defaults plus the tests
+    dirs: ['pages', 'components', 'lib', 'test'],
+  },
+  // Locales with message catalogs in lib/i18n/locales. Visitors to / are sent
+  // to the locale their Accept-Language prefers; other pages use the locale
+  // in the URL (/de/ar) or the default.
+  i18n: {
+    locales: ['en', 'de', 'fr', 'ar'],
+    defaultLocale: 'en',
+  },
 };
 
 export default nextConfig;
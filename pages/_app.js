@@ -1,5 +1,16 @@
+import { useEffect } from "react";
 import "@/styles/globals.css";
+import { useTranslation } from "@/lib/i18n/state";
 
 export default function App({ Component, pageProps }) {
+  const { locale, dir } = useTranslation();
+
+  // The document is only rendered on the server; switching the language
+  // in the browser updates it here
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
   return <Component {...pageProps} />;
 }
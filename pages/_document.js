@@ -1,8 +1,9 @@
 import { Html, Head, Main, NextScript } from "next/document";
+import { textDirection } from "@/lib/i18n/messages";
 
-export default function Document() {
+export default function Document({ locale }) {
   return (
-    <Html lang="en">
+    <Html dir={textDirection(locale)}>
       <Head>
         <link href="https://fonts.googleapis.com/css2?family=Poppins:wght@400;500;600;700&display=swap" rel="stylesheet" />
       </Head>
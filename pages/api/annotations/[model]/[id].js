@@ -0,0 +1,48 @@
+import { findModel } from '@/lib/models/catalog';
+import { deleteAnnotation, saveAnnotation } from '@/lib/annotations/store';
+import { validateAnnotation } from '@/lib/annotations/format';
+
+// PUT adds or replaces an annotation, DELETE removes it
+export default async function handler(req, res) {
+    if (req.method !== 'PUT' && req.method !== 'DELETE') {
+        res.setHeader('Allow', 'PUT, DELETE');
+        return res.status(405).json({ error: `Method ${req.method} not allowed` });
+    }
+
+    const { model: modelId, id } = req.query;
+
+    try {
+        if (!await findModel(modelId)) {
+            return res.status(404).json({ error: `Unknown model "${modelId}"` });
+        }
+    } catch (error) {
+        console.error(`Error looking up model ${modelId}:`, error);
+        return res.status(500).json({ error: 'Could not read model catalog' });
+    }
+
+    if (req.method === 'DELETE') {
+        try {
+            if (!await deleteAnnotation(modelId, id)) {
+                return res.status(404).json({ error: `Unknown annotation "${id}"` });
+            }
+            return res.status(204).end();
+        } catch (error) {
+            console.error(`Error deleting annotation ${id} of ${modelId}:`, error);
+            return res.status(500).json({ error: 'Could not delete the annotation' });
+        }
+    }
+
+    let annotation;
+    try {
+        annotation = validateAnnotation({ ...req.body, id });
+    } catch (error) {
+        return res.status(422).json({ error: error.message });
+    }
+
+    try {
+        res.status(200).json({ annotation: await saveAnnotation(modelId, annotation) });
+    } catch (error) {
+        console.error(`Error saving annotation ${id} of ${modelId}:`, error);
+        res.status(500).json({ error: 'Could not save the annotation' });
+    }
+}
@@ -0,0 +1,21 @@
+import { findModel } from '@/lib/models/catalog';
+import { readAnnotations } from '@/lib/annotations/store';
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).json({ error: `Method ${req.method} not allowed` });
+    }
+
+    const { model: modelId } = req.query;
+
+    try {
+        if (!await findModel(modelId)) {
+            return res.status(404).json({ error: `Unknown model "${modelId}"` });
+        }
+        res.status(200).json({ annotations: await readAnnotations(modelId) });
+    } catch (error) {
+        console.error(`Error reading annotations of ${modelId}:`, error);
+        res.status(500).json({ error: 'Could not read the annotations' });
+    }
+}
@@ -0,0 +1,21 @@
+import { findModel } from '@/lib/models/catalog';
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).json({ error: `Method ${req.method} not allowed` });
+    }
+
+    const { id } = req.query;
+
+    try {
+        const model = await findModel(id);
+        if (!model) {
+            return res.status(404).json({ error: `Unknown model "${id}"` });
+        }
+        res.status(200).json({ model });
+    } catch (error) {
+        console.error(`Error looking up model ${id}:`, error);
+        res.status(500).json({ error: 'Could not read model catalog' });
+    }
+}
@@ -0,0 +1,55 @@
+import { createReadStream, promises as fs } from 'fs';
+import path from 'path';
+import { UPLOADS_DIR } from '@/lib/models/catalog';
+
+const CONTENT_TYPES = {
+    '.gltf': 'model/gltf+json',
+    '.glb': 'model/gltf-binary',
+    '.bin': 'application/octet-stream',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.ktx2': 'image/ktx2'
+};
+
+// Serves uploaded models and their sidecar files from UPLOADS_DIR
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        return res.status(405).json({ error: `Method ${req.method} not allowed` });
+    }
+
+    const filePath = path.resolve(UPLOADS_DIR, ...[].concat(req.query.path));
+    if (!filePath.startsWith(path.resolve(UPLOADS_DIR) + path.sep)) {
+        return res.status(400).json({ error: 'Invalid path' });
+    }
+
+    let stat;
+    try {
+        stat = await fs.stat(filePath);
+    } catch {
+        stat = null;
+    }
+    if (!stat || !stat.isFile()) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Size + mtime identify a stored file; the viewer caches models by URL + ETag
+    const etag = `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'public, max-age=0, must-revalidate');
+    res.setHeader('Last-Modified', stat.mtime.toUTCString());
+
+    if (req.headers['if-none-match'] === etag) {
+        return res.status(304).end();
+    }
+
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream');
+    res.setHeader('Content-Length', stat.size);
+
+    if (req.method === 'HEAD') {
+        return res.status(200).end();
+    }
+    createReadStream(filePath).pipe(res);
+}
@@ -0,0 +1,16 @@
+import { listModels } from '@/lib/models/catalog';
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return res.status(405).json({ error: `Method ${req.method} not allowed` });
+    }
+
+    try {
+        const models = await listModels();
+        res.status(200).json({ models });
+    } catch (error) {
+        console.error('Error building model catalog:', error);
+        res.status(500).json({ error: 'Could not read model catalog' });
+    }
+}
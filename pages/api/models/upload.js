@@ -0,0 +1,63 @@
+import { Readable } from 'stream';
+import { MAX_UPLOAD_BYTES, storeUpload } from '@/lib/models/upload';
+
+// Multipart bodies are parsed below, so Next.js must not consume the stream
+export const config = {
+    api: {
+        bodyParser: false
+    }
+};
+
+// Parse multipart/form-data with the built-in fetch Request implementation
+const readFiles = async (req) => {
+    const request = new Request(`http://localhost${req.url}`, {
+        method: req.method,
+        headers: req.headers,
+        body: Readable.toWeb(req),
+        duplex: 'half'
+    });
+    const form = await request.formData();
+    const files = [];
+    for (const value of form.values()) {
+        if (typeof value === 'object' && value.name) {
+            files.push({ name: value.name, data: Buffer.from(await value.arrayBuffer()) });
+        }
+    }
+    return files;
+};
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        return res.status(405).json({ error: `Method ${req.method} not allowed` });
+    }
+
+    if (!(req.headers['content-type'] || '').startsWith('multipart/form-data')) {
+        return res.status(415).json({ error: 'Send the model files as multipart/form-data' });
+    }
+
+    const length = Number(req.headers['content-length']);
+    if (!length || length > MAX_UPLOAD_BYTES) {
+        return res.status(413).json({ error: `Uploads must be between 1 byte and ${MAX_UPLOAD_BYTES / 1024 / 1024} MB` });
+    }
+
+    let files;
+    try {
+        files = await readFiles(req);
+    } catch (error) {
+        console.error('Error reading model upload:', error);
+        return res.status(400).json({ error: 'Could not read the uploaded files: ' + error.message });
+    }
+
+    if (files.length === 0) {
+        return res.status(400).json({ error: 'No files were uploaded' });
+    }
+
+    try {
+        const { report, model } = await storeUpload(files);
+        res.status(report.valid ? 201 : 422).json({ model, report });
+    } catch (error) {
+        console.error('Error storing model upload:', error);
+        res.status(500).json({ error: 'Could not store the uploaded model: ' + error.message });
+    }
+}
@@ -0,0 +1,49 @@
+import { aggregateEvents, eventsOfBatch } from '@/lib/telemetry/events';
+import { appendEvents, readEvents } from '@/lib/telemetry/store';
+
+export const config = {
+    api: {
+        bodyParser: {
+            sizeLimit: '64kb'
+        }
+    }
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// POST stores a batch of events from lib/telemetry/client.js (sent with
+// sendBeacon, so the response is never read); GET aggregates the events of
+// the last ?days=30 for the /stats page
+export default async function handler(req, res) {
+    if (req.method === 'GET') {
+        const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 365);
+        try {
+            const events = await readEvents(Date.now() - days * DAY);
+            return res.status(200).json({ days, ...aggregateEvents(events) });
+        } catch (error) {
+            console.error('Error reading telemetry:', error);
+            return res.status(500).json({ error: 'Could not read the telemetry' });
+        }
+    }
+
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'GET, POST');
+        return res.status(405).json({ error: `Method ${req.method} not allowed` });
+    }
+
+    let events;
+    try {
+        // Beacons may arrive as text/plain
+        events = eventsOfBatch(typeof req.body === 'string' ? JSON.parse(req.body) : req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error instanceof SyntaxError ? 'The batch is not valid JSON' : error.message });
+    }
+
+    try {
+        await appendEvents(events);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error storing telemetry:', error);
+        res.status(500).json({ error: 'Could not store the telemetry' });
+    }
+}
@@ -1,475 +1,541 @@
-import { useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
 import styles from '../styles/AR.module.css';
+import SunStudyPanel from '../components/SunStudyPanel';
+import LayersPanel from '../components/LayersPanel';
+import Minimap from '../components/Minimap';
+import PartInfo from '../components/PartInfo';
+import Configurator from '../components/Configurator';
+import MeasurePanel from '../components/MeasurePanel';
+import CapturePanel from '../components/CapturePanel';
+import ScenePanel from '../components/ScenePanel';
+import CollabPanel from '../components/CollabPanel';
+import AnnotationsPanel from '../components/AnnotationsPanel';
+import LocaleSwitcher from '../components/LocaleSwitcher';
+import CoachHint from '../components/CoachHint';
+import DiagnosticsPanel from '../components/DiagnosticsPanel';
+import { DEFAULT_SCALE_PRESET, findScalePreset, SCALE_PRESETS } from '../lib/scale';
+import { formatLength, UNIT_SYSTEMS } from '../lib/units';
+import { detectDevicePerformance } from '../lib/device';
+import { fetchModels, formatDimensions, formatModelSize } from '../lib/models/client';
+import { DEFAULT_ENVIRONMENT_PRESET, ENVIRONMENT_PRESETS } from '../lib/environments';
+import { EMPTY_CONFIGURATION, hasConfigurationOptions, parseConfiguration, withConfiguration } from '../lib/configuration';
+import { useCollabSession } from '../lib/collab/session';
+import { checkARSupport } from '../lib/xr/support';
+import { diagnoseSupport, diagnostic as diagnosticOf } from '../lib/xr/diagnostics';
+import { stepHaptics } from '../lib/xr/onboarding';
+import { annotationIdOf, annotationKey } from '../lib/collab/protocol';
+import { useAnnotations } from '../lib/annotations/state';
+import { setTelemetryDevice, track } from '../lib/telemetry/client';
+import { useTranslation, useUnitSystem } from '../lib/i18n/state';
 
 export default function AR() {
+    const router = useRouter();
+    const { t } = useTranslation();
+    const [units, setUnits] = useUnitSystem();
     const canvasRef = useRef(null);
+    // AR controller of the running AR view (lib/xr/controller)
+    const controllerRef = useRef(null);
+    // Telemetry of the running AR view: start time (ms), variant being
+    // loaded, quality tier and whether the placement was reported
+    const telemetryRef = useRef({ startedAt: 0, variant: null, tier: null, placed: false });
+    // Settings of the running AR view, taken when it starts: changing them
+    // afterwards needs a new session
+    const arSettingsRef = useRef(null);
     const [arSupported, setArSupported] = useState(false);
     const [arStarted, setArStarted] = useState(false);
-    const [errorMessage, setErrorMessage] = useState('');
+    // Why AR failed or struggles, see lib/xr/diagnostics.js
+    const [diagnostic, setDiagnostic] = useState(null);
+    const [onboardingStep, setOnboardingStep] = useState('idle'); // see lib/xr/onboarding.js
+    const [inSession, setInSession] = useState(false); // an XR session is running
     const [isLoading, setIsLoading] = useState(false);
     const [loadingProgress, setLoadingProgress] = useState(0);
+    const [loadingVariant, setLoadingVariant] = useState(null);
     const [performanceMode, setPerformanceMode] = useState('auto'); // 'low', 'medium', 'high', 'auto'
     const [isLowEndDevice, setIsLowEndDevice] = useState(false);
+    const [models, setModels] = useState(null); // null until the catalog has loaded
+    const [catalogError, setCatalogError] = useState(''); // why the catalog failed to load
+    const [modelDimensions, setModelDimensions] = useState(null); // meters, real-world size
+    const [isModelPlaced, setIsModelPlaced] = useState(false);
+    const [anchorStatus, setAnchorStatus] = useState(null); // 'available', 'anchored', 'persistent' or 'unsupported'
+    const [qualityTier, setQualityTier] = useState(null); // tier chosen by the quality governor
+    const [lightEstimated, setLightEstimated] = useState(false); // lighting comes from the camera feed
+    const [inspectedPart, setInspectedPart] = useState(null); // part tapped on the placed model
+    const [configurationOptions, setConfigurationOptions] = useState(null); // material variants and slots
+    const [measurements, setMeasurements] = useState([]); // measure tool summaries
+    const [isMeasuring, setIsMeasuring] = useState(false);
+    const [isRecording, setIsRecording] = useState(false); // a clip of the AR view is recording
+    const [composition, setComposition] = useState(null); // placed model and props, see ScenePanel
+    const [visibility, setVisibility] = useState(null); // hidden parts and cutaway, shared in review sessions
+    const [sessionNotice, setSessionNotice] = useState('');
+    const [annotationTarget, setAnnotationTarget] = useState(null); // tapped point for a new annotation
+    const [selectedAnnotation, setSelectedAnnotation] = useState(null);
+    const [isAnnotating, setIsAnnotating] = useState(false);
 
     // Check device performance on component mount
     useEffect(() => {
         checkDevicePerformance();
-        checkARSupport();
+        checkARSupport().then(applyARSupport);
+        loadCatalog();
     }, []);
 
-    // Function to check device performance
-    const checkDevicePerformance = () => {
-        // Simple heuristic to detect low-end devices
-        const canvas = document.createElement('canvas');
-        const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-
-        if (!gl) {
-            setIsLowEndDevice(true);
-            setPerformanceMode('low');
-            return;
-        }
-
-        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
-        const renderer = debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : '';
-
-        // Check for known low-end GPU identifiers
-        const lowEndGPUs = ['PowerVR', 'Mali-4', 'Mali-T6', 'Mali-G5', 'Adreno 3', 'Adreno 4'];
-        const isLowEnd = lowEndGPUs.some(gpu => renderer.includes(gpu));
-
-        // Also check device memory if available
-        const lowMemory = navigator.deviceMemory && navigator.deviceMemory < 4;
+    // Selected model comes from the ?model= query so /ar?model=<id> is a shareable link
+    const requestedModelId = typeof router.query.model === 'string' ? router.query.model : null;
+    const selectedModel = models
+        ? (requestedModelId
+            ? models.find(model => model.id === requestedModelId) || null
+            : models[0] || null)
+        : null;
+    const modelError = !models || !router.isReady
+        ? ''
+        : requestedModelId && !selectedModel
+            ? t('ar.error.unknownModel', { id: requestedModelId })
+            : models.length === 0
+                ? t('ar.error.noModels')
+                : '';
+
+    // Function to fetch the model catalog from the API
+    const loadCatalog = () => {
+        fetchModels()
+            .then(setModels)
+            .catch(error => {
+                console.error('Error loading model catalog:', error);
+                setCatalogError(error.message);
+                setModels([]);
+            });
+    };
 
-        setIsLowEndDevice(isLowEnd || lowMemory);
-        setPerformanceMode(isLowEnd || lowMemory ? 'low' : 'medium');
+    // Scale preset also lives in the query (?scale=1:100) so links keep it
+    const scalePreset = findScalePreset(router.query.scale) ? router.query.scale : DEFAULT_SCALE_PRESET;
 
-        console.log('Device performance check:', {
-            renderer,
-            memory: navigator.deviceMemory || 'unknown',
-            performanceMode: isLowEnd || lowMemory ? 'low' : 'medium'
-        });
+    const updateQuery = (changes) => {
+        router.replace({ pathname: router.pathname, query: { ...router.query, ...changes } }, undefined, { shallow: true });
     };
 
-    // Function to check AR support
-    const checkARSupport = () => {
-        if ('xr' in navigator) {
-            navigator.xr.isSessionSupported('immersive-ar')
-                .then((supported) => {
-                    setArSupported(supported);
-                    if (!supported) {
-                        // Try simpler session type as fallback
-                        return navigator.xr.isSessionSupported('inline')
-                            .then(inlineSupported => {
-                                if (inlineSupported) {
-                                    setArSupported(true);
-                                    setErrorMessage('Full AR not supported. Using simplified mode.');
-                                }
-                            });
-                    }
-                })
-                .catch(error => {
-                    console.error('Error checking AR support:', error);
-                    setErrorMessage('Error checking AR support: ' + error.message);
-                });
-        } else {
-            setErrorMessage('WebXR not supported in this browser');
-        }
+    // A configuration belongs to one model
+    const selectModel = (id) => {
+        router.replace({
+            pathname: router.pathname,
+            query: withConfiguration({ ...router.query, model: id }, EMPTY_CONFIGURATION)
+        }, undefined, { shallow: true });
     };
 
-    const startAR = async () => {
-        if (!arSupported) return;
+    // Lighting preset for devices without light estimation (?env=dusk)
+    const environmentPreset = ENVIRONMENT_PRESETS.some(preset => preset.id === router.query.env)
+        ? router.query.env
+        : DEFAULT_ENVIRONMENT_PRESET;
 
-        try {
-            setIsLoading(true);
-            setArStarted(true);
+    const selectEnvironmentPreset = (id) => {
+        updateQuery({ env: id });
+        if (controllerRef.current) {
+            controllerRef.current.setEnvironmentPreset(id);
+        }
+    };
 
-            // Add a small delay to ensure the canvas is rendered
-            await new Promise(resolve => setTimeout(resolve, 300));
+    // Material configuration lives in the query too (?variant=Oak&finish=roof:slate)
+    const configuration = parseConfiguration(router.query);
 
-            // Import Three.js and related modules dynamically to avoid SSR issues
-            const THREE = await import('three');
-            const { GLTFLoader } = await import('three/examples/jsm/loaders/GLTFLoader');
-            const { ARButton } = await import('three/examples/jsm/webxr/ARButton');
-            // Import the DRACOLoader for compressed models
-            const { DRACOLoader } = await import('three/examples/jsm/loaders/DRACOLoader');
+    const selectConfiguration = (next) => {
+        router.replace({ pathname: router.pathname, query: withConfiguration(router.query, next) }, undefined, { shallow: true });
+        if (controllerRef.current) {
+            controllerRef.current.configure(next);
+        }
+    };
 
-            // Set up Three.js scene
-            const canvas = canvasRef.current;
-            if (!canvas) {
-                throw new Error("Canvas element not found");
+    // Review session: others see the model, configuration and visibility
+    // shown here, and the camera frustum while in AR
+    const applySessionChanges = (changes) => {
+        let query = { ...router.query };
+        if (changes.model && models && models.some(model => model.id === changes.model) && changes.model !== query.model) {
+            // A configuration belongs to one model
+            query = withConfiguration({ ...query, model: changes.model }, EMPTY_CONFIGURATION);
+            if (arStarted) {
+                const model = models.find(entry => entry.id === changes.model);
+                stopAR();
+                setSessionNotice(t('ar.sessionSwitched', { name: model.name }));
             }
+        }
+        if (changes.configuration) {
+            query = withConfiguration(query, changes.configuration);
+            if (controllerRef.current) controllerRef.current.configure(changes.configuration);
+        }
+        if (changes.visibility && controllerRef.current) {
+            controllerRef.current.setVisibility(changes.visibility);
+        }
+        Object.keys(changes).forEach((key) => {
+            const id = annotationIdOf(key);
+            if (id) annotationList.receive(id, changes[key]);
+        });
+        router.replace({ pathname: router.pathname, query }, undefined, { shallow: true });
+    };
 
-            const scene = new THREE.Scene();
+    const collab = useCollabSession({
+        role: 'ar',
+        values: { model: selectedModel ? selectedModel.id : null, configuration, visibility },
+        onChange: applySessionChanges,
+        poseSource: () => (controllerRef.current ? controllerRef.current.viewerPose() : null)
+    });
+
+    // Join the session of a shared link (?session=<code>), once the query
+    // is known; the link then follows the session, not the other way round
+    const { join: joinSession, code: sessionCode, value: sessionValue } = collab;
+    const linkJoinedRef = useRef(false);
+    useEffect(() => {
+        if (!router.isReady || linkJoinedRef.current) return;
+        linkJoinedRef.current = true;
+        if (typeof router.query.session === 'string') joinSession(router.query.session);
+    }, [router.isReady, router.query.session, joinSession]);
 
-            // Set up camera
-            const camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.1, 100);
+    // Keep the join code in the link so it can be shared
+    useEffect(() => {
+        if (sessionCode && router.query.session !== sessionCode) {
+            router.replace({ pathname: router.pathname, query: { ...router.query, session: sessionCode } }, undefined, { shallow: true });
+        }
+    }, [sessionCode, router]);
 
-            // Set up renderer with optimized settings
-            const renderer = new THREE.WebGLRenderer({
-                canvas,
-                alpha: true,
-                antialias: performanceMode !== 'low', // Disable antialiasing for low-end devices
-                powerPreference: performanceMode === 'low' ? 'low-power' : 'high-performance',
-                precision: performanceMode === 'low' ? 'lowp' : 'mediump',
-                preserveDrawingBuffer: false
-            });
+    const leaveSession = () => {
+        collab.leave();
+        const { session, ...query } = router.query;
+        router.replace({ pathname: router.pathname, query }, undefined, { shallow: true });
+    };
 
-            // Set pixel ratio based on performance mode
-            const pixelRatio = window.devicePixelRatio || 1;
-            renderer.setPixelRatio(performanceMode === 'low' ? Math.min(pixelRatio, 1) :
-                performanceMode === 'medium' ? Math.min(pixelRatio, 1.5) :
-                    pixelRatio);
-
-            renderer.setSize(window.innerWidth, window.innerHeight);
-            renderer.outputEncoding = THREE.sRGBEncoding;
-            renderer.xr.enabled = true;
-
-            // Simplified lighting setup for better performance
-            const ambientLight = new THREE.AmbientLight(0xffffff, 1.0);
-            scene.add(ambientLight);
-
-            // Only add directional light on medium/high performance devices
-            if (performanceMode !== 'low') {
-                const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-                directionalLight.position.set(0, 5, 0);
-                scene.add(directionalLight);
-            }
+    const collabSession = { ...collab, leave: leaveSession };
 
-            // Create AR button and append to document
-            const arButton = ARButton.createButton(renderer, {
-                requiredFeatures: performanceMode === 'low' ? [] : ['hit-test'],
-                optionalFeatures: ['dom-overlay'],
-                domOverlay: { root: document.body }
-            });
+    // Review annotations of the selected model, shared with the session
+    const annotationList = useAnnotations({
+        modelId: selectedModel ? selectedModel.id : null,
+        share: (id, value) => collab.set(annotationKey(id), value)
+    });
 
-            document.body.appendChild(arButton);
-
-            // Simplified reticle geometry for better performance
-            let reticle = new THREE.Mesh(
-                new THREE.RingGeometry(0.15, 0.2, performanceMode === 'low' ? 16 : 32).rotateX(-Math.PI / 2),
-                new THREE.MeshBasicMaterial({ color: 0xffffff })
-            );
-            reticle.matrixAutoUpdate = false;
-            reticle.visible = false;
-            scene.add(reticle);
-
-            let model = null;
-            let modelPlaced = false;
-
-            // Configure DRACO loader for compressed models
-            const dracoLoader = new DRACOLoader();
-            dracoLoader.setDecoderPath('/draco/');
-
-            // Load the GLTF model with compression support
-            const loader = new GLTFLoader();
-            loader.setDRACOLoader(dracoLoader);
-
-            // Choose model based on device capability
-            // For now, use the same model for all devices until low-poly version is available
-            const modelPath = '/models/House Project.gltf';
-
-            // Fallback paths to try if main model fails
-            const fallbackPaths = [
-                '/models/result.gltf',  // Legacy fallback
-                '/House Project.gltf',  // Root directory fallback
-                '/models/fallback.gltf' // Generic fallback
-            ];
-
-            console.log('Attempting to load model from:', modelPath);
-
-            const loadModel = (path, index = 0) => {
-                loader.load(
-                    path,
-                    // Success callback
-                    (gltf) => {
-                        console.log("Model loaded successfully", gltf);
-                        model = gltf.scene;
-
-                        // Optimize the model based on device performance
-                        optimizeModel(model, THREE);
-
-                        model.visible = false;
-                        scene.add(model);
-                        setIsLoading(false);
-                    },
-                    // Progress callback
-                    (xhr) => {
-                        const percent = xhr.loaded / xhr.total * 100;
-                        setLoadingProgress(Math.floor(percent));
-                        console.log(`${percent.toFixed(2)}% loaded`);
-                    },
-                    // Error callback
-                    (error) => {
-                        console.error(`Error loading model from ${path}:`, error);
-
-                        // Try next fallback if available
-                        if (index < fallbackPaths.length) {
-                            console.log(`Trying fallback path: ${fallbackPaths[index]}`);
-                            loadModel(fallbackPaths[index], index + 1);
-                        } else {
-                            // All paths failed, show error
-                            console.error('All model loading attempts failed');
-                            setErrorMessage('Could not load 3D model. Please try again later.');
-                            setIsLoading(false);
-                        }
-                    }
-                );
-            };
-
-            // Function to optimize model based on device capability
-            const optimizeModel = (model, THREE) => {
-                // Center the model
-                const box = new THREE.Box3().setFromObject(model);
-                const center = box.getCenter(new THREE.Vector3());
-                model.position.sub(center);
-
-                // Scale based on performance mode
-                const scale = performanceMode === 'low' ? 0.25 : 0.3;
-                model.scale.set(scale, scale, scale);
-
-                // Rotate the model
-                model.rotation.x = THREE.MathUtils.degToRad(-90);
-
-                // Optimize materials and geometries
-                model.traverse((node) => {
-                    if (node.isMesh) {
-                        // For low-end devices, simplify materials
-                        if (performanceMode === 'low') {
-                            // Replace with basic material for better performance
-                            const color = node.material.color ?
-                                node.material.color.clone() :
-                                new THREE.Color(0xcccccc);
-
-                            node.material = new THREE.MeshBasicMaterial({
-                                color: color,
-                                map: node.material.map
-                            });
-                        } else {
-                            // For better devices, just ensure proper material settings
-                            if (node.material) {
-                                node.material.needsUpdate = true;
-
-                                if (node.material.map) {
-                                    node.material.map.encoding = THREE.sRGBEncoding;
-                                }
-                            }
-                        }
-
-                        // Simplify geometry on low-end devices if it has too many vertices
-                        if (performanceMode === 'low' && node.geometry &&
-                            node.geometry.attributes &&
-                            node.geometry.attributes.position &&
-                            node.geometry.attributes.position.count > 5000) {
-                            console.log('Simplifying complex geometry',
-                                node.geometry.attributes.position.count, 'vertices');
-                            // We don't actually simplify here as it would require importing
-                            // a geometry simplification library, but in a real app you would
-                            // use a library like SimplifyModifier or pregenerate LODs
-                        }
-                    }
-                });
-            };
-
-            // Start model loading
-            loadModel(modelPath);
-
-            // Controller for hit testing
-            let controller = renderer.xr.getController(0);
-            controller.addEventListener('select', onSelect);
-            scene.add(controller);
-
-            // Function to handle tap/select events
-            function onSelect() {
-                if (model && (!reticle.visible || performanceMode === 'low')) {
-                    // For low-end devices, just place in front of camera
-                    if (performanceMode === 'low' && !modelPlaced) {
-                        // Place model 1 meter in front of camera
-                        const position = new THREE.Vector3(0, 0, -1).applyMatrix4(controller.matrixWorld);
-                        model.position.copy(position);
-                        model.visible = true;
-                        modelPlaced = true;
-                    }
-                    // For better devices, place at reticle
-                    else if (reticle.visible && !modelPlaced) {
-                        model.position.setFromMatrixPosition(reticle.matrix);
-                        model.visible = true;
-                        modelPlaced = true;
-                    }
-                    // Allow repositioning
-                    else if (modelPlaced) {
-                        modelPlaced = false;
-                        if (performanceMode !== 'low') {
-                            model.visible = false;
-                        }
-                    }
-                }
-            }
-
-            // XR session hit test source (only for medium/high performance)
-            let hitTestSource = null;
-            let hitTestSourceRequested = false;
-
-            // Simple FPS counter for performance monitoring
-            let frameCount = 0;
-            let lastTime = performance.now();
-            let fps = 0;
-
-            const updatePerformanceMode = (currentFps) => {
-                // If FPS is too low, reduce quality settings
-                if (currentFps < 20 && performanceMode !== 'low') {
-                    console.log('FPS too low, reducing quality settings', currentFps);
-                    setPerformanceMode('low');
-
-                    // Simplify lighting
-                    scene.children.forEach(child => {
-                        if (child.isDirectionalLight) {
-                            scene.remove(child);
-                        }
-                    });
+    const selectAnnotation = useCallback((id) => {
+        setSelectedAnnotation(id);
+        if (controllerRef.current) controllerRef.current.selectAnnotation(id);
+    }, []);
 
-                    // Lower renderer quality
-                    renderer.setPixelRatio(1);
-                    renderer.antialias = false;
+    const deleteAnnotation = (id) => {
+        if (id === selectedAnnotation) selectAnnotation(null);
+        annotationList.remove(id);
+    };
 
-                    // Optimize model if already loaded
-                    if (model) {
-                        optimizeModel(model, THREE);
-                    }
-                }
-            };
-
-            // Animation loop
-            renderer.setAnimationLoop((timestamp, frame) => {
-                // Update FPS counter
-                frameCount++;
-                const now = performance.now();
-                if (now - lastTime >= 1000) {
-                    fps = frameCount;
-                    frameCount = 0;
-                    lastTime = now;
-                    console.log('FPS:', fps);
-
-                    // Adjust performance mode based on FPS
-                    updatePerformanceMode(fps);
-                }
+    const changeAnnotating = (on) => {
+        setIsAnnotating(on);
+        setAnnotationTarget(null);
+    };
 
-                if (frame && performanceMode !== 'low') {
-                    // Perform hit test for medium/high performance devices
-                    if (!hitTestSourceRequested) {
-                        const session = renderer.xr.getSession();
+    // Pins follow the list; the controller keeps it until the model loads
+    useEffect(() => {
+        if (controllerRef.current) controllerRef.current.setAnnotations(annotationList.annotations);
+    }, [annotationList.annotations, modelDimensions]);
+
+    const previewHref = {
+        pathname: '/preview',
+        query: selectedModel
+            ? withConfiguration({ model: selectedModel.id, ...(collab.code ? { session: collab.code } : {}) }, configuration)
+            : {}
+    };
 
-                        session.requestReferenceSpace('viewer').then((referenceSpace) => {
-                            session.requestHitTestSource({ space: referenceSpace }).then((source) => {
-                                hitTestSource = source;
-                            });
-                        });
+    const selectScalePreset = (id) => {
+        updateQuery({ scale: id });
+        if (controllerRef.current) {
+            controllerRef.current.setScalePreset(id);
+        }
+    };
 
-                        session.addEventListener('end', () => {
-                            hitTestSourceRequested = false;
-                            hitTestSource = null;
+    // Function to check device performance
+    const checkDevicePerformance = () => {
+        const { performanceMode, isLowEnd, renderer, memory } = detectDevicePerformance();
 
-                            // Clean up AR button when session ends
-                            if (document.body.contains(arButton)) {
-                                document.body.removeChild(arButton);
-                            }
+        setIsLowEndDevice(isLowEnd);
+        setPerformanceMode(performanceMode);
+        setTelemetryDevice({ renderer, memory, performanceMode });
+    };
 
-                            setArStarted(false);
-                        });
+    // Show what checkARSupport() found
+    const applyARSupport = (support) => {
+        const { supported, message, error } = support;
+        setArSupported(supported);
+        setDiagnostic(diagnoseSupport(support));
+        if (error) console.error('Error checking AR support:', error);
+        if (!supported && message) track('error', { stage: 'support', message: error ? error.message : message });
+    };
 
-                        hitTestSourceRequested = true;
-                    }
+    const startAR = () => {
+        if (!arSupported || !selectedModel) return;
+
+        setDiagnostic(null);
+        setSessionNotice('');
+        setLoadingProgress(0);
+        setLoadingVariant(null);
+        setIsLoading(true);
+        arSettingsRef.current = {
+            model: selectedModel,
+            catalog: models,
+            performanceMode,
+            scalePreset,
+            environmentPreset,
+            configuration,
+            units
+        };
+        setArStarted(true);
+        telemetryRef.current = { startedAt: performance.now(), variant: null, tier: null, placed: false };
+        track('ar-start', { model: selectedModel.id, performanceMode });
+    };
 
-                    if (hitTestSource) {
-                        const referenceSpace = renderer.xr.getReferenceSpace();
-                        const hitTestResults = frame.getHitTestResults(hitTestSource);
+    // Reset the AR view state; the effect below disposes the controller
+    const stopAR = () => {
+        setArStarted(false);
+        setIsLoading(false);
+        setDiagnostic(null);
+        setOnboardingStep('idle');
+        setInSession(false);
+        setModelDimensions(null);
+        setIsModelPlaced(false);
+        setAnchorStatus(null);
+        setQualityTier(null);
+        setLightEstimated(false);
+        setInspectedPart(null);
+        setConfigurationOptions(null);
+        setMeasurements([]);
+        setIsMeasuring(false);
+        setIsRecording(false);
+        setComposition(null);
+        setVisibility(null);
+        setAnnotationTarget(null);
+        setSelectedAnnotation(null);
+        setIsAnnotating(false);
+    };
 
-                        if (hitTestResults.length) {
-                            const hit = hitTestResults[0];
-                            const pose = hit.getPose(referenceSpace);
+    // The AR controller lives while the AR view (and its canvas) is shown.
+    // Leaving the view, pressing Back or navigating away disposes it.
+    useEffect(() => {
+        const settings = arSettingsRef.current;
+        if (!arStarted || !settings) return;
+        const { model, performanceMode: mode } = settings;
+
+        let controller = null;
+        let cancelled = false;
+
+        // Import Three.js and related modules dynamically to avoid SSR issues
+        import('../lib/xr/controller')
+            .then(({ createARController }) => {
+                if (cancelled) return;
+                if (!canvasRef.current) {
+                    throw new Error("Canvas element not found");
+                }
 
-                            if (pose) {
-                                reticle.visible = true;
-                                reticle.matrix.fromArray(pose.transform.matrix);
-                            }
-                        } else {
-                            reticle.visible = false;
+                controller = createARController({
+                    ...settings,
+                    canvas: canvasRef.current,
+                    onLoadingProgress: setLoadingProgress,
+                    onVariant: (variant) => {
+                        setLoadingVariant(variant);
+                        telemetryRef.current.variant = variant.type;
+                    },
+                    onModelLoaded: (dimensions) => {
+                        setModelDimensions(dimensions);
+                        setIsLoading(false);
+                        track('model-load', {
+                            model: model.id,
+                            variant: telemetryRef.current.variant,
+                            loadTime: Math.round(performance.now() - telemetryRef.current.startedAt)
+                        });
+                    },
+                    onError: (message) => {
+                        setDiagnostic(diagnosticOf('model-load', message));
+                        setIsLoading(false);
+                        track('error', { model: model.id, stage: 'load', message });
+                    },
+                    onPlaced: (placed) => {
+                        setIsModelPlaced(placed);
+                        // The first placement of the AR view
+                        if (!placed || telemetryRef.current.placed) return;
+                        telemetryRef.current.placed = true;
+                        track('placement', { model: model.id, placed: true, mode: mode === 'low' ? 'camera' : 'reticle' });
+                    },
+                    onAnchorStatus: setAnchorStatus,
+                    onQualityTier: (tier, stats) => {
+                        setQualityTier(tier);
+                        const previous = telemetryRef.current.tier;
+                        telemetryRef.current.tier = tier.id;
+                        if (previous && stats) {
+                            track('quality-change', { model: model.id, from: previous, to: tier.id, fps: stats.fps });
                         }
+                    },
+                    onFrameStats: summary => track('frame-stats', { model: model.id, ...summary }),
+                    onLightEstimation: setLightEstimated,
+                    onInspect: setInspectedPart,
+                    onVisibility: setVisibility,
+                    onConfigurationOptions: setConfigurationOptions,
+                    onMeasurements: setMeasurements,
+                    onRecording: setIsRecording,
+                    onComposition: setComposition,
+                    onAnnotationTarget: setAnnotationTarget,
+                    onAnnotationSelect: selectAnnotation,
+                    onSessionStart: () => {
+                        setInSession(true);
+                        // Problems of an earlier attempt are past
+                        setDiagnostic(null);
+                    },
+                    // Stay in the AR view so Start AR can start a new session
+                    onSessionEnd: () => {
+                        setIsModelPlaced(false);
+                        setInSession(false);
+                    },
+                    onOnboarding: (step) => {
+                        setOnboardingStep(step);
+                        stepHaptics(step);
+                    },
+                    onDiagnostic: (found) => {
+                        setDiagnostic(found);
+                        if (found.severity !== 'error') return;
+                        const message = found.detail ? `${found.reason}: ${found.detail}` : found.reason;
+                        track('error', { model: model.id, stage: 'session', message });
                     }
-                }
-
-                // Render the scene
-                renderer.render(scene, camera);
+                });
+                controllerRef.current = controller;
+                // Hidden parts of a review session in progress; annotations
+                // follow once the model has loaded
+                controller.setVisibility(sessionValue('visibility'));
+                return controller.start();
+            })
+            .catch((error) => {
+                console.error('Error starting AR:', error);
+                setDiagnostic(diagnosticOf('start-failed', error.message));
+                setIsLoading(false);
+                track('error', { model: model.id, stage: 'start', message: error.message });
             });
 
-            // Handle window resize with throttling for better performance
-            let resizeTimeout;
-            const handleResize = () => {
-                clearTimeout(resizeTimeout);
-                resizeTimeout = setTimeout(() => {
-                    camera.aspect = window.innerWidth / window.innerHeight;
-                    camera.updateProjectionMatrix();
-                    renderer.setSize(window.innerWidth, window.innerHeight);
-                }, 200);
-            };
-
-            window.addEventListener('resize', handleResize);
-
-            // Cleanup function
-            return () => {
-                window.removeEventListener('resize', handleResize);
-                if (renderer) {
-                    renderer.setAnimationLoop(null);
-                }
-                if (document.body.contains(arButton)) {
-                    document.body.removeChild(arButton);
-                }
-                dracoLoader.dispose();
-            };
-        } catch (error) {
-            console.error('Error starting AR:', error);
-            setErrorMessage('Error starting AR: ' + error.message);
-            setIsLoading(false);
-        }
+        return () => {
+            cancelled = true;
+            controllerRef.current = null;
+            if (controller) controller.dispose();
+        };
+    }, [arStarted, selectAnnotation, sessionValue]);
+
+    // Measure labels in the AR view follow the unit preference
+    useEffect(() => {
+        if (controllerRef.current) controllerRef.current.setMeasureUnits(units);
+    }, [units]);
+
+    // Placing the model without hit testing from now on
+    const switchToSimplifiedPlacement = () => {
+        stopAR();
+        setPerformanceMode('low');
     };
 
+    // Errors that leave nothing to see in the AR view
+    const viewFailed = diagnostic && (diagnostic.reason === 'model-load' || diagnostic.reason === 'start-failed');
+
     return (
         <div className={styles.container}>
             <Head>
-                <title>House Project AR - AR Experience</title>
-                <meta name="description" content="View your house project in augmented reality with Next.js and Three.js" />
+                <title>{t('ar.title')}</title>
+                <meta name="description" content={t('ar.description.meta')} />
                 <meta name="viewport" content="width=device-width, initial-scale=1, user-scalable=no" />
             </Head>
 
             <main className={styles.main}>
                 {!arStarted ? (
                     <div>
-                        <h1>House Project AR Viewer</h1>
-                        {errorMessage ? (
-                            <p className={styles.errorMessage}>{errorMessage}</p>
+                        <h1>{t('ar.heading')}</h1>
+                        {diagnostic ? (
+                            // Desktops and iPhones without WebXR can still review the model in 3D
+                            <DiagnosticsPanel diagnostic={diagnostic} previewHref={previewHref} />
                         ) : (
                             <>
-                                <p>Place your house project in augmented reality</p>
+                                <p>{t('ar.intro')}</p>
+                                {sessionNotice && <p>{sessionNotice}</p>}
+                                <div className={styles.modelPicker}>
+                                    <label>
+                                        {t('ar.model')}
+                                        <select
+                                            value={selectedModel ? selectedModel.id : ''}
+                                            onChange={(e) => selectModel(e.target.value)}
+                                            disabled={!models || models.length === 0}
+                                        >
+                                            {!selectedModel && <option value="">{models ? t('ar.chooseModel') : t('ar.loadingModels')}</option>}
+                                            {(models || []).map(model => (
+                                                <option key={model.id} value={model.id}>{model.name}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    {selectedModel && (
+                                        <p className={styles.modelDetails}>
+                                            {selectedModel.format.toUpperCase()} · {formatModelSize(selectedModel.size)} · {formatDimensions(selectedModel.dimensions, units)}
+                                        </p>
+                                    )}
+                                    {(catalogError || modelError) && (
+                                        <p className={styles.errorMessage}>
+                                            {catalogError ? t('ar.error.catalog', { message: catalogError }) : modelError}
+                                        </p>
+                                    )}
+                                </div>
                                 <div className={styles.performanceSelector}>
                                     <label>
-                                        Device Performance:
+                                        {t('ar.performance')}
                                         <select
                                             value={performanceMode}
                                             onChange={(e) => setPerformanceMode(e.target.value)}
                                         >
-                                            <option value="auto">Auto-detect</option>
-                                            <option value="low">Low-end Device</option>
-                                            <option value="medium">Mid-range Device</option>
-                                            <option value="high">High-end Device</option>
+                                            {['auto', 'low', 'medium', 'high'].map(mode => (
+                                                <option key={mode} value={mode}>{t(`performance.${mode}`)}</option>
+                                            ))}
                                         </select>
                                     </label>
                                 </div>
+                                <div className={styles.performanceSelector}>
+                                    <label>
+                                        {t('ar.scale')}
+                                        <select
+                                            value={scalePreset}
+                                            onChange={(e) => selectScalePreset(e.target.value)}
+                                        >
+                                            {SCALE_PRESETS.map(preset => (
+                                                <option key={preset.id} value={preset.id}>{t(`scale.${preset.id}`)}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                </div>
+                                <div className={styles.performanceSelector}>
+                                    <label>
+                                        {t('ar.lighting')}
+                                        <select
+                                            value={environmentPreset}
+                                            onChange={(e) => selectEnvironmentPreset(e.target.value)}
+                                        >
+                                            {ENVIRONMENT_PRESETS.map(preset => (
+                                                <option key={preset.id} value={preset.id}>{t(`environment.${preset.id}`)}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                </div>
+                                <div className={styles.performanceSelector}>
+                                    <label>
+                                        {t('ar.units')}
+                                        <select value={units} onChange={(e) => setUnits(e.target.value)}>
+                                            {UNIT_SYSTEMS.map(system => (
+                                                <option key={system} value={system}>{t(`units.${system}`)}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    {' '}
+                                    <LocaleSwitcher />
+                                </div>
                                 <button
                                     className={styles.startButton}
                                     onClick={startAR}
-                                    disabled={!arSupported}
+                                    disabled={!arSupported || !selectedModel}
                                 >
-                                    {arSupported ? 'Start AR Experience' : 'AR Not Supported'}
+                                    {arSupported ? t('ar.start') : t('ar.notSupported')}
                                 </button>
+                                <Link href={previewHref} className={styles.previewLink}>
+                                    {t('ar.preview')}
+                                </Link>
+                                <div className={styles.performanceSelector}>
+                                    <CollabPanel session={collabSession} className={styles.toolRow} />
+                                </div>
                             </>
                         )}
                     </div>
@@ -478,7 +544,11 @@ export default function AR() {
                         <canvas ref={canvasRef} className={styles.canvas} id="ar-canvas"></canvas>
                         {isLoading ? (
                             <div className={styles.loadingOverlay}>
-                                <p>Loading model... {loadingProgress}%</p>
+                                <p>
+                                    {loadingVariant
+                                        ? t('ar.loadingVariant', { variant: t(`variant.${loadingVariant.type}`), progress: loadingProgress })
+                                        : t('ar.loading', { progress: loadingProgress })}
+                                </p>
                                 <div className={styles.progressBar}>
                                     <div
                                         className={styles.progressFill}
@@ -486,24 +556,169 @@ export default function AR() {
                                     ></div>
                                 </div>
                             </div>
-                        ) : errorMessage ? (
-                            <p className={styles.errorMessage}>{errorMessage}</p>
+                        ) : viewFailed ? (
+                            <DiagnosticsPanel diagnostic={diagnostic} previewHref={previewHref} />
                         ) : (
-                            <div className={styles.instructions}>
-                                Tap {performanceMode === 'low' ? '' : 'on a surface '}
-                                to place the model
-                            </div>
+                            <>
+                                {modelDimensions && (
+                                    <div className={styles.dimensionsOverlay}>
+                                        <select
+                                            className={styles.scaleSelect}
+                                            value={scalePreset}
+                                            onChange={(e) => selectScalePreset(e.target.value)}
+                                            aria-label={t('ar.scale')}
+                                        >
+                                            {SCALE_PRESETS.map(preset => (
+                                                <option key={preset.id} value={preset.id}>{t(`scale.${preset.id}`)}</option>
+                                            ))}
+                                        </select>
+                                        {!lightEstimated && (
+                                            <select
+                                                className={styles.scaleSelect}
+                                                value={environmentPreset}
+                                                onChange={(e) => selectEnvironmentPreset(e.target.value)}
+                                                aria-label={t('ar.lighting')}
+                                            >
+                                                {ENVIRONMENT_PRESETS.map(preset => (
+                                                    <option key={preset.id} value={preset.id}>{t(`environment.${preset.id}`)}</option>
+                                                ))}
+                                            </select>
+                                        )}
+                                        <select
+                                            className={styles.scaleSelect}
+                                            value={units}
+                                            onChange={(e) => setUnits(e.target.value)}
+                                            aria-label={t('preferences.units')}
+                                        >
+                                            {UNIT_SYSTEMS.map(system => (
+                                                <option key={system} value={system}>{t(`units.${system}`)}</option>
+                                            ))}
+                                        </select>
+                                        {['width', 'depth', 'height'].map(dimension => (
+                                            <div key={dimension}>
+                                                {t(`ar.dimension.${dimension}`)} {formatLength(modelDimensions[dimension], units)}
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                                {modelDimensions && (
+                                    <div className={styles.toolPanels}>
+                                        {(isModelPlaced || isRecording) && (
+                                            <CapturePanel
+                                                controllerRef={controllerRef}
+                                                model={selectedModel}
+                                                isRecording={isRecording}
+                                            />
+                                        )}
+                                        <SunStudyPanel controllerRef={controllerRef} site={selectedModel.site} />
+                                        <LayersPanel
+                                            controllerRef={controllerRef}
+                                            height={modelDimensions.height}
+                                            visibility={visibility}
+                                            units={units}
+                                        />
+                                        <Minimap
+                                            controllerRef={controllerRef}
+                                            placed={isModelPlaced}
+                                            visibility={visibility}
+                                        />
+                                        {/* Measuring needs hit testing, which low-end mode skips */}
+                                        {performanceMode !== 'low' && (
+                                            <MeasurePanel
+                                                controllerRef={controllerRef}
+                                                measurements={measurements}
+                                                modelId={selectedModel.id}
+                                                units={units}
+                                                onActiveChange={setIsMeasuring}
+                                            />
+                                        )}
+                                        {composition && (
+                                            <ScenePanel
+                                                controllerRef={controllerRef}
+                                                composition={composition}
+                                                models={models}
+                                                modelId={selectedModel.id}
+                                                placed={isModelPlaced}
+                                            />
+                                        )}
+                                        {hasConfigurationOptions(configurationOptions) && (
+                                            <Configurator
+                                                className={styles.configurator}
+                                                options={configurationOptions}
+                                                configuration={configuration}
+                                                onChange={selectConfiguration}
+                                            />
+                                        )}
+                                        <AnnotationsPanel
+                                            controllerRef={controllerRef}
+                                            model={selectedModel}
+                                            annotations={annotationList.annotations}
+                                            error={annotationList.error}
+                                            target={annotationTarget}
+                                            selected={selectedAnnotation}
+                                            onSave={annotationList.save}
+                                            onDelete={deleteAnnotation}
+                                            onSelect={selectAnnotation}
+                                            onAnnotatingChange={changeAnnotating}
+                                        />
+                                        <CollabPanel session={collabSession} className={styles.toolPanel} />
+                                    </div>
+                                )}
+                                {inspectedPart && (
+                                    <PartInfo controllerRef={controllerRef} part={inspectedPart} />
+                                )}
+                                {qualityTier && (
+                                    <div className={styles.qualityBadge}>
+                                        {t('ar.quality', { tier: t(`quality.${qualityTier.id}`) })}
+                                        {lightEstimated && ` · ${t('ar.realLighting')}`}
+                                    </div>
+                                )}
+                                {anchorStatus === 'unsupported' && (
+                                    <div className={styles.anchorBadge}>
+                                        {t('ar.anchorsUnsupported')}
+                                    </div>
+                                )}
+                                {anchorStatus === 'persistent' && (
+                                    <div className={styles.anchorBadge}>{t('ar.placementSaved')}</div>
+                                )}
+                                {diagnostic && (
+                                    <div className={styles.diagnosticsOverlay}>
+                                        <DiagnosticsPanel
+                                            diagnostic={diagnostic}
+                                            previewHref={previewHref}
+                                            onRetry={() => controllerRef.current && controllerRef.current.enter()}
+                                            onSimplified={switchToSimplifiedPlacement}
+                                            onDismiss={() => setDiagnostic(null)}
+                                        />
+                                    </div>
+                                )}
+                                <CoachHint
+                                    step={onboardingStep}
+                                    simplified={performanceMode === 'low'}
+                                    message={isMeasuring
+                                        ? t('ar.instructions.measure')
+                                        : isAnnotating && isModelPlaced
+                                            ? t('ar.instructions.annotate')
+                                            : null}
+                                >
+                                    {modelDimensions && (
+                                        <button
+                                            className={styles.sessionButton}
+                                            onClick={() => (inSession ? controllerRef.current.end() : controllerRef.current.enter())}
+                                        >
+                                            {inSession ? t('ar.exit') : t('ar.enter')}
+                                        </button>
+                                    )}
+                                </CoachHint>
+                            </>
                         )}
 
                         {arStarted && (
                             <button
                                 className={styles.backButton}
-                                onClick={() => {
-                                    setArStarted(false);
-                                    setErrorMessage('');
-                                }}
+                                onClick={stopAR}
                             >
-                                ← Back
+                                {t('ar.back')}
                             </button>
                         )}
                     </>
@@ -1,39 +1,44 @@
 import Head from 'next/head';
 import Link from 'next/link';
 import styles from '../styles/Home.module.css';
+import LocaleSwitcher from '../components/LocaleSwitcher';
+import { useTranslation } from '../lib/i18n/state';
 
 export default function Home() {
+  const { t } = useTranslation();
+
   return (
     <div className={styles.container}>
       <Head>
-        <title>House Project AR</title>
-        <meta name="description" content="House Project AR - View your 3D house model in augmented reality" />
+        <title>{t('app.name')}</title>
+        <meta name="description" content={t('home.description.meta')} />
         <link rel="icon" href="/favicon.ico" />
       </Head>
 
       <header className={styles.header}>
-        <div className={styles.logo}>House Project AR</div>
+        <div className={styles.logo}>{t('app.name')}</div>
         <nav className={styles.nav}>
-          <Link href="/" className={styles.navLink}>Home</Link>
-          <Link href="/ar" className={styles.navLink}>AR Experience</Link>
+          <Link href="/" className={styles.navLink}>{t('nav.home')}</Link>
+          <Link href="/ar" className={styles.navLink}>{t('nav.ar')}</Link>
+          <Link href="/preview" className={styles.navLink}>{t('nav.preview')}</Link>
           <a href="https://github.com" target="_blank" rel="noopener noreferrer" className={styles.navLink}>GitHub</a>
+          <LocaleSwitcher className={styles.localeSwitcher} />
         </nav>
       </header>
 
       <main className={styles.main}>
         <div className={styles.hero}>
           <h1 className={styles.title}>
-            View Your House Project in <span className={styles.highlight}>Augmented Reality</span>
+            {t('home.title.before')} <span className={styles.highlight}>{t('home.title.highlight')}</span> {t('home.title.after')}
           </h1>
 
           <p className={styles.description}>
-            Visualize your 3D house model in your real-world environment with our WebXR-powered AR viewer.
-            No app installation required - works directly in your browser!
+            {t('home.description')}
           </p>
 
           <div className={styles.cta}>
             <Link href="/ar" className={styles.ctaButton}>
-              Launch AR Experience
+              {t('home.cta')}
             </Link>
           </div>
         </div>
@@ -41,30 +46,30 @@ export default function Home() {
         <div className={styles.features}>
           <div className={styles.featureCard}>
             <div className={styles.featureIcon}>📱</div>
-            <h3>Mobile Friendly</h3>
-            <p>Works on Android devices with Chrome browser. No app installation needed.</p>
+            <h3>{t('home.mobile.title')}</h3>
+            <p>{t('home.mobile.text')}</p>
           </div>
           
           <div className={styles.featureCard}>
             <div className={styles.featureIcon}>🔍</div>
-            <h3>Surface Detection</h3>
-            <p>Advanced surface detection allows you to place models on real-world surfaces.</p>
+            <h3>{t('home.surfaces.title')}</h3>
+            <p>{t('home.surfaces.text')}</p>
           </div>
           
           <div className={styles.featureCard}>
             <div className={styles.featureIcon}>🎮</div>
-            <h3>Interactive</h3>
-            <p>Tap to place your 3D models anywhere in your environment.</p>
+            <h3>{t('home.interactive.title')}</h3>
+            <p>{t('home.interactive.text')}</p>
           </div>
         </div>
       </main>
 
       <footer className={styles.footer}>
         <p>
-          Built with Next.js, Three.js and WebXR
+          {t('home.builtWith')}
         </p>
         <p className={styles.copyright}>
-          © 2024 House Project AR. All rights reserved.
+          {t('home.copyright')}
         </p>
       </footer>
     </div>
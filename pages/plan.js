@@ -0,0 +1,246 @@
+import { useEffect, useRef, useState } from 'react';
+import Head from 'next/head';
+import Image from 'next/image';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import styles from '../styles/Plan.module.css';
+import { fetchModels } from '../lib/models/client';
+import { planVariants } from '../lib/variants';
+import { PLAN_CUT_HEIGHT, planPaperSize, planToSVG } from '../lib/plan';
+import { downloadBlob } from '../lib/share';
+import { UNIT_SYSTEMS } from '../lib/units';
+import { useTranslation, useUnitSystem } from '../lib/i18n/state';
+
+// Drawing scales offered for printing
+const SCALES = [50, 100, 200, 500];
+const DEFAULT_SCALE = 100;
+// CSS pixels per millimeter
+const PX_PER_MM = 96 / 25.4;
+
+// Floor plans of a model as SVG: each storey cut at plan height, drawn to a
+// printable scale with a scale bar. Shareable as /plan?model=villa&storey=1.
+export default function Plan() {
+    const router = useRouter();
+    const { t } = useTranslation();
+    const [units, setUnits] = useUnitSystem();
+    // The prepared model, kept to cut other storeys without reloading
+    const planModelRef = useRef(null);
+    const [models, setModels] = useState(null); // null until the catalog has loaded
+    const [catalogError, setCatalogError] = useState('');
+    // Why the model did not load: { reason, extensions } (see loadErrorReason())
+    const [loadError, setLoadError] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [loadingProgress, setLoadingProgress] = useState(0);
+    // [{ id, name, cutHeight }] of the loaded model, null while loading
+    const [storeys, setStoreys] = useState(null);
+    // { svg, width, height } of the shown storey, sized in CSS pixels
+    const [plan, setPlan] = useState(null);
+
+    useEffect(() => {
+        fetchModels()
+            .then(setModels)
+            .catch(error => {
+                console.error('Error loading model catalog:', error);
+                setCatalogError('Could not load the model catalog: ' + error.message);
+                setModels([]);
+            });
+    }, []);
+
+    const requestedModelId = typeof router.query.model === 'string' ? router.query.model : null;
+    const selectedModel = models
+        ? (requestedModelId
+            ? models.find(model => model.id === requestedModelId) || null
+            : models[0] || null)
+        : null;
+    const selectedModelId = selectedModel ? selectedModel.id : null;
+    const selectedModelName = selectedModel ? selectedModel.name : '';
+    const modelError = models && router.isReady && requestedModelId && !selectedModel
+        ? `Unknown model "${requestedModelId}". Please choose one of the available models.`
+        : '';
+    const scale = SCALES.includes(Number(router.query.scale)) ? Number(router.query.scale) : DEFAULT_SCALE;
+    const storey = storeys
+        ? storeys.find(candidate => String(candidate.id) === router.query.storey) || storeys[0]
+        : null;
+
+    const updateQuery = (changes) => {
+        router.replace({ pathname: router.pathname, query: { ...router.query, ...changes } }, undefined, { shallow: true });
+    };
+
+    // Storeys belong to one model
+    const selectModel = (id) => {
+        const { storey: _storey, ...query } = router.query;
+        router.replace({ pathname: router.pathname, query: { ...query, model: id } }, undefined, { shallow: true });
+    };
+
+    // Load the model's geometry; no renderer is needed for plans. The
+    // catalog entry is looked up here so only another model reloads.
+    useEffect(() => {
+        const entry = models && models.find(model => model.id === selectedModelId);
+        if (!entry) return;
+
+        let cancelled = false;
+        const loadController = new AbortController();
+        let cleanup = () => {};
+        setIsLoading(true);
+        setLoadingProgress(0);
+        setLoadError(null);
+        setStoreys(null);
+        setPlan(null);
+
+        const loadPlan = async () => {
+            // Import Three.js and related modules dynamically to avoid SSR issues
+            const { createModelLoader, isAbortError, loadErrorReason, loadModel } = await import('../lib/three/loader');
+            const { prepareModel } = await import('../lib/three/model');
+            const { findStoreys } = await import('../lib/three/inspect');
+            const { planFrame, slicePlan } = await import('../lib/three/plan');
+            const { disposeObject } = await import('../lib/three/dispose');
+            if (cancelled) return;
+
+            const { loader, dispose: disposeLoader } = createModelLoader(null);
+            let loadedModel = null;
+            cleanup = () => {
+                disposeLoader();
+                planModelRef.current = null;
+                if (loadedModel) disposeObject(loadedModel);
+            };
+
+            try {
+                const { gltf } = await loadModel(loader, planVariants(entry.variants), {
+                    signal: loadController.signal,
+                    onProgress: setLoadingProgress
+                });
+                if (cancelled) return;
+
+                const { metersPerUnit } = entry;
+                const { model, box } = prepareModel(gltf.scene);
+                loadedModel = model;
+                const found = findStoreys(model);
+                planModelRef.current = {
+                    frame: planFrame(box, metersPerUnit),
+                    slice: height => slicePlan(model, height, metersPerUnit)
+                };
+                setStoreys(found.length
+                    ? found.map((candidate, id) => ({
+                        id,
+                        name: candidate.name,
+                        cutHeight: candidate.elevation * metersPerUnit + PLAN_CUT_HEIGHT
+                    }))
+                    : [{ id: 0, name: 'Ground floor', cutHeight: PLAN_CUT_HEIGHT }]);
+                setIsLoading(false);
+            } catch (error) {
+                if (cancelled || isAbortError(error)) return;
+                setLoadError({ reason: loadErrorReason(error), extensions: error.extensions });
+                setIsLoading(false);
+            }
+        };
+
+        loadPlan().catch(error => {
+            console.error('Error loading plan:', error);
+            setLoadError({ reason: 'failed' });
+            setIsLoading(false);
+        });
+
+        return () => {
+            cancelled = true;
+            loadController.abort();
+            cleanup();
+        };
+    }, [models, selectedModelId]);
+
+    // Cut the chosen storey. `storey` is an entry of `storeys`, so it only
+    // changes with the choice or a newly loaded model.
+    useEffect(() => {
+        const planModel = planModelRef.current;
+        if (!planModel || !storey) return;
+        const paper = planPaperSize(planModel.frame, { scale });
+        setPlan({
+            svg: planToSVG(planModel.slice(storey.cutHeight), planModel.frame, {
+                title: `${selectedModelName} · ${storey.name}`,
+                scale,
+                units
+            }),
+            width: Math.round(paper.width * PX_PER_MM),
+            height: Math.round(paper.height * PX_PER_MM)
+        });
+    }, [storey, selectedModelName, scale, units]);
+
+    const download = () => {
+        const name = storey.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        downloadBlob(new Blob([plan.svg], { type: 'image/svg+xml' }), `${selectedModel.id}-${name}-plan.svg`);
+    };
+
+    return (
+        <div className={styles.container}>
+            <Head>
+                <title>House Project AR - Floor Plans</title>
+                <meta name="description" content="Floor plans of your house project as SVG" />
+            </Head>
+
+            <header className={styles.toolbar}>
+                <Link href="/" className={styles.back}>← Home</Link>
+                <label>
+                    Model:
+                    <select
+                        value={selectedModel ? selectedModel.id : ''}
+                        onChange={(e) => selectModel(e.target.value)}
+                        disabled={!models || models.length === 0}
+                    >
+                        {!selectedModel && <option value="">{models ? 'Choose a model' : 'Loading models...'}</option>}
+                        {(models || []).map(model => (
+                            <option key={model.id} value={model.id}>{model.name}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    Storey:
+                    <select
+                        value={storey ? storey.id : ''}
+                        onChange={(e) => updateQuery({ storey: e.target.value })}
+                        disabled={!storeys}
+                    >
+                        {(storeys || []).map(candidate => (
+                            <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    Scale:
+                    <select value={scale} onChange={(e) => updateQuery({ scale: e.target.value })}>
+                        {SCALES.map(value => (
+                            <option key={value} value={value}>1:{value}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    Scale bar:
+                    <select value={units} onChange={(e) => setUnits(e.target.value)}>
+                        {UNIT_SYSTEMS.map(system => (
+                            <option key={system} value={system}>{system === 'imperial' ? 'Feet' : 'Meters'}</option>
+                        ))}
+                    </select>
+                </label>
+                <button onClick={download} disabled={!plan}>Download SVG</button>
+            </header>
+
+            <main className={styles.main}>
+                {isLoading && <p>Loading model... {loadingProgress}%</p>}
+                {(catalogError || modelError || loadError) && (
+                    <p className={styles.errorMessage}>
+                        {catalogError || modelError || t(`loadError.${loadError.reason}`, { extensions: (loadError.extensions || []).join(', ') })}
+                    </p>
+                )}
+                {plan && (
+                    // A data URI, which the image optimizer does not take
+                    <Image
+                        className={styles.plan}
+                        src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(plan.svg)}`}
+                        alt={`Floor plan of ${selectedModel.name}, ${storey.name}`}
+                        width={plan.width}
+                        height={plan.height}
+                        unoptimized
+                    />
+                )}
+            </main>
+        </div>
+    );
+}
@@ -0,0 +1,535 @@
+import { useEffect, useRef, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import styles from '../styles/Preview.module.css';
+import { detectDevicePerformance, PERFORMANCE_MODES, pixelRatioFor } from '../lib/device';
+import { fetchModels, formatDimensions, formatModelSize } from '../lib/models/client';
+import { modelScale, realDimensions } from '../lib/scale';
+import { deviceProfile, rankVariants } from '../lib/variants';
+import { formatLength, UNIT_SYSTEMS } from '../lib/units';
+import { DEFAULT_ENVIRONMENT_PRESET, ENVIRONMENT_PRESETS, findEnvironmentPreset } from '../lib/environments';
+import {
+    EMPTY_CONFIGURATION,
+    hasConfigurationOptions,
+    parseConfiguration,
+    withConfiguration
+} from '../lib/configuration';
+import Configurator from '../components/Configurator';
+import CollabPanel from '../components/CollabPanel';
+import LocaleSwitcher from '../components/LocaleSwitcher';
+import { useCollabSession } from '../lib/collab/session';
+import { useTranslation, useUnitSystem } from '../lib/i18n/state';
+
+export default function Preview() {
+    const router = useRouter();
+    const { t } = useTranslation();
+    const [units, setUnits] = useUnitSystem();
+    const containerRef = useRef(null);
+    // Settings the running viewer can change without being rebuilt
+    const viewerRef = useRef(null);
+    // From a review session: hidden parts and cutaway, and AR participants'
+    // camera poses by participant id, kept for viewers built later
+    const sessionVisibilityRef = useRef(null);
+    const posesRef = useRef(new Map());
+    const [models, setModels] = useState(null); // null until the catalog has loaded
+    const [catalogError, setCatalogError] = useState(''); // why the catalog failed to load
+    // Why the model did not load: { reason, extensions } (see loadErrorReason())
+    const [loadError, setLoadError] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [loadingProgress, setLoadingProgress] = useState(0);
+    const [modelDimensions, setModelDimensions] = useState(null); // meters, real-world size
+    const [detectedMode, setDetectedMode] = useState(null);
+    const [configurationOptions, setConfigurationOptions] = useState(null); // material variants and slots
+
+    useEffect(() => {
+        setDetectedMode(detectDevicePerformance().performanceMode);
+        fetchModels()
+            .then(setModels)
+            .catch(error => {
+                console.error('Error loading model catalog:', error);
+                setCatalogError(error.message);
+                setModels([]);
+            });
+    }, []);
+
+    // Model and performance mode come from the query so previews are shareable
+    const requestedModelId = typeof router.query.model === 'string' ? router.query.model : null;
+    const selectedModel = models
+        ? (requestedModelId
+            ? models.find(model => model.id === requestedModelId) || null
+            : models[0] || null)
+        : null;
+    const performanceMode = PERFORMANCE_MODES.includes(router.query.performance)
+        ? router.query.performance
+        : detectedMode;
+    const environmentPreset = findEnvironmentPreset(router.query.env) ? router.query.env : DEFAULT_ENVIRONMENT_PRESET;
+    const modelError = models && router.isReady && requestedModelId && !selectedModel
+        ? t('ar.error.unknownModel', { id: requestedModelId })
+        : '';
+
+    const updateQuery = (changes) => {
+        router.replace({ pathname: router.pathname, query: { ...router.query, ...changes } }, undefined, { shallow: true });
+    };
+
+    // Material configuration, shareable as ?variant=Oak&finish=roof:slate
+    const configuration = parseConfiguration(router.query);
+
+    const selectConfiguration = (next) => {
+        router.replace({ pathname: router.pathname, query: withConfiguration(router.query, next) }, undefined, { shallow: true });
+        if (viewerRef.current) {
+            viewerRef.current.configure(next);
+        }
+    };
+
+    // A configuration belongs to one model
+    const selectModel = (id) => {
+        router.replace({
+            pathname: router.pathname,
+            query: withConfiguration({ ...router.query, model: id }, EMPTY_CONFIGURATION)
+        }, undefined, { shallow: true });
+    };
+
+    // Review session: follow the model, configuration and visibility of
+    // the others and show where AR participants are looking from
+    const applySessionChanges = (changes) => {
+        let query = { ...router.query };
+        if (changes.model && models && models.some(model => model.id === changes.model)) {
+            if (changes.model !== query.model) query = withConfiguration({ ...query, model: changes.model }, EMPTY_CONFIGURATION);
+        }
+        if (changes.configuration) {
+            query = withConfiguration(query, changes.configuration);
+            if (viewerRef.current) viewerRef.current.configure(changes.configuration);
+        }
+        if (changes.visibility) {
+            sessionVisibilityRef.current = changes.visibility;
+            if (viewerRef.current) viewerRef.current.setVisibility(changes.visibility);
+        }
+        router.replace({ pathname: router.pathname, query }, undefined, { shallow: true });
+    };
+
+    const showPose = (from, pose) => {
+        if (pose) {
+            posesRef.current.set(from, pose);
+        } else {
+            posesRef.current.delete(from);
+        }
+        if (viewerRef.current) viewerRef.current.setPose(from, pose);
+    };
+
+    const collab = useCollabSession({
+        role: 'preview',
+        values: { model: selectedModel ? selectedModel.id : null, configuration },
+        onChange: applySessionChanges,
+        onPose: showPose
+    });
+
+    // Join the session of a shared link (?session=<code>), once the query
+    // is known; the link then follows the session, not the other way round
+    const { join: joinSession, code: sessionCode } = collab;
+    const linkJoinedRef = useRef(false);
+    useEffect(() => {
+        if (!router.isReady || linkJoinedRef.current) return;
+        linkJoinedRef.current = true;
+        if (typeof router.query.session === 'string') joinSession(router.query.session);
+    }, [router.isReady, router.query.session, joinSession]);
+
+    // Keep the join code in the link so it can be shared
+    useEffect(() => {
+        if (sessionCode && router.query.session !== sessionCode) {
+            router.replace({ pathname: router.pathname, query: { ...router.query, session: sessionCode } }, undefined, { shallow: true });
+        }
+    }, [sessionCode, router]);
+
+    const leaveSession = () => {
+        collab.leave();
+        sessionVisibilityRef.current = null;
+        [...posesRef.current.keys()].forEach(from => showPose(from, null));
+        if (viewerRef.current) viewerRef.current.setVisibility(null);
+        const { session, ...query } = router.query;
+        router.replace({ pathname: router.pathname, query }, undefined, { shallow: true });
+    };
+
+    const selectEnvironmentPreset = (id) => {
+        updateQuery({ env: id });
+        if (viewerRef.current) {
+            viewerRef.current.setEnvironmentPreset(id);
+        }
+    };
+
+    // What a new viewer starts with; the running one follows changes itself
+    const viewerSettingsRef = useRef({});
+    useEffect(() => {
+        viewerSettingsRef.current = { entry: selectedModel, environmentPreset, configuration };
+    });
+
+    // Build the viewer whenever the model or performance mode changes
+    const selectedModelId = selectedModel ? selectedModel.id : null;
+    useEffect(() => {
+        const { entry } = viewerSettingsRef.current;
+        if (!entry || !performanceMode || !containerRef.current) return;
+
+        let cancelled = false;
+        // Stops downloads when the model or mode changes, or the page is left
+        const loadController = new AbortController();
+        let cleanup = () => {};
+        setIsLoading(true);
+        setLoadingProgress(0);
+        setLoadError(null);
+        setModelDimensions(null);
+        setConfigurationOptions(null);
+
+        const startPreview = async () => {
+            // Import Three.js and related modules dynamically to avoid SSR issues
+            const THREE = await import('three');
+            const { OrbitControls } = await import('three/examples/jsm/controls/OrbitControls');
+            const { createModelLoader, isAbortError, loadErrorReason, loadLodLevels, loadModel } = await import('../lib/three/loader');
+            const { optimizeModel, prepareModel, tierMaterials } = await import('../lib/three/model');
+            const { createConfigurator } = await import('../lib/three/configurator');
+            const { disposeObject, lodGeometries } = await import('../lib/three/dispose');
+            const { aimShadowLight, createEnvironments, createShadowCatcher, sunDirection } = await import('../lib/three/lighting');
+            const { createPartVisibility, nodeAtPath } = await import('../lib/three/inspect');
+            const { createViewerMarker } = await import('../lib/three/frustum');
+            if (cancelled) return;
+
+            const container = containerRef.current;
+            const width = container.clientWidth;
+            const height = container.clientHeight;
+
+            const scene = new THREE.Scene();
+            scene.background = new THREE.Color(0xeef1f5);
+
+            const camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 1000);
+
+            const renderer = new THREE.WebGLRenderer({
+                antialias: performanceMode !== 'low',
+                powerPreference: performanceMode === 'low' ? 'low-power' : 'high-performance'
+            });
+            renderer.setPixelRatio(pixelRatioFor(performanceMode));
+            renderer.setSize(width, height);
+            renderer.outputColorSpace = THREE.SRGBColorSpace;
+            renderer.shadowMap.enabled = performanceMode !== 'low';
+            renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+            container.appendChild(renderer.domElement);
+
+            // Soft fill; the sky environment lights PBR materials
+            const ambient = new THREE.AmbientLight(0xffffff, performanceMode === 'low' ? 1.5 : 0.4);
+            scene.add(ambient);
+
+            const sun = new THREE.DirectionalLight(0xffffff, 1.5);
+            sun.castShadow = performanceMode !== 'low';
+            scene.add(sun);
+            scene.add(sun.target);
+
+            // Transparent plane that only shows the model's shadow
+            const ground = createShadowCatcher();
+            scene.add(ground);
+
+            const environments = createEnvironments(renderer);
+            let environment = findEnvironmentPreset(viewerSettingsRef.current.environmentPreset);
+            let modelBounds = null;
+            let loadedModel = null;
+            let configurator = null;
+            let partVisibility = null;
+            // Drawn after the model without its cutaway; AR participants'
+            // camera frustums by participant id
+            const overlay = new THREE.Scene();
+            const markers = new Map();
+            // Cutaway plane, kept below the model's base when off
+            const cutPlane = new THREE.Plane(new THREE.Vector3(0, -1, 0), 0);
+
+            // Hidden parts and cutaway of a review session, or null to show all
+            const applyVisibility = (visibility) => {
+                if (!partVisibility) return;
+                partVisibility.showAll();
+                renderer.clippingPlanes = [];
+                if (!visibility || visibility.model !== entry.id) return;
+                visibility.hidden.forEach((path) => {
+                    const node = nodeAtPath(loadedModel, path);
+                    if (node) partVisibility.setShown(node, false);
+                });
+                if (visibility.cutHeight !== null) {
+                    // The model stands on y = 0 at true size
+                    cutPlane.constant = visibility.cutHeight;
+                    renderer.clippingPlanes = [cutPlane];
+                }
+            };
+
+            const showPose = (from, pose) => {
+                if (!markers.has(from)) {
+                    const marker = createViewerMarker();
+                    overlay.add(marker.object);
+                    markers.set(from, marker);
+                }
+                markers.get(from).update(pose);
+            };
+
+            // Sky, sun and shadow strength of the lighting preset
+            const applyEnvironment = () => {
+                scene.environment = environments.get(environment.id);
+                scene.environmentIntensity = environment.environmentIntensity;
+                sun.color.set(environment.sunColor);
+                sun.intensity = environment.sunIntensity;
+                ground.material.opacity = environment.shadowOpacity;
+                if (modelBounds) {
+                    aimShadowLight(sun, {
+                        ...modelBounds,
+                        direction: sunDirection(environment.elevation, environment.azimuth),
+                        performanceMode
+                    });
+                }
+            };
+            applyEnvironment();
+
+            viewerRef.current = {
+                setEnvironmentPreset: (id) => {
+                    environment = findEnvironmentPreset(id) || environment;
+                    applyEnvironment();
+                },
+                configure: (next) => {
+                    if (!configurator) return;
+                    configurator.apply(next)
+                        .catch(error => console.warn('Could not apply the material configuration:', error));
+                },
+                setVisibility: applyVisibility,
+                setPose: showPose
+            };
+            posesRef.current.forEach((pose, from) => showPose(from, pose));
+
+            const controls = new OrbitControls(camera, renderer.domElement);
+            controls.enableDamping = true;
+            controls.maxPolarAngle = Math.PI / 2 - 0.05; // stay above the ground
+
+            // Point the camera at the bounding box and fit lights and ground to it
+            const frameModel = (box) => {
+                const center = box.getCenter(new THREE.Vector3());
+                const radius = box.getBoundingSphere(new THREE.Sphere()).radius;
+                const distance = radius / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2));
+
+                camera.position.set(center.x + distance * 0.6, center.y + distance * 0.5, center.z + distance * 0.6);
+                camera.near = distance / 100;
+                camera.far = distance * 10;
+                camera.updateProjectionMatrix();
+                controls.target.copy(center);
+                controls.maxDistance = distance * 4;
+                controls.update();
+
+                ground.scale.setScalar(radius * 6);
+                ground.position.set(center.x, box.min.y, center.z);
+
+                modelBounds = { center, radius };
+                applyEnvironment();
+            };
+
+            const { loader, dispose: disposeLoader } = createModelLoader(renderer);
+            const disposables = [ground.geometry, ground.material];
+            const variants = rankVariants(entry.variants, deviceProfile(performanceMode));
+
+            const { signal } = loadController;
+
+            loadModel(loader, variants, { signal, onProgress: setLoadingProgress })
+                .then(({ gltf, variant }) => {
+                    const lodUrl = performanceMode === 'low' && variant.type === 'full' ? entry.lodUrl : null;
+                    return loadLodLevels(loader, lodUrl, { signal }).then(lodLevels => ({ gltf, lodLevels }));
+                })
+                .then(({ gltf, lodLevels }) => {
+                    if (cancelled) return;
+
+                    const { model, box } = prepareModel(gltf.scene);
+                    const size = box.getSize(new THREE.Vector3());
+                    setModelDimensions(realDimensions(size, entry.metersPerUnit));
+
+                    // Show the model at true size so orbit distances are in meters
+                    const scale = modelScale('1:1', size, entry.metersPerUnit);
+                    model.scale.setScalar(scale);
+                    optimizeModel(model, { performanceMode, lodLevels, associations: gltf.parser.associations });
+                    disposables.push(...lodGeometries(lodLevels));
+                    loadedModel = model;
+                    model.traverse((node) => {
+                        if (node.isMesh) {
+                            node.castShadow = performanceMode !== 'low';
+                            node.receiveShadow = performanceMode !== 'low';
+                        }
+                    });
+                    scene.add(model);
+                    partVisibility = createPartVisibility(model);
+                    applyVisibility(sessionVisibilityRef.current);
+
+                    configurator = createConfigurator(gltf, model, entry.slots);
+                    setConfigurationOptions(configurator.options);
+                    configurator.apply(viewerSettingsRef.current.configuration)
+                        .catch(error => console.warn('Could not apply the material configuration:', error));
+
+                    frameModel(new THREE.Box3().setFromObject(model));
+                    setIsLoading(false);
+                })
+                .catch((error) => {
+                    if (cancelled || isAbortError(error)) return;
+                    setLoadError({ reason: loadErrorReason(error), extensions: error.extensions });
+                    setIsLoading(false);
+                });
+
+            renderer.setAnimationLoop(() => {
+                controls.update();
+                renderer.render(scene, camera);
+                if (markers.size) {
+                    const clippingPlanes = renderer.clippingPlanes;
+                    renderer.autoClear = false;
+                    renderer.clippingPlanes = [];
+                    renderer.render(overlay, camera);
+                    renderer.clippingPlanes = clippingPlanes;
+                    renderer.autoClear = true;
+                }
+            });
+
+            const handleResize = () => {
+                camera.aspect = container.clientWidth / container.clientHeight;
+                camera.updateProjectionMatrix();
+                renderer.setSize(container.clientWidth, container.clientHeight);
+            };
+            window.addEventListener('resize', handleResize);
+
+            cleanup = () => {
+                window.removeEventListener('resize', handleResize);
+                renderer.setAnimationLoop(null);
+                controls.dispose();
+                disposeLoader();
+                viewerRef.current = null;
+                scene.environment = null;
+                environments.dispose();
+                if (configurator) configurator.dispose();
+                markers.forEach(marker => marker.dispose());
+                // Every material tier and configuration the model has shown
+                disposeObject(scene, [...disposables, ...(loadedModel ? tierMaterials(loadedModel) : [])]);
+                renderer.dispose();
+                renderer.forceContextLoss();
+                renderer.domElement.remove();
+            };
+        };
+
+        startPreview().catch(error => {
+            console.error('Error starting preview:', error);
+            setLoadError({ reason: 'failed' });
+            setIsLoading(false);
+        });
+
+        return () => {
+            cancelled = true;
+            loadController.abort();
+            cleanup();
+        };
+    }, [selectedModelId, performanceMode]);
+
+    return (
+        <div className={styles.container}>
+            <Head>
+                <title>{t('preview.title')}</title>
+                <meta name="description" content={t('preview.description.meta')} />
+            </Head>
+
+            <header className={styles.toolbar}>
+                <Link href="/" className={styles.back}>{t('preview.home')}</Link>
+                <label>
+                    {t('ar.model')}
+                    <select
+                        value={selectedModel ? selectedModel.id : ''}
+                        onChange={(e) => selectModel(e.target.value)}
+                        disabled={!models || models.length === 0}
+                    >
+                        {!selectedModel && <option value="">{models ? t('ar.chooseModel') : t('ar.loadingModels')}</option>}
+                        {(models || []).map(model => (
+                            <option key={model.id} value={model.id}>{model.name}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    {t('ar.lighting')}
+                    <select
+                        value={environmentPreset}
+                        onChange={(e) => selectEnvironmentPreset(e.target.value)}
+                    >
+                        {ENVIRONMENT_PRESETS.map(preset => (
+                            <option key={preset.id} value={preset.id}>{t(`environment.${preset.id}`)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    {t('preview.quality')}
+                    <select
+                        value={performanceMode || ''}
+                        onChange={(e) => updateQuery({ performance: e.target.value })}
+                    >
+                        {PERFORMANCE_MODES.map(mode => (
+                            <option key={mode} value={mode}>{t(`performance.${mode}`)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    {t('ar.units')}
+                    <select value={units} onChange={(e) => setUnits(e.target.value)}>
+                        {UNIT_SYSTEMS.map(system => (
+                            <option key={system} value={system}>{t(`units.${system}`)}</option>
+                        ))}
+                    </select>
+                </label>
+                <LocaleSwitcher />
+                <CollabPanel session={{ ...collab, leave: leaveSession }} className={styles.session} />
+                {selectedModel && (
+                    <>
+                        <span className={styles.details}>
+                            {formatModelSize(selectedModel.size)} · {formatDimensions(selectedModel.dimensions, units)}
+                        </span>
+                        <Link href={{ pathname: '/plan', query: { model: selectedModel.id } }}>
+                            {t('preview.plans')}
+                        </Link>
+                        <Link
+                            href={{
+                                pathname: '/ar',
+                                query: withConfiguration({ model: selectedModel.id, ...(collab.code ? { session: collab.code } : {}) }, configuration)
+                            }}
+                            className={styles.arLink}
+                        >
+                            {t('preview.viewInAR')}
+                        </Link>
+                    </>
+                )}
+            </header>
+
+            {hasConfigurationOptions(configurationOptions) && (
+                <Configurator
+                    className={styles.configurator}
+                    options={configurationOptions}
+                    configuration={configuration}
+                    onChange={selectConfiguration}
+                />
+            )}
+
+            <main className={styles.viewer} ref={containerRef}>
+                {isLoading && (
+                    <div className={styles.loadingOverlay}>
+                        <p>{t('ar.loading', { progress: loadingProgress })}</p>
+                        <div className={styles.progressBar}>
+                            <div className={styles.progressFill} style={{ width: `${loadingProgress}%` }}></div>
+                        </div>
+                    </div>
+                )}
+                {(catalogError || modelError || loadError) && (
+                    <p className={styles.errorMessage}>
+                        {catalogError
+                            ? t('ar.error.catalog', { message: catalogError })
+                            : modelError || t(`loadError.${loadError.reason}`, { extensions: (loadError.extensions || []).join(', ') })}
+                    </p>
+                )}
+                {modelDimensions && (
+                    <div className={styles.dimensions}>
+                        {['width', 'depth', 'height'].map(dimension => (
+                            <div key={dimension}>
+                                {t(`ar.dimension.${dimension}`)} {formatLength(modelDimensions[dimension], units)}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+}
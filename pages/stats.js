@@ -0,0 +1,173 @@
+import { useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import styles from '../styles/Stats.module.css';
+import { fetchModels } from '../lib/models/client';
+
+const PERIODS = [7, 30, 90, 365];
+
+const formatSeconds = ms => (ms === null ? '–' : `${(ms / 1000).toFixed(1)} s`);
+const formatValue = value => (value === null ? '–' : value);
+const formatRate = rate => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+// One row per group from aggregateEvents() in lib/telemetry/events.js
+function GroupTable({ title, heading, groups, label = name => name }) {
+    return (
+        <section>
+            <h2>{title}</h2>
+            {groups.length === 0 ? (
+                <p className={styles.muted}>No data yet.</p>
+            ) : (
+                <div className={styles.tableWrapper}>
+                    <table className={styles.table}>
+                        <thead>
+                            <tr>
+                                <th>{heading}</th>
+                                <th>Visits</th>
+                                <th>AR starts</th>
+                                <th>Placed</th>
+                                <th>Load p50</th>
+                                <th>Load p90</th>
+                                <th>FPS p50</th>
+                                <th>FPS p10</th>
+                                <th>Downgrades</th>
+                                <th>Errors</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {groups.map(group => (
+                                <tr key={group.name}>
+                                    <td>{label(group.name)}</td>
+                                    <td>{group.sessions}</td>
+                                    <td>{group.arStarts}</td>
+                                    <td>{formatRate(group.placementRate)}</td>
+                                    <td>{formatSeconds(group.loadTime.p50)}</td>
+                                    <td>{formatSeconds(group.loadTime.p90)}</td>
+                                    <td>{formatValue(group.fps.p50)}</td>
+                                    <td>{formatValue(group.fps.p10)}</td>
+                                    <td>{group.downgrades}</td>
+                                    <td>{group.errors}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </section>
+    );
+}
+
+// Dashboard of the usage and performance telemetry sent from the AR view
+export default function Stats() {
+    const [days, setDays] = useState(30);
+    const [stats, setStats] = useState(null);
+    const [error, setError] = useState('');
+    const [modelNames, setModelNames] = useState({});
+
+    useEffect(() => {
+        fetchModels()
+            .then(models => setModelNames(Object.fromEntries(models.map(model => [model.id, model.name]))))
+            .catch(error => console.warn('Could not load model names:', error));
+    }, []);
+
+    useEffect(() => {
+        let cancelled = false;
+        setError('');
+        fetch(`/api/telemetry?days=${days}`)
+            .then((response) => {
+                if (!response.ok) throw new Error(`Stats request failed (${response.status})`);
+                return response.json();
+            })
+            .then((data) => {
+                if (!cancelled) setStats(data);
+            })
+            .catch((error) => {
+                console.error('Error loading stats:', error);
+                if (!cancelled) setError('Could not load the stats: ' + error.message);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [days]);
+
+    const modelLabel = id => (modelNames[id] ? `${modelNames[id]} (${id})` : id);
+
+    return (
+        <div className={styles.container}>
+            <Head>
+                <title>House Project AR - Stats</title>
+                <meta name="description" content="How the AR viewer performs on visitors' devices" />
+            </Head>
+
+            <header className={styles.toolbar}>
+                <Link href="/" className={styles.back}>← Home</Link>
+                <label>
+                    Period:
+                    <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+                        {PERIODS.map(period => (
+                            <option key={period} value={period}>Last {period} days</option>
+                        ))}
+                    </select>
+                </label>
+            </header>
+
+            <main className={styles.main}>
+                <h1>Usage and performance</h1>
+                {error && <p className={styles.errorMessage}>{error}</p>}
+                {!stats && !error && <p className={styles.muted}>Loading...</p>}
+                {stats && (
+                    <>
+                        <div className={styles.summary}>
+                            <div className={styles.card}><strong>{stats.total.sessions}</strong><span>visits</span></div>
+                            <div className={styles.card}><strong>{stats.total.arStarts}</strong><span>AR starts</span></div>
+                            <div className={styles.card}><strong>{formatRate(stats.total.placementRate)}</strong><span>placed the model</span></div>
+                            <div className={styles.card}><strong>{formatSeconds(stats.total.loadTime.p50)}</strong><span>median load time</span></div>
+                            <div className={styles.card}><strong>{formatValue(stats.total.fps.p50)}</strong><span>median FPS</span></div>
+                            <div className={styles.card}><strong>{stats.total.errors}</strong><span>errors</span></div>
+                        </div>
+
+                        <GroupTable title="By device class" heading="Device class" groups={stats.byDevice} />
+                        <GroupTable title="By model" heading="Model" groups={stats.byModel} label={modelLabel} />
+
+                        <section>
+                            <h2>Recent errors</h2>
+                            {stats.recentErrors.length === 0 ? (
+                                <p className={styles.muted}>No errors.</p>
+                            ) : (
+                                <div className={styles.tableWrapper}>
+                                    <table className={styles.table}>
+                                        <thead>
+                                            <tr>
+                                                <th>Time</th>
+                                                <th>Stage</th>
+                                                <th>Model</th>
+                                                <th>Device class</th>
+                                                <th>Message</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {stats.recentErrors.map((entry, index) => (
+                                                <tr key={index}>
+                                                    <td>{new Date(entry.time).toLocaleString()}</td>
+                                                    <td>{entry.stage}</td>
+                                                    <td>{entry.model ? modelLabel(entry.model) : '–'}</td>
+                                                    <td>{entry.deviceClass}</td>
+                                                    <td>{entry.message}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </section>
+
+                        <p className={styles.muted}>
+                            FPS p50 and p10 are medians over AR sessions of each session&apos;s frame rate percentiles;
+                            p10 is the slow end. Load times run from pressing Start AR to the model being ready.
+                        </p>
+                    </>
+                )}
+            </main>
+        </div>
+    );
+}
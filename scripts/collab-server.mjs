@@ -0,0 +1,51 @@
+// Collaboration server for review sessions, run next to `next dev`:
+//
+//   npm run collab -- [--port 3001] [--host 0.0.0.0] [--cert cert.pem --key key.pem]
+//
+// Pages served over https (which WebXR needs on phones) can only reach it
+// over wss://, so pass the same certificate and key as the dev server.
+// COLLAB_PORT, COLLAB_HOST, COLLAB_TLS_CERT and COLLAB_TLS_KEY work too.
+
+import { promises as fs } from 'fs';
+import { createCollabServer } from '../lib/collab/server.js';
+import { DEFAULT_COLLAB_PORT } from '../lib/collab/protocol.js';
+
+const parseArgs = (argv) => {
+    const options = {
+        port: Number(process.env.COLLAB_PORT || DEFAULT_COLLAB_PORT),
+        host: process.env.COLLAB_HOST || '0.0.0.0',
+        cert: process.env.COLLAB_TLS_CERT || null,
+        key: process.env.COLLAB_TLS_KEY || null
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') {
+            options.port = Number(argv[++i]);
+        } else if (argv[i] === '--host') {
+            options.host = argv[++i];
+        } else if (argv[i] === '--cert') {
+            options.cert = argv[++i];
+        } else if (argv[i] === '--key') {
+            options.key = argv[++i];
+        } else {
+            throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+    if (!Number.isInteger(options.port) || options.port <= 0) throw new Error('--port must be a port number');
+    if (Boolean(options.cert) !== Boolean(options.key)) throw new Error('--cert and --key go together');
+    return options;
+};
+
+const main = async () => {
+    const { port, host, cert, key } = parseArgs(process.argv.slice(2));
+    const tls = cert ? { cert: await fs.readFile(cert), key: await fs.readFile(key) } : null;
+    const server = createCollabServer({ tls, log: message => console.log(message) });
+
+    server.listen(port, host, () => {
+        console.log(`Collaboration server listening on ${tls ? 'wss' : 'ws'}://${host}:${port}`);
+    });
+};
+
+main().catch((error) => {
+    console.error('Could not start the collaboration server:', error.message);
+    process.exit(1);
+});
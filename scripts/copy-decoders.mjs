@@ -0,0 +1,30 @@
+// Copy the Draco decoder and Basis (KTX2) transcoder shipped with three into
+// public/ so they are served locally at /draco/ and /basis/, matching the
+// installed three version. Runs on postinstall.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const THREE_LIBS = path.join(process.cwd(), 'node_modules', 'three', 'examples', 'jsm', 'libs');
+const PUBLIC_DIR = path.join(process.cwd(), 'public');
+
+const DECODERS = [
+    { from: 'draco/gltf', to: 'draco', files: ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js'] },
+    { from: 'basis', to: 'basis', files: ['basis_transcoder.js', 'basis_transcoder.wasm'] }
+];
+
+const main = async () => {
+    for (const { from, to, files } of DECODERS) {
+        const target = path.join(PUBLIC_DIR, to);
+        await fs.mkdir(target, { recursive: true });
+        for (const file of files) {
+            await fs.copyFile(path.join(THREE_LIBS, from, file), path.join(target, file));
+        }
+        console.log(`Copied ${files.length} decoder files to public/${to}/`);
+    }
+};
+
+main().catch((error) => {
+    console.error('Could not copy decoders:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,181 @@
+// Pregenerate simplified LOD levels for the models in the catalog.
+//
+//   npm run lods -- [--ratios 0.5,0.2] [--min-vertices 5000] [model-id ...]
+//
+// Writes <model>.lod.glb next to each source file. The file only holds the
+// simplified geometry; materials are taken from the source model at load time.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { listModels, lodFileName, modelFilePath } from '../lib/models/catalog.js';
+import { isDataUri, parseGlb, readAccessor, writeGlb } from '../lib/models/gltf.js';
+import { arraysToGeometry, geometryToArrays, LOD_DEFAULTS, simplifyGeometry } from '../lib/three/lod.js';
+
+const TRIANGLES = 4;
+
+const parseArgs = (argv) => {
+    const options = { ratios: LOD_DEFAULTS.ratios, minVertices: LOD_DEFAULTS.minVertices, ids: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--ratios') {
+            options.ratios = argv[++i].split(',').map(Number);
+        } else if (argv[i] === '--min-vertices') {
+            options.minVertices = Number(argv[++i]);
+        } else {
+            options.ids.push(argv[i]);
+        }
+    }
+    if (!options.ratios.length || options.ratios.some((ratio) => !(ratio > 0 && ratio < 1))) {
+        throw new Error('--ratios must be a comma separated list of numbers between 0 and 1');
+    }
+    return options;
+};
+
+const loadDocument = async (filePath) => {
+    const data = await fs.readFile(filePath);
+    const { json, bin } = path.extname(filePath).toLowerCase() === '.glb'
+        ? parseGlb(data)
+        : { json: JSON.parse(data.toString('utf8')), bin: null };
+
+    const buffers = await Promise.all((json.buffers || []).map(async ({ uri }) => {
+        if (uri === undefined) return bin;
+        if (isDataUri(uri)) return Buffer.from(uri.slice(uri.indexOf(',') + 1), 'base64');
+        return fs.readFile(path.join(path.dirname(filePath), decodeURIComponent(uri)));
+    }));
+    return { json, buffers };
+};
+
+// Accumulates simplified primitives into a single-buffer glTF document
+const createWriter = () => {
+    const chunks = [];
+    let byteLength = 0;
+    const doc = { bufferViews: [], accessors: [], meshes: [], nodes: [] };
+
+    const addAccessor = (array, type) => {
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        const target = type === 'SCALAR' ? 34963 : 34962; // ELEMENT_ARRAY_BUFFER : ARRAY_BUFFER
+        doc.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.byteLength, target });
+        chunks.push(bytes);
+        byteLength += bytes.byteLength;
+
+        const components = { SCALAR: 1, VEC2: 2, VEC3: 3 }[type];
+        const accessor = {
+            bufferView: doc.bufferViews.length - 1,
+            componentType: type === 'SCALAR' ? 5125 : 5126, // UNSIGNED_INT : FLOAT
+            count: array.length / components,
+            type
+        };
+        if (type === 'VEC3') {
+            accessor.min = [Infinity, Infinity, Infinity];
+            accessor.max = [-Infinity, -Infinity, -Infinity];
+            for (let i = 0; i < array.length; i++) {
+                accessor.min[i % 3] = Math.min(accessor.min[i % 3], array[i]);
+                accessor.max[i % 3] = Math.max(accessor.max[i % 3], array[i]);
+            }
+        }
+        doc.accessors.push(accessor);
+        return doc.accessors.length - 1;
+    };
+
+    return {
+        addLevel(arrays, extras) {
+            const attributes = { POSITION: addAccessor(arrays.position, 'VEC3') };
+            if (arrays.normal) attributes.NORMAL = addAccessor(arrays.normal, 'VEC3');
+            if (arrays.uv) attributes.TEXCOORD_0 = addAccessor(arrays.uv, 'VEC2');
+            const primitive = { attributes };
+            if (arrays.index) primitive.indices = addAccessor(arrays.index, 'SCALAR');
+            doc.meshes.push({ primitives: [primitive] });
+            doc.nodes.push({ mesh: doc.meshes.length - 1, extras });
+        },
+        get levelCount() {
+            return doc.nodes.length;
+        },
+        toGlb(asset) {
+            const bin = new Uint8Array(byteLength);
+            let offset = 0;
+            chunks.forEach((chunk) => {
+                bin.set(chunk, offset);
+                offset += chunk.byteLength;
+            });
+            return writeGlb({
+                asset,
+                scenes: [{ nodes: doc.nodes.map((_, i) => i) }],
+                scene: 0,
+                ...doc,
+                buffers: [{ byteLength }]
+            }, bin);
+        }
+    };
+};
+
+const generateLods = async (filePath, { ratios, minVertices }) => {
+    const { json, buffers } = await loadDocument(filePath);
+    const writer = createWriter();
+
+    for (const [meshIndex, mesh] of (json.meshes || []).entries()) {
+        for (const [primitiveIndex, primitive] of mesh.primitives.entries()) {
+            const { attributes } = primitive;
+            const positions = json.accessors[attributes.POSITION];
+            if (!positions || positions.count <= minVertices) continue;
+            if ((primitive.mode !== undefined && primitive.mode !== TRIANGLES) || primitive.extensions) {
+                console.warn(`  mesh ${meshIndex}/${primitiveIndex}: unsupported primitive, skipped`);
+                continue;
+            }
+
+            const geometry = arraysToGeometry({
+                position: readAccessor(json, buffers, attributes.POSITION),
+                normal: attributes.NORMAL !== undefined ? readAccessor(json, buffers, attributes.NORMAL) : null,
+                uv: attributes.TEXCOORD_0 !== undefined ? readAccessor(json, buffers, attributes.TEXCOORD_0) : null,
+                index: primitive.indices !== undefined
+                    ? Uint32Array.from(readAccessor(json, buffers, primitive.indices))
+                    : null
+            });
+
+            ratios.forEach((ratio, level) => {
+                const simplified = simplifyGeometry(geometry, ratio);
+                writer.addLevel(geometryToArrays(simplified), {
+                    lodSource: { mesh: meshIndex, primitive: primitiveIndex },
+                    lodLevel: level + 1,
+                    lodRatio: ratio
+                });
+                console.log(`  mesh ${meshIndex}/${primitiveIndex}: ${positions.count} -> ${simplified.attributes.position.count} vertices (${ratio})`);
+            });
+        }
+    }
+
+    return writer.levelCount
+        ? writer.toGlb({ version: '2.0', generator: 'house-project-ar generate-lods', extras: { lodRatios: ratios } })
+        : null;
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    const models = (await listModels()).filter(({ id }) => !options.ids.length || options.ids.includes(id));
+
+    if (options.ids.length && models.length !== options.ids.length) {
+        const found = models.map(({ id }) => id);
+        throw new Error(`Unknown model id(s): ${options.ids.filter((id) => !found.includes(id)).join(', ')}`);
+    }
+
+    for (const model of models) {
+        const filePath = modelFilePath(model);
+        console.log(`${model.id} (${model.file})`);
+        try {
+            const glb = await generateLods(filePath, options);
+            if (!glb) {
+                console.log(`  no meshes over ${options.minVertices} vertices, nothing to do`);
+                continue;
+            }
+            const target = lodFileName(filePath);
+            await fs.writeFile(target, glb);
+            console.log(`  wrote ${path.relative(process.cwd(), target)} (${(glb.byteLength / 1024).toFixed(0)} KB)`);
+        } catch (error) {
+            console.error(`  failed: ${error.message}`);
+            process.exitCode = 1;
+        }
+    }
+};
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,57 @@
+import { describe, expect, it, vi } from 'vitest';
+import { classifyDevice, detectDevicePerformance } from '../lib/device.js';
+import { tierForPerformanceMode } from '../lib/three/quality.js';
+import { createWebGLStub, stubWebGL } from './helpers/webgl.js';
+
+describe('classifyDevice', () => {
+    it.each([
+        ['Adreno (TM) 640', 8, 'medium'],
+        ['Apple GPU', null, 'medium'],
+        ['Mali-G52 MC2', 8, 'low'],
+        ['PowerVR Rogue GE8320', null, 'low'],
+        ['Mali-450 MP', 4, 'low'],
+        ['Adreno (TM) 740', 2, 'low'],
+        ['', null, 'medium']
+    ])('puts %s with %s GB in %s mode', (renderer, memory, performanceMode) => {
+        expect(classifyDevice({ renderer, memory })).toEqual({ performanceMode, isLowEnd: performanceMode === 'low' });
+    });
+});
+
+describe('detectDevicePerformance', () => {
+    it('reads the GPU from WebGL and the memory from navigator', () => {
+        stubWebGL(createWebGLStub({ renderer: 'Mali-G57 MC2' }));
+        vi.stubGlobal('navigator', { deviceMemory: 8 });
+
+        expect(detectDevicePerformance()).toEqual({ performanceMode: 'low', isLowEnd: true, renderer: 'Mali-G57 MC2', memory: 8 });
+    });
+
+    it('picks medium for a capable GPU', () => {
+        stubWebGL(createWebGLStub({ renderer: 'Adreno (TM) 730' }));
+        vi.stubGlobal('navigator', { deviceMemory: 8 });
+
+        expect(detectDevicePerformance()).toMatchObject({ performanceMode: 'medium', isLowEnd: false });
+    });
+
+    it('goes by memory when the browser hides the GPU', () => {
+        stubWebGL(createWebGLStub({ debugInfo: false }));
+        vi.stubGlobal('navigator', { deviceMemory: 2 });
+
+        expect(detectDevicePerformance()).toEqual({ performanceMode: 'low', isLowEnd: true, renderer: '', memory: 2 });
+    });
+
+    it('picks low without WebGL', () => {
+        stubWebGL(null);
+        vi.stubGlobal('navigator', {});
+
+        expect(detectDevicePerformance()).toEqual({ performanceMode: 'low', isLowEnd: true, renderer: '', memory: null });
+    });
+});
+
+describe('tierForPerformanceMode', () => {
+    it('starts the quality governor at the tier of the mode', () => {
+        expect(tierForPerformanceMode('low')).toBe('low');
+        expect(tierForPerformanceMode('medium')).toBe('medium');
+        expect(tierForPerformanceMode('high')).toBe('high');
+        expect(tierForPerformanceMode('auto')).toBe('medium');
+    });
+});
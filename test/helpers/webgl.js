@@ -0,0 +1,27 @@
+import { vi } from 'vitest';
+
+// Headless stand-in for the WebGL context that device detection asks for
+// the GPU name, so the checks run on a GPU-less CI box.
+
+export const UNMASKED_VENDOR_WEBGL = 0x9245;
+export const UNMASKED_RENDERER_WEBGL = 0x9246;
+
+// Without `debugInfo` the browser hides the GPU name, as some do
+export function createWebGLStub({ renderer = 'ANGLE (Fake GPU)', debugInfo = true } = {}) {
+    return {
+        getExtension: name => (name === 'WEBGL_debug_renderer_info' && debugInfo
+            ? { UNMASKED_VENDOR_WEBGL, UNMASKED_RENDERER_WEBGL }
+            : null),
+        getParameter: parameter => (parameter === UNMASKED_RENDERER_WEBGL ? renderer : null)
+    };
+}
+
+// Make document.createElement('canvas') hand out `context` for WebGL, or
+// no context at all when it is null
+export function stubWebGL(context) {
+    vi.stubGlobal('document', {
+        createElement: tag => (tag === 'canvas'
+            ? { getContext: type => (type === 'webgl' || type === 'experimental-webgl' ? context : null) }
+            : {})
+    });
+}
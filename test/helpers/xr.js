@@ -0,0 +1,103 @@
+// Fake WebXR runtime: navigator.xr with scripted session support, sessions
+// that end on request and frames with scripted hit test results.
+
+// `supported` maps session modes to whether they are supported, e.g.
+// { 'immersive-ar': true }; `error` makes isSessionSupported() reject and
+// `requestError` requestSession(), as when the user denies the camera.
+// `hitTest` is passed on to the sessions it creates.
+export function createFakeXR({ supported = {}, error = null, requestError = null, hitTest = true } = {}) {
+    const sessions = [];
+    return {
+        sessions,
+
+        isSessionSupported(mode) {
+            if (error) return Promise.reject(error);
+            return Promise.resolve(Boolean(supported[mode]));
+        },
+
+        requestSession(mode) {
+            if (requestError) return Promise.reject(requestError);
+            if (!supported[mode]) {
+                return Promise.reject(new DOMException(`The ${mode} mode is not supported`, 'NotSupportedError'));
+            }
+            const session = createFakeSession({ mode, hitTest });
+            sessions.push(session);
+            return Promise.resolve(session);
+        }
+    };
+}
+
+// An XRSession. Without `hitTest` the hit test feature was not granted, so
+// requestHitTestSource() rejects.
+export function createFakeSession({ mode = 'immersive-ar', hitTest = true } = {}) {
+    const listeners = new Map();
+    const hitTestSources = [];
+    let ended = false;
+
+    return {
+        mode,
+        // Every source handed out, to check they get cancelled
+        hitTestSources,
+
+        get ended() {
+            return ended;
+        },
+
+        addEventListener(type, listener) {
+            if (!listeners.has(type)) listeners.set(type, new Set());
+            listeners.get(type).add(listener);
+        },
+
+        removeEventListener(type, listener) {
+            if (listeners.has(type)) listeners.get(type).delete(listener);
+        },
+
+        requestReferenceSpace(type) {
+            if (ended) return Promise.reject(new DOMException('The session has ended', 'InvalidStateError'));
+            return Promise.resolve({ type });
+        },
+
+        requestHitTestSource({ space }) {
+            if (!hitTest) {
+                return Promise.reject(new DOMException('The hit-test feature was not requested', 'NotSupportedError'));
+            }
+            const source = {
+                space,
+                cancelled: false,
+                cancel() {
+                    this.cancelled = true;
+                }
+            };
+            hitTestSources.push(source);
+            return Promise.resolve(source);
+        },
+
+        end() {
+            if (!ended) {
+                ended = true;
+                (listeners.get('end') || []).forEach(listener => listener({ type: 'end', session: this }));
+            }
+            return Promise.resolve();
+        }
+    };
+}
+
+// Column-major 4x4 matrix of a pose at (x, y, z)
+export const poseMatrix = (x, y, z) => [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, x, y, z, 1];
+
+// An XRFrame of `session` whose hit tests return `hits`: each a pose
+// matrix, or null for a hit that cannot be located this frame
+export function createFakeFrame(session, hits = []) {
+    return {
+        session,
+        getHitTestResults(source) {
+            if (source.cancelled) throw new DOMException('The hit test source was cancelled', 'InvalidStateError');
+            return hits.map(matrix => ({
+                getPose: () => (matrix ? { transform: { matrix } } : null)
+            }));
+        }
+    };
+}
+
+// Let pending promise callbacks run
+export const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import nextConfig from '../next.config.mjs';
+import { CATALOGS, DEFAULT_LOCALE, LOCALE_NAMES, LOCALES, textDirection, translate } from '../lib/i18n/messages.js';
+
+describe('translate', () => {
+    it('fills placeholders', () => {
+        expect(translate('de', 'ar.loading', { progress: 40 })).toBe('Modell wird geladen... 40 %');
+        expect(translate('en', 'ar.error.unknownModel', { id: 'villa' })).toBe('Unknown model "villa". Please choose one of the available models.');
+    });
+
+    it('leaves placeholders without a value', () => {
+        expect(translate('en', 'ar.loading')).toBe('Loading model... {progress}%');
+    });
+
+    it('falls back to English, then to the key', () => {
+        expect(translate('de', 'scale.1:100')).toBe(CATALOGS.en['scale.1:100']);
+        expect(translate('xx', 'ar.start')).toBe(CATALOGS.en['ar.start']);
+        expect(translate('fr', 'no.such.key')).toBe('no.such.key');
+    });
+});
+
+describe('catalogs', () => {
+    it('only hold keys the English catalog has', () => {
+        for (const locale of LOCALES) {
+            const unknown = Object.keys(CATALOGS[locale]).filter(key => !(key in CATALOGS[DEFAULT_LOCALE]));
+            expect(unknown, locale).toEqual([]);
+        }
+    });
+
+    it('use the placeholders of the English message', () => {
+        const placeholders = message => (message.match(/\{\w+\}/g) || []).sort();
+        for (const locale of LOCALES) {
+            for (const [key, message] of Object.entries(CATALOGS[locale])) {
+                expect(placeholders(message), `${locale} ${key}`).toEqual(placeholders(CATALOGS.en[key]));
+            }
+        }
+    });
+
+    it('match the locales Next.js routes', () => {
+        expect(nextConfig.i18n.locales).toEqual(LOCALES);
+        expect(nextConfig.i18n.defaultLocale).toBe(DEFAULT_LOCALE);
+        expect(Object.keys(LOCALE_NAMES)).toEqual(LOCALES);
+    });
+});
+
+describe('textDirection', () => {
+    it('is right-to-left for Arabic only', () => {
+        expect(textDirection('ar')).toBe('rtl');
+        expect(textDirection('en')).toBe('ltr');
+        expect(textDirection('de')).toBe('ltr');
+    });
+});
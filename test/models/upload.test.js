@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { strToU8, zipSync } from 'three/examples/jsm/libs/fflate.module.js';
+import { inspectUpload, unpackUpload } from '../../lib/models/upload.js';
+
+const gltf = json => ({ name: 'house.gltf', data: Buffer.from(JSON.stringify(json)) });
+const codes = ({ report }) => report.errors.map(({ code }) => code);
+const asset = { version: '2.0' };
+
+// Overwrite the uncompressed size the central directory declares for every entry
+const declareSize = (zip, size) => {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    for (let offset = 0; offset + 4 <= zip.byteLength; offset++) {
+        if (view.getUint32(offset, true) === 0x02014b50) view.setUint32(offset + 24, size, true);
+    }
+    return zip;
+};
+
+describe('inspectUpload', () => {
+    it('reports JSON that is not an object', () => {
+        expect(codes(inspectUpload([{ name: 'house.gltf', data: Buffer.from('null') }]))).toEqual(['PARSE_ERROR']);
+        expect(codes(inspectUpload([{ name: 'house.gltf', data: Buffer.from('[]') }]))).toEqual(['PARSE_ERROR']);
+    });
+
+    it('reports malformed percent escapes in uris', () => {
+        const result = inspectUpload([gltf({
+            asset,
+            buffers: [{ uri: 'walls%zz.bin', byteLength: 4 }],
+            images: [{ uri: 'data:text/plain,%E0%A4%A' }]
+        })]);
+        expect(result.report.valid).toBe(false);
+        expect(codes(result)).toEqual(['URI_INVALID', 'URI_INVALID']);
+    });
+
+    it('reports top-level properties of the wrong type', () => {
+        const result = inspectUpload([gltf({ asset, extensionsRequired: 'KHR_draco_mesh_compression', buffers: [null] })]);
+        expect(codes(result)).toContain('PROPERTY_TYPE_INVALID');
+        expect(result.report.errors.map(({ pointer }) => pointer)).toEqual(expect.arrayContaining(['/extensionsRequired', '/buffers/0']));
+    });
+
+    it('reports nested properties of the wrong type', () => {
+        expect(codes(inspectUpload([gltf({ asset, meshes: [{ primitives: [null] }] })]))).toEqual(['STRUCTURE_INVALID']);
+    });
+});
+
+describe('unpackUpload', () => {
+    it('expands zip bundles', () => {
+        const zip = zipSync({ 'house/house.gltf': strToU8('{}'), 'house/': new Uint8Array(0) });
+        const { files, errors } = unpackUpload([{ name: 'house.zip', data: Buffer.from(zip) }]);
+        expect(errors).toEqual([]);
+        expect(files.map(({ name }) => name)).toEqual(['house/house.gltf']);
+    });
+
+    it('reports corrupt zip files', () => {
+        const { files, errors } = unpackUpload([{ name: 'house.zip', data: Buffer.from('not a zip') }]);
+        expect(files).toEqual([]);
+        expect(errors.map(({ code }) => code)).toEqual(['ZIP_INVALID']);
+    });
+
+    it('refuses bundles that unpack to too many bytes before inflating them', () => {
+        const zip = declareSize(zipSync({ 'house.gltf': strToU8('{}'.repeat(100)) }), 0xfffffff0);
+        const { files, errors } = unpackUpload([{ name: 'house.zip', data: Buffer.from(zip) }]);
+        expect(files).toEqual([]);
+        expect(errors.map(({ code }) => code)).toEqual(['ZIP_TOO_LARGE']);
+    });
+});
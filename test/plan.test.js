@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+import { fitPlan, planPaperSize, planToSVG, scaleBarLength, storeyAt, viewDirection } from '../lib/plan.js';
+
+const frame = { minX: -5, minZ: -4, maxX: 5, maxZ: 4 };
+
+describe('scaleBarLength', () => {
+    it('rounds down to 1, 2 or 5 times a power of ten', () => {
+        expect(scaleBarLength(3.4)).toBe(2);
+        expect(scaleBarLength(7)).toBe(5);
+        expect(scaleBarLength(10)).toBe(10);
+        expect(scaleBarLength(0.3)).toBeCloseTo(0.2);
+        expect(scaleBarLength(0)).toBe(0);
+    });
+});
+
+describe('storeyAt', () => {
+    const storeys = [{ id: 0, elevation: 0 }, { id: 1, elevation: 3 }, { id: 2, elevation: 6 }];
+
+    it('picks the storey whose floor is below the eye', () => {
+        expect(storeyAt(storeys, 1.6).id).toBe(0);
+        expect(storeyAt(storeys, 4.6).id).toBe(1);
+        expect(storeyAt(storeys, 40).id).toBe(2);
+    });
+
+    it('falls back to the lowest storey below the model', () => {
+        expect(storeyAt(storeys, -2).id).toBe(0);
+        expect(storeyAt([], 1.6)).toBeNull();
+    });
+});
+
+describe('viewDirection', () => {
+    const yaw = degrees => [0, Math.sin(degrees * Math.PI / 360), 0, Math.cos(degrees * Math.PI / 360)];
+    const pitch = degrees => [Math.sin(degrees * Math.PI / 360), 0, 0, Math.cos(degrees * Math.PI / 360)];
+
+    it('is -z for an unrotated camera', () => {
+        const [x, z] = viewDirection([0, 0, 0, 1]);
+        expect(x).toBeCloseTo(0);
+        expect(z).toBeCloseTo(-1);
+    });
+
+    it('turns with the camera', () => {
+        // Turning left (counter-clockwise from above) looks towards -x
+        const [x, z] = viewDirection(yaw(90));
+        expect(x).toBeCloseTo(-1);
+        expect(z).toBeCloseTo(0);
+    });
+
+    it('ignores looking up or down, except straight down', () => {
+        const [x, z] = viewDirection(pitch(-45));
+        expect(x).toBeCloseTo(0);
+        expect(z).toBeCloseTo(-1);
+        expect(viewDirection(pitch(-90))).toBeNull();
+    });
+});
+
+describe('fitPlan', () => {
+    it('centers the plan and keeps its proportions', () => {
+        const { scale, toX, toY } = fitPlan(frame, 200, 100, 10);
+
+        expect(scale).toBe(10);
+        expect(toX(0)).toBe(100);
+        expect(toY(0)).toBe(50);
+        expect(toY(frame.minZ)).toBe(10);
+    });
+});
+
+describe('planPaperSize', () => {
+    it('adds the margins and the footer to the plan at print scale', () => {
+        // 10 × 8 m plus 2 × 10 mm margin and a 12 mm footer at 1:100
+        expect(planPaperSize(frame, { scale: 100 })).toEqual({ width: 120, height: 112 });
+        expect(planPaperSize(frame, { scale: 200 })).toEqual({ width: 70, height: 72 });
+    });
+});
+
+describe('planToSVG', () => {
+    it('draws the segments at print scale with a scale bar', () => {
+        const svg = planToSVG([[-5, -4, 5, -4], [5, -4, 5, 4]], frame, { title: 'Villa <Level 1>', scale: 100 });
+
+        // 10 m plus 2 × 10 mm margin at 1:100
+        expect(svg).toContain('width="120mm"');
+        expect(svg).toContain('d="M-5 -4L5 -4M5 -4L5 4"');
+        expect(svg).toContain('>2 m</text>');
+        expect(svg).toContain('Villa &#60;Level 1&#62; · 1:100');
+    });
+
+    it('draws the scale bar in feet for imperial units', () => {
+        const svg = planToSVG([], frame, { units: 'imperial' });
+
+        // 10 m is about 33 ft; a third of it rounds down to 10 ft
+        expect(svg).toContain('>10 ft</text>');
+        expect(svg).toContain('x2="-1.952"');
+    });
+
+    it('labels short scale bars in centimeters', () => {
+        const svg = planToSVG([], { minX: 0, minZ: 0, maxX: 1, maxZ: 1 }, { scale: 20 });
+
+        expect(svg).toContain('>20 cm</text>');
+    });
+});
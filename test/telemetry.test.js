@@ -0,0 +1,48 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { eventsOfBatch } from '../lib/telemetry/events.js';
+
+const batch = events => ({ session: 'page-1', device: { renderer: 'Adreno 740', memory: 8 }, events });
+
+describe('eventsOfBatch', () => {
+    it('skips types that are only inherited keys', () => {
+        const events = eventsOfBatch(batch([{ type: 'constructor' }, { type: 'toString' }, { type: 'ar-start', performanceMode: 'high' }]));
+        expect(events.map(event => event.type)).toEqual(['ar-start']);
+    });
+
+    it('keeps the checked session, time and model', () => {
+        const [event] = eventsOfBatch(batch([{ type: 'error', time: 'soon', model: 42, session: 'other', stage: 'load' }]), 1000);
+        expect(event).toMatchObject({ type: 'error', session: 'page-1', time: 1000, model: null, stage: 'load' });
+    });
+});
+
+describe('telemetry store', () => {
+    let dir;
+
+    afterEach(async () => {
+        vi.unstubAllEnvs();
+        vi.resetModules();
+        if (dir) await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const loadStore = async (maxBytes) => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'telemetry-'));
+        vi.stubEnv('TELEMETRY_DIR', dir);
+        vi.stubEnv('TELEMETRY_MAX_BYTES', String(maxBytes));
+        return import('../lib/telemetry/store.js');
+    };
+
+    it('rotates the events file once it is full and reads both files', async () => {
+        const { appendEvents, readEvents } = await loadStore(60);
+        const events = Array.from({ length: 6 }, (_, i) => ({ type: 'ar-start', time: i, session: `s${i}` }));
+        for (const event of events) await appendEvents([event]);
+
+        expect((await fs.readdir(dir)).sort()).toEqual(['events.1.jsonl', 'events.jsonl']);
+        const kept = await readEvents();
+        expect(kept.length).toBeLessThan(events.length);
+        expect(kept).toEqual(events.slice(events.length - kept.length));
+        expect(await readEvents(5)).toEqual([events[5]]);
+    });
+});
@@ -0,0 +1,153 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+    loadErrorReason,
+    loadGltf,
+    loadModel,
+    MissingExtensionError,
+    ModelLoadError,
+    ModelNotFoundError,
+    ModelParseError
+} from '../../lib/three/loader.js';
+
+const variant = type => ({ type, url: `/models/villa.${type}.glb` });
+const gltfFile = JSON.stringify({ asset: { version: '2.0' } });
+
+// Serve `files` (url -> body); other urls are 404s
+const serve = (files) => {
+    vi.stubGlobal('fetch', vi.fn(async (url, { method = 'GET' } = {}) => (url in files
+        ? new Response(method === 'HEAD' ? null : files[url], { status: 200 })
+        : new Response(null, { status: 404 }))));
+};
+
+// GLTFLoader stand-in; parsing fails for data in `broken`
+const createLoader = (broken = []) => ({
+    parseAsync: vi.fn(async (data) => {
+        const text = typeof data === 'string' ? data : new TextDecoder().decode(data);
+        if (broken.includes(text)) throw new Error('Unexpected token');
+        return { scene: { name: 'scene' }, parser: { associations: new Map() } };
+    })
+});
+
+describe('loadModel', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('loads the first variant that works', async () => {
+        serve({ '/models/villa.ktx2.glb': gltfFile });
+        const onVariant = vi.fn();
+
+        const { gltf, variant: loaded } = await loadModel(createLoader(), [variant('full'), variant('ktx2'), variant('low')], { onVariant });
+
+        expect(loaded.type).toBe('ktx2');
+        expect(gltf.scene.name).toBe('scene');
+        expect(onVariant.mock.calls.map(([attempt]) => attempt.type)).toEqual(['full', 'ktx2']);
+    });
+
+    it('falls back when a variant does not parse', async () => {
+        const broken = '{ not json';
+        serve({ '/models/villa.draco.glb': broken, '/models/villa.low.glb': gltfFile });
+
+        const { variant: loaded } = await loadModel(createLoader(), [variant('draco'), variant('low')]);
+
+        expect(loaded.type).toBe('low');
+    });
+
+    it('rejects with the last error when every variant fails', async () => {
+        serve({ '/models/villa.low.glb': 'garbage' });
+
+        await expect(loadModel(createLoader(), [variant('full'), variant('low')])).rejects.toBeInstanceOf(ModelParseError);
+        serve({});
+        await expect(loadModel(createLoader(), [variant('full')])).rejects.toBeInstanceOf(ModelNotFoundError);
+    });
+
+    it('stops falling back when loading is cancelled', async () => {
+        serve({ '/models/villa.low.glb': gltfFile });
+        const controller = new AbortController();
+        controller.abort();
+        const onVariant = vi.fn();
+
+        await expect(loadModel(createLoader(), [variant('full'), variant('low')], { signal: controller.signal, onVariant }))
+            .rejects.toMatchObject({ code: 'ABORTED' });
+        expect(onVariant).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects a model without variants', async () => {
+        await expect(loadModel(createLoader(), [])).rejects.toBeInstanceOf(ModelLoadError);
+    });
+});
+
+describe('loadGltf', () => {
+    const multiFile = JSON.stringify({
+        asset: { version: '2.0' },
+        buffers: [{ uri: 'villa.bin', byteLength: 4 }],
+        images: [{ uri: 'textures/oak.png' }, { uri: 'data:image/png;base64,AAAA' }]
+    });
+
+    it('downloads external files itself and hands them to the parser', async () => {
+        serve({ '/models/villa.gltf': multiFile, '/models/villa.bin': 'bin!', '/models/textures/oak.png': 'png!' });
+        const loader = createLoader();
+        const onProgress = vi.fn();
+
+        await loadGltf(loader, '/models/villa.gltf', { onProgress });
+
+        const [document, base] = loader.parseAsync.mock.calls[0];
+        const { buffers, images } = JSON.parse(document);
+        expect(base).toBe('/models/');
+        expect(buffers[0].uri).toMatch(/^blob:/);
+        expect(images.map(({ uri }) => uri.slice(0, 5))).toEqual(['blob:', 'data:']);
+        expect(fetch).toHaveBeenCalledWith('/models/textures/oak.png', expect.anything());
+        expect(onProgress).toHaveBeenLastCalledWith(100);
+    });
+
+    it('reports a missing external file', async () => {
+        serve({ '/models/villa.gltf': multiFile, '/models/villa.bin': 'bin!' });
+        const loader = createLoader();
+
+        await expect(loadGltf(loader, '/models/villa.gltf')).rejects.toMatchObject({
+            code: 'NOT_FOUND',
+            url: '/models/textures/oak.png'
+        });
+        expect(loader.parseAsync).not.toHaveBeenCalled();
+    });
+
+    it('keeps progress below 100 until the external files arrive', async () => {
+        const gltf = JSON.stringify({ asset: { version: '2.0' }, buffers: [{ uri: 'villa.bin', byteLength: 4 }] });
+        let requested;
+        let arrive;
+        const binRequested = new Promise((resolve) => {
+            requested = resolve;
+        });
+        const binArrived = new Promise((resolve) => {
+            arrive = resolve;
+        });
+        vi.stubGlobal('fetch', vi.fn(async (url, { method = 'GET' } = {}) => {
+            if (url === '/models/villa.bin' && method === 'GET') {
+                requested();
+                await binArrived;
+            }
+            return new Response(method === 'HEAD' ? null : (url === '/models/villa.gltf' ? gltf : 'bin!'));
+        }));
+        const onProgress = vi.fn();
+        const percents = () => onProgress.mock.calls.map(([percent]) => percent);
+
+        const loaded = loadGltf(createLoader(), '/models/villa.gltf', { onProgress });
+        await binRequested;
+        expect(Math.max(...percents())).toBeLessThan(100);
+
+        arrive();
+        await loaded;
+        expect(percents()).toEqual([...percents()].sort((a, b) => a - b));
+        expect(onProgress).toHaveBeenLastCalledWith(100);
+    });
+});
+
+describe('loadErrorReason', () => {
+    it('tells pages why loading failed', () => {
+        expect(loadErrorReason(new ModelNotFoundError('/models/villa.glb'))).toBe('not-found');
+        expect(loadErrorReason(new MissingExtensionError('/models/villa.glb', ['EXT_meshopt_compression']))).toBe('missing-extension');
+        expect(loadErrorReason(new ModelParseError('/models/villa.glb'))).toBe('parse-error');
+        expect(loadErrorReason(new ModelLoadError('offline', { code: 'NETWORK_ERROR' }))).toBe('network');
+        expect(loadErrorReason(new Error('WebGL context lost'))).toBe('failed');
+    });
+});
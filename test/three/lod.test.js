@@ -0,0 +1,45 @@
+import { describe, expect, it, vi } from 'vitest';
+import { BoxGeometry, Group, Mesh, MeshBasicMaterial } from 'three';
+import { replaceWithLod } from '../../lib/three/lod.js';
+
+const mesh = (name) => {
+    const node = new Mesh(new BoxGeometry(1, 1, 1), new MeshBasicMaterial());
+    node.name = name;
+    return node;
+};
+
+describe('replaceWithLod', () => {
+    it('replaces sibling meshes in place, keeping the others', () => {
+        const parent = new Group();
+        const [first, second, third] = ['first', 'second', 'third'].map(mesh);
+        parent.add(first, second, third);
+        second.position.set(1, 2, 3);
+
+        const firstLod = replaceWithLod(first, [new BoxGeometry(1, 1, 1)]);
+        const secondLod = replaceWithLod(second, [new BoxGeometry(1, 1, 1)]);
+
+        expect(parent.children).toEqual([firstLod, secondLod, third]);
+        expect(parent.children.map(child => child.name)).toEqual(['first', 'second', 'third']);
+        expect(secondLod.parent).toBe(parent);
+        expect(secondLod.position.toArray()).toEqual([1, 2, 3]);
+        expect(second.parent).toBe(secondLod);
+        expect(second.position.toArray()).toEqual([0, 0, 0]);
+        expect(secondLod.levels.map(level => level.object.name)).toEqual(['second', 'second_lod1']);
+    });
+
+    it('dispatches the added and removed events', () => {
+        const parent = new Group();
+        const source = mesh('wall');
+        parent.add(source);
+        const removed = vi.fn();
+        source.addEventListener('removed', removed);
+        // three reuses the event object, so keep the child as it arrives
+        const added = [];
+        parent.addEventListener('childadded', event => added.push(event.child));
+
+        const lod = replaceWithLod(source, []);
+
+        expect(removed).toHaveBeenCalledTimes(1);
+        expect(added).toEqual([lod]);
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { BoxGeometry, Group, LOD, Mesh, MeshBasicMaterial } from 'three';
+import { prepareModel } from '../../lib/three/model.js';
+import { planFrame, slicePlan } from '../../lib/three/plan.js';
+
+// A glTF-like scene (z up) with a 4 × 2 × 3 box standing on the ground
+const houseScene = () => {
+    const scene = new Group();
+    const box = new Mesh(new BoxGeometry(4, 2, 3), new MeshBasicMaterial());
+    box.position.set(10, 20, 1.5);
+    scene.add(box);
+    return scene;
+};
+
+const extent = (segments) => {
+    const xs = segments.flatMap(([x1, , x2]) => [x1, x2]);
+    const zs = segments.flatMap(([, z1, , z2]) => [z1, z2]);
+    return [Math.min(...xs), Math.min(...zs), Math.max(...xs), Math.max(...zs)];
+};
+
+describe('slicePlan', () => {
+    it('outlines the model at the cut height around its base center', () => {
+        const { model } = prepareModel(houseScene());
+        const segments = slicePlan(model, 1.2);
+
+        expect(segments.length).toBeGreaterThanOrEqual(4);
+        extent(segments).forEach((value, i) => expect(value).toBeCloseTo([-2, -1, 2, 1][i]));
+    });
+
+    it('converts model units to meters', () => {
+        const { model } = prepareModel(houseScene());
+        model.scale.setScalar(0.5);
+        const segments = slicePlan(model, 0.6, 0.5);
+
+        extent(segments).forEach((value, i) => expect(value).toBeCloseTo([-1, -0.5, 1, 0.5][i]));
+    });
+
+    it('finds nothing above the model or in hidden parts', () => {
+        const { model } = prepareModel(houseScene());
+
+        expect(slicePlan(model, 4)).toEqual([]);
+        model.children[0].children[0].visible = false;
+        expect(slicePlan(model, 1.2)).toEqual([]);
+    });
+
+    it('cuts only the first level of an LOD', () => {
+        const scene = houseScene();
+        const source = scene.children[0];
+        const lod = new LOD();
+        scene.add(lod);
+        lod.addLevel(source, 0);
+        const simplified = new Mesh(new BoxGeometry(4, 2, 3), new MeshBasicMaterial());
+        simplified.position.copy(source.position);
+        lod.addLevel(simplified, 20);
+        // Far from the camera the LOD shows its simplified level
+        source.visible = false;
+        const { model } = prepareModel(scene);
+
+        expect(slicePlan(model, 1.2)).toHaveLength(slicePlan(prepareModel(houseScene()).model, 1.2).length);
+    });
+});
+
+describe('planFrame', () => {
+    it('is the footprint around the base center in meters', () => {
+        const { box } = prepareModel(houseScene());
+
+        expect(planFrame(box, 2)).toEqual({ minX: -4, minZ: -2, maxX: 4, maxZ: 2 });
+    });
+});
@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { defaultUnitSystem, formatArea, formatLength } from '../lib/units.js';
+import { formatDimensions } from '../lib/models/client.js';
+
+describe('defaultUnitSystem', () => {
+    it('follows the region of the first language that has one', () => {
+        expect(defaultUnitSystem(['en-US', 'en'])).toBe('imperial');
+        expect(defaultUnitSystem(['en-GB', 'en-US'])).toBe('metric');
+        expect(defaultUnitSystem(['en', 'en_US'])).toBe('imperial');
+        expect(defaultUnitSystem(['my-MM'])).toBe('imperial');
+    });
+
+    it('is metric without a region', () => {
+        expect(defaultUnitSystem(['en', 'de'])).toBe('metric');
+        expect(defaultUnitSystem([])).toBe('metric');
+        expect(defaultUnitSystem()).toBe('metric');
+    });
+});
+
+describe('formatting', () => {
+    it('shows lengths in the chosen system', () => {
+        expect(formatLength(3.5)).toBe('3.50 m');
+        expect(formatLength(3.5, 'imperial')).toBe('11′ 6″');
+        expect(formatArea(10, 'imperial')).toBe('108 ft²');
+    });
+
+    it('shows model dimensions in meters or feet', () => {
+        const dimensions = { width: 12, depth: 9, height: 6.1 };
+        expect(formatDimensions(dimensions)).toBe('12.0 × 9.0 × 6.1 m');
+        expect(formatDimensions(dimensions, 'imperial')).toBe('39.4 × 29.5 × 20.0 ft');
+        expect(formatDimensions(null, 'imperial')).toBe('size unknown');
+    });
+});
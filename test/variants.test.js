@@ -0,0 +1,53 @@
+import { describe, expect, it, vi } from 'vitest';
+import { deviceProfile, planVariants, rankVariants } from '../lib/variants.js';
+
+const variants = ['full', 'ktx2', 'draco', 'low'].map(type => ({ type, url: `/models/villa.${type}.glb` }));
+const types = list => list.map(variant => variant.type);
+const profile = overrides => ({ performanceMode: 'medium', deviceMemory: 8, effectiveType: '4g', saveData: false, ...overrides });
+
+describe('rankVariants', () => {
+    it('orders the variants for each device class', () => {
+        expect(types(rankVariants(variants, profile({ performanceMode: 'high' })))).toEqual(['full', 'ktx2', 'draco', 'low']);
+        expect(types(rankVariants(variants, profile()))).toEqual(['ktx2', 'draco', 'full', 'low']);
+        expect(types(rankVariants(variants, profile({ performanceMode: 'low' })))).toEqual(['low', 'draco', 'ktx2', 'full']);
+    });
+
+    it('treats little memory as a low-end device', () => {
+        expect(types(rankVariants(variants, profile({ performanceMode: 'high', deviceMemory: 2 })))[0]).toBe('low');
+    });
+
+    it('downloads as little as possible with data saver or on 2G', () => {
+        expect(types(rankVariants(variants, profile({ performanceMode: 'high', saveData: true })))[0]).toBe('low');
+        expect(types(rankVariants(variants, profile({ effectiveType: '2g' })))[0]).toBe('low');
+    });
+
+    it('prefers Draco on 3G', () => {
+        expect(types(rankVariants(variants, profile({ effectiveType: '3g' })))).toEqual(['draco', 'ktx2', 'full', 'low']);
+    });
+
+    it('skips variants the model does not have', () => {
+        const available = variants.filter(variant => variant.type === 'full' || variant.type === 'low');
+        expect(types(rankVariants(available, profile()))).toEqual(['full', 'low']);
+    });
+});
+
+describe('planVariants', () => {
+    it('keeps the variants with exact geometry, smallest first', () => {
+        expect(types(planVariants(variants))).toEqual(['draco', 'full']);
+        expect(types(planVariants(variants.filter(variant => variant.type !== 'draco')))).toEqual(['full']);
+    });
+});
+
+describe('deviceProfile', () => {
+    it('reads memory and network from navigator', () => {
+        vi.stubGlobal('navigator', { deviceMemory: 4, connection: { effectiveType: '3g', saveData: true } });
+
+        expect(deviceProfile('medium')).toEqual({ performanceMode: 'medium', deviceMemory: 4, effectiveType: '3g', saveData: true });
+    });
+
+    it('copes with browsers that tell nothing', () => {
+        vi.stubGlobal('navigator', {});
+
+        expect(deviceProfile('low')).toEqual({ performanceMode: 'low', deviceMemory: null, effectiveType: null, saveData: false });
+    });
+});
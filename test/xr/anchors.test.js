@@ -0,0 +1,103 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createAnchorTracker } from '../../lib/xr/anchors.js';
+import { flushPromises } from '../helpers/xr.js';
+
+// An XRAnchor whose pose the test moves
+const createFakeAnchor = () => ({
+    anchorSpace: {},
+    position: { x: 1, y: 0, z: -2 },
+    orientation: { x: 0, y: 0, z: 0, w: 1 },
+    deleted: false,
+    delete() {
+        this.deleted = true;
+    }
+});
+
+// An XRFrame tracking the anchors it created
+const createAnchorFrame = () => {
+    const created = [];
+    return {
+        created,
+        trackedAnchors: new Set(),
+        createAnchor() {
+            const anchor = createFakeAnchor();
+            created.push(anchor);
+            this.trackedAnchors.add(anchor);
+            return Promise.resolve(anchor);
+        },
+        getPose(space) {
+            const anchor = created.find(candidate => candidate.anchorSpace === space);
+            return anchor ? { transform: { position: anchor.position, orientation: anchor.orientation } } : null;
+        }
+    };
+};
+
+describe('createAnchorTracker', () => {
+    let frame;
+    let tracker;
+    let onStatus;
+
+    beforeEach(() => {
+        vi.stubGlobal('XRRigidTransform', class {
+            constructor(position) {
+                this.position = position;
+            }
+        });
+        frame = createAnchorFrame();
+        onStatus = vi.fn();
+        tracker = createAnchorTracker({ modelId: 'villa', onStatus });
+        tracker.start({ enabledFeatures: ['anchors'] }, frame);
+    });
+
+    const anchorAt = async (position) => {
+        tracker.request(position, { rotationY: 0, gestureScale: 1 });
+        tracker.update(frame, {});
+        await flushPromises();
+    };
+
+    it('reports the orientation of the previous update of the same anchor', async () => {
+        await anchorAt({ x: 1, y: 0, z: -2 });
+        expect(tracker.update(frame, {})).toEqual({
+            position: { x: 1, y: 0, z: -2 },
+            orientation: { x: 0, y: 0, z: 0, w: 1 },
+            previous: null
+        });
+
+        frame.created[0].orientation = { x: 0, y: Math.SQRT1_2, z: 0, w: Math.SQRT1_2 };
+        expect(tracker.update(frame, {})).toMatchObject({
+            orientation: { x: 0, y: Math.SQRT1_2, z: 0, w: Math.SQRT1_2 },
+            previous: { x: 0, y: 0, z: 0, w: 1 }
+        });
+    });
+
+    it('starts over with a new anchor', async () => {
+        await anchorAt({ x: 1, y: 0, z: -2 });
+        tracker.update(frame, {});
+        await anchorAt({ x: 3, y: 0, z: -2 });
+        expect(frame.created[0].deleted).toBe(true);
+        expect(tracker.update(frame, {}).previous).toBeNull();
+    });
+
+    it('stops following the anchor once detached', async () => {
+        await anchorAt({ x: 1, y: 0, z: -2 });
+        tracker.request({ x: 5, y: 0, z: 0 }, { rotationY: 0, gestureScale: 1 });
+        tracker.detach();
+
+        expect(frame.created[0].deleted).toBe(true);
+        expect(tracker.update(frame, {})).toBeNull();
+        // The queued request was dropped with it
+        await flushPromises();
+        expect(frame.created).toHaveLength(1);
+    });
+
+    it('deletes an anchor that arrives after the placement was cleared', async () => {
+        tracker.request({ x: 1, y: 0, z: -2 }, { rotationY: 0, gestureScale: 1 });
+        tracker.update(frame, {});
+        tracker.clear();
+        await flushPromises();
+
+        expect(frame.created[0].deleted).toBe(true);
+        expect(tracker.update(frame, {})).toBeNull();
+        expect(onStatus).not.toHaveBeenCalledWith('anchored');
+    });
+});
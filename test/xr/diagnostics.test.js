@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { createLowLightMonitor, diagnoseSessionError, diagnoseSupport, LOW_LIGHT_MS } from '../../lib/xr/diagnostics.js';
+import { checkARSupport } from '../../lib/xr/support.js';
+import { createFakeXR } from '../helpers/xr.js';
+
+const sessionInit = { requiredFeatures: ['hit-test'] };
+
+// What requestSession() rejected with, diagnosed
+const diagnoseRequest = (xr, options) => xr.requestSession('immersive-ar', sessionInit)
+    .then(() => null, error => diagnoseSessionError(error, options));
+
+describe('diagnoseSupport', () => {
+    it('explains browsers that cannot show AR', async () => {
+        expect(diagnoseSupport(await checkARSupport(undefined))).toEqual({
+            reason: 'unsupported-browser',
+            severity: 'error',
+            detail: 'WebXR not supported in this browser'
+        });
+        expect(diagnoseSupport(await checkARSupport(createFakeXR({ supported: { inline: true } }))))
+            .toMatchObject({ reason: 'unsupported-browser' });
+    });
+
+    it('has nothing to say where AR works', async () => {
+        expect(diagnoseSupport(await checkARSupport(createFakeXR({ supported: { 'immersive-ar': true } })))).toBeNull();
+    });
+});
+
+describe('diagnoseSessionError', () => {
+    it('blames the camera permission when access is denied', async () => {
+        const xr = createFakeXR({ requestError: new DOMException('Permission denied', 'NotAllowedError') });
+
+        await expect(diagnoseRequest(xr, { hitTestRequired: true })).resolves.toEqual({
+            reason: 'camera-permission',
+            severity: 'error',
+            detail: 'Permission denied'
+        });
+    });
+
+    it('blames hit testing when a required feature is missing', async () => {
+        const xr = createFakeXR({ requestError: new DOMException('Feature hit-test is not supported', 'NotSupportedError') });
+
+        await expect(diagnoseRequest(xr, { hitTestRequired: true })).resolves.toMatchObject({ reason: 'hit-test-unsupported' });
+        await expect(diagnoseRequest(xr, { hitTestRequired: false })).resolves.toMatchObject({ reason: 'unsupported-browser' });
+    });
+
+    it('falls back to a generic failure', () => {
+        expect(diagnoseSessionError(new DOMException('Busy', 'InvalidStateError'))).toEqual({
+            reason: 'session-failed',
+            severity: 'error',
+            detail: 'Busy'
+        });
+    });
+});
+
+describe('createLowLightMonitor', () => {
+    it('reports once when it stays dark', () => {
+        const monitor = createLowLightMonitor({ threshold: 0.1 });
+
+        expect(monitor.sample(0.01, 0)).toBe(false);
+        expect(monitor.sample(0.01, LOW_LIGHT_MS - 1)).toBe(false);
+        expect(monitor.sample(0.01, LOW_LIGHT_MS)).toBe(true);
+        expect(monitor.sample(0.01, LOW_LIGHT_MS + 1000)).toBe(false);
+
+        monitor.reset();
+        monitor.sample(0.01, 0);
+        expect(monitor.sample(0.01, LOW_LIGHT_MS)).toBe(true);
+    });
+
+    it('starts over when the light comes back', () => {
+        const monitor = createLowLightMonitor({ threshold: 0.1 });
+        monitor.sample(0.01, 0);
+        monitor.sample(0.5, LOW_LIGHT_MS / 2);
+
+        expect(monitor.sample(0.01, LOW_LIGHT_MS)).toBe(false);
+        expect(monitor.sample(0.01, LOW_LIGHT_MS * 2)).toBe(true);
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createHitTester } from '../../lib/xr/hits.js';
+import { createFakeFrame, createFakeSession, flushPromises, poseMatrix } from '../helpers/xr.js';
+
+const localFloor = { type: 'local-floor' };
+
+describe('createHitTester', () => {
+    it('requests a viewer-space source once and reports nothing until it is ready', async () => {
+        const session = createFakeSession();
+        const spy = vi.spyOn(session, 'requestHitTestSource');
+        const hitTester = createHitTester();
+
+        expect(hitTester.update(session, createFakeFrame(session, [poseMatrix(1, 0, -2)]), localFloor)).toBeNull();
+        expect(hitTester.update(session, createFakeFrame(session), localFloor)).toBeNull();
+        await flushPromises();
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy.mock.calls[0][0].space).toEqual({ type: 'viewer' });
+        expect(hitTester.ready).toBe(true);
+    });
+
+    it('reports the first hit and its pose', async () => {
+        const session = createFakeSession();
+        const hitTester = createHitTester();
+        hitTester.update(session, createFakeFrame(session), localFloor);
+        await flushPromises();
+
+        const result = hitTester.update(session, createFakeFrame(session, [poseMatrix(1, 0, -2), poseMatrix(5, 0, -5)]), localFloor);
+
+        expect(result.hit).not.toBeNull();
+        expect(result.pose.transform.matrix.slice(12, 15)).toEqual([1, 0, -2]);
+    });
+
+    it('tells a miss from a hit that cannot be located', async () => {
+        const session = createFakeSession();
+        const hitTester = createHitTester();
+        hitTester.update(session, createFakeFrame(session), localFloor);
+        await flushPromises();
+
+        expect(hitTester.update(session, createFakeFrame(session, []), localFloor)).toEqual({ hit: null, pose: null });
+        const unlocated = hitTester.update(session, createFakeFrame(session, [null]), localFloor);
+        expect(unlocated.hit).not.toBeNull();
+        expect(unlocated.pose).toBeNull();
+    });
+
+    it('cancels a source that arrives after its session ended', async () => {
+        const session = createFakeSession();
+        const hitTester = createHitTester({ isCurrent: current => current === session && !current.ended });
+
+        hitTester.update(session, createFakeFrame(session), localFloor);
+        session.end();
+        await flushPromises();
+
+        expect(hitTester.ready).toBe(false);
+        expect(session.hitTestSources).toHaveLength(1);
+        expect(session.hitTestSources[0].cancelled).toBe(true);
+    });
+
+    it('keeps working without hits when the session has no hit testing', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const onUnavailable = vi.fn();
+        const session = createFakeSession({ hitTest: false });
+        const hitTester = createHitTester({ onUnavailable });
+
+        hitTester.update(session, createFakeFrame(session), localFloor);
+        await flushPromises();
+
+        expect(hitTester.update(session, createFakeFrame(session, [poseMatrix(0, 0, -1)]), localFloor)).toBeNull();
+        expect(warn).toHaveBeenCalledWith('Hit test source unavailable:', expect.any(DOMException));
+        expect(onUnavailable).toHaveBeenCalledWith(expect.objectContaining({ name: 'NotSupportedError' }));
+    });
+
+    it('does not report a failed source of a session that has ended', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const onUnavailable = vi.fn();
+        const session = createFakeSession({ hitTest: false });
+        const hitTester = createHitTester({ isCurrent: current => !current.ended, onUnavailable });
+
+        hitTester.update(session, createFakeFrame(session), localFloor);
+        session.end();
+        await flushPromises();
+
+        expect(onUnavailable).not.toHaveBeenCalled();
+    });
+
+    it('starts over for the next session after a reset', async () => {
+        const first = createFakeSession();
+        const second = createFakeSession();
+        const hitTester = createHitTester();
+        hitTester.update(first, createFakeFrame(first), localFloor);
+        await flushPromises();
+
+        first.end();
+        hitTester.reset();
+        expect(first.hitTestSources[0].cancelled).toBe(true);
+        expect(hitTester.ready).toBe(false);
+
+        hitTester.update(second, createFakeFrame(second), localFloor);
+        await flushPromises();
+        const result = hitTester.update(second, createFakeFrame(second, [poseMatrix(0, 0, -3)]), localFloor);
+        expect(second.hitTestSources).toHaveLength(1);
+        expect(result.pose.transform.matrix[14]).toBe(-3);
+    });
+});
@@ -0,0 +1,129 @@
+import { describe, expect, it, vi } from 'vitest';
+import { coachHintKey, createOnboarding, HINT_GRACE_MS, stepHaptics } from '../../lib/xr/onboarding.js';
+
+const tracked = { tracked: true, surface: false };
+const onSurface = { tracked: true, surface: true };
+
+// An onboarding in a session, with the steps it reported
+function started() {
+    const steps = [];
+    const onboarding = createOnboarding({ onChange: step => steps.push(step) });
+    onboarding.sessionStarted();
+    return { onboarding, steps };
+}
+
+describe('createOnboarding', () => {
+    it('scans for a surface once the session starts', () => {
+        const onboarding = createOnboarding();
+        expect(onboarding.step).toBe('idle');
+
+        onboarding.sessionStarted();
+        onboarding.frame(0, tracked);
+
+        expect(onboarding.step).toBe('scanning');
+    });
+
+    it('keeps a found surface through short misses', () => {
+        const { onboarding, steps } = started();
+        onboarding.frame(0, onSurface);
+        expect(onboarding.step).toBe('surface-found');
+
+        onboarding.frame(HINT_GRACE_MS, tracked);
+        expect(onboarding.step).toBe('surface-found');
+        onboarding.frame(HINT_GRACE_MS + 16, tracked);
+        expect(onboarding.step).toBe('scanning');
+        expect(steps).toEqual(['scanning', 'surface-found', 'scanning']);
+    });
+
+    it('reports only changes', () => {
+        const { onboarding, steps } = started();
+        for (let timestamp = 0; timestamp < 100; timestamp += 16) onboarding.frame(timestamp, onSurface);
+
+        expect(steps).toEqual(['scanning', 'surface-found']);
+    });
+
+    it('follows placement', () => {
+        const { onboarding } = started();
+        onboarding.frame(0, onSurface);
+        onboarding.setPlaced(true);
+        expect(onboarding.step).toBe('placed');
+
+        onboarding.setPlaced(false);
+        expect(onboarding.step).toBe('surface-found');
+    });
+
+    it('tells when tracking has been lost for a while', () => {
+        const { onboarding } = started();
+        onboarding.frame(0, onSurface);
+        onboarding.setPlaced(true);
+
+        onboarding.frame(200, { tracked: false, surface: false });
+        expect(onboarding.step).toBe('placed');
+        onboarding.frame(HINT_GRACE_MS + 100, { tracked: false, surface: false });
+        expect(onboarding.step).toBe('tracking-limited');
+
+        onboarding.frame(HINT_GRACE_MS + 116, tracked);
+        expect(onboarding.step).toBe('placed');
+    });
+
+    it('gives tracking time to start', () => {
+        const { onboarding } = started();
+        onboarding.frame(1000, { tracked: false, surface: false });
+        onboarding.frame(1000 + HINT_GRACE_MS, { tracked: false, surface: false });
+        expect(onboarding.step).toBe('scanning');
+
+        onboarding.frame(1016 + HINT_GRACE_MS, { tracked: false, surface: false });
+        expect(onboarding.step).toBe('tracking-limited');
+    });
+
+    it('treats a hidden session as lost until it is visible again', () => {
+        const { onboarding } = started();
+        onboarding.frame(0, onSurface);
+        onboarding.setPlaced(true);
+
+        onboarding.setVisibility('visible-blurred');
+        expect(onboarding.step).toBe('session-lost');
+        onboarding.setVisibility('visible');
+        expect(onboarding.step).toBe('placed');
+    });
+
+    it('tells a session that ended on its own from one the user left', () => {
+        const { onboarding } = started();
+        onboarding.frame(0, onSurface);
+        onboarding.setPlaced(true);
+
+        onboarding.sessionEnded(false);
+        expect(onboarding.step).toBe('session-lost');
+
+        onboarding.sessionStarted();
+        expect(onboarding.step).toBe('scanning');
+        onboarding.sessionEnded(true);
+        expect(onboarding.step).toBe('idle');
+    });
+});
+
+describe('coachHintKey', () => {
+    it('names the hint of each step', () => {
+        expect(coachHintKey('scanning')).toBe('ar.coach.scanning');
+        expect(coachHintKey('scanning', { slow: true })).toBe('ar.coach.scanningSlow');
+        expect(coachHintKey('surface-found')).toBe('ar.instructions.placeOnSurface');
+        expect(coachHintKey('surface-found', { simplified: true })).toBe('ar.instructions.place');
+        expect(coachHintKey('placed')).toBe('ar.instructions.placed');
+        expect(coachHintKey('session-lost')).toBe('ar.coach.session-lost');
+    });
+});
+
+describe('stepHaptics', () => {
+    it('vibrates on placement only', () => {
+        const vibrate = vi.fn(() => true);
+
+        expect(stepHaptics('scanning', vibrate)).toBe(false);
+        expect(stepHaptics('placed', vibrate)).toBe(true);
+        expect(vibrate).toHaveBeenCalledTimes(1);
+        expect(vibrate).toHaveBeenCalledWith([40, 60, 40]);
+    });
+
+    it('does nothing without a vibration motor', () => {
+        expect(stepHaptics('placed')).toBe(false);
+    });
+});
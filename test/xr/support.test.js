@@ -0,0 +1,53 @@
+import { describe, expect, it, vi } from 'vitest';
+import { checkARSupport } from '../../lib/xr/support.js';
+import { createFakeXR } from '../helpers/xr.js';
+
+describe('checkARSupport', () => {
+    it('reports browsers without WebXR', async () => {
+        await expect(checkARSupport(undefined)).resolves.toEqual({
+            supported: false,
+            mode: null,
+            reason: 'no-webxr',
+            message: 'WebXR not supported in this browser',
+            error: null
+        });
+    });
+
+    it('uses immersive AR where the runtime offers it', async () => {
+        const xr = createFakeXR({ supported: { 'immersive-ar': true, inline: true } });
+        const spy = vi.spyOn(xr, 'isSessionSupported');
+
+        await expect(checkARSupport(xr)).resolves.toMatchObject({ supported: true, mode: 'immersive-ar', reason: null, message: '' });
+        // No need to ask for the fallback
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it('falls back to an inline session with a notice', async () => {
+        const xr = createFakeXR({ supported: { inline: true } });
+
+        await expect(checkARSupport(xr)).resolves.toMatchObject({
+            supported: true,
+            mode: 'inline',
+            reason: 'inline-only',
+            message: 'Full AR not supported. Using simplified mode.'
+        });
+    });
+
+    it('reports no support when neither mode is available', async () => {
+        await expect(checkARSupport(createFakeXR())).resolves.toEqual({ supported: false, mode: null, reason: null, message: '', error: null });
+    });
+
+    it('turns a failing runtime into a message', async () => {
+        const error = new Error('Permission policy blocks xr-spatial-tracking');
+        const result = await checkARSupport(createFakeXR({ error }));
+
+        expect(result).toMatchObject({ supported: false, mode: null, reason: 'check-failed', error });
+        expect(result.message).toBe('Error checking AR support: Permission policy blocks xr-spatial-tracking');
+    });
+
+    it('asks navigator.xr by default', async () => {
+        vi.stubGlobal('navigator', { xr: createFakeXR({ supported: { 'immersive-ar': true } }) });
+
+        await expect(checkARSupport()).resolves.toMatchObject({ supported: true, mode: 'immersive-ar' });
+    });
+});
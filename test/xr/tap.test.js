@@ -0,0 +1,93 @@
+import { describe, expect, it, vi } from 'vitest';
+import { tapAction } from '../../lib/xr/tap.js';
+
+// A placed model in the default mode with nothing going on
+const placed = {
+    gesture: false,
+    measuring: false,
+    measureCursor: false,
+    modelLoaded: true,
+    placed: true,
+    reticleVisible: true,
+    annotating: false,
+    hasSelection: false,
+    performanceMode: 'medium'
+};
+const unplaced = { ...placed, placed: false };
+
+describe('tapAction', () => {
+    it('ignores the select that ends a gesture', () => {
+        const pickObject = vi.fn();
+        expect(tapAction({ ...placed, gesture: true }, { pickObject })).toEqual({ type: 'none' });
+        expect(pickObject).not.toHaveBeenCalled();
+    });
+
+    it('adds measurement points in measure mode, placed or not', () => {
+        expect(tapAction({ ...unplaced, measuring: true, measureCursor: true })).toEqual({ type: 'measure' });
+        expect(tapAction({ ...placed, measuring: true, measureCursor: true })).toEqual({ type: 'measure' });
+        expect(tapAction({ ...placed, measuring: true, measureCursor: false })).toEqual({ type: 'none' });
+    });
+
+    it('does nothing before the model has loaded', () => {
+        expect(tapAction({ ...unplaced, modelLoaded: false })).toEqual({ type: 'none' });
+    });
+
+    it('places at the reticle once a surface is found', () => {
+        expect(tapAction(unplaced)).toEqual({ type: 'place', at: 'reticle' });
+        expect(tapAction({ ...unplaced, reticleVisible: false })).toEqual({ type: 'none' });
+    });
+
+    it('places in front of the camera in low-end mode, which has no reticle', () => {
+        expect(tapAction({ ...unplaced, performanceMode: 'low', reticleVisible: false })).toEqual({ type: 'place', at: 'camera' });
+    });
+
+    it('reports the tapped point in annotate mode', () => {
+        const pickPin = vi.fn(() => 'note-1');
+        expect(tapAction({ ...placed, annotating: true }, { pickPin })).toEqual({ type: 'annotate' });
+        expect(pickPin).not.toHaveBeenCalled();
+    });
+
+    it('prefers annotation pins over parts', () => {
+        const pickObject = vi.fn(() => ({ type: 'part', node: 'wall' }));
+        expect(tapAction(placed, { pickPin: () => 'note-1', pickObject })).toEqual({ type: 'select-annotation', id: 'note-1' });
+        expect(pickObject).not.toHaveBeenCalled();
+    });
+
+    it('selects the part or prop under the tap', () => {
+        const part = { type: 'part', node: 'wall' };
+        const prop = { type: 'prop', id: 'tree-1' };
+        expect(tapAction(placed, { pickObject: () => part })).toEqual({ type: 'select', target: part });
+        expect(tapAction({ ...placed, hasSelection: true }, { pickObject: () => prop })).toEqual({ type: 'select', target: prop });
+    });
+
+    it('clears the selection before picking the scene up', () => {
+        expect(tapAction({ ...placed, hasSelection: true })).toEqual({ type: 'clear-selection' });
+        expect(tapAction(placed)).toEqual({ type: 'pick-up' });
+    });
+
+    it('toggles between placing and picking up on repeated taps', () => {
+        // What the controller does with the actions that change placement
+        let state = { ...unplaced };
+        const tap = (overrides = {}) => {
+            const action = tapAction({ ...state, ...overrides });
+            if (action.type === 'place') state = { ...state, placed: true };
+            if (action.type === 'pick-up') state = { ...state, placed: false };
+            if (action.type === 'select') state = { ...state, hasSelection: true };
+            if (action.type === 'clear-selection') state = { ...state, hasSelection: false };
+            return action.type;
+        };
+
+        expect(tap({ reticleVisible: false })).toBe('none');
+        expect(tap()).toBe('place');
+        expect(state.placed).toBe(true);
+        expect(tap()).toBe('pick-up');
+        expect(state.placed).toBe(false);
+        expect(tap()).toBe('place');
+
+        // A selection costs one extra tap
+        state = { ...state, hasSelection: true };
+        expect(tap()).toBe('clear-selection');
+        expect(tap()).toBe('pick-up');
+        expect(state.placed).toBe(false);
+    });
+});
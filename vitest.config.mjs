@@ -0,0 +1,12 @@
+import { defineConfig } from 'vitest/config';
+
+// Tests run in Node without a browser or GPU; test/helpers fakes the WebXR
+// runtime and WebGL where the code under test asks for them
+export default defineConfig({
+    test: {
+        environment: 'node',
+        include: ['test/**/*.test.js'],
+        restoreMocks: true,
+        unstubGlobals: true
+    }
+});